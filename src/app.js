@@ -3,9 +3,13 @@ const express = require("express");
 const compression = require("compression");
 const { httpLogger } = require("./middleware/logger.middleware");
 const { sanitizeRequest } = require("./middleware/validation.middleware");
+const { resolveTenant } = require("./middleware/tenant.middleware");
 const authRoutes = require("./routes/auth.routes");
 const routes = require("./routes/index");
 const demoRoutes = require("./routes/demo.routes");
+const wellKnownRoutes = require("./routes/well-known.routes");
+const db = require("./utils/database.util");
+const RequestContextUtil = require("./utils/request-context.util");
 
 const app = express();
 
@@ -21,7 +25,17 @@ app.use(express.urlencoded({ extended: true }));
 
 app.use(compression());
 
+// Reads of a request that wrote go to the primary (read-your-writes with replicas)
+app.use(db.readYourWrites());
+
+// Request values (IP, authenticated user) for models, e.g. created_by and the audit log
+app.use(RequestContextUtil.middleware());
+
+// Tenant of API requests (X-Tenant-Id header, subdomain or default tenant); models scope their queries by it
+app.use("/api", resolveTenant);
+
 // Routes
+app.use("/.well-known", wellKnownRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api", routes);
 app.use("/api/demo", demoRoutes);
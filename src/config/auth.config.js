@@ -0,0 +1,104 @@
+const path = require("path");
+
+module.exports = {
+  // Access token (JWT) settings
+  accessTokenExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || process.env.JWT_EXPIRES_IN || "15m", // Access token lifetime (jsonwebtoken format)
+
+  // JWT signing keys (see src/services/keyring.service.js)
+  jwt: {
+    algorithm: process.env.JWT_ALGORITHM || "RS256",                                    // RS256 or ES256 (HS256 signs with JWT_SECRET, no JWKS)
+    keysDir: process.env.JWT_KEYS_DIR || null,                                          // Directory of <kid>.pem private and <kid>.pub.pem public keys
+    activeKid: process.env.JWT_ACTIVE_KID || null,                                      // Key used for signing (default: newest private key)
+    inMemoryKeys: ["development", "test"].includes(process.env.NODE_ENV),                // Allow a generated key that only lives in memory when keysDir is not set
+    jwksMaxAge: 60 * 60,                                                                // Cache-Control max-age of /.well-known/jwks.json
+  },
+
+  // Refresh token settings
+  refreshTokenBytes: 48,                                                                // Random bytes in an opaque refresh token
+  refreshTokenExpiresIn: parseInt(process.env.JWT_REFRESH_EXPIRES_IN) || 30 * 24 * 60 * 60, // Refresh token lifetime in seconds (default: 30 days)
+
+  // Secret used to hash one-time tokens (password reset, email verification, login link nonces and recovery codes); required
+  tokenHashSecret: process.env.TOKEN_HASH_SECRET,
+
+  // Password hashing (hashes with a lower cost or another algorithm are upgraded at login)
+  passwordHash: {
+    algorithm: "$2b$",                                                                  // bcrypt hash prefix of new hashes
+    rounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,                                  // bcrypt cost factor
+  },
+
+  // Password policy (see src/utils/password-policy.util.js)
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,                          // Minimum length
+    maxLength: 72,                                                                      // bcrypt only uses the first 72 bytes
+    requireLowercase: true,                                                             // At least one lowercase letter
+    requireUppercase: true,                                                             // At least one uppercase letter
+    requireDigit: true,                                                                 // At least one digit
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === "true",                      // At least one character that is not a letter or digit
+    disallowUserInfo: true,                                                             // Must not contain the username or the email name
+    blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || path.join(__dirname, "password-blocklist.txt"), // Common passwords, one per line
+    historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5,                      // Previous passwords that cannot be reused
+  },
+
+  // Password reset settings
+  passwordResetExpiresIn: parseInt(process.env.PASSWORD_RESET_EXPIRES_IN) || 30 * 60,   // Reset link lifetime in seconds (default: 30 minutes)
+  passwordResetRateLimit: {
+    windowSeconds: 60 * 60,                                                             // Rate limit window (1 hour)
+    maxPerIp: 10,                                                                       // Forgot requests per IP per window
+    maxPerAccount: 3,                                                                   // Reset emails per account per window
+  },
+
+  // Email verification settings
+  emailVerificationRequired: process.env.REQUIRE_VERIFIED_EMAIL === "true",            // Let requireVerifiedEmail block unverified accounts
+  emailVerificationExpiresIn: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN) || 24 * 60 * 60, // Verification link lifetime in seconds (default: 24 hours)
+  emailVerificationRateLimit: {
+    windowSeconds: 60 * 60,                                                             // Rate limit window (1 hour)
+    maxPerAccount: 3,                                                                   // Verification emails per account per window
+  },
+
+  // Two-factor authentication (TOTP) settings
+  mfa: {
+    issuer: process.env.MFA_ISSUER || process.env.PROJECT_NAME || "Express App",        // Issuer shown in authenticator apps
+    encryptionKey: process.env.MFA_ENCRYPTION_KEY,                                      // Key used to encrypt TOTP secrets at rest (required)
+    window: 1,                                                                          // Accepted time steps before/after the current one
+    ticketExpiresIn: "5m",                                                              // Lifetime of the "mfa pending" login ticket
+    maxAttempts: 5,                                                                     // Wrong codes allowed per login ticket
+    recoveryCodeCount: 10,                                                              // Recovery codes generated on enrollment
+  },
+
+  // Login brute-force protection (counters per username and per client IP)
+  loginProtection: {
+    windowSeconds: 15 * 60,                                                             // Failed attempts are counted within this window
+    freeAttempts: 3,                                                                    // Failures before responses are delayed
+    delayStepMs: 500,                                                                   // First delay, doubled with every further failure
+    maxDelayMs: 8000,                                                                   // Upper bound of the delay
+    maxAttemptsPerUser: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10,                 // Failures per username before a lockout
+    maxAttemptsPerIp: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 50,            // Failures per IP before a lockout
+    lockoutSeconds: parseInt(process.env.LOGIN_LOCKOUT_SECONDS) || 15 * 60,             // Lockout duration (default: 15 minutes)
+  },
+
+  // API keys for machine-to-machine access
+  apiKeys: {
+    prefix: "ak",                                                                       // Keys look like ak_<id>_<secret>
+    secretBytes: 32,                                                                    // Random bytes in the secret part
+    defaultExpiresInDays: parseInt(process.env.API_KEY_EXPIRES_IN_DAYS) || 90,          // Lifetime when none is requested
+    maxExpiresInDays: 365,                                                              // Longest lifetime a key can be created with
+    maxPerUser: 20,                                                                     // Active keys per user
+    lastUsedInterval: 60,                                                               // Seconds between last-used updates of a key
+  },
+
+  // Admin impersonation (tokens carry an "act" claim with the admin id)
+  impersonation: {
+    expiresIn: process.env.IMPERSONATION_EXPIRES_IN || "30m",                           // Impersonation token lifetime (no refresh token)
+  },
+
+  // Passwordless login links
+  magicLink: {
+    expiresIn: parseInt(process.env.MAGIC_LINK_EXPIRES_IN) || 10 * 60,                  // Link lifetime in seconds (default: 10 minutes)
+    nonceCookie: "magic_link_nonce",                                                    // Cookie binding a link to the browser that requested it
+    rateLimit: {
+      windowSeconds: 60 * 60,                                                           // Rate limit window (1 hour)
+      maxPerIp: 10,                                                                     // Link requests per IP per window
+      maxPerAccount: 5,                                                                 // Link emails per account per window
+    },
+  },
+};
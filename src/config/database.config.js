@@ -29,6 +29,22 @@ module.exports = {
   supportBigNumbers: true,                                   // Support for numbers beyond JavaScript's safe integer limit
   bigNumberStrings: false,                                   // Return big numbers as JavaScript numbers, not strings
 
+  // Read replicas (not passed to mysql2; they use the credentials above)
+  replication: {
+    hosts: (process.env.DB_REPLICA_HOSTS || "")              // Comma separated "host" or "host:port" list, empty = no replicas
+      .split(",").map(host => host.trim()).filter(Boolean),
+    ejectTime: parseInt(process.env.DB_REPLICA_EJECT_TIME) || 30000, // Time (ms) a replica is skipped after a connection error
+  },
+
+  // Query metrics (not passed to mysql2)
+  metrics: {
+    slowQueryThreshold: parseInt(process.env.DB_SLOW_QUERY_MS) || 500, // Queries taking at least this long (ms) are logged as slow
+    explain: process.env.DB_SLOW_QUERY_EXPLAIN !== "false",   // Capture EXPLAIN of slow queries
+    explainInterval: 60000,                                   // Explain the same statement at most once per interval (ms)
+    redactColumns: (process.env.DB_REDACT_COLUMNS || "password,secret,token,hash,key,code,otp") // Bind values of columns containing these words are not logged
+      .split(",").map(column => column.trim()).filter(Boolean),
+  },
+
   // Debugging (only in development)
   debug: process.env.NODE_ENV === 'development' ? false : false // Enable query debugging in development
 };
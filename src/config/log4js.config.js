@@ -18,6 +18,12 @@ module.exports = {
       pattern: "yyyy-MM-dd",
       keepFileExt: true,
     },
+    auditFile: {
+      type: "dateFile",
+      filename: path.join(__dirname, "../../logs/audit.log"),
+      pattern: "yyyy-MM-dd",
+      keepFileExt: true,
+    },
     errors: {
       type: "logLevelFilter",
       level: "error",
@@ -29,5 +35,10 @@ module.exports = {
       appenders: ["console", "app", "errors"],
       level: logLevel,
     },
+    // Actions taken on behalf of other users (impersonation), kept in their own file
+    audit: {
+      appenders: ["console", "auditFile"],
+      level: "info",
+    },
   },
 };
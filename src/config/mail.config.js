@@ -0,0 +1,9 @@
+const path = require("path");
+
+module.exports = {
+  // Transport name: "console" and "file" are built in, others can be registered with mailService.registerTransport()
+  transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? null : "console"),
+  from: process.env.MAIL_FROM || "no-reply@localhost",                                // Sender address
+  fileDir: process.env.MAIL_FILE_DIR || path.join(__dirname, "../../logs/mail"),     // Output directory of the file transport
+  appUrl: process.env.APP_URL || "http://localhost:3000",                            // Base URL used to build links in emails
+};
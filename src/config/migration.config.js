@@ -0,0 +1,8 @@
+const path = require("path");
+
+module.exports = {
+  directory: process.env.MIGRATIONS_DIR || path.join(__dirname, "../migrations"),    // Numbered migration files (NNN_name.sql or NNN_name.js)
+  table: "schema_migrations",                                                         // Table recording applied migrations
+  lockTimeout: parseInt(process.env.MIGRATION_LOCK_TIMEOUT) || 10,                   // Seconds to wait for another instance to finish migrating
+  seedDirectory: process.env.SEEDS_DIR || path.join(__dirname, "../seeds"),          // Seed files: common/ always, <NODE_ENV>/ per environment
+};
@@ -0,0 +1,26 @@
+// Providers are listed in OIDC_PROVIDERS (e.g. "google,local") and configured with OIDC_<NAME>_* variables
+const providers = (process.env.OIDC_PROVIDERS || "")
+  .split(",")
+  .map(name => name.trim())
+  .filter(Boolean)
+  .map(name => {
+    const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+    return {
+      name,
+      discoveryUrl: process.env[`${prefix}DISCOVERY_URL`],                             // .../.well-known/openid-configuration
+      clientId: process.env[`${prefix}CLIENT_ID`],
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,                     // Omit for public clients (PKCE only)
+      scopes: process.env[`${prefix}SCOPES`] || "openid email profile",
+    };
+  });
+
+module.exports = {
+  providers,
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || "user",                                 // Role of accounts created on first login
+  redirectBaseUrl: process.env.OIDC_REDIRECT_BASE_URL || process.env.APP_URL || "http://localhost:3000", // Base of the callback URL registered with providers
+  stateExpiresIn: 10 * 60,                                                              // Seconds to finish the login at the provider
+  stateCookie: "oidc_state",                                                            // Cookie binding the login to the browser that started it
+  metadataCacheTtl: 60 * 60,                                                            // Seconds discovery documents and JWKS are cached
+  idTokenAlgorithms: ["RS256", "ES256"],                                                // Accepted ID token signature algorithms
+  clockTolerance: 60,                                                                   // Seconds of clock skew allowed for exp/iat
+};
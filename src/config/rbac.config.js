@@ -0,0 +1,25 @@
+module.exports = {
+  adminRole: process.env.ADMIN_ROLE || "admin",                              // Role that is granted every permission
+  cacheTtl: parseInt(process.env.RBAC_CACHE_TTL) || 300,                     // Seconds a user's role/permissions stay cached
+
+  // Permission strings stored in roles.paramlist ("resource:*" and "*" act as wildcards)
+  permissions: {
+    CSRF_STATS: "csrf:stats",
+    DB_STATS: "db:stats",
+    WEBSOCKET_STATS: "websocket:stats",
+    WEBSOCKET_BROADCAST: "websocket:broadcast",
+    USERS_REVOKE_TOKENS: "users:revoke-tokens",
+    USERS_UNLOCK: "users:unlock",
+    USERS_READ: "users:read",
+    USERS_WRITE: "users:write",
+    USERS_ASSIGN_ROLE: "users:assign-role",
+    USERS_IMPERSONATE: "users:impersonate",
+    AUDIT_READ: "audit:read",
+  },
+
+  // Scopes that only restrict API keys (roles do not need to grant them)
+  apiKeyScopes: {
+    WEBSOCKET_CONNECT: "websocket:connect",
+    WEBSOCKET_SEND: "websocket:send",
+  },
+};
@@ -0,0 +1,8 @@
+module.exports = {
+  defaultTenant: process.env.TENANT_DEFAULT || "default",                             // Slug of the tenant of requests that name none
+  baseDomain: process.env.TENANT_BASE_DOMAIN || null,                                 // Subdomains of this domain name a tenant (acme.example.com), null = no subdomains
+  ignoredSubdomains: (process.env.TENANT_IGNORED_SUBDOMAINS || "www")                 // Subdomains that are not tenants
+    .split(",").map(subdomain => subdomain.trim().toLowerCase()).filter(Boolean),
+  header: "x-tenant-id",                                                              // Header naming a tenant by id or slug
+  cacheTtl: parseInt(process.env.TENANT_CACHE_TTL) || 60,                             // Seconds a resolved tenant is cached in memory
+};
@@ -1,6 +1,14 @@
-const jwt = require("jsonwebtoken");
 const { logger } = require("./logger.middleware");
 const UserModel = require("../models/user.model");
+const tokenService = require("../services/token.service");
+const revocationService = require("../services/revocation.service");
+const permissionService = require("../services/permission.service");
+const apiKeyService = require("../services/api-key.service");
+const impersonationService = require("../services/impersonation.service");
+const tenantService = require("../services/tenant.service");
+const NetworkUtil = require("../utils/network.util");
+const RequestContextUtil = require("../utils/request-context.util");
+const authConfig = require("../config/auth.config");
 
 const authLogger = logger("auth");
 
@@ -18,9 +26,25 @@ const authenticate = async (req, res, next) => {
     const token = authHeader.split(" ")[1];
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = tokenService.verifyAccessToken(token);
 
-    // Find user
+    // Reject tokens revoked by logout or an admin
+    if (await revocationService.isRevoked(decoded)) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "Token revoked",
+      });
+    }
+
+    // Tokens are only valid in the tenant they were issued for
+    if (!tenantService.applyTokenTenant(decoded)) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "Invalid token",
+      });
+    }
+
+    // Find user (in the tenant of the request)
     const user = await UserModel.findById(decoded.userId);
 
     if (!user) {
@@ -30,11 +54,52 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (user.disabled_at) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Account disabled",
+      });
+    }
+
+    // Impersonation token: req.user is the impersonated user, req.actor the admin behind it
+    if (decoded.act) {
+      const actor = await impersonationService.resolveActor(decoded);
+      if (!actor) {
+        return res.status(401).json({
+          error: "Unauthorized",
+          message: "Impersonation ended",
+        });
+      }
+
+      req.actor = actor;
+      res.on("finish", () => {
+        impersonationService.audit({
+          actorId: actor.id,
+          userId: user.id,
+          jti: decoded.jti,
+          method: req.method,
+          url: req.originalUrl,
+          status: res.statusCode,
+          ipAddress: NetworkUtil.getClientIP(req),
+        });
+      });
+    }
+
     // Attach user to request
     req.user = user;
     req.token = token;
+    req.tokenPayload = decoded;
+    RequestContextUtil.set({ userId: user.id, actorId: req.actor ? req.actor.id : null });
     next();
   } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      // Clients are expected to call /api/auth/refresh on this response
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "Token expired",
+      });
+    }
+
     authLogger.error("Authentication error", { error: error.message });
 
     if (error.name === "JsonWebTokenError") {
@@ -51,4 +116,177 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticate };
+// Read an API key from "X-API-Key: <key>" or "Authorization: ApiKey <key>"
+const getApiKey = (req) => {
+  if (req.headers["x-api-key"]) {
+    return req.headers["x-api-key"];
+  }
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith("ApiKey ")) {
+    return authHeader.slice("ApiKey ".length).trim();
+  }
+  return null;
+};
+
+// Like authenticate, but also accepts an API key (for machine-to-machine routes).
+// The key acts as its owner, limited to the key's scopes (see authorize and requireScope).
+const authenticateWithApiKey = async (req, res, next) => {
+  const key = getApiKey(req);
+  if (!key) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const apiKey = await apiKeyService.verifyKey(key, NetworkUtil.getClientIP(req));
+    if (!apiKey) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "Invalid API key",
+      });
+    }
+
+    // The request runs in the tenant of the key owner, unless it named another one
+    if (!tenantService.bindTenant(apiKey.tenantId)) {
+      authLogger.warn("API key used with another tenant", { keyId: apiKey.id, tenantId: RequestContextUtil.getTenantId() });
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "Invalid API key",
+      });
+    }
+
+    const user = await UserModel.findById(apiKey.userId);
+    if (!user) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "Invalid API key",
+      });
+    }
+
+    if (user.disabled_at) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Account disabled",
+      });
+    }
+
+    req.user = user;
+    req.apiKey = apiKey;
+    RequestContextUtil.set({ userId: user.id, actorId: null });
+    next();
+  } catch (error) {
+    authLogger.error("API key authentication error", { error: error.message });
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "Authentication failed",
+    });
+  }
+};
+
+// Require a scope from API key requests; requests with a user token pass through
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey || apiKeyService.hasScope(req.apiKey, scope)) {
+    return next();
+  }
+
+  authLogger.warn("API key scope denied", { userId: req.user.id, keyId: req.apiKey.id, scope, url: req.originalUrl });
+  return res.status(403).json({
+    error: "Forbidden",
+    message: "API key scope required",
+  });
+};
+
+// Refuse impersonation tokens on routes only the account owner may use (use after authenticate)
+const forbidImpersonation = (req, res, next) => {
+  if (!req.actor) {
+    return next();
+  }
+
+  authLogger.warn("Impersonation blocked", { userId: req.user.id, actorId: req.actor.id, url: req.originalUrl });
+  return res.status(403).json({
+    error: "Forbidden",
+    message: "Not allowed while impersonating",
+  });
+};
+
+// Load role and permissions of the authenticated user onto the request
+const loadAccess = async (req) => {
+  if (!req.access) {
+    req.access = await permissionService.getUserAccess(req.user.id);
+  }
+  return req.access;
+};
+
+// Require one of the given permissions (use after authenticate)
+const authorize = (...permissions) => async (req, res, next) => {
+  try {
+    const access = await loadAccess(req);
+    // API keys additionally need the permission among their scopes
+    const granted = access && permissions.some(permission =>
+      permissionService.hasPermission(access.permissions, permission) &&
+      (!req.apiKey || apiKeyService.hasScope(req.apiKey, permission))
+    );
+
+    if (!granted) {
+      authLogger.warn("Permission denied", { userId: req.user.id, permissions, url: req.originalUrl });
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Insufficient permissions",
+      });
+    }
+
+    next();
+  } catch (error) {
+    authLogger.error("Authorization error", { error: error.message });
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "Authorization failed",
+    });
+  }
+};
+
+// Require one of the given roles (use after authenticate). A role is not a scope, so API keys
+// only pass when they were given the full "*" scope; like authorize, the owner's role alone is not enough.
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    if (req.apiKey && !apiKeyService.hasScope(req.apiKey, "*")) {
+      authLogger.warn("API key scope denied", { userId: req.user.id, keyId: req.apiKey.id, roles, url: req.originalUrl });
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "API key scope required",
+      });
+    }
+
+    const access = await loadAccess(req);
+
+    if (!access || !roles.includes(access.role)) {
+      authLogger.warn("Role denied", { userId: req.user.id, roles, url: req.originalUrl });
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Insufficient role",
+      });
+    }
+
+    next();
+  } catch (error) {
+    authLogger.error("Authorization error", { error: error.message });
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "Authorization failed",
+    });
+  }
+};
+
+// Block accounts without a verified email when REQUIRE_VERIFIED_EMAIL is enabled (use after authenticate)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!authConfig.emailVerificationRequired || req.user.email_verified_at) {
+    return next();
+  }
+
+  authLogger.warn("Unverified email blocked", { userId: req.user.id, url: req.originalUrl });
+  return res.status(403).json({
+    error: "Forbidden",
+    message: "Email address not verified",
+  });
+};
+
+module.exports = { authenticate, authenticateWithApiKey, requireScope, forbidImpersonation, authorize, requireRole, requireVerifiedEmail };
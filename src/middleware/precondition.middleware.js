@@ -0,0 +1,23 @@
+const ETagUtil = require("../utils/etag.util");
+
+// Read the If-Match header of a PATCH or PUT into req.ifMatch (the strong tags it names), for the route to compare
+// with the current ETag. Without the header (or with "*") req.ifMatch stays undefined and the update is unconditional.
+// A header naming no strong tag (only weak ones) can never match, so it gets 412 right away.
+const ifMatch = (req, res, next) => {
+  const tags = ETagUtil.parseIfMatch(req.headers["if-match"]);
+  if (tags === null) {
+    return next();
+  }
+
+  if (tags.length === 0) {
+    return res.status(412).json({
+      error: "Precondition Failed",
+      message: "If-Match does not name a current version",
+    });
+  }
+
+  req.ifMatch = tags;
+  next();
+};
+
+module.exports = { ifMatch };
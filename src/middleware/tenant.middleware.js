@@ -0,0 +1,33 @@
+const { logger } = require("./logger.middleware");
+const tenantService = require("../services/tenant.service");
+const RequestContextUtil = require("../utils/request-context.util");
+const tenantConfig = require("../config/tenant.config");
+
+const tenantLogger = logger("tenant");
+
+// Resolve the tenant of the request (X-Tenant-Id header, subdomain or default tenant) into req.tenant and the
+// request context, where models read it to scope their queries. Use after RequestContextUtil.middleware().
+const resolveTenant = async (req, res, next) => {
+  try {
+    const resolved = await tenantService.resolve({ header: req.headers[tenantConfig.header], hostname: req.hostname });
+
+    if (!resolved) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Unknown tenant",
+      });
+    }
+
+    req.tenant = resolved.tenant;
+    RequestContextUtil.set({ tenantId: resolved.tenant.id, tenantSource: resolved.source });
+    next();
+  } catch (error) {
+    tenantLogger.error("Tenant resolution error", { error: error.message });
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "Tenant resolution failed",
+    });
+  }
+};
+
+module.exports = { resolveTenant };
@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const authConfig = require('../config/auth.config');
+const PasswordPolicyUtil = require('../utils/password-policy.util');
 const { logger } = require('./logger.middleware');
 
 const validationLogger = logger("validation");
@@ -22,13 +24,17 @@ const commonValidators = {
       .normalizeEmail()
       .withMessage('Please provide a valid email address'),
 
-  // Password validator
-  password: (field = 'password', minLength = 6) =>
+  // Password validator (password policy; username and email in the same body are checked too)
+  password: (field = 'password', minLength = authConfig.passwordPolicy.minLength) =>
     body(field)
-      .isLength({ min: minLength })
-      .withMessage(`Password must be at least ${minLength} characters long`)
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+      .custom((value, { req }) => {
+        const policy = { ...authConfig.passwordPolicy, minLength };
+        const violations = PasswordPolicyUtil.validate(value, { username: req.body.username, email: req.body.email }, policy);
+        if (violations.length > 0) {
+          throw new Error(violations.join('; '));
+        }
+        return true;
+      }),
 
   // Username validator
   username: (field = 'username') =>
@@ -104,6 +110,13 @@ const paramValidators = {
       .isInt({ min: 1 })
       .withMessage(`${paramName} must be a positive integer`),
 
+  // Session ID parameter validator (32 hex characters)
+  sessionId: (paramName = 'id') =>
+    param(paramName)
+      .isHexadecimal()
+      .isLength({ min: 32, max: 32 })
+      .withMessage(`${paramName} must be a valid session id`),
+
   // UUID parameter validator
   uuid: (paramName = 'id') =>
     param(paramName)
@@ -174,7 +187,7 @@ const validationChains = {
   userRegistration: () => [
     commonValidators.username('username'),
     commonValidators.email('email'),
-    commonValidators.password('password', 8),
+    commonValidators.password('password'),
     body('confirmPassword')
       .custom((value, { req }) => {
         if (value !== req.body.password) {
@@ -192,10 +205,177 @@ const validationChains = {
       .withMessage('Password is required')
   ],
 
+  // Refresh token validation
+  refreshToken: () => [
+    body('refreshToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Refresh token is required')
+  ],
+
+  // Forgot password validation
+  passwordForgot: () => [
+    commonValidators.email('email')
+  ],
+
+  // Login link request validation
+  magicLinkRequest: () => [
+    commonValidators.email('email')
+  ],
+
+  // Login link validation (token in query)
+  magicLinkVerify: () => [
+    query('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Login link token is required')
+  ],
+
+  // Password reset validation
+  passwordReset: () => [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Reset token is required'),
+    commonValidators.password('password'),
+    body('confirmPassword')
+      .custom((value, { req }) => {
+        if (value !== req.body.password) {
+          throw new Error('Password confirmation does not match password');
+        }
+        return true;
+      })
+  ],
+
+  // Password change validation
+  passwordChange: () => [
+    body('currentPassword')
+      .notEmpty()
+      .withMessage('Current password is required'),
+    commonValidators.password('password'),
+    body('password')
+      .custom((value, { req }) => {
+        if (value === req.body.currentPassword) {
+          throw new Error('New password must be different from the current password');
+        }
+        return true;
+      }),
+    body('confirmPassword')
+      .custom((value, { req }) => {
+        if (value !== req.body.password) {
+          throw new Error('Password confirmation does not match password');
+        }
+        return true;
+      })
+  ],
+
+  // Account deletion validation
+  accountDelete: () => [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required')
+  ],
+
+  // Email verification validation (token in body)
+  emailVerification: () => [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Verification token is required')
+  ],
+
+  // Email verification link validation (token in query)
+  emailVerificationLink: () => [
+    query('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Verification token is required')
+  ],
+
+  // TOTP code validation (enrollment confirmation)
+  mfaCode: () => [
+    body('code')
+      .isString()
+      .matches(/^\d{6}$/)
+      .withMessage('Code must be 6 digits')
+  ],
+
+  // Second factor validation: a TOTP code or a recovery code
+  mfaFactor: () => [
+    body('code')
+      .optional()
+      .isString()
+      .matches(/^\d{6}$/)
+      .withMessage('Code must be 6 digits'),
+    body('recoveryCode')
+      .optional()
+      .isString()
+      .isLength({ min: 10, max: 20 })
+      .withMessage('Invalid recovery code'),
+    body('code')
+      .custom((value, { req }) => {
+        if (!value && !req.body.recoveryCode) {
+          throw new Error('Code or recoveryCode is required');
+        }
+        return true;
+      })
+  ],
+
+  // MFA login validation
+  mfaLogin: () => [
+    body('mfaTicket')
+      .isString()
+      .notEmpty()
+      .withMessage('MFA ticket is required'),
+    ...validationChains.mfaFactor()
+  ],
+
+  // Login unlock validation (user id param, optional IP in body)
+  loginUnlock: () => [
+    paramValidators.id('id'),
+    body('ipAddress')
+      .optional()
+      .isIP()
+      .withMessage('Invalid IP address')
+  ],
+
+  // API key creation validation
+  apiKeyCreate: () => [
+    commonValidators.string('name', 1, 100),
+    body('scopes')
+      .isArray({ min: 1, max: 20 })
+      .withMessage('Scopes must be a non-empty array'),
+    body('scopes.*')
+      .isString()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Each scope must be a string'),
+    body('expiresInDays')
+      .optional()
+      .isInt({ min: 1, max: authConfig.apiKeys.maxExpiresInDays })
+      .withMessage(`Expiry must be between 1 and ${authConfig.apiKeys.maxExpiresInDays} days`)
+      .toInt()
+  ],
+
+  // Admin user creation validation
+  adminUserCreate: () => [
+    commonValidators.username('username'),
+    commonValidators.email('email'),
+    commonValidators.password('password'),
+    commonValidators.string('role', 1, 50),
+    commonValidators.string('fullName', 1, 100).optional()
+  ],
+
+  // Role assignment validation
+  roleAssign: () => [
+    paramValidators.id('id'),
+    commonValidators.string('role', 1, 50)
+  ],
+
   // User update validation
   userUpdate: () => [
     commonValidators.username('username').optional(),
     commonValidators.email('email').optional(),
+    commonValidators.string('fullName', 1, 100).optional(),
     commonValidators.phone('phone').optional(),
     body('bio')
       .optional()
@@ -216,6 +396,9 @@ const validationChains = {
   // ID parameter validation
   idParam: (paramName = 'id') => [paramValidators.id(paramName)],
 
+  // Session ID parameter validation
+  sessionIdParam: (paramName = 'id') => [paramValidators.sessionId(paramName)],
+
   // UUID parameter validation
   uuidParam: (paramName = 'id') => [paramValidators.uuid(paramName)]
 };
@@ -0,0 +1,71 @@
+const path = require("path");
+
+// 不同平台读取env文件
+const envFile = process.env.NODE_ENV ? `.env.${process.env.NODE_ENV}` : ".env";
+require("dotenv").config({ path: path.resolve(process.cwd(), envFile) });
+
+const db = require("./utils/database.util");
+const MigrationUtil = require("./utils/migration.util");
+
+// Usage: node src/migrate.js [up [--to <version>] | down [--steps <n> | --to <version>] | status]
+const [command = "up", ...args] = process.argv.slice(2);
+
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) {
+    return undefined;
+  }
+  const value = parseInt(args[index + 1], 10);
+  if (isNaN(value) || value < 0) {
+    throw new Error(`--${name} expects a number`);
+  }
+  return value;
+};
+
+const label = ({ version, name }) => `${String(version).padStart(3, "0")}_${name}`;
+
+const commands = {
+  async up() {
+    const applied = await MigrationUtil.up({ to: option("to") });
+    if (applied.length === 0) {
+      console.log("Database is up to date");
+    }
+    applied.forEach(migration => console.log(`Applied  ${label(migration)}`));
+  },
+
+  async down() {
+    const reverted = await MigrationUtil.down({ steps: option("steps"), to: option("to") });
+    if (reverted.length === 0) {
+      console.log("Nothing to revert");
+    }
+    reverted.forEach(migration => console.log(`Reverted ${label(migration)}`));
+  },
+
+  async status() {
+    const entries = await MigrationUtil.status();
+    entries.forEach(entry => {
+      const appliedAt = entry.appliedAt ? new Date(entry.appliedAt).toISOString() : "";
+      const notes = [
+        entry.modified ? "(file changed after it was applied)" : "",
+        entry.state === "missing" ? "(file missing)" : "",
+      ].join("");
+      console.log(`${entry.state.padEnd(8)} ${appliedAt.padEnd(24)} ${label(entry)} ${notes}`.trimEnd());
+    });
+  },
+};
+
+(async () => {
+  let exitCode = 0;
+  try {
+    if (!commands[command]) {
+      throw new Error(`Unknown command "${command}" (use up, down or status)`);
+    }
+    await commands[command]();
+  } catch (error) {
+    console.error(`Migration ${command} failed: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await db.close();
+  }
+  process.exit(exitCode);
+})();
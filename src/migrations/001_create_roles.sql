@@ -0,0 +1,13 @@
+-- Roles; paramlist holds the permissions (see rbac.config.js)
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS roles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  rolename VARCHAR(50) NOT NULL,
+  paramlist TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_rolename (rolename)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS roles;
@@ -0,0 +1,18 @@
+-- Accounts; later migrations add email_verified_at, deleted_at and disabled_at
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  username VARCHAR(50) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  password VARCHAR(255) NOT NULL,
+  roleid INT NULL,
+  fullName VARCHAR(100) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_username (username),
+  UNIQUE KEY uk_email (email),
+  KEY idx_roleid (roleid)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,24 @@
+-- Register, login, logout and second factor events (recordtype: see UserModel.RECORD_TYPES)
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS loginrecord (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  recordtype TINYINT NOT NULL,
+  userid INT NOT NULL,
+  username VARCHAR(255) NULL,
+  email VARCHAR(255) NULL,
+  roleid INT NULL,
+  fullName VARCHAR(100) NULL,
+  token VARCHAR(255) NULL,
+  location VARCHAR(255) NULL,
+  network VARCHAR(255) NULL,
+  deviceinfo VARCHAR(255) NULL,
+  ip VARCHAR(64) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL,
+  KEY idx_user (userid),
+  KEY idx_token (token)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS loginrecord;
@@ -0,0 +1,20 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  userid INT NOT NULL,
+  family_id VARCHAR(64) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  parent_id BIGINT UNSIGNED NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  revoke_reason VARCHAR(32) NULL,
+  ip VARCHAR(64) NULL,
+  deviceinfo VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_token_hash (token_hash),
+  KEY idx_family (family_id),
+  KEY idx_user (userid)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS refresh_tokens;
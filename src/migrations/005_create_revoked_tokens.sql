@@ -0,0 +1,20 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+  jti VARCHAR(64) NOT NULL PRIMARY KEY,
+  userid INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  reason VARCHAR(32) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_expires (expires_at)
+);
+
+CREATE TABLE IF NOT EXISTS token_revocation_cutoffs (
+  userid INT NOT NULL PRIMARY KEY,
+  revoked_before DATETIME NOT NULL,
+  reason VARCHAR(32) NULL,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS token_revocation_cutoffs;
+DROP TABLE IF EXISTS revoked_tokens;
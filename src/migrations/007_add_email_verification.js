@@ -0,0 +1,30 @@
+const MigrationUtil = require("../utils/migration.util");
+
+module.exports = {
+  async up(connection) {
+    if (!(await MigrationUtil.columnExists(connection, "users", "email_verified_at"))) {
+      await connection.query("ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL");
+      // Existing accounts were created before verification existed
+      await connection.query("UPDATE users SET email_verified_at = NOW() WHERE email_verified_at IS NULL");
+    }
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS email_verification_tokens (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      userid INT NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_token_hash (token_hash),
+      KEY idx_user (userid)
+    )`);
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS email_verification_tokens");
+    if (await MigrationUtil.columnExists(connection, "users", "email_verified_at")) {
+      await connection.query("ALTER TABLE users DROP COLUMN email_verified_at");
+    }
+  },
+};
@@ -0,0 +1,18 @@
+const MigrationUtil = require("../utils/migration.util");
+
+module.exports = {
+  async up(connection) {
+    if (await MigrationUtil.columnExists(connection, "loginrecord", "user_agent")) {
+      return;
+    }
+    await connection.query("ALTER TABLE loginrecord ADD COLUMN user_agent VARCHAR(512) NULL AFTER deviceinfo");
+    // loginrecord.token used to hold the raw JWT of each login
+    await connection.query("UPDATE loginrecord SET token = NULL WHERE token LIKE 'eyJ%'");
+  },
+
+  async down(connection) {
+    if (await MigrationUtil.columnExists(connection, "loginrecord", "user_agent")) {
+      await connection.query("ALTER TABLE loginrecord DROP COLUMN user_agent");
+    }
+  },
+};
@@ -0,0 +1,15 @@
+const MigrationUtil = require("../utils/migration.util");
+
+module.exports = {
+  async up(connection) {
+    if (!(await MigrationUtil.columnExists(connection, "users", "deleted_at"))) {
+      await connection.query("ALTER TABLE users ADD COLUMN deleted_at DATETIME NULL");
+    }
+  },
+
+  async down(connection) {
+    if (await MigrationUtil.columnExists(connection, "users", "deleted_at")) {
+      await connection.query("ALTER TABLE users DROP COLUMN deleted_at");
+    }
+  },
+};
@@ -0,0 +1,14 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS magic_link_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  jti CHAR(32) NOT NULL UNIQUE,
+  userid INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  ip VARCHAR(45) NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_magic_link_tokens_userid (userid)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS magic_link_tokens;
@@ -0,0 +1,17 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  table_name VARCHAR(64) NOT NULL,
+  record_id VARCHAR(64) NOT NULL,
+  action VARCHAR(16) NOT NULL,
+  changes JSON NULL,
+  user_id INT NULL,
+  actor_id INT NULL,
+  ip VARCHAR(45) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_audit_log_record (table_name, record_id, id),
+  INDEX idx_audit_log_user_id (user_id)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS audit_log;
@@ -0,0 +1,21 @@
+const MigrationUtil = require("../utils/migration.util");
+
+const COLUMNS = ["created_by", "updated_by"];
+
+module.exports = {
+  async up(connection) {
+    for (const column of COLUMNS) {
+      if (!(await MigrationUtil.columnExists(connection, "users", column))) {
+        await connection.query(`ALTER TABLE users ADD COLUMN ${column} INT NULL`);
+      }
+    }
+  },
+
+  async down(connection) {
+    for (const column of COLUMNS) {
+      if (await MigrationUtil.columnExists(connection, "users", column)) {
+        await connection.query(`ALTER TABLE users DROP COLUMN ${column}`);
+      }
+    }
+  },
+};
@@ -0,0 +1,16 @@
+-- Customer organisations sharing the deployment; tenant 1 holds the rows created before multi-tenancy
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS tenants (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  slug VARCHAR(63) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  disabled_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_slug (slug)
+);
+
+INSERT IGNORE INTO tenants (id, slug, name) VALUES (1, 'default', 'Default');
+
+-- migrate:down
+DROP TABLE IF EXISTS tenants;
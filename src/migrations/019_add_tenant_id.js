@@ -0,0 +1,46 @@
+const MigrationUtil = require("../utils/migration.util");
+
+// Tenant-aware tables; existing rows belong to the default tenant (1)
+const TABLES = ["users", "loginrecord", "audit_log"];
+
+// Usernames and emails are unique per tenant
+const USER_KEYS = [
+  { name: "uk_username", column: "username" },
+  { name: "uk_email", column: "email" },
+];
+
+module.exports = {
+  async up(connection) {
+    for (const table of TABLES) {
+      if (!(await MigrationUtil.columnExists(connection, table, "tenant_id"))) {
+        await connection.query(`ALTER TABLE ${table} ADD COLUMN tenant_id INT NOT NULL DEFAULT 1, ADD KEY idx_tenant (tenant_id)`);
+      }
+    }
+
+    for (const { name, column } of USER_KEYS) {
+      if (await MigrationUtil.indexExists(connection, "users", name)) {
+        await connection.query(`ALTER TABLE users DROP INDEX ${name}`);
+      }
+      if (!(await MigrationUtil.indexExists(connection, "users", `uk_tenant_${column}`))) {
+        await connection.query(`ALTER TABLE users ADD UNIQUE KEY uk_tenant_${column} (tenant_id, ${column})`);
+      }
+    }
+  },
+
+  async down(connection) {
+    for (const { name, column } of USER_KEYS) {
+      if (await MigrationUtil.indexExists(connection, "users", `uk_tenant_${column}`)) {
+        await connection.query(`ALTER TABLE users DROP INDEX uk_tenant_${column}`);
+      }
+      if (!(await MigrationUtil.indexExists(connection, "users", name))) {
+        await connection.query(`ALTER TABLE users ADD UNIQUE KEY ${name} (${column})`);
+      }
+    }
+
+    for (const table of TABLES) {
+      if (await MigrationUtil.columnExists(connection, table, "tenant_id")) {
+        await connection.query(`ALTER TABLE ${table} DROP KEY idx_tenant, DROP COLUMN tenant_id`);
+      }
+    }
+  },
+};
@@ -0,0 +1,15 @@
+const MigrationUtil = require("../utils/migration.util");
+
+module.exports = {
+  async up(connection) {
+    if (!(await MigrationUtil.columnExists(connection, "users", "version"))) {
+      await connection.query("ALTER TABLE users ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1");
+    }
+  },
+
+  async down(connection) {
+    if (await MigrationUtil.columnExists(connection, "users", "version")) {
+      await connection.query("ALTER TABLE users DROP COLUMN version");
+    }
+  },
+};
@@ -0,0 +1,23 @@
+const MigrationUtil = require("../utils/migration.util");
+
+// Emailed tokens open a request that names no tenant, so they remember the tenant of their user;
+// existing tokens belong to the default tenant (1)
+const TABLES = ["password_reset_tokens", "email_verification_tokens"];
+
+module.exports = {
+  async up(connection) {
+    for (const table of TABLES) {
+      if (!(await MigrationUtil.columnExists(connection, table, "tenant_id"))) {
+        await connection.query(`ALTER TABLE ${table} ADD COLUMN tenant_id INT NOT NULL DEFAULT 1`);
+      }
+    }
+  },
+
+  async down(connection) {
+    for (const table of TABLES) {
+      if (await MigrationUtil.columnExists(connection, table, "tenant_id")) {
+        await connection.query(`ALTER TABLE ${table} DROP COLUMN tenant_id`);
+      }
+    }
+  },
+};
@@ -0,0 +1,31 @@
+const MigrationUtil = require("../utils/migration.util");
+
+// A provider account can be linked once per tenant; existing identities belong to the default tenant (1)
+module.exports = {
+  async up(connection) {
+    if (!(await MigrationUtil.columnExists(connection, "user_identities", "tenant_id"))) {
+      await connection.query("ALTER TABLE user_identities ADD COLUMN tenant_id INT NOT NULL DEFAULT 1");
+    }
+    if (await MigrationUtil.indexExists(connection, "user_identities", "uk_user_identities_provider_subject")) {
+      await connection.query("ALTER TABLE user_identities DROP INDEX uk_user_identities_provider_subject");
+    }
+    if (!(await MigrationUtil.indexExists(connection, "user_identities", "uk_user_identities_tenant_provider_subject"))) {
+      await connection.query(
+        "ALTER TABLE user_identities ADD UNIQUE KEY uk_user_identities_tenant_provider_subject (tenant_id, provider, subject)"
+      );
+    }
+  },
+
+  // Fails while a provider account is linked in several tenants
+  async down(connection) {
+    if (await MigrationUtil.indexExists(connection, "user_identities", "uk_user_identities_tenant_provider_subject")) {
+      await connection.query("ALTER TABLE user_identities DROP INDEX uk_user_identities_tenant_provider_subject");
+    }
+    if (!(await MigrationUtil.indexExists(connection, "user_identities", "uk_user_identities_provider_subject"))) {
+      await connection.query("ALTER TABLE user_identities ADD UNIQUE KEY uk_user_identities_provider_subject (provider, subject)");
+    }
+    if (await MigrationUtil.columnExists(connection, "user_identities", "tenant_id")) {
+      await connection.query("ALTER TABLE user_identities DROP COLUMN tenant_id");
+    }
+  },
+};
@@ -0,0 +1,17 @@
+const MigrationUtil = require("../utils/migration.util");
+
+// A key names no tenant when it is presented, so it remembers the tenant of its owner;
+// existing keys belong to the default tenant (1)
+module.exports = {
+  async up(connection) {
+    if (!(await MigrationUtil.columnExists(connection, "api_keys", "tenant_id"))) {
+      await connection.query("ALTER TABLE api_keys ADD COLUMN tenant_id INT NOT NULL DEFAULT 1");
+    }
+  },
+
+  async down(connection) {
+    if (await MigrationUtil.columnExists(connection, "api_keys", "tenant_id")) {
+      await connection.query("ALTER TABLE api_keys DROP COLUMN tenant_id");
+    }
+  },
+};
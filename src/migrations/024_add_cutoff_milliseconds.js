@@ -0,0 +1,10 @@
+// Revocation cutoffs are compared with the iatMs claim of access tokens, so they keep milliseconds
+module.exports = {
+  async up(connection) {
+    await connection.query("ALTER TABLE token_revocation_cutoffs MODIFY revoked_before DATETIME(3) NOT NULL");
+  },
+
+  async down(connection) {
+    await connection.query("ALTER TABLE token_revocation_cutoffs MODIFY revoked_before DATETIME NOT NULL");
+  },
+};
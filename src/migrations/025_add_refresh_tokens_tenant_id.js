@@ -0,0 +1,17 @@
+const MigrationUtil = require("../utils/migration.util");
+
+// Refreshing names no tenant, so a refresh token remembers the tenant it was issued in;
+// existing tokens belong to the default tenant (1)
+module.exports = {
+  async up(connection) {
+    if (!(await MigrationUtil.columnExists(connection, "refresh_tokens", "tenant_id"))) {
+      await connection.query("ALTER TABLE refresh_tokens ADD COLUMN tenant_id INT NOT NULL DEFAULT 1");
+    }
+  },
+
+  async down(connection) {
+    if (await MigrationUtil.columnExists(connection, "refresh_tokens", "tenant_id")) {
+      await connection.query("ALTER TABLE refresh_tokens DROP COLUMN tenant_id");
+    }
+  },
+};
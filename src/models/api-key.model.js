@@ -0,0 +1,75 @@
+const db = require("../utils/database.util");
+const RequestContextUtil = require("../utils/request-context.util");
+
+class ApiKeyModel {
+  // Store a new API key (only the hash is persisted) in the tenant of the request
+  static async create(keyData) {
+    const { userid, name, prefix, keyHash, scopes, expiresAt } = keyData;
+
+    const [result] = await db.query(
+      "INSERT INTO api_keys (userid, name, prefix, key_hash, scopes, expires_at, tenant_id) VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, DEFAULT(tenant_id)))",
+      [userid, name, prefix, keyHash, JSON.stringify(scopes), expiresAt, RequestContextUtil.getTenantId()]
+    );
+
+    return {
+      id: result.insertId,
+      userid,
+      name,
+      prefix,
+      scopes,
+      expiresAt,
+    };
+  }
+
+  // Find API key by hash (from the primary, so a revoked key stops working at once)
+  static async findByHash(keyHash) {
+    const [rows] = await db.primary().query(
+      "SELECT id, userid, tenant_id, name, prefix, scopes, expires_at, revoked_at FROM api_keys WHERE key_hash = ?",
+      [keyHash]
+    );
+
+    return rows[0];
+  }
+
+  // List the keys of a user, newest first
+  static async findByUser(userid) {
+    const [rows] = await db.query(
+      "SELECT id, name, prefix, scopes, expires_at, last_used_at, last_used_ip, revoked_at, created_at FROM api_keys WHERE userid = ? ORDER BY id DESC",
+      [userid]
+    );
+
+    return rows;
+  }
+
+  // Count keys that are neither revoked nor expired
+  static async countActiveByUser(userid) {
+    const [rows] = await db.query(
+      "SELECT COUNT(*) AS total FROM api_keys WHERE userid = ? AND revoked_at IS NULL AND expires_at > NOW()",
+      [userid]
+    );
+
+    return rows[0].total;
+  }
+
+  // Record a use of the key, at most once per interval
+  static async touch(id, ipAddress, intervalSeconds) {
+    const [result] = await db.query(
+      `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ? AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL ${parseInt(intervalSeconds)} SECOND)`,
+      [ipAddress, id]
+    );
+
+    return result.affectedRows === 1;
+  }
+
+  // Revoke a key of a user
+  static async revoke(id, userid) {
+    const [result] = await db.query(
+      "UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND userid = ? AND revoked_at IS NULL",
+      [id, userid]
+    );
+
+    return result.affectedRows === 1;
+  }
+}
+
+module.exports = ApiKeyModel;
@@ -0,0 +1,45 @@
+const QueryBuilder = require("../utils/query-builder.util");
+const RequestContextUtil = require("../utils/request-context.util");
+
+// Append-only: rows are inserted and read, never updated or deleted by the application
+class AuditLogModel {
+  static table = "audit_log";
+
+  // Record a change; the tenant, user, impersonating admin and IP come from the request context
+  static async record(entry) {
+    const { table, recordId, action, changes } = entry;
+    const tenantId = RequestContextUtil.getTenantId();
+    return QueryBuilder.table(this.table).insert({
+      ...(tenantId ? { tenant_id: tenantId } : {}),
+      table_name: table,
+      record_id: String(recordId),
+      action,
+      changes: JSON.stringify(changes),
+      user_id: RequestContextUtil.get("userId") || null,
+      actor_id: RequestContextUtil.get("actorId") || null,
+      ip: RequestContextUtil.get("ip") || null,
+    });
+  }
+
+  // History of a record in the tenant of the request, newest first: { rows, total }
+  static async findByRecord(table, recordId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const query = QueryBuilder.table(this.table).where({ table_name: table, record_id: String(recordId) });
+    const tenantId = RequestContextUtil.getTenantId();
+    if (tenantId) {
+      query.where("tenant_id", tenantId);
+    }
+
+    const total = await query.count();
+    const rows = await query
+      .select("id", "action", "changes", "user_id", "actor_id", "ip", "created_at")
+      .orderBy("id", "DESC")
+      .limit(limit)
+      .offset((page - 1) * limit)
+      .get();
+
+    return { rows, total };
+  }
+}
+
+module.exports = AuditLogModel;
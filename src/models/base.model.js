@@ -0,0 +1,291 @@
+const QueryBuilder = require("../utils/query-builder.util");
+const RequestContextUtil = require("../utils/request-context.util");
+const db = require("../utils/database.util");
+const AuditLogModel = require("./audit-log.model");
+
+const REDACTED = "[REDACTED]";
+
+// Value as stored in audit_log.changes
+const toAuditValue = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+  return value instanceof QueryBuilder.RawSql ? value.sql : value;
+};
+
+// Thrown by an update with an expected version (optimistic locking) when the row has another version by now
+class VersionConflictError extends Error {
+  constructor(table, id, version) {
+    super(`${table} ${id} was modified by another request (now version ${version})`);
+    this.name = "VersionConflictError";
+    this.table = table;
+    this.id = id;
+    // Current version of the row
+    this.version = version;
+  }
+}
+
+// Base class of table models: finders only select whitelisted columns, and create/update only write whitelisted ones
+class BaseModel {
+  static table = null;
+  static primaryKey = "id";
+  // Columns selected by default; secrets such as password hashes belong in hiddenColumns
+  static columns = [];
+  // Columns only selected when a caller lists them explicitly
+  static hiddenColumns = [];
+  // Columns create() and update() write; other keys of the data are ignored
+  static writableColumns = [];
+  // Soft delete column (e.g. "deleted_at"): finders skip such rows and delete() only sets it
+  static softDeleteColumn = null;
+  // Columns set to the user behind the request on create() (createdBy) and on every write (updatedBy)
+  static createdByColumn = null;
+  static updatedByColumn = null;
+  // Record every create, update and delete in audit_log, with the old and new values of the changed columns
+  static audited = false;
+  // Tenant column (e.g. "tenant_id"): queries only see rows of the request's tenant and create() sets it
+  static tenantColumn = null;
+  // Version column (e.g. "version"): every update increments it, and updates given { version } only write the row
+  // while it still has that version, throwing VersionConflictError otherwise
+  static versionColumn = null;
+
+  // Query builder on the table, scoped to the tenant and without soft deleted rows (unless options.withDeleted)
+  static query(options = {}) {
+    return this.scope(QueryBuilder.table(this.table), null, options);
+  }
+
+  // Add the tenant and soft delete conditions of the table to a query, e.g. one on "users u" joined with other tables (alias "u")
+  static scope(query, alias = null, options = {}) {
+    const column = (name) => (alias ? `${alias}.${name}` : name);
+    const tenantId = this.tenantColumn ? RequestContextUtil.getTenantId() : null;
+    if (tenantId) {
+      query.where(column(this.tenantColumn), tenantId);
+    }
+    if (this.softDeleteColumn && !options.withDeleted) {
+      query.whereNull(column(this.softDeleteColumn));
+    }
+    return query;
+  }
+
+  // Tenant column of a new row (none outside of a request: the column default applies)
+  static tenantValues() {
+    const tenantId = this.tenantColumn ? RequestContextUtil.getTenantId() : null;
+    return tenantId ? { [this.tenantColumn]: tenantId } : {};
+  }
+
+  // Check requested columns against the whitelists
+  static selectable(columns = this.columns) {
+    const allowed = new Set([
+      this.primaryKey, ...this.columns, ...this.hiddenColumns,
+      this.softDeleteColumn, this.createdByColumn, this.updatedByColumn, this.versionColumn,
+    ].filter(Boolean));
+    const unknown = columns.filter(column => !allowed.has(column));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown column(s) for ${this.table}: ${unknown.join(", ")}`);
+    }
+    return columns;
+  }
+
+  // Keep the writable columns of some data
+  static writable(data) {
+    return Object.fromEntries(
+      Object.entries(data).filter(([column, value]) => this.writableColumns.includes(column) && value !== undefined)
+    );
+  }
+
+  // Author columns of a write, set to the user behind the request (none outside of an authenticated request)
+  static authorValues(columns) {
+    const authorId = RequestContextUtil.getAuthorId();
+    if (!authorId) {
+      return {};
+    }
+    return Object.fromEntries(columns.filter(Boolean).map(column => [column, authorId]));
+  }
+
+  // Build a finder query from conditions ({ column: value }) and options ({ columns, orderBy, limit, offset, withDeleted })
+  static find(where = {}, options = {}) {
+    this.selectable(Object.keys(where));
+    const query = this.query(options).select(this.selectable(options.columns)).where(where);
+
+    // orderBy: "column" or ["column", "desc"]
+    if (options.orderBy) {
+      const [column, direction] = Array.isArray(options.orderBy) ? options.orderBy : [options.orderBy];
+      query.orderBy(this.selectable([column])[0], direction);
+    }
+    if (options.limit !== undefined) {
+      query.limit(options.limit);
+    }
+    if (options.offset !== undefined) {
+      query.offset(options.offset);
+    }
+    return query;
+  }
+
+  // Find a row by primary key
+  static async findById(id, options = {}) {
+    return this.find({ [this.primaryKey]: id }, options).first();
+  }
+
+  // Find the first row matching the conditions
+  static async findOne(where, options = {}) {
+    return this.find(where, options).first();
+  }
+
+  // Find every row matching the conditions
+  static async findMany(where = {}, options = {}) {
+    return this.find(where, options).get();
+  }
+
+  // Find one page of rows: { rows, total, page, pageSize }
+  static async paginate(where = {}, options = {}) {
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const pageSize = Math.max(1, parseInt(options.pageSize) || 20);
+
+    const rows = await this.findMany(where, { ...options, limit: pageSize, offset: (page - 1) * pageSize });
+    const total = await this.find(where, { withDeleted: options.withDeleted }).count();
+
+    return { rows, total, page, pageSize };
+  }
+
+  // Insert a row; returns the written columns with the generated id
+  static async create(data) {
+    const values = this.writable(data);
+    const insert = async () => {
+      const result = await QueryBuilder.table(this.table).insert({
+        ...values, ...this.tenantValues(), ...this.authorValues([this.createdByColumn, this.updatedByColumn]),
+      });
+      return { [this.primaryKey]: result.insertId, ...values };
+    };
+
+    if (!this.audited) {
+      return insert();
+    }
+    return db.withTransaction(async () => {
+      const row = await insert();
+      await this.audit("create", row[this.primaryKey], {}, values);
+      return row;
+    });
+  }
+
+  // Update a row by primary key; false if nothing was written or the row does not exist (options: { version })
+  static async update(id, data, options = {}) {
+    const values = this.writable(data);
+    if (Object.keys(values).length === 0) {
+      return false;
+    }
+    return this.updateById(id, values, { version: options.version });
+  }
+
+  /**
+   * Update a row by primary key with values computed by the model itself (not limited to writableColumns).
+   * Sets updatedByColumn, increments versionColumn and, for audited models, records the old and new values in the same transaction.
+   * 按主键更新一行（值由model自身计算，不受writableColumns限制），自动设置updatedByColumn、递增versionColumn，并在同一事务中记录审计日志
+   * @param {*} id - Primary key
+   * @param {Object} values - Column values, may be QueryBuilder.raw()
+   * @param {Object} options - { where(query) extra conditions, action audit action (default "update"),
+   *   version expected version(s) of the row, see versionColumn }
+   * @returns {Promise<boolean>} True if the row was updated
+   * @throws {VersionConflictError} The row exists with another version than expected
+   */
+  static async updateById(id, values, options = {}) {
+    const expected = this.versionColumn && options.version !== undefined ? [].concat(options.version) : null;
+    const target = () => {
+      const query = this.query().where(this.primaryKey, id);
+      if (options.where) {
+        options.where(query);
+      }
+      if (expected) {
+        query.whereIn(this.versionColumn, expected);
+      }
+      return query;
+    };
+    const stamped = { ...values, ...this.authorValues([this.updatedByColumn]), ...this.versionValues() };
+
+    let updated;
+    if (!this.audited) {
+      updated = (await target().update(stamped)) === 1;
+    } else {
+      const columns = Object.keys(values);
+      updated = await db.withTransaction(async () => {
+        const before = await target().select(columns).forUpdate().first();
+        if (!before || (await target().update(stamped)) !== 1) {
+          return false;
+        }
+        // Read back, so that values such as NOW() are logged as stored
+        const after = await QueryBuilder.table(this.table).select(columns).where(this.primaryKey, id).first();
+        await this.audit(options.action || "update", id, before, after);
+        return true;
+      });
+    }
+
+    if (!updated && expected) {
+      await this.checkVersion(id, expected);
+    }
+    return updated;
+  }
+
+  // Version increment of an update (none without versionColumn)
+  static versionValues() {
+    if (!this.versionColumn) {
+      return {};
+    }
+    return { [this.versionColumn]: QueryBuilder.raw(`${QueryBuilder.escapeId(this.versionColumn)} + 1`) };
+  }
+
+  // After an update with an expected version wrote nothing: throw if the row still exists with another version
+  // (a missing row, or one failing the other conditions, stays a plain false)
+  static async checkVersion(id, expected) {
+    const row = await this.query().select(this.versionColumn).where(this.primaryKey, id).first();
+    if (row && !expected.map(Number).includes(Number(row[this.versionColumn]))) {
+      throw new VersionConflictError(this.table, id, Number(row[this.versionColumn]));
+    }
+  }
+
+  // Delete a row by primary key (soft delete when softDeleteColumn is set)
+  static async delete(id) {
+    if (this.softDeleteColumn) {
+      return this.updateById(id, { [this.softDeleteColumn]: QueryBuilder.raw("NOW()") }, { action: "delete" });
+    }
+
+    const target = () => this.query().where(this.primaryKey, id);
+    if (!this.audited) {
+      return (await target().delete()) === 1;
+    }
+    return db.withTransaction(async () => {
+      const before = await target().select([...this.columns, ...this.hiddenColumns]).forUpdate().first();
+      if (!before || (await target().delete()) !== 1) {
+        return false;
+      }
+      await this.audit("delete", id, before, {});
+      return true;
+    });
+  }
+
+  // Changed columns: { column: { from, to } }; hidden columns only tell whether they were set
+  static diff(before, after) {
+    const changes = {};
+    for (const column of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const from = toAuditValue(before[column]);
+      const to = toAuditValue(after[column]);
+      if (column === this.primaryKey || JSON.stringify(from) === JSON.stringify(to)) {
+        continue;
+      }
+      changes[column] = this.hiddenColumns.includes(column)
+        ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+        : { from, to };
+    }
+    return changes;
+  }
+
+  // Write an audit_log entry (updates that changed nothing are skipped)
+  static async audit(action, id, before, after) {
+    const changes = this.diff(before, after);
+    if (action === "update" && Object.keys(changes).length === 0) {
+      return;
+    }
+    await AuditLogModel.record({ table: this.table, recordId: id, action, changes });
+  }
+}
+
+BaseModel.VersionConflictError = VersionConflictError;
+
+module.exports = BaseModel;
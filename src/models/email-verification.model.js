@@ -0,0 +1,43 @@
+const db = require("../utils/database.util");
+const RequestContextUtil = require("../utils/request-context.util");
+
+class EmailVerificationModel {
+  // Store a verification token hash (bound to the email it was sent to)
+  static async create(verificationData) {
+    const { userid, email, tokenHash, expiresAt } = verificationData;
+    const [result] = await db.query(
+      "INSERT INTO email_verification_tokens (userid, email, token_hash, expires_at, tenant_id) VALUES (?, ?, ?, ?, COALESCE(?, DEFAULT(tenant_id)))",
+      [userid, email, tokenHash, expiresAt, RequestContextUtil.getTenantId()]
+    );
+    return { id: result.insertId, userid, email, expiresAt };
+  }
+
+  // Find an unused, unexpired token by hash (from the primary: used_at must be current)
+  static async findValidByHash(tokenHash) {
+    const [rows] = await db.primary().query(
+      "SELECT id, userid, tenant_id, email, expires_at FROM email_verification_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()",
+      [tokenHash]
+    );
+    return rows[0];
+  }
+
+  // Mark token as used; returns false if it was already used
+  static async markUsed(id) {
+    const [result] = await db.query(
+      "UPDATE email_verification_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+      [id]
+    );
+    return result.affectedRows === 1;
+  }
+
+  // Invalidate all pending tokens of a user
+  static async invalidateForUser(userid) {
+    const [result] = await db.query(
+      "UPDATE email_verification_tokens SET used_at = NOW() WHERE userid = ? AND used_at IS NULL",
+      [userid]
+    );
+    return result.affectedRows;
+  }
+}
+
+module.exports = EmailVerificationModel;
@@ -0,0 +1,57 @@
+const db = require("../utils/database.util");
+const RequestContextUtil = require("../utils/request-context.util");
+
+class IdentityModel {
+  // Link an external identity to a user (in the tenant of the request)
+  static async create(identityData) {
+    const { userid, provider, subject, email } = identityData;
+
+    const [result] = await db.query(
+      "INSERT INTO user_identities (userid, provider, subject, email, last_login_at, tenant_id) VALUES (?, ?, ?, ?, NOW(), COALESCE(?, DEFAULT(tenant_id)))",
+      [userid, provider, subject, email, RequestContextUtil.getTenantId()]
+    );
+
+    return {
+      id: result.insertId,
+      userid,
+      provider,
+      subject,
+      email,
+    };
+  }
+
+  // Find the identity of a provider account (in the tenant of the request, every tenant outside of one)
+  static async findByProviderSubject(provider, subject) {
+    const tenantId = RequestContextUtil.getTenantId();
+    const [rows] = await db.query(
+      `SELECT id, userid, provider, subject, email FROM user_identities WHERE provider = ? AND subject = ?${tenantId ? " AND tenant_id = ?" : ""}`,
+      tenantId ? [provider, subject, tenantId] : [provider, subject]
+    );
+
+    return rows[0];
+  }
+
+  // List the identities linked to a user
+  static async findByUser(userid) {
+    const [rows] = await db.query(
+      "SELECT id, provider, subject, email, last_login_at, created_at FROM user_identities WHERE userid = ? ORDER BY id",
+      [userid]
+    );
+
+    return rows;
+  }
+
+  // Record a login with the identity
+  static async touch(id, email) {
+    await db.query("UPDATE user_identities SET last_login_at = NOW(), email = ? WHERE id = ?", [email, id]);
+  }
+
+  // Unlink an identity of a user
+  static async remove(id, userid) {
+    const [result] = await db.query("DELETE FROM user_identities WHERE id = ? AND userid = ?", [id, userid]);
+
+    return result.affectedRows === 1;
+  }
+}
+
+module.exports = IdentityModel;
@@ -0,0 +1,13 @@
+const BaseModel = require("./base.model");
+
+// Register, login, logout and second factor events (recordtype: see UserModel.RECORD_TYPES)
+class LoginRecordModel extends BaseModel {
+  static table = "loginrecord";
+  static columns = ["id", "recordtype", "userid", "username", "email", "roleid", "fullName", "location", "network", "deviceinfo", "user_agent", "ip", "created_at", "updated_at"];
+  // Session id of login records
+  static hiddenColumns = ["token"];
+  static writableColumns = ["recordtype", "userid", "username", "email", "roleid", "fullName", "token", "location", "network", "deviceinfo", "user_agent", "ip"];
+  static tenantColumn = "tenant_id";
+}
+
+module.exports = LoginRecordModel;
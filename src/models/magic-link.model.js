@@ -0,0 +1,33 @@
+const db = require("../utils/database.util");
+
+class MagicLinkModel {
+  // Store an issued login link (by its token id)
+  static async create(linkData) {
+    const { jti, userid, expiresAt, ipAddress } = linkData;
+    const [result] = await db.query(
+      "INSERT INTO magic_link_tokens (jti, userid, expires_at, ip) VALUES (?, ?, ?, ?)",
+      [jti, userid, expiresAt, ipAddress]
+    );
+    return { id: result.insertId, jti, userid, expiresAt };
+  }
+
+  // Mark link as used; returns false if it is unknown, expired or already used
+  static async markUsed(jti) {
+    const [result] = await db.query(
+      "UPDATE magic_link_tokens SET used_at = NOW() WHERE jti = ? AND used_at IS NULL AND expires_at > NOW()",
+      [jti]
+    );
+    return result.affectedRows === 1;
+  }
+
+  // Invalidate all pending links of a user
+  static async invalidateForUser(userid) {
+    const [result] = await db.query(
+      "UPDATE magic_link_tokens SET used_at = NOW() WHERE userid = ? AND used_at IS NULL",
+      [userid]
+    );
+    return result.affectedRows;
+  }
+}
+
+module.exports = MagicLinkModel;
@@ -0,0 +1,67 @@
+const db = require("../utils/database.util");
+
+class MfaModel {
+  // Get the TOTP settings of a user (from the primary: last_used_step guards against code replay)
+  static async findByUserId(userid) {
+    const [rows] = await db.primary().query(
+      "SELECT userid, secret_encrypted, secret_iv, enabled_at, last_used_step FROM user_mfa WHERE userid = ?",
+      [userid]
+    );
+    return rows[0];
+  }
+
+  // Store a new (not yet confirmed) secret; replaces a pending enrollment but never an enabled one
+  static async savePendingSecret(userid, encryptedSecret, iv) {
+    const [result] = await db.query(
+      "INSERT INTO user_mfa (userid, secret_encrypted, secret_iv) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE secret_encrypted = IF(enabled_at IS NULL, VALUES(secret_encrypted), secret_encrypted), secret_iv = IF(enabled_at IS NULL, VALUES(secret_iv), secret_iv), last_used_step = IF(enabled_at IS NULL, NULL, last_used_step)",
+      [userid, encryptedSecret, iv]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Enable MFA and replace the recovery codes in one transaction
+  static async enable(userid, step, recoveryCodeHashes) {
+    const queries = [
+      {
+        sql: "UPDATE user_mfa SET enabled_at = NOW(), last_used_step = ? WHERE userid = ? AND enabled_at IS NULL",
+        params: [step, userid],
+      },
+      { sql: "DELETE FROM mfa_recovery_codes WHERE userid = ?", params: [userid] },
+      ...recoveryCodeHashes.map((hash) => ({
+        sql: "INSERT INTO mfa_recovery_codes (userid, code_hash) VALUES (?, ?)",
+        params: [userid, hash],
+      })),
+    ];
+    const [enableResult] = await db.transaction(queries);
+    return enableResult.affectedRows === 1;
+  }
+
+  // Record the last accepted time step; returns false if the step was already used (replay)
+  static async markStepUsed(userid, step) {
+    const [result] = await db.query(
+      "UPDATE user_mfa SET last_used_step = ? WHERE userid = ? AND (last_used_step IS NULL OR last_used_step < ?)",
+      [step, userid, step]
+    );
+    return result.affectedRows === 1;
+  }
+
+  // Consume a recovery code; returns false if it does not exist or was already used
+  static async useRecoveryCode(userid, codeHash) {
+    const [result] = await db.query(
+      "UPDATE mfa_recovery_codes SET used_at = NOW() WHERE userid = ? AND code_hash = ? AND used_at IS NULL",
+      [userid, codeHash]
+    );
+    return result.affectedRows === 1;
+  }
+
+  // Remove MFA settings and recovery codes of a user
+  static async disable(userid) {
+    const [deleteResult] = await db.transaction([
+      { sql: "DELETE FROM user_mfa WHERE userid = ?", params: [userid] },
+      { sql: "DELETE FROM mfa_recovery_codes WHERE userid = ?", params: [userid] },
+    ]);
+    return deleteResult.affectedRows === 1;
+  }
+}
+
+module.exports = MfaModel;
@@ -0,0 +1,32 @@
+const db = require("../utils/database.util");
+
+class PasswordHistoryModel {
+  // Remember a password hash of a user
+  static async add(userid, passwordHash) {
+    const [result] = await db.query(
+      "INSERT INTO password_history (userid, password_hash) VALUES (?, ?)",
+      [userid, passwordHash]
+    );
+    return result.insertId;
+  }
+
+  // Latest password hashes of a user, newest first
+  static async findRecent(userid, limit) {
+    const [rows] = await db.query(
+      `SELECT password_hash FROM password_history WHERE userid = ? ORDER BY id DESC LIMIT ${parseInt(limit)}`,
+      [userid]
+    );
+    return rows.map((row) => row.password_hash);
+  }
+
+  // Keep only the latest hashes of a user
+  static async prune(userid, keep) {
+    const [result] = await db.query(
+      `DELETE FROM password_history WHERE userid = ? AND id NOT IN (SELECT id FROM (SELECT id FROM password_history WHERE userid = ? ORDER BY id DESC LIMIT ${parseInt(keep)}) AS recent)`,
+      [userid, userid]
+    );
+    return result.affectedRows;
+  }
+}
+
+module.exports = PasswordHistoryModel;
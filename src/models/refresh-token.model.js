@@ -0,0 +1,73 @@
+const db = require("../utils/database.util");
+const RequestContextUtil = require("../utils/request-context.util");
+
+class RefreshTokenModel {
+  // Store a new refresh token (only the hash is persisted) in the tenant of the request
+  static async create(tokenData) {
+    const { userid, familyId, tokenHash, parentId = null, expiresAt, ipAddress, device } = tokenData;
+
+    const [result] = await db.query(
+      "INSERT INTO refresh_tokens (userid, family_id, token_hash, parent_id, expires_at, ip, deviceinfo, tenant_id) VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, DEFAULT(tenant_id)))",
+      [userid, familyId, tokenHash, parentId, expiresAt, ipAddress, device, RequestContextUtil.getTenantId()]
+    );
+
+    return {
+      id: result.insertId,
+      userid,
+      familyId,
+      expiresAt,
+    };
+  }
+
+  // Find refresh token by hash (from the primary: a token issued or rotated a moment ago may not be on a replica yet)
+  static async findByHash(tokenHash) {
+    const [rows] = await db.primary().query(
+      "SELECT id, userid, tenant_id, family_id, parent_id, expires_at, revoked_at, revoke_reason FROM refresh_tokens WHERE token_hash = ?",
+      [tokenHash]
+    );
+
+    return rows[0];
+  }
+
+  // Mark a token as rotated; returns false if it was already revoked (lost the race)
+  static async markRotated(id) {
+    const [result] = await db.query(
+      "UPDATE refresh_tokens SET revoked_at = NOW(), revoke_reason = 'rotated' WHERE id = ? AND revoked_at IS NULL",
+      [id]
+    );
+
+    return result.affectedRows === 1;
+  }
+
+  // Revoke a single token
+  static async revoke(id, reason = "revoked") {
+    const [result] = await db.query(
+      "UPDATE refresh_tokens SET revoked_at = NOW(), revoke_reason = ? WHERE id = ? AND revoked_at IS NULL",
+      [reason, id]
+    );
+
+    return result.affectedRows;
+  }
+
+  // Revoke every live token in a family
+  static async revokeFamily(familyId, reason = "revoked") {
+    const [result] = await db.query(
+      "UPDATE refresh_tokens SET revoked_at = NOW(), revoke_reason = ? WHERE family_id = ? AND revoked_at IS NULL",
+      [reason, familyId]
+    );
+
+    return result.affectedRows;
+  }
+
+  // Revoke every live token of a user
+  static async revokeAllForUser(userid, reason = "revoked") {
+    const [result] = await db.query(
+      "UPDATE refresh_tokens SET revoked_at = NOW(), revoke_reason = ? WHERE userid = ? AND revoked_at IS NULL",
+      [reason, userid]
+    );
+
+    return result.affectedRows;
+  }
+}
+
+module.exports = RefreshTokenModel;
@@ -0,0 +1,65 @@
+const db = require("../utils/database.util");
+
+class RevokedTokenModel {
+  // Add a revoked token id (kept until the token would have expired anyway)
+  static async add(revokeData) {
+    const { jti, userid, expiresAt, reason } = revokeData;
+    const [result] = await db.query(
+      "INSERT IGNORE INTO revoked_tokens (jti, userid, expires_at, reason) VALUES (?, ?, ?, ?)",
+      [jti, userid, expiresAt, reason]
+    );
+    return result;
+  }
+
+  // check token id is revoked (read from the primary so a logout takes effect at once)
+  static async isRevoked(jti) {
+    const [rows] = await db.primary().query(
+      "SELECT jti FROM revoked_tokens WHERE jti = ? AND expires_at > NOW()",
+      [jti]
+    );
+    return rows.length > 0;
+  }
+
+  // Invalidate every token of a user issued at or before revokedBefore
+  static async setUserCutoff(userid, revokedBefore, reason) {
+    const [result] = await db.query(
+      "INSERT INTO token_revocation_cutoffs (userid, revoked_before, reason) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE revoked_before = VALUES(revoked_before), reason = VALUES(reason)",
+      [userid, revokedBefore, reason]
+    );
+    return result;
+  }
+
+  // get user cutoff (from the primary, like isRevoked)
+  static async getUserCutoff(userid) {
+    const [rows] = await db.primary().query(
+      "SELECT revoked_before FROM token_revocation_cutoffs WHERE userid = ?",
+      [userid]
+    );
+    return rows[0] ? rows[0].revoked_before : null;
+  }
+
+  // revocations still in force (copied to Redis after an outage)
+  static async findActive() {
+    const [rows] = await db.primary().query(
+      "SELECT jti, expires_at, reason FROM revoked_tokens WHERE expires_at > NOW()"
+    );
+    return rows;
+  }
+
+  // user cutoffs set after a date (older ones cannot reject a live token)
+  static async findCutoffsSince(since) {
+    const [rows] = await db.primary().query(
+      "SELECT userid, revoked_before FROM token_revocation_cutoffs WHERE revoked_before > ?",
+      [since]
+    );
+    return rows;
+  }
+
+  // remove entries of tokens that have expired
+  static async deleteExpired() {
+    const [result] = await db.query("DELETE FROM revoked_tokens WHERE expires_at <= NOW()");
+    return result.affectedRows;
+  }
+}
+
+module.exports = RevokedTokenModel;
@@ -0,0 +1,39 @@
+const db = require("../utils/database.util");
+const RequestContextUtil = require("../utils/request-context.util");
+const { RECORD_TYPES } = require("./user.model");
+
+// A session is a login record (password or login link; loginrecord.token = session id) whose refresh token family is still usable
+const ACTIVE_SESSIONS_SQL =
+  "SELECT l.id, l.token AS session_id, l.deviceinfo, l.user_agent, l.location, l.network, l.ip, l.created_at, MAX(r.created_at) AS last_active_at " +
+  "FROM loginrecord l JOIN refresh_tokens r ON r.family_id = l.token AND r.userid = l.userid " +
+  "WHERE l.userid = ? AND l.recordtype IN (?, ?) AND r.revoked_at IS NULL AND r.expires_at > NOW()";
+
+// Condition limiting the login records to the tenant of the request (none outside of a request)
+const tenantScope = () => {
+  const tenantId = RequestContextUtil.getTenantId();
+  return tenantId ? { sql: " AND l.tenant_id = ?", params: [tenantId] } : { sql: "", params: [] };
+};
+
+class SessionModel {
+  // List active sessions of a user, most recently used first
+  static async findActiveByUser(userid) {
+    const tenant = tenantScope();
+    const [rows] = await db.query(
+      `${ACTIVE_SESSIONS_SQL}${tenant.sql} GROUP BY l.id ORDER BY last_active_at DESC`,
+      [userid, RECORD_TYPES.LOGIN, RECORD_TYPES.MAGIC_LINK_LOGIN, ...tenant.params]
+    );
+    return rows;
+  }
+
+  // Find one active session of a user
+  static async findActive(userid, sessionId) {
+    const tenant = tenantScope();
+    const [rows] = await db.query(
+      `${ACTIVE_SESSIONS_SQL}${tenant.sql} AND l.token = ? GROUP BY l.id`,
+      [userid, RECORD_TYPES.LOGIN, RECORD_TYPES.MAGIC_LINK_LOGIN, ...tenant.params, sessionId]
+    );
+    return rows[0];
+  }
+}
+
+module.exports = SessionModel;
@@ -0,0 +1,16 @@
+const BaseModel = require("./base.model");
+
+// Customer organisations; every tenant-aware row (tenant_id) belongs to one
+class TenantModel extends BaseModel {
+  static table = "tenants";
+  static columns = ["id", "slug", "name", "disabled_at", "created_at"];
+  static writableColumns = ["slug", "name"];
+
+  // Find a tenant by id ("3") or slug ("acme")
+  static async findByKey(key) {
+    const value = String(key).trim().toLowerCase();
+    return /^\d+$/.test(value) ? this.findById(parseInt(value)) : this.findOne({ slug: value });
+  }
+}
+
+module.exports = TenantModel;
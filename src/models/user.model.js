@@ -1,19 +1,55 @@
-const db = require("../utils/database.util");
 const bcrypt = require("bcryptjs");
+const BaseModel = require("./base.model");
+const LoginRecordModel = require("./login-record.model");
+const QueryBuilder = require("../utils/query-builder.util");
+const db = require("../utils/database.util");
+const authConfig = require("../config/auth.config");
+
+// loginrecord.recordtype values
+const RECORD_TYPES = {
+  REGISTER: 1,
+  LOGIN: 2,
+  MFA_SUCCESS: 3,
+  MFA_FAILURE: 4,
+  LOGIN_FAILED: 5,
+  MAGIC_LINK_LOGIN: 6,
+};
+
+// Columns of the admin views, joined with the role name
+const DETAIL_COLUMNS = ["u.id", "u.username", "u.email", "u.fullName", "u.roleid", "r.rolename", "u.email_verified_at", "u.disabled_at", "u.created_at"];
+
+class UserModel extends BaseModel {
+  static RECORD_TYPES = RECORD_TYPES;
+
+  static table = "users";
+  static columns = ["id", "username", "email", "fullName", "roleid", "email_verified_at", "disabled_at", "created_at"];
+  // The password hash is only selected where it is needed (login, password checks)
+  static hiddenColumns = ["password"];
+  static writableColumns = ["username", "email", "password", "roleid", "fullName"];
+  static softDeleteColumn = "deleted_at";
+  static createdByColumn = "created_by";
+  static updatedByColumn = "updated_by";
+  // Every write below goes through create(), updateById() or delete(), so it lands in audit_log
+  static audited = true;
+  // Usernames and emails are unique per tenant; roles are shared by every tenant
+  static tenantColumn = "tenant_id";
+  // Incremented by every write, the ETag of the profile (optimistic locking of profile updates)
+  static versionColumn = "version";
+
+  // Users of the tenant joined with their role, without soft deleted accounts
+  static withRole() {
+    return this.scope(QueryBuilder.table("users u").leftJoin("roles r", "r.id", "=", "u.roleid"), "u");
+  }
 
-class UserModel {
   // Create a new user
   static async create(userData) {
     const { username, email, password, roleid, fullName } = userData;
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await bcrypt.hash(password, authConfig.passwordHash.rounds);
 
-    const [result] = await db.query(
-      "INSERT INTO users (username, email, password, roleid, fullName) VALUES (?, ?, ?, ?, ?)",
-      [username, email, hashedPassword, roleid, fullName]
-    );
+    const { id } = await super.create({ username, email, password: hashedPassword, roleid, fullName });
 
     return {
-      id: result.insertId,
+      id,
       username,
       email,
       roleid,
@@ -21,82 +57,194 @@ class UserModel {
     };
   }
 
-  // check username or email is exists
+  // check username or email is exists (deleted accounts keep theirs)
   static async checkUsernameOrEmail(username, email) {
-    const [rows] = await db.query(
-      "SELECT id, username, email, password FROM users WHERE username = ? OR email = ?",
-      [username, email]
-    );
-    return rows[0];
+    return this.query({ withDeleted: true })
+      .select("id", "username", "email")
+      .where(query => query.where("username", username).orWhere("email", email))
+      .first();
   }
 
   // Find user by email
   static async findByEmail(email) {
-    const [rows] = await db.query(
-      "SELECT id, username, email, password FROM users WHERE email = ?",
-      [email]
-    );
-
-    return rows[0];
+    return this.findOne({ email }, { columns: ["id", "username", "email"] });
   }
 
-  // Find user by username
+  // Find user by username (with the password hash, for login)
   static async findByUsername(username) {
-    const [rows] = await db.query(
-      "SELECT id, username, email, password, fullName, roleid FROM users WHERE username = ?",
-      [username]
-    );
+    return this.findOne({ username }, { columns: [...this.columns, "password"] });
+  }
 
-    return rows[0];
+  // Get the profile of a user (with role name)
+  static async getProfile(id) {
+    return this.withRole()
+      .select("u.id", "u.username", "u.email", "u.fullName", "u.roleid", "r.rolename", "u.email_verified_at", "u.version", "u.created_at")
+      .where("u.id", id)
+      .first();
   }
 
-  // Find user by ID
-  static async findById(id) {
-    const [rows] = await db.query(
-      "SELECT id, username, email FROM users WHERE id = ?",
-      [id]
-    );
+  // Get the password hash of a user
+  static async getPasswordHash(id) {
+    const row = await this.findById(id, { columns: ["password"] });
+    return row ? row.password : null;
+  }
+
+  // check username or email is used by another user (deleted accounts keep theirs)
+  static async findOtherByUsernameOrEmail(id, username, email) {
+    if (username == null && email == null) {
+      return undefined;
+    }
+    return this.query({ withDeleted: true })
+      .select("id", "username", "email")
+      .where(query => {
+        if (username != null) {
+          query.orWhere("username", username);
+        }
+        if (email != null) {
+          query.orWhere("email", email);
+        }
+      })
+      .where("id", "<>", id)
+      .first();
+  }
+
+  // Search users for the admin listing (sort is checked against a whitelist)
+  static async search(options = {}) {
+    const { search, page = 1, limit = 20, sort = "id", order = "asc" } = options;
+    const sortColumns = { id: "u.id", username: "u.username", email: "u.email", fullName: "u.fullName", createdAt: "u.created_at" };
+    const sortColumn = sortColumns[sort] || "u.id";
+    const direction = String(order).toLowerCase() === "desc" ? "DESC" : "ASC";
+    const pageSize = parseInt(limit);
+    const offset = (parseInt(page) - 1) * pageSize;
+
+    const query = this.withRole();
+    if (search) {
+      const pattern = `%${search.replace(/[\\%_]/g, "\\$&")}%`;
+      query.where(q => q.where("u.username", "LIKE", pattern).orWhere("u.email", "LIKE", pattern).orWhere("u.fullName", "LIKE", pattern));
+    }
+
+    const total = await query.count();
+    const rows = await query.select(DETAIL_COLUMNS).orderBy(sortColumn, direction).limit(pageSize).offset(offset).get();
+
+    return { rows, total };
+  }
+
+  // Get a user for the admin detail view (includes disabled accounts)
+  static async findDetailById(id) {
+    return this.withRole().select(DETAIL_COLUMNS).where("u.id", id).first();
+  }
 
-    return rows[0];
+  // Get the latest loginrecord entries of a user (from a replica, a few seconds of lag are fine here)
+  static async getLoginHistory(userid, limit = 20) {
+    return db.replica(() => LoginRecordModel.findMany({ userid }, {
+      columns: ["id", "recordtype", "location", "network", "deviceinfo", "ip", "created_at", "updated_at"],
+      orderBy: ["id", "DESC"],
+      limit,
+    }));
   }
 
+  // List every user (from a replica)
   static async findAll() {
-    const [rows] = await db.query("SELECT id, username, email FROM users ");
+    return db.replica(() => this.findMany({}, { columns: ["id", "username", "email"] }));
+  }
+
+  // change password
+  static async changePassword(id, newPassword) {
+    const hashedPassword = await bcrypt.hash(newPassword, authConfig.passwordHash.rounds);
+    return UserModel.setPasswordHash(id, hashedPassword);
+  }
+
+  // store an already hashed password (password changes with history, hash upgrades)
+  static async setPasswordHash(id, passwordHash) {
+    return this.updateById(id, { password: passwordHash });
+  }
 
-    return rows;
+  // update profile fields (username, email, fullName); a new email has to be verified again.
+  // options.version: only update while the row has this version (throws VersionConflictError otherwise)
+  static async update(id, fields, options = {}) {
+    const values = {};
+    ["username", "email", "fullName"]
+      .filter((column) => fields[column] !== undefined)
+      .forEach((column) => { values[column] = fields[column]; });
+    if (Object.keys(values).length === 0) {
+      return false;
+    }
+
+    if (fields.email !== undefined) {
+      values.email_verified_at = null;
+    }
+
+    return this.updateById(id, values, { version: options.version });
+  }
+
+  // disable or enable login for a user
+  static async setDisabled(id, disabled) {
+    return disabled
+      ? this.updateById(id, { disabled_at: QueryBuilder.raw("NOW()") }, { where: query => query.whereNull("disabled_at") })
+      : this.updateById(id, { disabled_at: null }, { where: query => query.whereNotNull("disabled_at") });
+  }
+
+  // assign a role
+  static async setRole(id, roleid) {
+    return this.updateById(id, { roleid });
+  }
+
+  // soft delete (the row is kept, finders ignore it)
+  static async softDelete(id) {
+    return this.delete(id);
+  }
+
+  // mark email verified (only if the email has not changed since the token was sent)
+  static async markEmailVerified(id, email) {
+    return this.updateById(id, { email_verified_at: QueryBuilder.raw("NOW()") }, { where: query => query.where("email", email) });
   }
 
   // get role
   static async getRole(name) {
-    const [rows] = await db.query("SELECT id, rolename, paramlist FROM roles WHERE rolename = ?", [name]);
-    return rows[0];
+    return QueryBuilder.table("roles").select("id", "rolename", "paramlist").where("rolename", name).first();
+  }
+
+  // get role of a user
+  static async getRoleByUserId(userid) {
+    return this.scope(QueryBuilder.table("users u").join("roles r", "r.id", "=", "u.roleid"), "u", { withDeleted: true })
+      .select("r.id", "r.rolename", "r.paramlist")
+      .where("u.id", userid)
+      .first();
   }
 
   // record register
   static async recordRegister(registerData) {
     const { userid, username, email, roleid, fullName, location, network, device, ipAddress } = registerData;
-    const [result] = await db.query(
-      "INSERT INTO loginrecord (recordtype, userid, username, email, roleid, fullName, location, network, deviceinfo, ip) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
-      [1, userid, username, email, roleid, fullName, location, network, device, ipAddress]
-    );
-    return result;
+    return LoginRecordModel.create({
+      recordtype: RECORD_TYPES.REGISTER, userid, username, email, roleid, fullName, location, network, deviceinfo: device, ip: ipAddress,
+    });
   }
-  // record login
+  // record login (token holds the session id, never the JWT itself)
   static async recordLogin(loginData) {
-    const { userid, username, email, roleid, fullName, token, location, network, device, ipAddress } = loginData;
-    const [result] = await db.query(
-      "INSERT INTO loginrecord (recordtype, userid, username, email, roleid, fullName, token, location, network, deviceinfo, ip) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
-      [2, userid, username, email, roleid, fullName, token, location, network, device, ipAddress]
-    );
-    return result;
+    const { recordType = RECORD_TYPES.LOGIN, userid, username, email, roleid, fullName, sessionId, location, network, device, userAgent = null, ipAddress } = loginData;
+    return LoginRecordModel.create({
+      recordtype: recordType, userid, username, email, roleid, fullName, token: sessionId, location, network, deviceinfo: device, user_agent: userAgent, ip: ipAddress,
+    });
+  }
+  // record second factor outcome
+  static async recordMfa(mfaData) {
+    const { userid, username, email, roleid, fullName, success, location, network, device, ipAddress } = mfaData;
+    return LoginRecordModel.create({
+      recordtype: success ? RECORD_TYPES.MFA_SUCCESS : RECORD_TYPES.MFA_FAILURE, userid, username, email, roleid, fullName, location, network, deviceinfo: device, ip: ipAddress,
+    });
+  }
+  // record failed login (userid is 0 for unknown usernames)
+  static async recordLoginFailure(failureData) {
+    const { userid, username, location, network, device, ipAddress } = failureData;
+    return LoginRecordModel.create({
+      recordtype: RECORD_TYPES.LOGIN_FAILED, userid: userid || 0, username, location, network, deviceinfo: device, ip: ipAddress,
+    });
   }
   // record logout
-  static async recordLogout(userid, token) {
-    const [result] = await db.query(
-      "update loginrecord set updated_at = now() where userid = ? and token = ?",
-      [userid, token]
-    );
-    return result;
+  static async recordLogout(userid, sessionId) {
+    return LoginRecordModel.query()
+      .where({ userid, token: sessionId })
+      .update({ updated_at: QueryBuilder.raw("NOW()") });
   }
 }
 
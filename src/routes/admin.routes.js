@@ -0,0 +1,426 @@
+const express = require("express");
+const csrfMiddleware = require("../middleware/csrf.middleware");
+const { logger } = require("../middleware/logger.middleware");
+const { validationChains, handleValidationErrors } = require("../middleware/validation.middleware");
+const { authenticate, authorize, forbidImpersonation } = require("../middleware/auth.middleware");
+const { permissions } = require("../config/rbac.config");
+const userAdminService = require("../services/user-admin.service");
+const impersonationService = require("../services/impersonation.service");
+const websocketService = require("../services/websocket.service");
+const auditService = require("../services/audit.service");
+const NetworkUtil = require("../utils/network.util");
+const db = require("../utils/database.util");
+const router = express.Router();
+const adminLogger = logger("admin");
+
+const userNotFound = (res) =>
+  res.status(404).json({
+    errcode: 1,
+    error: "Not Found",
+    errmsg: "User not found",
+  });
+
+// Answer the errors of userAdminService.checkTarget other than not_found
+const targetRefused = (res, error) => {
+  if (error === "self") {
+    return res.status(400).json({
+      errcode: 1,
+      error: "Bad Request",
+      errmsg: "You cannot change your own account here",
+    });
+  }
+  return res.status(403).json({
+    errcode: 1,
+    error: "Forbidden",
+    errmsg: "User has permissions you do not have",
+  });
+};
+
+const rolePrivileged = (res) =>
+  res.status(403).json({
+    errcode: 1,
+    error: "Forbidden",
+    errmsg: "Role has permissions you do not have",
+  });
+
+// List users (paginated, searchable)
+router.get("/users", authenticate, authorize(permissions.USERS_READ), validationChains.pagination(), validationChains.search(), handleValidationErrors, async (req, res) => {
+  try {
+    const { page, limit, sort, order, search } = req.query;
+
+    const result = await userAdminService.listUsers({ page, limit, sort, order, search });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Users retrieved successfully",
+      ...result,
+    });
+  } catch (error) {
+    adminLogger.error("List users error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to list users",
+    });
+  }
+});
+
+// Get a user with login history
+router.get("/users/:id", authenticate, authorize(permissions.USERS_READ), validationChains.idParam("id"), handleValidationErrors, async (req, res) => {
+  try {
+    const user = await userAdminService.getUser(parseInt(req.params.id));
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "User retrieved successfully",
+      user,
+    });
+  } catch (error) {
+    adminLogger.error("Get user error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to get user",
+    });
+  }
+});
+
+// Create a user
+router.post("/users", csrfMiddleware.protect(), authenticate, authorize(permissions.USERS_WRITE), validationChains.adminUserCreate(), handleValidationErrors, async (req, res) => {
+  try {
+    const { username, email, password, role, fullName } = req.body;
+
+    const result = await userAdminService.createUser(req.user, { username, email, password, role, fullName });
+    if (result.error === "role_not_found") {
+      return res.status(400).json({
+        errcode: 1,
+        error: "Bad Request",
+        errmsg: "Role not found",
+      });
+    }
+    if (result.error === "role_privileged") {
+      return rolePrivileged(res);
+    }
+    if (result.error === "conflict") {
+      return res.status(409).json({
+        errcode: 1,
+        error: "Conflict",
+        errmsg: "Username or email already exists",
+      });
+    }
+
+    adminLogger.info("Admin created user", { adminId: req.user.id, userId: result.user.id });
+
+    res.status(201).json({
+      errcode: 0,
+      errmsg: "User created successfully",
+      user: result.user,
+    });
+  } catch (error) {
+    adminLogger.error("Create user error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to create user",
+    });
+  }
+});
+
+// Update username, email and full name of a user (not your own, and no user with permissions you do not have)
+router.patch("/users/:id", csrfMiddleware.protect(), authenticate, authorize(permissions.USERS_WRITE), validationChains.idParam("id"), validationChains.userUpdate(), handleValidationErrors, async (req, res) => {
+  try {
+    const { username, email, fullName } = req.body ?? {};
+
+    const result = await userAdminService.updateUser(req.user, parseInt(req.params.id), { username, email, fullName });
+    if (result.error === "not_found") {
+      return userNotFound(res);
+    }
+    if (result.error === "self" || result.error === "privileged") {
+      return targetRefused(res, result.error);
+    }
+    if (result.error === "conflict") {
+      return res.status(409).json({
+        errcode: 1,
+        error: "Conflict",
+        errmsg: "Username or email is already in use",
+      });
+    }
+
+    adminLogger.info("Admin updated user", { adminId: req.user.id, userId: result.user.id });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "User updated successfully",
+      user: result.user,
+    });
+  } catch (error) {
+    adminLogger.error("Update user error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to update user",
+    });
+  }
+});
+
+// Disable a user: login is refused and every token is revoked
+router.post("/users/:id/disable", csrfMiddleware.protect(), authenticate, authorize(permissions.USERS_WRITE), validationChains.idParam("id"), handleValidationErrors, async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.id);
+
+    const result = await userAdminService.setDisabled(req.user, targetUserId, true);
+    if (result.error === "not_found") {
+      return userNotFound(res);
+    }
+    if (result.error === "self" || result.error === "privileged") {
+      return targetRefused(res, result.error);
+    }
+    websocketService.disconnectUser(targetUserId, "account_disabled");
+
+    adminLogger.info("Admin disabled user", { adminId: req.user.id, userId: targetUserId });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "User disabled",
+      userId: targetUserId,
+    });
+  } catch (error) {
+    adminLogger.error("Disable user error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to disable user",
+    });
+  }
+});
+
+// Enable a disabled user
+router.post("/users/:id/enable", csrfMiddleware.protect(), authenticate, authorize(permissions.USERS_WRITE), validationChains.idParam("id"), handleValidationErrors, async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.id);
+
+    const result = await userAdminService.setDisabled(req.user, targetUserId, false);
+    if (result.error === "not_found") {
+      return userNotFound(res);
+    }
+    if (result.error === "self" || result.error === "privileged") {
+      return targetRefused(res, result.error);
+    }
+
+    adminLogger.info("Admin enabled user", { adminId: req.user.id, userId: targetUserId });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "User enabled",
+      userId: targetUserId,
+    });
+  } catch (error) {
+    adminLogger.error("Enable user error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to enable user",
+    });
+  }
+});
+
+// Assign a role (not to yourself, and no role or user with permissions you do not have)
+router.put("/users/:id/role", csrfMiddleware.protect(), authenticate, authorize(permissions.USERS_ASSIGN_ROLE), validationChains.roleAssign(), handleValidationErrors, async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.id);
+
+    const result = await userAdminService.assignRole(req.user, targetUserId, req.body.role);
+    if (result.error === "not_found") {
+      return userNotFound(res);
+    }
+    if (result.error === "self" || result.error === "privileged") {
+      return targetRefused(res, result.error);
+    }
+    if (result.error === "role_privileged") {
+      return rolePrivileged(res);
+    }
+    if (result.error === "role_not_found") {
+      return res.status(400).json({
+        errcode: 1,
+        error: "Bad Request",
+        errmsg: "Role not found",
+      });
+    }
+
+    adminLogger.info("Admin assigned role", { adminId: req.user.id, userId: targetUserId, role: result.user.role });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Role assigned",
+      user: result.user,
+    });
+  } catch (error) {
+    adminLogger.error("Assign role error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to assign role",
+    });
+  }
+});
+
+// Force a password reset: the current password stops working and a reset link is emailed
+router.post("/users/:id/password-reset", csrfMiddleware.protect(), authenticate, authorize(permissions.USERS_WRITE), validationChains.idParam("id"), handleValidationErrors, async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.id);
+    const ipAddress = NetworkUtil.getClientIP(req);
+
+    const result = await userAdminService.forcePasswordReset(req.user, targetUserId, { ipAddress });
+    if (result.error === "not_found") {
+      return userNotFound(res);
+    }
+    if (result.error === "self" || result.error === "privileged") {
+      return targetRefused(res, result.error);
+    }
+
+    websocketService.disconnectUser(targetUserId, "admin_password_reset");
+
+    adminLogger.info("Admin forced password reset", { adminId: req.user.id, userId: targetUserId });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Password reset forced, a reset link has been sent to the user",
+      userId: targetUserId,
+    });
+  } catch (error) {
+    adminLogger.error("Force password reset error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to force password reset",
+    });
+  }
+});
+
+// End the current impersonation (called with the impersonation token)
+router.post("/impersonate/end", csrfMiddleware.protect(), authenticate, async (req, res) => {
+  try {
+    if (!req.actor) {
+      return res.status(400).json({
+        errcode: 1,
+        error: "Bad Request",
+        errmsg: "Not impersonating",
+      });
+    }
+
+    await impersonationService.end(req.tokenPayload, req.actor, { ipAddress: NetworkUtil.getClientIP(req) });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Impersonation ended",
+    });
+  } catch (error) {
+    adminLogger.error("End impersonation error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to end impersonation",
+    });
+  }
+});
+
+// Impersonate a user: returns an access token acting as the user (no refresh token)
+router.post("/impersonate/:userId", csrfMiddleware.protect(), authenticate, forbidImpersonation, authorize(permissions.USERS_IMPERSONATE), validationChains.idParam("userId"), handleValidationErrors, async (req, res) => {
+  try {
+    const result = await impersonationService.start(req.user, parseInt(req.params.userId), { ipAddress: NetworkUtil.getClientIP(req) });
+    if (result.error === "not_found") {
+      return userNotFound(res);
+    }
+    if (result.error === "self") {
+      return res.status(400).json({
+        errcode: 1,
+        error: "Bad Request",
+        errmsg: "You cannot impersonate yourself",
+      });
+    }
+    if (result.error === "disabled") {
+      return res.status(409).json({
+        errcode: 1,
+        error: "Conflict",
+        errmsg: "Account disabled",
+      });
+    }
+    if (result.error === "privileged") {
+      return res.status(403).json({
+        errcode: 1,
+        error: "Forbidden",
+        errmsg: "Users who can impersonate cannot be impersonated",
+      });
+    }
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Impersonation started",
+      token: result.token,
+      expiresIn: result.expiresIn,
+      user: result.user,
+      actor: { id: req.user.id, username: req.user.username },
+    });
+  } catch (error) {
+    adminLogger.error("Impersonation error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to impersonate user",
+    });
+  }
+});
+
+// Change history of a record (e.g. /audit/users/5), newest first
+router.get("/audit/:table/:id", authenticate, authorize(permissions.AUDIT_READ), validationChains.idParam("id"), validationChains.pagination(), handleValidationErrors, async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await auditService.getHistory(req.params.table, parseInt(req.params.id), { page, limit });
+    if (!result) {
+      return res.status(404).json({
+        errcode: 1,
+        error: "Not Found",
+        errmsg: "Table has no change history",
+      });
+    }
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "History retrieved successfully",
+      ...result,
+    });
+  } catch (error) {
+    adminLogger.error("Get history error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to get history",
+    });
+  }
+});
+
+// Database pool usage and query statistics (?top=N slowest statements, default 10)
+router.get("/db/stats", authenticate, authorize(permissions.DB_STATS), (req, res) => {
+  try {
+    const top = Math.min(100, Math.max(1, parseInt(req.query.top) || 10));
+    const stats = db.getStats({ top });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Database stats retrieved successfully",
+      stats,
+    });
+  } catch (error) {
+    adminLogger.error("Database stats error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to get database stats",
+    });
+  }
+});
+
+module.exports = router;
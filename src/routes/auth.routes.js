@@ -1,12 +1,29 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const UserModel = require("../models/user.model");
+const db = require("../utils/database.util");
 const NetworkUtil = require("../utils/network.util");
 const csrfMiddleware = require("../middleware/csrf.middleware");
 const { logger } = require("../middleware/logger.middleware");
 const { validationChains, handleValidationErrors } = require("../middleware/validation.middleware");
-const { authenticate } = require("../middleware/auth.middleware");
+const { authenticate, authorize, forbidImpersonation } = require("../middleware/auth.middleware");
+const tokenService = require("../services/token.service");
+const revocationService = require("../services/revocation.service");
+const websocketService = require("../services/websocket.service");
+const passwordResetService = require("../services/password-reset.service");
+const emailVerificationService = require("../services/email-verification.service");
+const mfaService = require("../services/mfa.service");
+const loginProtectionService = require("../services/login-protection.service");
+const sessionService = require("../services/session.service");
+const profileService = require("../services/profile.service");
+const passwordService = require("../services/password.service");
+const apiKeyService = require("../services/api-key.service");
+const oidcService = require("../services/oidc.service");
+const magicLinkService = require("../services/magic-link.service");
+const EncryptUtil = require("../utils/encrypt.util");
+const { permissions } = require("../config/rbac.config");
+const authConfig = require("../config/auth.config");
+const oidcConfig = require("../config/oidc.config");
 const router = express.Router();
 const authLogger = logger("auth");
 
@@ -48,44 +65,65 @@ router.post("/register", csrfMiddleware.protect(), validationChains.userRegistra
       });
     }
 
-    // Create user
-    const user = await UserModel.create({ username, email, password, roleid, fullName });
+    // get request ip using utility function
+    const ipAddress = NetworkUtil.getClientIP(req);
+
+    // Create the user, its refresh token and the register record together, or none of them
+    const { user, tokens } = await db.withTransaction(async () => {
+      const user = await UserModel.create({ username, email, password, roleid, fullName });
+
+      // Generate access and refresh tokens
+      const tokens = await tokenService.issueTokenPair(user, { ipAddress, device });
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN,
+      // record register
+      const registerData = {
+        userid: user.id,
+        username,
+        email,
+        roleid,
+        fullName,
+        location,
+        network,
+        device,
+        ipAddress,
+      };
+      await UserModel.recordRegister(registerData);
+
+      return { user, tokens };
     });
+    const { token, expiresIn, refreshToken, refreshTokenExpiresAt } = tokens;
 
     authLogger.info("User registered", { userId: user.id, username: user.username, email: user.email });
 
-    // get request ip using utility function
-    const ipAddress = NetworkUtil.getClientIP(req);
-    // record register
-    const registerData = {
-      userid: user.id,
-      username,
-      email,
-      roleid,
-      fullName,
-      location,
-      network,
-      device,
-      ipAddress,
-    };
-    await UserModel.recordRegister(registerData);
-
+    // Send verification email in the background; the user can request another one later
+    emailVerificationService.sendVerification(user).catch(error => {
+      authLogger.error("Failed to send verification email", { userId: user.id, error: error.message });
+    });
 
     res.status(200).json({
       errcode: 0,
       errmsg: "User registered successfully",
       token,
+      expiresIn,
+      refreshToken,
+      refreshTokenExpiresAt,
       user: {
         id: user.id,
         username: user.username,
         email: user.email,
+        emailVerified: false,
       },
     });
   } catch (error) {
+    // Registered concurrently by another request after the check above
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({
+        errcode: 1,
+        error: "Conflict",
+        errmsg: "User with this email already exists",
+      });
+    }
+
     authLogger.error("Registration error", { error: error.message });
     res.status(500).json({
       errcode: 1,
@@ -95,14 +133,107 @@ router.post("/register", csrfMiddleware.protect(), validationChains.userRegistra
   }
 });
 
+// Upgrade a hash with an outdated cost or algorithm while the password is known; the login succeeds either way
+const upgradePasswordHash = async (user, password) => {
+  try {
+    await passwordService.rehashIfNeeded(user, password);
+  } catch (error) {
+    authLogger.error("Failed to upgrade password hash", { userId: user.id, error: error.message });
+  }
+};
+
+// Issue tokens, record the login and send the login response
+// (client.password: the password the user just logged in with, to upgrade an outdated hash)
+const completeLogin = async (req, res, user, client) => {
+  const { location, network, device, recordType, password } = client;
+
+  // get request ip using utility function
+  const ipAddress = NetworkUtil.getClientIP(req);
+
+  // Generate access and refresh tokens
+  const { token, expiresIn, refreshToken, refreshTokenExpiresAt, sessionId } = await tokenService.issueTokenPair(user, { ipAddress, device });
+
+  // record login
+  const loginData = {
+    userid: user.id,
+    username: user.username,
+    email: user.email,
+    roleid: user.roleid,
+    fullName: user.fullName,
+    sessionId,
+    location,
+    network,
+    device,
+    userAgent: req.get("User-Agent") || null,
+    ipAddress,
+    recordType,
+  };
+  await UserModel.recordLogin(loginData);
+
+  if (password) {
+    await upgradePasswordHash(user, password);
+  }
+
+  authLogger.info("User logged in", { userId: user.id, username: user.username, ipAddress: ipAddress });
+  // Remove password from response
+  const { password: _, ...userWithoutPassword } = user;
+
+  res.status(200).json({
+    errcode: 0,
+    errmsg: "Login successful",
+    token,
+    expiresIn,
+    refreshToken,
+    refreshTokenExpiresAt,
+    user: userWithoutPassword,
+  });
+};
+
+// bcrypt hash compared against when the username does not exist, so both failures take the same time
+let dummyPasswordHash;
+const comparePassword = async (password, user) => {
+  if (user) {
+    return bcrypt.compare(password, user.password);
+  }
+  dummyPasswordHash = dummyPasswordHash || await passwordService.hash(EncryptUtil.randomBytes(16));
+  await bcrypt.compare(password, dummyPasswordHash);
+  return false;
+};
+
 // Login endpoint
 router.post("/login", csrfMiddleware.protect(), validationChains.userLogin(), handleValidationErrors, async (req, res) => {
   try {
     const { username, password, location, network, device } = req.body;
-    authLogger.info("Login request", { username: username, password: password });
-    // Find user
+    const ipAddress = NetworkUtil.getClientIP(req);
+    authLogger.info("Login request", { username: username, ipAddress: ipAddress });
+
+    // Brute-force protection: lockouts and progressive delays per username and IP
+    const protection = await loginProtectionService.check(username, ipAddress);
+    if (protection.locked) {
+      res.set("Retry-After", String(protection.retryAfter));
+      return res.status(429).json({
+        errcode: 1,
+        error: "Too Many Requests",
+        errmsg: "Too many failed login attempts, please try again later",
+      });
+    }
+    if (protection.delayMs > 0) {
+      await loginProtectionService.delay(protection.delayMs);
+    }
+
+    // Find user and check password (unknown users and wrong passwords get the same response)
     const user = await UserModel.findByUsername(username);
-    if (!user) {
+    const isPasswordValid = await comparePassword(password, user);
+    if (!isPasswordValid) {
+      await loginProtectionService.recordFailure(username, ipAddress);
+      await UserModel.recordLoginFailure({
+        userid: user ? user.id : null,
+        username,
+        location,
+        network,
+        device,
+        ipAddress,
+      });
       return res.status(401).json({
         errcode: 1,
         error: "Unauthorized",
@@ -110,55 +241,344 @@ router.post("/login", csrfMiddleware.protect(), validationChains.userLogin(), ha
       });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
+    // Disabled by an admin
+    if (user.disabled_at) {
+      authLogger.warn("Login to disabled account", { userId: user.id, username: user.username });
+      return res.status(403).json({
+        errcode: 1,
+        error: "Forbidden",
+        errmsg: "Account disabled",
+      });
+    }
+
+    // Only a login that passed every check clears the failure counters
+    await loginProtectionService.recordSuccess(username, ipAddress);
+
+    // Second factor required: hand out a short-lived ticket instead of tokens
+    // (the password is not known at /login/mfa, so an outdated hash is upgraded now that it is verified)
+    if (await mfaService.isEnabled(user.id)) {
+      await upgradePasswordHash(user, password);
+      authLogger.info("Login pending second factor", { userId: user.id, username: user.username });
+      return res.status(200).json({
+        errcode: 0,
+        errmsg: "Second factor required",
+        mfaRequired: true,
+        mfaTicket: tokenService.signMfaTicket(user),
+      });
+    }
+
+    await completeLogin(req, res, user, { location, network, device, password });
+  } catch (error) {
+    authLogger.error("Login error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to login",
+    });
+  }
+});
+
+// Read a cookie of the request (the app does not use a cookie parser)
+const getCookie = (req, name) => {
+  const header = req.get("Cookie") || "";
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return null;
+};
+
+// Cookie binding a login link to the browser that requested it
+const magicLinkCookieOptions = {
+  httpOnly: true,
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production",
+  path: "/api/auth/magic-link",
+};
+
+// Request a passwordless login link by email
+router.post("/magic-link", csrfMiddleware.protect(), validationChains.magicLinkRequest(), handleValidationErrors, async (req, res) => {
+  try {
+    const ipAddress = NetworkUtil.getClientIP(req);
+    const { limited, retryAfter, nonce } = await magicLinkService.requestLink(req.body.email, { ipAddress });
+
+    if (limited) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        errcode: 1,
+        error: "Too Many Requests",
+        errmsg: "Too many login link requests, please try again later",
+      });
+    }
+
+    // Same response whether or not the email exists
+    res.cookie(authConfig.magicLink.nonceCookie, nonce, { ...magicLinkCookieOptions, maxAge: authConfig.magicLink.expiresIn * 1000 });
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "If an account with that email exists, a login link has been sent",
+    });
+  } catch (error) {
+    authLogger.error("Login link request error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to send login link",
+    });
+  }
+});
+
+// Exchange a login link for tokens (only in the browser that requested it)
+router.get("/magic-link/verify", validationChains.magicLinkVerify(), handleValidationErrors, async (req, res) => {
+  try {
+    const { token, location, network, device } = req.query;
+    const nonce = getCookie(req, authConfig.magicLink.nonceCookie);
+
+    const userId = await magicLinkService.verifyLink(token, nonce);
+    if (!userId) {
       return res.status(401).json({
         errcode: 1,
         error: "Unauthorized",
-        errmsg: "Invalid credentials",
+        errmsg: "Invalid or expired login link",
+      });
+    }
+    res.clearCookie(authConfig.magicLink.nonceCookie, magicLinkCookieOptions);
+
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      return res.status(401).json({
+        errcode: 1,
+        error: "Unauthorized",
+        errmsg: "Invalid or expired login link",
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN,
+    // Disabled by an admin
+    if (user.disabled_at) {
+      authLogger.warn("Login link for disabled account", { userId: user.id });
+      return res.status(403).json({
+        errcode: 1,
+        error: "Forbidden",
+        errmsg: "Account disabled",
+      });
+    }
+
+    // The link replaces the password, not the second factor
+    if (await mfaService.isEnabled(user.id)) {
+      return res.status(200).json({
+        errcode: 0,
+        errmsg: "Second factor required",
+        mfaRequired: true,
+        mfaTicket: tokenService.signMfaTicket(user),
+      });
+    }
+
+    await completeLogin(req, res, user, { location, network, device, recordType: UserModel.RECORD_TYPES.MAGIC_LINK_LOGIN });
+  } catch (error) {
+    authLogger.error("Login link error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to login",
     });
+  }
+});
 
-    // get request ip using utility function
+// MFA login endpoint: exchanges an "mfa pending" ticket and a second factor for tokens
+router.post("/login/mfa", csrfMiddleware.protect(), validationChains.mfaLogin(), handleValidationErrors, async (req, res) => {
+  try {
+    const { mfaTicket, code, recoveryCode, location, network, device } = req.body;
     const ipAddress = NetworkUtil.getClientIP(req);
-    // record login
-    const loginData = {
+
+    const result = await mfaService.verifyLoginTicket(mfaTicket, { code, recoveryCode });
+    if (!result) {
+      return res.status(401).json({
+        errcode: 1,
+        error: "Unauthorized",
+        errmsg: "Invalid or expired MFA ticket",
+      });
+    }
+
+    const user = await UserModel.findById(result.userId);
+    if (!user) {
+      return res.status(401).json({
+        errcode: 1,
+        error: "Unauthorized",
+        errmsg: "Invalid or expired MFA ticket",
+      });
+    }
+
+    // record mfa outcome
+    await UserModel.recordMfa({
       userid: user.id,
-      username,
+      username: user.username,
       email: user.email,
       roleid: user.roleid,
       fullName: user.fullName,
-      token,
+      success: result.success,
       location,
       network,
       device,
       ipAddress,
-    };
-    await UserModel.recordLogin(loginData);
+    });
 
+    if (result.locked) {
+      return res.status(401).json({
+        errcode: 1,
+        error: "Unauthorized",
+        errmsg: "Too many invalid codes, please log in again",
+      });
+    }
+
+    if (!result.success) {
+      authLogger.warn("Invalid second factor", { userId: user.id, method: result.method, ipAddress: ipAddress });
+      return res.status(401).json({
+        errcode: 1,
+        error: "Unauthorized",
+        errmsg: "Invalid code",
+      });
+    }
+
+    // Disabled by an admin after the password step
+    if (user.disabled_at) {
+      authLogger.warn("MFA login to disabled account", { userId: user.id });
+      return res.status(403).json({
+        errcode: 1,
+        error: "Forbidden",
+        errmsg: "Account disabled",
+      });
+    }
+
+    await completeLogin(req, res, user, { location, network, device });
+  } catch (error) {
+    authLogger.error("MFA login error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to login",
+    });
+  }
+});
 
-    authLogger.info("User logged in", { userId: user.id, username: user.username, ipAddress: ipAddress });
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+// MFA enrollment: create a TOTP secret (confirmed with /mfa/confirm)
+router.post("/mfa/setup", csrfMiddleware.protect(), authenticate, forbidImpersonation, async (req, res) => {
+  try {
+    const enrollment = await mfaService.startEnrollment(req.user);
+    if (!enrollment) {
+      return res.status(409).json({
+        errcode: 1,
+        error: "Conflict",
+        errmsg: "Two-factor authentication is already enabled",
+      });
+    }
 
     res.status(200).json({
       errcode: 0,
-      errmsg: "Login successful",
-      token,
-      user: userWithoutPassword,
+      errmsg: "Scan the QR code with an authenticator app and confirm with a code",
+      secret: enrollment.secret,
+      otpauthUrl: enrollment.otpauthUrl,
     });
   } catch (error) {
-    authLogger.error("Login error", { error: error.message });
+    authLogger.error("MFA setup error", { error: error.message });
     res.status(500).json({
       errcode: 1,
       error: "Internal Server Error",
-      errmsg: "Failed to login",
+      errmsg: "Failed to start two-factor enrollment",
+    });
+  }
+});
+
+// MFA enrollment confirmation: enables MFA and returns the recovery codes once
+router.post("/mfa/confirm", csrfMiddleware.protect(), authenticate, forbidImpersonation, validationChains.mfaCode(), handleValidationErrors, async (req, res) => {
+  try {
+    const recoveryCodes = await mfaService.confirmEnrollment(req.user.id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        errcode: 1,
+        error: "Bad Request",
+        errmsg: "Invalid code or no pending enrollment",
+      });
+    }
+
+    authLogger.info("Two-factor authentication enabled", { userId: req.user.id });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Two-factor authentication enabled, store the recovery codes in a safe place",
+      recoveryCodes,
+    });
+  } catch (error) {
+    authLogger.error("MFA confirm error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to confirm two-factor enrollment",
+    });
+  }
+});
+
+// Disable MFA (requires a current code or a recovery code)
+router.post("/mfa/disable", csrfMiddleware.protect(), authenticate, forbidImpersonation, validationChains.mfaFactor(), handleValidationErrors, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    const disabled = await mfaService.disable(req.user.id, { code, recoveryCode });
+    if (!disabled) {
+      return res.status(400).json({
+        errcode: 1,
+        error: "Bad Request",
+        errmsg: "Invalid code",
+      });
+    }
+
+    authLogger.info("Two-factor authentication disabled", { userId: req.user.id });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    authLogger.error("MFA disable error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to disable two-factor authentication",
+    });
+  }
+});
+
+// Refresh endpoint: exchanges a refresh token for a new token pair (the old refresh token is rotated out)
+router.post("/refresh", csrfMiddleware.protect(), validationChains.refreshToken(), handleValidationErrors, async (req, res) => {
+  try {
+    const { refreshToken, device } = req.body;
+    const ipAddress = NetworkUtil.getClientIP(req);
+
+    const result = await tokenService.rotateRefreshToken(refreshToken, { ipAddress, device });
+    if (!result) {
+      return res.status(401).json({
+        errcode: 1,
+        error: "Unauthorized",
+        errmsg: "Invalid refresh token",
+      });
+    }
+
+    authLogger.info("Token refreshed", { userId: result.userId, ipAddress: ipAddress });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Token refreshed successfully",
+      token: result.token,
+      expiresIn: result.expiresIn,
+      refreshToken: result.refreshToken,
+      refreshTokenExpiresAt: result.refreshTokenExpiresAt,
+    });
+  } catch (error) {
+    authLogger.error("Refresh error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to refresh token",
     });
   }
 });
@@ -167,7 +587,7 @@ router.post("/login", csrfMiddleware.protect(), validationChains.userLogin(), ha
 router.post("/logout", csrfMiddleware.protect(), authenticate, async (req, res) => {
   try {
     let user = req.user;
-    let token = req.token;
+    const sessionId = req.tokenPayload.sid;
     const ipAddress = NetworkUtil.getClientIP(req);
 
     authLogger.info("Logout request", {
@@ -175,22 +595,33 @@ router.post("/logout", csrfMiddleware.protect(), authenticate, async (req, res)
       ipAddress: ipAddress
     });
 
-    await UserModel.recordLogout(user.id, token);
+    // Revoke the access token itself
+    await revocationService.revokeToken(req.tokenPayload, "logout");
+
+    // Revoke the session (its refresh token family); tokens issued before sessions existed need the refresh token
+    if (sessionId) {
+      await UserModel.recordLogout(user.id, sessionId);
+      await revocationService.revokeSession(user.id, sessionId, "logout");
+    }
+    const refreshToken = req.body?.refreshToken;
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(refreshToken, user.id);
+    }
 
     // Revoke CSRF token for this session
-    const sessionId = csrfMiddleware.getSessionId(req);
-    csrfMiddleware.revokeToken(sessionId);
+    const csrfSessionId = csrfMiddleware.getSessionId(req);
+    csrfMiddleware.revokeToken(csrfSessionId);
 
     authLogger.info("User logged out", {
       userId: user.id,
       ipAddress: ipAddress,
-      sessionId: sessionId
+      sessionId: csrfSessionId
     });
 
     res.status(200).json({
       errcode: 0,
       errmsg: "Logout successful",
-      sessionId: sessionId
+      sessionId: csrfSessionId
     });
   } catch (error) {
     authLogger.error("Logout error", { error: error.message });
@@ -202,8 +633,663 @@ router.post("/logout", csrfMiddleware.protect(), authenticate, async (req, res)
   }
 });
 
+// Logout all devices endpoint
+router.post("/logout-all", csrfMiddleware.protect(), authenticate, forbidImpersonation, async (req, res) => {
+  try {
+    const user = req.user;
+    const ipAddress = NetworkUtil.getClientIP(req);
+
+    const { refreshTokensRevoked } = await revocationService.revokeAllForUser(user.id, "logout_all");
+    if (req.tokenPayload.sid) {
+      await UserModel.recordLogout(user.id, req.tokenPayload.sid);
+    }
+    websocketService.disconnectUser(user.id, "logout_all");
+
+    const sessionId = csrfMiddleware.getSessionId(req);
+    csrfMiddleware.revokeToken(sessionId);
+
+    authLogger.info("User logged out from all devices", {
+      userId: user.id,
+      ipAddress: ipAddress,
+      refreshTokensRevoked
+    });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Logged out from all devices",
+    });
+  } catch (error) {
+    authLogger.error("Logout all error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to logout from all devices",
+    });
+  }
+});
+
+// List active sessions of the current user
+router.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.tokenPayload.sid);
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Sessions retrieved successfully",
+      sessions,
+    });
+  } catch (error) {
+    authLogger.error("List sessions error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to get sessions",
+    });
+  }
+});
+
+// Revoke every session of the current user except this one
+router.delete("/sessions", csrfMiddleware.protect(), authenticate, forbidImpersonation, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeOtherSessions(req.user.id, req.tokenPayload.sid);
+
+    authLogger.info("Other sessions revoked", { userId: req.user.id, revoked });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Other sessions revoked",
+      revoked,
+    });
+  } catch (error) {
+    authLogger.error("Revoke sessions error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to revoke sessions",
+    });
+  }
+});
+
+// Revoke one session of the current user
+router.delete("/sessions/:id", csrfMiddleware.protect(), authenticate, forbidImpersonation, validationChains.sessionIdParam("id"), handleValidationErrors, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({
+        errcode: 1,
+        error: "Not Found",
+        errmsg: "Session not found",
+      });
+    }
+
+    authLogger.info("Session revoked", { userId: req.user.id, sessionId: req.params.id });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Session revoked",
+      current: req.params.id === req.tokenPayload.sid,
+    });
+  } catch (error) {
+    authLogger.error("Revoke session error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to revoke session",
+    });
+  }
+});
+
+// List the API keys of the current user
+router.get("/api-keys", authenticate, forbidImpersonation, async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.user.id);
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "API keys retrieved successfully",
+      apiKeys,
+    });
+  } catch (error) {
+    authLogger.error("List API keys error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to get API keys",
+    });
+  }
+});
+
+// Create an API key (the key is only returned in this response)
+router.post("/api-keys", csrfMiddleware.protect(), authenticate, forbidImpersonation, validationChains.apiKeyCreate(), handleValidationErrors, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const result = await apiKeyService.createKey(req.user, { name, scopes, expiresInDays });
+    if (result.error === "invalid_scopes") {
+      return res.status(400).json({
+        errcode: 1,
+        error: "Bad Request",
+        errmsg: `Unknown scopes: ${result.invalidScopes.join(", ")}`,
+      });
+    }
+    if (result.error === "limit_reached") {
+      return res.status(409).json({
+        errcode: 1,
+        error: "Conflict",
+        errmsg: "Too many active API keys",
+      });
+    }
+
+    res.status(201).json({
+      errcode: 0,
+      errmsg: "API key created, store it now: it cannot be shown again",
+      key: result.key,
+      apiKey: result.apiKey,
+    });
+  } catch (error) {
+    authLogger.error("Create API key error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to create API key",
+    });
+  }
+});
+
+// Revoke an API key of the current user
+router.delete("/api-keys/:id", csrfMiddleware.protect(), authenticate, forbidImpersonation, validationChains.idParam("id"), handleValidationErrors, async (req, res) => {
+  try {
+    const revoked = await apiKeyService.revokeKey(req.user.id, parseInt(req.params.id));
+    if (!revoked) {
+      return res.status(404).json({
+        errcode: 1,
+        error: "Not Found",
+        errmsg: "API key not found",
+      });
+    }
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "API key revoked",
+    });
+  } catch (error) {
+    authLogger.error("Revoke API key error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to revoke API key",
+    });
+  }
+});
+
+// Cookie binding an OIDC login to the browser that started it
+const oidcStateCookieOptions = {
+  httpOnly: true,
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production",
+  path: "/api/auth/oidc",
+};
+
+// Errors of oidcService.handleCallback
+const oidcErrors = {
+  unknown_provider: [404, "Not Found", "Unknown login provider"],
+  invalid_state: [400, "Bad Request", "Invalid or expired login state, please try again"],
+  provider_error: [401, "Unauthorized", "Login with the provider failed"],
+  email_required: [400, "Bad Request", "The provider did not share an email address"],
+  email_in_use: [409, "Conflict", "An account with this email already exists, log in and link the provider from your account"],
+  identity_in_use: [409, "Conflict", "This provider account is linked to another user"],
+  account_unavailable: [403, "Forbidden", "Account unavailable"],
+};
+
+// List the configured login providers
+router.get("/oidc/providers", (req, res) => {
+  res.status(200).json({
+    errcode: 0,
+    errmsg: "Login providers retrieved successfully",
+    providers: oidcService.listProviders(),
+  });
+});
+
+// Start a login with a provider: redirects the browser to the provider
+router.get("/oidc/:provider", async (req, res) => {
+  try {
+    const result = await oidcService.startAuthorization(req.params.provider);
+    if (!result) {
+      return res.status(404).json({
+        errcode: 1,
+        error: "Not Found",
+        errmsg: "Unknown login provider",
+      });
+    }
+
+    res.cookie(oidcConfig.stateCookie, result.state, { ...oidcStateCookieOptions, maxAge: oidcConfig.stateExpiresIn * 1000 });
+    res.redirect(302, result.authorizationUrl);
+  } catch (error) {
+    authLogger.error("OIDC login start error", { provider: req.params.provider, error: error.message });
+    res.status(502).json({
+      errcode: 1,
+      error: "Bad Gateway",
+      errmsg: "Login provider unavailable",
+    });
+  }
+});
+
+// Start linking a provider to the current user; the client sends the browser to authorizationUrl
+router.post("/oidc/:provider/link", csrfMiddleware.protect(), authenticate, forbidImpersonation, async (req, res) => {
+  try {
+    const result = await oidcService.startAuthorization(req.params.provider, { userId: req.user.id });
+    if (!result) {
+      return res.status(404).json({
+        errcode: 1,
+        error: "Not Found",
+        errmsg: "Unknown login provider",
+      });
+    }
+
+    res.cookie(oidcConfig.stateCookie, result.state, { ...oidcStateCookieOptions, maxAge: oidcConfig.stateExpiresIn * 1000 });
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Continue at the login provider",
+      authorizationUrl: result.authorizationUrl,
+    });
+  } catch (error) {
+    authLogger.error("OIDC link start error", { provider: req.params.provider, error: error.message });
+    res.status(502).json({
+      errcode: 1,
+      error: "Bad Gateway",
+      errmsg: "Login provider unavailable",
+    });
+  }
+});
+
+// Provider callback: finishes a login or a link
+router.get("/oidc/:provider/callback", async (req, res) => {
+  try {
+    const { code, state, error: providerError } = req.query;
+    const { location, network, device } = req.query;
+    const browserState = getCookie(req, oidcConfig.stateCookie);
+    res.clearCookie(oidcConfig.stateCookie, oidcStateCookieOptions);
+
+    // The user cancelled or the provider refused the request
+    if (providerError) {
+      authLogger.info("OIDC login cancelled at the provider", { provider: req.params.provider, error: providerError });
+      return res.status(401).json({
+        errcode: 1,
+        error: "Unauthorized",
+        errmsg: "Login with the provider was cancelled",
+      });
+    }
+
+    const result = await oidcService.handleCallback(req.params.provider, { code, state, browserState });
+    if (result.error) {
+      const [status, error, errmsg] = oidcErrors[result.error];
+      return res.status(status).json({ errcode: 1, error, errmsg });
+    }
+
+    const { user } = result;
+    if (result.linked) {
+      return res.status(200).json({
+        errcode: 0,
+        errmsg: "Login provider linked",
+        provider: req.params.provider,
+      });
+    }
+
+    // Disabled by an admin
+    if (user.disabled_at) {
+      authLogger.warn("OIDC login to disabled account", { userId: user.id, provider: req.params.provider });
+      return res.status(403).json({
+        errcode: 1,
+        error: "Forbidden",
+        errmsg: "Account disabled",
+      });
+    }
+
+    if (result.created) {
+      await UserModel.recordRegister({
+        userid: user.id,
+        username: user.username,
+        email: user.email,
+        roleid: user.roleid,
+        fullName: user.fullName,
+        location,
+        network,
+        device,
+        ipAddress: NetworkUtil.getClientIP(req),
+      });
+
+      // Providers that did not verify the address: verify it like a normal registration
+      if (!result.emailVerified) {
+        emailVerificationService.sendVerification(user).catch(error => {
+          authLogger.error("Failed to send verification email", { userId: user.id, error: error.message });
+        });
+      }
+    }
+
+    // Second factor still required for accounts that enabled it
+    if (await mfaService.isEnabled(user.id)) {
+      return res.status(200).json({
+        errcode: 0,
+        errmsg: "Second factor required",
+        mfaRequired: true,
+        mfaTicket: tokenService.signMfaTicket(user),
+      });
+    }
+
+    await completeLogin(req, res, user, { location, network, device });
+  } catch (error) {
+    authLogger.error("OIDC callback error", { provider: req.params.provider, error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to login",
+    });
+  }
+});
+
+// List the login providers linked to the current user
+router.get("/identities", authenticate, async (req, res) => {
+  try {
+    const identities = await oidcService.listIdentities(req.user.id);
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Identities retrieved successfully",
+      identities,
+    });
+  } catch (error) {
+    authLogger.error("List identities error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to get identities",
+    });
+  }
+});
+
+// Unlink a login provider from the current user
+router.delete("/identities/:id", csrfMiddleware.protect(), authenticate, forbidImpersonation, validationChains.idParam("id"), handleValidationErrors, async (req, res) => {
+  try {
+    const removed = await oidcService.unlinkIdentity(req.user.id, parseInt(req.params.id));
+    if (!removed) {
+      return res.status(404).json({
+        errcode: 1,
+        error: "Not Found",
+        errmsg: "Identity not found",
+      });
+    }
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Identity unlinked",
+    });
+  } catch (error) {
+    authLogger.error("Unlink identity error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to unlink identity",
+    });
+  }
+});
+
+// Admin: revoke all tokens of a user
+router.post("/users/:id/revoke-tokens", csrfMiddleware.protect(), authenticate, authorize(permissions.USERS_REVOKE_TOKENS), validationChains.idParam("id"), handleValidationErrors, async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.id);
+
+    const targetUser = await UserModel.findById(targetUserId);
+    if (!targetUser) {
+      return res.status(404).json({
+        errcode: 1,
+        error: "Not Found",
+        errmsg: "User not found",
+      });
+    }
+
+    const { refreshTokensRevoked } = await revocationService.revokeAllForUser(targetUserId, "admin_revoke");
+    websocketService.disconnectUser(targetUserId, "admin_revoke");
+
+    authLogger.info("Admin revoked all tokens of user", {
+      adminId: req.user.id,
+      userId: targetUserId,
+      refreshTokensRevoked
+    });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "All tokens of the user have been revoked",
+      userId: targetUserId,
+    });
+  } catch (error) {
+    authLogger.error("Revoke user tokens error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to revoke user tokens",
+    });
+  }
+});
+
+// Admin: lift a login lockout of a user (and optionally of an IP)
+router.post("/users/:id/unlock", csrfMiddleware.protect(), authenticate, authorize(permissions.USERS_UNLOCK), validationChains.loginUnlock(), handleValidationErrors, async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.id);
+
+    const targetUser = await UserModel.findById(targetUserId);
+    if (!targetUser) {
+      return res.status(404).json({
+        errcode: 1,
+        error: "Not Found",
+        errmsg: "User not found",
+      });
+    }
+
+    const ipAddress = req.body?.ipAddress;
+    await loginProtectionService.unlock({ username: targetUser.username, ipAddress });
+
+    authLogger.info("Admin unlocked login of user", {
+      adminId: req.user.id,
+      userId: targetUserId,
+      ipAddress
+    });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Login lockout lifted",
+      userId: targetUserId,
+    });
+  } catch (error) {
+    authLogger.error("Unlock user error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to unlock user",
+    });
+  }
+});
+
+// Forgot password endpoint: always answers the same way whether or not the email exists
+router.post("/password/forgot", csrfMiddleware.protect(), validationChains.passwordForgot(), handleValidationErrors, async (req, res) => {
+  try {
+    const { email } = req.body;
+    const ipAddress = NetworkUtil.getClientIP(req);
+
+    const { limited, retryAfter } = await passwordResetService.requestReset(email, { ipAddress });
+    if (limited) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        errcode: 1,
+        error: "Too Many Requests",
+        errmsg: "Too many password reset requests, please try again later",
+      });
+    }
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "If an account with that email exists, a password reset link has been sent",
+    });
+  } catch (error) {
+    authLogger.error("Forgot password error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to process password reset request",
+    });
+  }
+});
+
+// Reset password endpoint
+router.post("/password/reset", csrfMiddleware.protect(), validationChains.passwordReset(), handleValidationErrors, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const ipAddress = NetworkUtil.getClientIP(req);
+
+    const { userId, violations } = await passwordResetService.resetPassword(token, password);
+    if (violations) {
+      return res.status(400).json({
+        errcode: 1,
+        error: "Bad Request",
+        errmsg: "Password does not meet the password policy",
+        violations,
+      });
+    }
+    if (!userId) {
+      return res.status(400).json({
+        errcode: 1,
+        error: "Bad Request",
+        errmsg: "Invalid or expired reset token",
+      });
+    }
+
+    websocketService.disconnectUser(userId, "password_reset");
+
+    authLogger.info("Password reset", { userId, ipAddress: ipAddress });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Password has been reset, please log in again",
+    });
+  } catch (error) {
+    authLogger.error("Reset password error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to reset password",
+    });
+  }
+});
+
+// Change password endpoint (requires the current password; other sessions are signed out)
+router.post("/password/change", csrfMiddleware.protect(), authenticate, forbidImpersonation, validationChains.passwordChange(), handleValidationErrors, async (req, res) => {
+  try {
+    const { currentPassword, password } = req.body;
+
+    const result = await profileService.changePassword(req.user, currentPassword, password, req.tokenPayload.sid);
+    if (result.wrongPassword) {
+      return res.status(401).json({
+        errcode: 1,
+        error: "Unauthorized",
+        errmsg: "Current password is incorrect",
+      });
+    }
+    if (result.violations) {
+      return res.status(400).json({
+        errcode: 1,
+        error: "Bad Request",
+        errmsg: "Password does not meet the password policy",
+        violations: result.violations,
+      });
+    }
+
+    authLogger.info("Password changed", { userId: req.user.id });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Password changed, other sessions have been signed out",
+    });
+  } catch (error) {
+    authLogger.error("Change password error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to change password",
+    });
+  }
+});
+
+// Verify email endpoint (GET for the emailed link, POST for clients submitting the token)
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.method === "GET" ? req.query.token : req.body.token;
+
+    const userId = await emailVerificationService.verify(token);
+    if (!userId) {
+      return res.status(400).json({
+        errcode: 1,
+        error: "Bad Request",
+        errmsg: "Invalid or expired verification token",
+      });
+    }
+
+    authLogger.info("Email verified", { userId });
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Email verified successfully",
+    });
+  } catch (error) {
+    authLogger.error("Verify email error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to verify email",
+    });
+  }
+};
+
+router.get("/verify-email", validationChains.emailVerificationLink(), handleValidationErrors, verifyEmail);
+router.post("/verify-email", csrfMiddleware.protect(), validationChains.emailVerification(), handleValidationErrors, verifyEmail);
+
+// Resend verification email endpoint
+router.post("/resend-verification", csrfMiddleware.protect(), authenticate, forbidImpersonation, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.email_verified_at) {
+      return res.status(400).json({
+        errcode: 1,
+        error: "Bad Request",
+        errmsg: "Email already verified",
+      });
+    }
+
+    const { sent, retryAfter } = await emailVerificationService.sendVerification(user);
+    if (!sent) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        errcode: 1,
+        error: "Too Many Requests",
+        errmsg: "Too many verification emails, please try again later",
+      });
+    }
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Verification email sent",
+    });
+  } catch (error) {
+    authLogger.error("Resend verification error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to send verification email",
+    });
+  }
+});
+
 // CSRF stats endpoint (for monitoring)
-router.get("/csrf-stats", authenticate, (req, res) => {
+router.get("/csrf-stats", authenticate, authorize(permissions.CSRF_STATS), (req, res) => {
   try {
     const stats = csrfMiddleware.getStats();
     res.json({
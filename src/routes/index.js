@@ -1,11 +1,10 @@
 const express = require("express");
-const { authenticate } = require("../middleware/auth.middleware");
 const { logger } = require("../middleware/logger.middleware");
 
-const UserModel = require("../models/user.model");
-
 // Import route modules
 const authRoutes = require("./auth.routes");
+const profileRoutes = require("./profile.routes");
+const adminRoutes = require("./admin.routes");
 const demoRoutes = require("./demo.routes");
 const websocketRoutes = require("./websocket.routes");
 
@@ -20,40 +19,6 @@ router.get("/", (req, res) => {
   });
 });
 
-// write routes here with /test and use async await
-router.get("/test", async (req, res) => {
-  try {
-    appLogger.info("Test route accessed");
-    /*
-    let user = await UserModel.create({
-      username: "testuser",
-      email: "test@example.com",
-      password: "testpassword",
-    });
-    */
-    let userlist = await UserModel.findAll();
-    res.json({
-      message: "Test route accessed successfully",
-      userlist,
-    });
-  } catch (error) {
-    appLogger.error("Error in test route", error);
-    res.status(500).json({
-      error: "Internal Server Error",
-    });
-  }
-});
-
-// Protected route example
-router.get("/profile", authenticate, (req, res) => {
-  appLogger.info("Profile accessed", { userId: req.user.id });
-
-  res.json({
-    message: "Profile data retrieved successfully",
-    user: req.user,
-  });
-});
-
 // Health check route
 router.get("/health", (req, res) => {
   res.json({
@@ -64,6 +29,8 @@ router.get("/health", (req, res) => {
 
 // Mount route modules
 router.use("/auth", authRoutes);
+router.use("/profile", profileRoutes);
+router.use("/admin", adminRoutes);
 router.use("/demo", demoRoutes);
 router.use("/websocket", websocketRoutes);
 
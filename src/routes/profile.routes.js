@@ -0,0 +1,123 @@
+const express = require("express");
+const csrfMiddleware = require("../middleware/csrf.middleware");
+const { logger } = require("../middleware/logger.middleware");
+const { validationChains, handleValidationErrors } = require("../middleware/validation.middleware");
+const { authenticate, forbidImpersonation } = require("../middleware/auth.middleware");
+const { ifMatch } = require("../middleware/precondition.middleware");
+const profileService = require("../services/profile.service");
+const websocketService = require("../services/websocket.service");
+const router = express.Router();
+const profileLogger = logger("profile");
+
+// Get the profile of the current user; send its ETag back as If-Match when updating it
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const profile = await profileService.getProfile(req.user.id);
+    if (!profile) {
+      return res.status(404).json({
+        errcode: 1,
+        error: "Not Found",
+        errmsg: "User not found",
+      });
+    }
+
+    profileLogger.info("Profile accessed", { userId: req.user.id });
+
+    res.set("ETag", profileService.etag(profile));
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Profile data retrieved successfully",
+      user: profile,
+    });
+  } catch (error) {
+    profileLogger.error("Get profile error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to get profile",
+    });
+  }
+});
+
+// Update username, email and full name of the current user (412 if If-Match names an outdated profile)
+router.patch("/", csrfMiddleware.protect(), authenticate, forbidImpersonation, ifMatch, validationChains.userUpdate(), handleValidationErrors, async (req, res) => {
+  try {
+    const { username, email, fullName } = req.body ?? {};
+
+    const result = await profileService.updateProfile(req.user, { username, email, fullName }, { ifMatch: req.ifMatch });
+    if (result.notFound) {
+      return res.status(404).json({
+        errcode: 1,
+        error: "Not Found",
+        errmsg: "User not found",
+      });
+    }
+
+    if (result.preconditionFailed) {
+      if (result.profile) {
+        res.set("ETag", profileService.etag(result.profile));
+      }
+      return res.status(412).json({
+        errcode: 1,
+        error: "Precondition Failed",
+        errmsg: "Profile was changed by another request, reload it and try again",
+      });
+    }
+
+    if (result.conflict) {
+      return res.status(409).json({
+        errcode: 1,
+        error: "Conflict",
+        errmsg: "Username or email is already in use",
+      });
+    }
+
+    if (result.profile) {
+      res.set("ETag", profileService.etag(result.profile));
+    }
+    res.status(200).json({
+      errcode: 0,
+      errmsg: result.emailChanged
+        ? "Profile updated, please verify your new email address"
+        : "Profile updated successfully",
+      user: result.profile,
+    });
+  } catch (error) {
+    profileLogger.error("Update profile error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to update profile",
+    });
+  }
+});
+
+// Delete the account of the current user (requires the password)
+router.delete("/", csrfMiddleware.protect(), authenticate, forbidImpersonation, validationChains.accountDelete(), handleValidationErrors, async (req, res) => {
+  try {
+    const deleted = await profileService.deleteAccount(req.user, req.body.password);
+    if (!deleted) {
+      return res.status(401).json({
+        errcode: 1,
+        error: "Unauthorized",
+        errmsg: "Invalid password",
+      });
+    }
+
+    websocketService.disconnectUser(req.user.id, "account_deleted");
+
+    res.status(200).json({
+      errcode: 0,
+      errmsg: "Account deleted",
+    });
+  } catch (error) {
+    profileLogger.error("Delete account error", { error: error.message });
+    res.status(500).json({
+      errcode: 1,
+      error: "Internal Server Error",
+      errmsg: "Failed to delete account",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const websocketService = require("../services/websocket.service");
-const { authenticate } = require("../middleware/auth.middleware");
+const { authenticate, authenticateWithApiKey, requireScope, authorize, requireVerifiedEmail } = require("../middleware/auth.middleware");
+const { permissions, apiKeyScopes } = require("../config/rbac.config");
 const { logger } = require("../middleware/logger.middleware");
 const router = express.Router();
 const wsLogger = logger("websocket-routes");
@@ -9,7 +10,7 @@ const wsLogger = logger("websocket-routes");
  * Get WebSocket statistics
  * 获取WebSocket统计信息
  */
-router.get("/stats", authenticate, (req, res) => {
+router.get("/stats", authenticateWithApiKey, authorize(permissions.WEBSOCKET_STATS), (req, res) => {
     try {
         const stats = websocketService.getStats();
         wsLogger.info("WebSocket stats requested", { userId: req.user.id });
@@ -94,7 +95,7 @@ router.get("/rooms/:roomId/members", authenticate, (req, res) => {
  * Send message to specific user
  * 向特定用户发送消息
  */
-router.post("/send-message", authenticate, (req, res) => {
+router.post("/send-message", authenticateWithApiKey, requireScope(apiKeyScopes.WEBSOCKET_SEND), requireVerifiedEmail, (req, res) => {
     try {
         const { targetUserId, message, type = 'text' } = req.body;
 
@@ -146,7 +147,7 @@ router.post("/send-message", authenticate, (req, res) => {
  * Send message to room
  * 向房间发送消息
  */
-router.post("/rooms/:roomId/send-message", authenticate, (req, res) => {
+router.post("/rooms/:roomId/send-message", authenticateWithApiKey, requireScope(apiKeyScopes.WEBSOCKET_SEND), requireVerifiedEmail, (req, res) => {
     try {
         const { roomId } = req.params;
         const { message, type = 'text' } = req.body;
@@ -195,7 +196,7 @@ router.post("/rooms/:roomId/send-message", authenticate, (req, res) => {
  * Broadcast message to all users
  * 向所有用户广播消息
  */
-router.post("/broadcast", authenticate, (req, res) => {
+router.post("/broadcast", authenticateWithApiKey, authorize(permissions.WEBSOCKET_BROADCAST), (req, res) => {
     try {
         const { message, type = 'text' } = req.body;
 
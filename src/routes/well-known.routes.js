@@ -0,0 +1,22 @@
+const express = require("express");
+const { logger } = require("../middleware/logger.middleware");
+const keyringService = require("../services/keyring.service");
+const authConfig = require("../config/auth.config");
+const router = express.Router();
+const wellKnownLogger = logger("well-known");
+
+// Public keys for verifying our JWTs (other services fetch and cache this)
+router.get("/jwks.json", (req, res) => {
+  try {
+    res.set("Cache-Control", `public, max-age=${authConfig.jwt.jwksMaxAge}`);
+    res.json(keyringService.getJwks());
+  } catch (error) {
+    wellKnownLogger.error("JWKS error", { error: error.message });
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Failed to load signing keys",
+    });
+  }
+});
+
+module.exports = router;
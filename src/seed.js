@@ -0,0 +1,33 @@
+const path = require("path");
+
+// 不同平台读取env文件
+const envFile = process.env.NODE_ENV ? `.env.${process.env.NODE_ENV}` : ".env";
+require("dotenv").config({ path: path.resolve(process.cwd(), envFile) });
+
+const db = require("./utils/database.util");
+const SeedUtil = require("./utils/seed.util");
+
+// Usage: node src/seed.js [--env <environment>] (default NODE_ENV or development)
+const args = process.argv.slice(2);
+const envIndex = args.indexOf("--env");
+const environment = envIndex === -1 ? process.env.NODE_ENV || "development" : args[envIndex + 1];
+
+(async () => {
+  let exitCode = 0;
+  try {
+    if (!environment) {
+      throw new Error("--env expects an environment name");
+    }
+    const files = await SeedUtil.run(environment);
+    if (files.length === 0) {
+      console.log(`No seeds for ${environment}`);
+    }
+    files.forEach(file => console.log(`Seeded ${file}`));
+  } catch (error) {
+    console.error(`Seeding ${environment} failed: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await db.close();
+  }
+  process.exit(exitCode);
+})();
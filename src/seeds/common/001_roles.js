@@ -0,0 +1,20 @@
+const SeedUtil = require("../../utils/seed.util");
+const rbacConfig = require("../../config/rbac.config");
+const oidcConfig = require("../../config/oidc.config");
+const { permissions } = rbacConfig;
+
+// Default roles. Existing roles are left as they are, so permissions changed by an admin survive reseeding.
+const roles = [
+  { rolename: rbacConfig.adminRole, paramlist: "*" },
+  {
+    rolename: "support",
+    paramlist: [permissions.USERS_READ, permissions.USERS_UNLOCK, permissions.USERS_REVOKE_TOKENS, permissions.USERS_IMPERSONATE].join(", "),
+  },
+  { rolename: oidcConfig.defaultRole, paramlist: "" },
+];
+
+module.exports = {
+  async seed(connection) {
+    await SeedUtil.upsert(connection, "roles", roles, { update: [] });
+  },
+};
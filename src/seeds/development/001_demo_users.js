@@ -0,0 +1,32 @@
+const SeedUtil = require("../../utils/seed.util");
+const passwordService = require("../../services/password.service");
+const rbacConfig = require("../../config/rbac.config");
+const oidcConfig = require("../../config/oidc.config");
+
+// Demo accounts for local development, all with the same password
+const DEMO_PASSWORD = "Seed#Passw0rd";
+
+const users = [
+  { username: "admin", email: "admin@example.com", fullName: "Demo Admin", role: rbacConfig.adminRole },
+  { username: "support", email: "support@example.com", fullName: "Demo Support", role: "support" },
+  { username: "alice", email: "alice@example.com", fullName: "Alice Demo", role: oidcConfig.defaultRole },
+  { username: "bob", email: "bob@example.com", fullName: "Bob Demo", role: oidcConfig.defaultRole },
+];
+
+module.exports = {
+  async seed(connection) {
+    const [roles] = await connection.query("SELECT id, rolename FROM roles");
+    const roleIds = new Map(roles.map(role => [role.rolename, role.id]));
+    const password = await passwordService.hash(DEMO_PASSWORD);
+
+    const rows = users.map(({ role, ...user }) => {
+      if (!roleIds.has(role)) {
+        throw new Error(`Role not found: ${role}`);
+      }
+      return { ...user, password, roleid: roleIds.get(role), email_verified_at: new Date() };
+    });
+
+    // Existing demo accounts keep their password
+    await SeedUtil.upsert(connection, "users", rows, { update: ["email", "fullName", "roleid"] });
+  },
+};
@@ -10,6 +10,8 @@ const app = require("./app");
 const { logger } = require("./middleware/logger.middleware");
 const db = require("./utils/database.util");
 const websocketService = require("./services/websocket.service");
+const keyringService = require("./services/keyring.service");
+const revocationService = require("./services/revocation.service");
 
 const serverLogger = logger("server");
 
@@ -21,6 +23,10 @@ const PORT = process.env.PORT || 3000;
     const [rows] = await db.query("SELECT 1");
     serverLogger.info("Database connection established");
 
+    // Load JWT signing keys (fails fast on a broken key directory) and check the secrets without a default
+    keyringService.load();
+    keyringService.checkSecrets();
+
     // Create HTTP server
     const server = http.createServer(app);
 
@@ -55,3 +61,10 @@ setInterval(() => {
   //  serverLogger.info("Event loop lag:", lagValue, "ms");
   //}
 }, 5000);
+
+// Delete revocations of expired tokens every hour
+setInterval(() => {
+  revocationService.deleteExpired().catch((error) => {
+    serverLogger.error("Failed to delete expired revocations", { error: error.message });
+  });
+}, 60 * 60 * 1000);
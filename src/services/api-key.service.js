@@ -0,0 +1,214 @@
+const { logger } = require('../middleware/logger.middleware');
+const ApiKeyModel = require('../models/api-key.model');
+const EncryptUtil = require('../utils/encrypt.util');
+const permissionService = require('./permission.service');
+const authConfig = require('../config/auth.config');
+const { permissions, apiKeyScopes } = require('../config/rbac.config');
+
+class ApiKeyService {
+    constructor() {
+        this.logger = logger('api-key');
+    }
+
+    /**
+     * Hash an API key for storage and lookup
+     * 对API密钥进行哈希，用于存储和查询
+     * @param {string} key - Raw API key
+     * @returns {string} SHA-256 hash
+     */
+    hashKey(key) {
+        return EncryptUtil.sha256(key);
+    }
+
+    /**
+     * Generate a new API key: a public prefix (shown in listings) followed by the secret
+     * 生成新的API密钥：公开前缀（用于列表展示）加密钥
+     * @returns {Object} { key, prefix }
+     */
+    generateKey() {
+        const prefix = `${authConfig.apiKeys.prefix}_${EncryptUtil.randomBytes(4)}`;
+        const secret = EncryptUtil.randomBytes(authConfig.apiKeys.secretBytes, 'base64url');
+
+        return { key: `${prefix}_${secret}`, prefix };
+    }
+
+    /**
+     * Parse the stored scopes of a key
+     * 解析密钥保存的权限范围
+     * @param {string|Array} scopes - JSON array (or already parsed array)
+     * @returns {Array<string>} Scopes
+     */
+    parseScopes(scopes) {
+        if (Array.isArray(scopes)) {
+            return scopes;
+        }
+        try {
+            const parsed = JSON.parse(scopes || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Find scopes that are not known permissions, API key scopes or wildcards of them
+     * 找出无效的权限范围（既不是已知权限/API密钥范围，也不是其通配符）
+     * @param {Array<string>} scopes - Requested scopes
+     * @returns {Array<string>} Invalid scopes
+     */
+    findInvalidScopes(scopes) {
+        const known = [...Object.values(permissions), ...Object.values(apiKeyScopes)];
+
+        return scopes.filter(scope => {
+            if (scope === '*' || known.includes(scope)) {
+                return false;
+            }
+            return !(scope.endsWith(':*') && known.some(permission => permission.startsWith(scope.slice(0, -1))));
+        });
+    }
+
+    /**
+     * Format a stored key for responses (never includes the hash)
+     * 格式化密钥用于响应（不包含哈希）
+     * @param {Object} row - Stored key
+     * @returns {Object} Key metadata
+     */
+    formatKey(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            prefix: row.prefix,
+            scopes: this.parseScopes(row.scopes),
+            expiresAt: row.expires_at,
+            lastUsedAt: row.last_used_at,
+            lastUsedIp: row.last_used_ip,
+            revoked: Boolean(row.revoked_at),
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Create an API key. The raw key is only returned here.
+     * 创建API密钥；原始密钥仅在此返回一次
+     * @param {Object} user - Owner
+     * @param {Object} options - { name, scopes, expiresInDays }
+     * @returns {Promise<Object>} { key, apiKey } or { error: 'invalid_scopes' | 'limit_reached', invalidScopes }
+     */
+    async createKey(user, options) {
+        const { name, scopes, expiresInDays = authConfig.apiKeys.defaultExpiresInDays } = options;
+
+        const invalidScopes = this.findInvalidScopes(scopes);
+        if (invalidScopes.length > 0) {
+            return { error: 'invalid_scopes', invalidScopes };
+        }
+
+        if (await ApiKeyModel.countActiveByUser(user.id) >= authConfig.apiKeys.maxPerUser) {
+            return { error: 'limit_reached' };
+        }
+
+        const { key, prefix } = this.generateKey();
+        const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+        const record = await ApiKeyModel.create({
+            userid: user.id,
+            name,
+            prefix,
+            keyHash: this.hashKey(key),
+            scopes,
+            expiresAt
+        });
+
+        this.logger.info('API key created', { userId: user.id, keyId: record.id, prefix, scopes });
+
+        return {
+            key,
+            apiKey: {
+                id: record.id,
+                name,
+                prefix,
+                scopes,
+                expiresAt,
+                lastUsedAt: null,
+                lastUsedIp: null,
+                revoked: false,
+                createdAt: new Date()
+            }
+        };
+    }
+
+    /**
+     * List the keys of a user
+     * 获取用户的API密钥列表
+     * @param {number} userId - User ID
+     * @returns {Promise<Array<Object>>} Key metadata
+     */
+    async listKeys(userId) {
+        const rows = await ApiKeyModel.findByUser(userId);
+        return rows.map(row => this.formatKey(row));
+    }
+
+    /**
+     * Revoke a key of a user
+     * 撤销用户的API密钥
+     * @param {number} userId - Owner
+     * @param {number} keyId - Key ID
+     * @returns {Promise<boolean>} False if the key does not exist, belongs to someone else or is already revoked
+     */
+    async revokeKey(userId, keyId) {
+        const revoked = await ApiKeyModel.revoke(keyId, userId);
+        if (revoked) {
+            this.logger.info('API key revoked', { userId, keyId });
+        }
+        return revoked;
+    }
+
+    /**
+     * Check a presented API key and record its use
+     * 校验API密钥并记录使用
+     * @param {string} key - Raw API key
+     * @param {string} ipAddress - Client IP
+     * @returns {Promise<Object|null>} { id, userId, tenantId, prefix, scopes }, or null if the key is unknown, revoked or expired
+     */
+    async verifyKey(key, ipAddress = null) {
+        if (typeof key !== 'string' || !key.startsWith(`${authConfig.apiKeys.prefix}_`)) {
+            return null;
+        }
+
+        const stored = await ApiKeyModel.findByHash(this.hashKey(key));
+        if (!stored) {
+            this.logger.warn('Unknown API key presented', { ipAddress });
+            return null;
+        }
+
+        if (stored.revoked_at || new Date(stored.expires_at).getTime() <= Date.now()) {
+            this.logger.info('Revoked or expired API key presented', { keyId: stored.id, prefix: stored.prefix, ipAddress });
+            return null;
+        }
+
+        // Usage tracking must not fail the request
+        ApiKeyModel.touch(stored.id, ipAddress, authConfig.apiKeys.lastUsedInterval).catch(error => {
+            this.logger.error('Failed to record API key use', { keyId: stored.id, error: error.message });
+        });
+
+        return {
+            id: stored.id,
+            userId: stored.userid,
+            tenantId: stored.tenant_id,
+            prefix: stored.prefix,
+            scopes: this.parseScopes(stored.scopes)
+        };
+    }
+
+    /**
+     * Check whether a verified key has a scope
+     * 检查密钥是否拥有指定权限范围
+     * @param {Object} apiKey - Result of verifyKey
+     * @param {string} scope - Required scope
+     * @returns {boolean} True if granted
+     */
+    hasScope(apiKey, scope) {
+        return permissionService.hasPermission(apiKey.scopes, scope);
+    }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,70 @@
+const AuditLogModel = require('../models/audit-log.model');
+const UserModel = require('../models/user.model');
+
+// Audited models whose history can be queried, by table name
+const AUDITED_MODELS = [UserModel];
+
+class AuditService {
+    constructor() {
+        this.tables = new Set(AUDITED_MODELS.filter(model => model.audited).map(model => model.table));
+    }
+
+    /**
+     * Whether the history of a table can be queried
+     * 判断某张表是否记录了变更历史
+     * @param {string} table - Table name
+     * @returns {boolean} True for audited tables
+     */
+    isAudited(table) {
+        return this.tables.has(table);
+    }
+
+    /**
+     * Format an audit_log row for API responses
+     * 格式化审计日志记录用于接口响应
+     * @param {Object} row - audit_log row
+     * @returns {Object} Entry
+     */
+    formatEntry(row) {
+        return {
+            id: row.id,
+            action: row.action,
+            // mysql2 parses JSON columns, other drivers and fixtures may return the text
+            changes: typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes,
+            userId: row.user_id,
+            actorId: row.actor_id,
+            ip: row.ip,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Get the change history of a record, newest first
+     * 获取某条记录的变更历史（从最新开始）
+     * @param {string} table - Audited table name
+     * @param {number|string} recordId - Primary key of the record
+     * @param {Object} options - { page, limit }
+     * @returns {Promise<Object|null>} { entries, pagination }, or null if the table is not audited
+     */
+    async getHistory(table, recordId, options = {}) {
+        if (!this.isAudited(table)) {
+            return null;
+        }
+
+        const page = parseInt(options.page) || 1;
+        const limit = parseInt(options.limit) || 20;
+        const { rows, total } = await AuditLogModel.findByRecord(table, recordId, { page, limit });
+
+        return {
+            entries: rows.map(row => this.formatEntry(row)),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+}
+
+module.exports = new AuditService();
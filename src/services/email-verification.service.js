@@ -0,0 +1,90 @@
+const { logger } = require('../middleware/logger.middleware');
+const UserModel = require('../models/user.model');
+const EmailVerificationModel = require('../models/email-verification.model');
+const EncryptUtil = require('../utils/encrypt.util');
+const RateLimitUtil = require('../utils/rate-limit.util');
+const mailService = require('./mail.service');
+const tenantService = require('./tenant.service');
+const authConfig = require('../config/auth.config');
+
+class EmailVerificationService {
+    constructor() {
+        this.logger = logger('email-verification');
+    }
+
+    /**
+     * Create a verification token and email the verification link
+     * 创建验证令牌并发送验证链接邮件
+     * @param {Object} user - User record (id, username, email)
+     * @returns {Promise<Object>} { sent, retryAfter } - sent is false when the account is rate limited
+     */
+    async sendVerification(user) {
+        const { windowSeconds, maxPerAccount } = authConfig.emailVerificationRateLimit;
+
+        const limit = await RateLimitUtil.hit(`verify:user:${user.id}`, windowSeconds);
+        if (limit.count > maxPerAccount) {
+            this.logger.warn('Verification email rate limited', { userId: user.id });
+            return { sent: false, retryAfter: limit.ttl };
+        }
+
+        const { token, hash } = EncryptUtil.generateOneTimeToken(authConfig.tokenHashSecret);
+        const expiresAt = new Date(Date.now() + authConfig.emailVerificationExpiresIn * 1000);
+
+        await EmailVerificationModel.create({
+            userid: user.id,
+            email: user.email,
+            tokenHash: hash,
+            expiresAt
+        });
+
+        const link = mailService.buildLink('/api/auth/verify-email', { token });
+        const hours = Math.round(authConfig.emailVerificationExpiresIn / 3600);
+
+        await mailService.send({
+            to: user.email,
+            subject: 'Verify your email address',
+            text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below. It expires in ${hours} hours.\n\n${link}\n\nIf you did not create an account, you can ignore this email.`
+        });
+
+        this.logger.info('Verification email sent', { userId: user.id });
+        return { sent: true };
+    }
+
+    /**
+     * Verify an email address with a verification token
+     * 使用验证令牌验证邮箱
+     * @param {string} token - Raw verification token
+     * @returns {Promise<number|null>} User ID, or null if the token is invalid, expired, used or for an old email
+     */
+    async verify(token) {
+        const stored = await EmailVerificationModel.findValidByHash(
+            EncryptUtil.hashOneTimeToken(token, authConfig.tokenHashSecret)
+        );
+        if (!stored) {
+            return null;
+        }
+
+        // The link names no tenant: the rest of the request runs in the tenant of the user
+        if (!tenantService.bindTenant(stored.tenant_id)) {
+            this.logger.warn('Verification token used with another tenant', { userId: stored.userid });
+            return null;
+        }
+
+        if (!(await EmailVerificationModel.markUsed(stored.id))) {
+            return null;
+        }
+
+        // Fails if the user changed their email after this token was sent
+        if (!(await UserModel.markEmailVerified(stored.userid, stored.email))) {
+            this.logger.warn('Verification token for outdated email', { userId: stored.userid });
+            return null;
+        }
+
+        await EmailVerificationModel.invalidateForUser(stored.userid);
+
+        this.logger.info('Email verified', { userId: stored.userid });
+        return stored.userid;
+    }
+}
+
+module.exports = new EmailVerificationService();
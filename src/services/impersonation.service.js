@@ -0,0 +1,120 @@
+const jwt = require('jsonwebtoken');
+const { logger } = require('../middleware/logger.middleware');
+const UserModel = require('../models/user.model');
+const tokenService = require('./token.service');
+const revocationService = require('./revocation.service');
+const permissionService = require('./permission.service');
+const { permissions } = require('../config/rbac.config');
+
+class ImpersonationService {
+    constructor() {
+        this.logger = logger('impersonation');
+        this.auditLogger = logger('audit');
+    }
+
+    /**
+     * Start impersonating a user. Users who may impersonate others themselves cannot be impersonated,
+     * so impersonation never gains privileges.
+     * 开始模拟用户；拥有模拟权限的用户不能被模拟，避免借此提升权限
+     * @param {Object} actor - Admin (id, username)
+     * @param {number} userId - User to impersonate
+     * @param {Object} context - Client context (ipAddress)
+     * @returns {Promise<Object>} { token, expiresIn, user } or { error: 'not_found' | 'self' | 'disabled' | 'privileged' }
+     */
+    async start(actor, userId, context = {}) {
+        if (actor.id === userId) {
+            return { error: 'self' };
+        }
+
+        const user = await UserModel.findById(userId);
+        if (!user) {
+            return { error: 'not_found' };
+        }
+        if (user.disabled_at) {
+            return { error: 'disabled' };
+        }
+
+        const access = await permissionService.getUserAccess(user.id);
+        if (access && permissionService.hasPermission(access.permissions, permissions.USERS_IMPERSONATE)) {
+            return { error: 'privileged' };
+        }
+
+        const token = tokenService.signImpersonationToken(user, actor);
+        const { jti, exp } = jwt.decode(token);
+
+        this.auditLogger.info('Impersonation started', {
+            actorId: actor.id,
+            actorUsername: actor.username,
+            userId: user.id,
+            username: user.username,
+            jti,
+            ipAddress: context.ipAddress
+        });
+
+        return {
+            token,
+            expiresIn: exp - Math.floor(Date.now() / 1000),
+            user: { id: user.id, username: user.username, email: user.email, fullName: user.fullName }
+        };
+    }
+
+    /**
+     * End an impersonation by revoking its token
+     * 结束模拟（撤销模拟令牌）
+     * @param {Object} payload - Decoded impersonation token
+     * @param {Object} actor - Admin
+     * @param {Object} context - Client context (ipAddress)
+     */
+    async end(payload, actor, context = {}) {
+        await revocationService.revokeToken(payload, 'impersonation_ended');
+
+        this.auditLogger.info('Impersonation ended', {
+            actorId: actor.id,
+            userId: payload.userId,
+            jti: payload.jti,
+            ipAddress: context.ipAddress
+        });
+    }
+
+    /**
+     * Check the admin behind an impersonation token: the admin must still exist, be enabled,
+     * hold the impersonation permission and not have revoked all of their tokens since.
+     * 校验模拟令牌背后的管理员（存在、未禁用、仍有模拟权限、未撤销全部令牌）
+     * @param {Object} payload - Decoded access token with an act claim
+     * @returns {Promise<Object|null>} Admin user, or null if the token must be refused
+     */
+    async resolveActor(payload) {
+        const actorId = parseInt(payload.act && payload.act.sub);
+        if (!actorId) {
+            return null;
+        }
+
+        // Logging out everywhere as the admin also ends their impersonations
+        if (await revocationService.isRevoked({ userId: actorId, iat: payload.iat, iatMs: payload.iatMs })) {
+            return null;
+        }
+
+        const actor = await UserModel.findById(actorId);
+        if (!actor || actor.disabled_at) {
+            return null;
+        }
+
+        const access = await permissionService.getUserAccess(actor.id);
+        if (!access || !permissionService.hasPermission(access.permissions, permissions.USERS_IMPERSONATE)) {
+            return null;
+        }
+
+        return actor;
+    }
+
+    /**
+     * Write a request made while impersonating to the audit log
+     * 将模拟期间的请求写入审计日志
+     * @param {Object} entry - { actorId, userId, jti, method, url, status, ipAddress }
+     */
+    audit(entry) {
+        this.auditLogger.info('Impersonated request', entry);
+    }
+}
+
+module.exports = new ImpersonationService();
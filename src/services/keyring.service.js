@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../middleware/logger.middleware');
+const EncryptUtil = require('../utils/encrypt.util');
+const authConfig = require('../config/auth.config');
+
+const PRIVATE_KEY_SUFFIX = '.pem';
+const PUBLIC_KEY_SUFFIX = '.pub.pem';
+
+class KeyringService {
+    constructor() {
+        this.logger = logger('keyring');
+        this.keys = null;
+        this.activeKid = null;
+    }
+
+    /**
+     * Get the JWT algorithm matching a key
+     * 获取与密钥匹配的JWT算法
+     * @param {KeyObject} keyObject - Public or private key
+     * @returns {string} RS256 or ES256
+     */
+    algorithmFor(keyObject) {
+        if (keyObject.asymmetricKeyType === 'rsa') {
+            return 'RS256';
+        }
+        if (keyObject.asymmetricKeyType === 'ec' && keyObject.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+            return 'ES256';
+        }
+        throw new Error(`Unsupported signing key type: ${keyObject.asymmetricKeyType}`);
+    }
+
+    /**
+     * Build a keyring entry from PEM keys
+     * 由PEM密钥创建密钥环条目
+     * @param {string} kid - Key ID
+     * @param {string|null} privateKeyPem - Private key (null for verification-only keys)
+     * @param {string|null} publicKeyPem - Public key (derived from the private key when omitted)
+     * @returns {Object} { kid, algorithm, privateKey, publicKey }
+     */
+    createKey(kid, privateKeyPem, publicKeyPem = null) {
+        const privateKey = privateKeyPem ? crypto.createPrivateKey(privateKeyPem) : null;
+        const publicKey = publicKeyPem ? crypto.createPublicKey(publicKeyPem) : crypto.createPublicKey(privateKey);
+
+        return { kid, algorithm: this.algorithmFor(publicKey), privateKey, publicKey };
+    }
+
+    /**
+     * Generate a new signing key pair
+     * 生成新的签名密钥对
+     * @param {string} algorithm - RS256 or ES256
+     * @returns {Object} { kid, privateKey, publicKey } (PEM)
+     */
+    generateKey(algorithm = authConfig.jwt.algorithm) {
+        let keyPair;
+        if (algorithm === 'RS256') {
+            keyPair = EncryptUtil.generateRsaKeyPair(2048);
+        } else if (algorithm === 'ES256') {
+            keyPair = EncryptUtil.generateEcKeyPair('prime256v1');
+        } else {
+            throw new Error(`Cannot generate keys for algorithm ${algorithm}`);
+        }
+
+        return { kid: EncryptUtil.randomBytes(8), ...keyPair };
+    }
+
+    /**
+     * Read <kid>.pem private keys and <kid>.pub.pem verification-only keys from a directory
+     * 从目录读取私钥（<kid>.pem）和仅用于验证的公钥（<kid>.pub.pem）
+     * @param {string} dir - Key directory
+     * @returns {Array<Object>} Keyring entries, newest private key first
+     */
+    readKeysDir(dir) {
+        const entries = [];
+
+        for (const file of fs.readdirSync(dir)) {
+            const filePath = path.join(dir, file);
+            const pem = fs.readFileSync(filePath, 'utf8');
+            const mtime = fs.statSync(filePath).mtimeMs;
+
+            if (file.endsWith(PUBLIC_KEY_SUFFIX)) {
+                entries.push({ ...this.createKey(file.slice(0, -PUBLIC_KEY_SUFFIX.length), null, pem), mtime });
+            } else if (file.endsWith(PRIVATE_KEY_SUFFIX)) {
+                entries.push({ ...this.createKey(file.slice(0, -PRIVATE_KEY_SUFFIX.length), pem), mtime });
+            }
+        }
+
+        return entries.sort((a, b) => b.mtime - a.mtime);
+    }
+
+    /**
+     * Check the secrets that have no fallback: TOKEN_HASH_SECRET and MFA_ENCRYPTION_KEY.
+     * They are kept apart from JWT_SECRET, so that a leaked signing secret exposes neither one-time tokens nor TOTP secrets.
+     * 检查必须单独配置的密钥（TOKEN_HASH_SECRET、MFA_ENCRYPTION_KEY），缺失时拒绝启动
+     */
+    checkSecrets() {
+        const missing = [
+            ['TOKEN_HASH_SECRET', authConfig.tokenHashSecret],
+            ['MFA_ENCRYPTION_KEY', authConfig.mfa.encryptionKey]
+        ].filter(([, value]) => !value).map(([name]) => name);
+
+        if (missing.length > 0) {
+            throw new Error(`${missing.join(' and ')} not set: configure ${missing.length > 1 ? 'them' : 'it'} separately from JWT_SECRET`);
+        }
+    }
+
+    /**
+     * Load the keyring. Without a key directory (or with an empty one) a key pair is generated;
+     * it is written to the directory when one is configured. Without a directory it only lives in memory,
+     * which is refused outside development and tests (NODE_ENV): every restart would sign users out.
+     * 加载密钥环；没有密钥时自动生成（配置了目录则写入目录；未配置目录时仅在开发和测试环境下保存在内存中，否则拒绝启动）
+     */
+    load() {
+        const { algorithm, keysDir, activeKid, inMemoryKeys } = authConfig.jwt;
+        const keys = new Map();
+
+        if (algorithm === 'HS256') {
+            // Shared secret: nothing can be published in the JWKS
+            keys.set('default', { kid: 'default', algorithm, privateKey: process.env.JWT_SECRET, publicKey: process.env.JWT_SECRET });
+            this.keys = keys;
+            this.activeKid = 'default';
+            return;
+        }
+
+        let entries = keysDir && fs.existsSync(keysDir) ? this.readKeysDir(keysDir) : [];
+
+        if (!entries.some(entry => entry.privateKey)) {
+            if (!keysDir && !inMemoryKeys) {
+                throw new Error('JWT_KEYS_DIR is not set: configure a key directory, or set JWT_ALGORITHM=HS256 to sign with JWT_SECRET');
+            }
+
+            const generated = this.generateKey(algorithm);
+
+            if (keysDir) {
+                fs.mkdirSync(keysDir, { recursive: true });
+                fs.writeFileSync(path.join(keysDir, generated.kid + PRIVATE_KEY_SUFFIX), generated.privateKey, { mode: 0o600 });
+                this.logger.info('Generated JWT signing key', { kid: generated.kid, algorithm, keysDir });
+            } else {
+                this.logger.warn('JWT_KEYS_DIR is not set, using an in-memory signing key: tokens will not survive a restart or work across instances', { kid: generated.kid });
+            }
+
+            entries = [this.createKey(generated.kid, generated.privateKey), ...entries];
+        }
+
+        for (const entry of entries) {
+            if (!keys.has(entry.kid)) {
+                keys.set(entry.kid, { kid: entry.kid, algorithm: entry.algorithm, privateKey: entry.privateKey, publicKey: entry.publicKey });
+            }
+        }
+
+        const active = activeKid ? keys.get(activeKid) : entries.find(entry => entry.privateKey);
+        if (!active || !active.privateKey) {
+            throw new Error(`JWT signing key ${activeKid} not found in ${keysDir}`);
+        }
+
+        this.keys = keys;
+        this.activeKid = active.kid;
+
+        this.logger.info('JWT keyring loaded', { activeKid: this.activeKid, kids: [...keys.keys()] });
+    }
+
+    /**
+     * Get the key used to sign new tokens
+     * 获取用于签发新令牌的密钥
+     * @returns {Object} { kid, algorithm, privateKey, publicKey }
+     */
+    getSigningKey() {
+        if (!this.keys) {
+            this.load();
+        }
+        return this.keys.get(this.activeKid);
+    }
+
+    /**
+     * Get a verification key by key ID
+     * 按密钥ID获取验证密钥
+     * @param {string} kid - Key ID from the token header
+     * @returns {Object|undefined} Keyring entry
+     */
+    getVerificationKey(kid) {
+        if (!this.keys) {
+            this.load();
+        }
+        return this.keys.get(kid);
+    }
+
+    /**
+     * Get the public keys as a JSON Web Key Set
+     * 以JWKS格式获取所有公钥
+     * @returns {Object} { keys: [...] }
+     */
+    getJwks() {
+        if (!this.keys) {
+            this.load();
+        }
+
+        const keys = [];
+        for (const key of this.keys.values()) {
+            if (key.algorithm === 'HS256') {
+                continue;
+            }
+            keys.push({ ...key.publicKey.export({ format: 'jwk' }), kid: key.kid, alg: key.algorithm, use: 'sig' });
+        }
+
+        return { keys };
+    }
+}
+
+module.exports = new KeyringService();
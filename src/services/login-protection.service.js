@@ -0,0 +1,152 @@
+const { logger } = require('../middleware/logger.middleware');
+const RateLimitUtil = require('../utils/rate-limit.util');
+const RequestContextUtil = require('../utils/request-context.util');
+const authConfig = require('../config/auth.config');
+
+class LoginProtectionService {
+    constructor() {
+        this.logger = logger('login-protection');
+    }
+
+    /**
+     * Build the counter keys for a username and an IP
+     * 生成用户名和IP对应的计数key
+     * @param {string} username - Username as entered (known or not)
+     * @param {string} ipAddress - Client IP
+     * @returns {Object} Failure and lock keys
+     */
+    keys(username, ipAddress) {
+        // The same username may exist in several tenants
+        const tenantId = RequestContextUtil.getTenantId();
+        const name = `${tenantId ? `${tenantId}:` : ''}${String(username || '').trim().toLowerCase()}`;
+        return {
+            userFailures: `login:fail:user:${name}`,
+            ipFailures: `login:fail:ip:${ipAddress}`,
+            userLock: `login:lock:user:${name}`,
+            ipLock: `login:lock:ip:${ipAddress}`
+        };
+    }
+
+    /**
+     * Calculate the progressive delay for a number of failures
+     * 根据失败次数计算递增延迟
+     * @param {number} failures - Failures within the window
+     * @returns {number} Delay in milliseconds
+     */
+    delayFor(failures) {
+        const { freeAttempts, delayStepMs, maxDelayMs } = authConfig.loginProtection;
+        if (failures < freeAttempts) {
+            return 0;
+        }
+        return Math.min(maxDelayMs, delayStepMs * 2 ** (failures - freeAttempts));
+    }
+
+    /**
+     * Check whether a login attempt may proceed.
+     * Unknown usernames are tracked like existing ones so responses do not reveal which accounts exist.
+     * 检查是否允许登录尝试；不存在的用户名与存在的用户名同样计数，避免泄露账号是否存在
+     * @param {string} username - Username as entered
+     * @param {string} ipAddress - Client IP
+     * @returns {Promise<Object>} { locked, retryAfter, delayMs }
+     */
+    async check(username, ipAddress) {
+        const keys = this.keys(username, ipAddress);
+
+        const [userLock, ipLock] = await Promise.all([
+            RateLimitUtil.peek(keys.userLock),
+            RateLimitUtil.peek(keys.ipLock)
+        ]);
+        if (userLock.count > 0 || ipLock.count > 0) {
+            return { locked: true, retryAfter: Math.max(userLock.ttl, ipLock.ttl), delayMs: 0 };
+        }
+
+        const [userFailures, ipFailures] = await Promise.all([
+            RateLimitUtil.peek(keys.userFailures),
+            RateLimitUtil.peek(keys.ipFailures)
+        ]);
+
+        return {
+            locked: false,
+            retryAfter: 0,
+            delayMs: this.delayFor(Math.max(userFailures.count, ipFailures.count))
+        };
+    }
+
+    /**
+     * Wait before answering a login attempt
+     * 在响应登录请求前等待
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<void>}
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Count a failed attempt and lock the username or IP when its limit is reached
+     * 记录一次失败尝试，达到上限时锁定用户名或IP
+     * @param {string} username - Username as entered
+     * @param {string} ipAddress - Client IP
+     * @returns {Promise<Object>} { userFailures, ipFailures, locked }
+     */
+    async recordFailure(username, ipAddress) {
+        const { windowSeconds, maxAttemptsPerUser, maxAttemptsPerIp, lockoutSeconds } = authConfig.loginProtection;
+        const keys = this.keys(username, ipAddress);
+
+        const userFailures = await RateLimitUtil.hit(keys.userFailures, windowSeconds);
+        const ipFailures = await RateLimitUtil.hit(keys.ipFailures, windowSeconds);
+        let locked = false;
+
+        // The failure counter restarts with the lockout so the next lock needs a full set of new failures
+        if (userFailures.count >= maxAttemptsPerUser) {
+            await RateLimitUtil.hit(keys.userLock, lockoutSeconds);
+            await RateLimitUtil.reset(keys.userFailures);
+            this.logger.warn('Username locked after failed logins', { username, ipAddress, failures: userFailures.count });
+            locked = true;
+        }
+
+        if (ipFailures.count >= maxAttemptsPerIp) {
+            await RateLimitUtil.hit(keys.ipLock, lockoutSeconds);
+            await RateLimitUtil.reset(keys.ipFailures);
+            this.logger.warn('IP locked after failed logins', { ipAddress, failures: ipFailures.count });
+            locked = true;
+        }
+
+        return { userFailures: userFailures.count, ipFailures: ipFailures.count, locked };
+    }
+
+    /**
+     * Clear the failure counter of a username after a successful login.
+     * The IP counter is kept so an attacker cannot reset it by logging into an own account.
+     * 登录成功后清除用户名的失败计数；IP计数保留，防止攻击者用自己的账号重置
+     * @param {string} username - Username as entered
+     * @param {string} ipAddress - Client IP
+     */
+    async recordSuccess(username, ipAddress) {
+        await RateLimitUtil.reset(this.keys(username, ipAddress).userFailures);
+    }
+
+    /**
+     * Lift a lockout (admin action)
+     * 解除锁定（管理员操作）
+     * @param {Object} target - Target to unlock
+     * @param {string} target.username - Username to unlock
+     * @param {string} target.ipAddress - IP to unlock (optional)
+     */
+    async unlock({ username, ipAddress }) {
+        const keys = this.keys(username, ipAddress);
+
+        if (username) {
+            await RateLimitUtil.reset(keys.userLock);
+            await RateLimitUtil.reset(keys.userFailures);
+        }
+        if (ipAddress) {
+            await RateLimitUtil.reset(keys.ipLock);
+            await RateLimitUtil.reset(keys.ipFailures);
+        }
+
+        this.logger.info('Login lockout lifted', { username, ipAddress });
+    }
+}
+
+module.exports = new LoginProtectionService();
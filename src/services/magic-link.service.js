@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { logger } = require('../middleware/logger.middleware');
+const UserModel = require('../models/user.model');
+const MagicLinkModel = require('../models/magic-link.model');
+const EncryptUtil = require('../utils/encrypt.util');
+const RateLimitUtil = require('../utils/rate-limit.util');
+const mailService = require('./mail.service');
+const tokenService = require('./token.service');
+const tenantService = require('./tenant.service');
+const authConfig = require('../config/auth.config');
+
+class MagicLinkService {
+    constructor() {
+        this.logger = logger('magic-link');
+    }
+
+    /**
+     * Hash the browser nonce for the link (the link itself never contains the nonce)
+     * 对浏览器nonce进行哈希（链接中不包含nonce本身）
+     * @param {string} nonce - Raw nonce
+     * @returns {string} Hash
+     */
+    hashNonce(nonce) {
+        return EncryptUtil.hashOneTimeToken(nonce, authConfig.tokenHashSecret);
+    }
+
+    /**
+     * Handle a login link request.
+     * Always returns a nonce so the response never reveals whether the email belongs to an account.
+     * 处理登录链接请求（总是返回nonce，不泄露邮箱是否存在）
+     * @param {string} email - Email address
+     * @param {Object} context - Client context (ipAddress)
+     * @returns {Promise<Object>} { limited, retryAfter, nonce } - the nonce is stored in a cookie of the requesting browser
+     */
+    async requestLink(email, context = {}) {
+        const { windowSeconds, maxPerIp, maxPerAccount } = authConfig.magicLink.rateLimit;
+
+        const ipLimit = await RateLimitUtil.hit(`magiclink:ip:${context.ipAddress}`, windowSeconds);
+        if (ipLimit.count > maxPerIp) {
+            this.logger.warn('Login link rate limited by IP', { ipAddress: context.ipAddress });
+            return { limited: true, retryAfter: ipLimit.ttl };
+        }
+
+        const nonce = EncryptUtil.randomBytes(32, 'base64url');
+
+        const user = await UserModel.findByEmail(email);
+        if (!user) {
+            this.logger.info('Login link requested for unknown email', { ipAddress: context.ipAddress });
+            return { limited: false, nonce };
+        }
+
+        // Per-account limit is applied silently so it cannot be used to probe for accounts
+        const accountLimit = await RateLimitUtil.hit(`magiclink:user:${user.id}`, windowSeconds);
+        if (accountLimit.count > maxPerAccount) {
+            this.logger.warn('Login link rate limited by account', { userId: user.id, ipAddress: context.ipAddress });
+            return { limited: false, nonce };
+        }
+
+        // Link creation and delivery run in the background so response time does not depend on the email existing
+        this.sendLink(user, nonce, context).catch(error => {
+            this.logger.error('Failed to send login link', { userId: user.id, error: error.message });
+        });
+
+        return { limited: false, nonce };
+    }
+
+    /**
+     * Sign a login link bound to a browser nonce, store its id and email it
+     * 签发绑定浏览器nonce的登录链接，保存其ID并发送邮件
+     * @param {Object} user - User record (id, username, email)
+     * @param {string} nonce - Raw browser nonce
+     * @param {Object} context - Client context (ipAddress)
+     */
+    async sendLink(user, nonce, context = {}) {
+        const jti = EncryptUtil.randomBytes(16);
+        const expiresIn = authConfig.magicLink.expiresIn;
+
+        // tid: the link names no tenant, verifyLink moves the request to the tenant of the user
+        const token = tokenService.sign(tokenService.withTenant({ typ: 'magic_link', nonce: this.hashNonce(nonce) }), {
+            subject: String(user.id),
+            expiresIn,
+            jwtid: jti
+        });
+
+        await MagicLinkModel.create({
+            jti,
+            userid: user.id,
+            expiresAt: new Date(Date.now() + expiresIn * 1000),
+            ipAddress: context.ipAddress
+        });
+
+        const link = mailService.buildLink('/api/auth/magic-link/verify', { token });
+        const minutes = Math.round(expiresIn / 60);
+
+        await mailService.send({
+            to: user.email,
+            subject: 'Your login link',
+            text: `Hi ${user.username},\n\nUse the link below to log in. It expires in ${minutes} minutes, can only be used once and only works in the browser where you requested it.\n\n${link}\n\nIf you did not request a login link, you can ignore this email.`
+        });
+
+        this.logger.info('Login link sent', { userId: user.id });
+    }
+
+    /**
+     * Check a login link and use it up
+     * 校验登录链接并使其失效
+     * @param {string} token - Signed link token
+     * @param {string} nonce - Nonce from the cookie of the browser opening the link
+     * @returns {Promise<number|null>} User ID, or null if the link is invalid, expired, used or opened in another browser
+     */
+    async verifyLink(token, nonce) {
+        let payload;
+        try {
+            payload = tokenService.verify(token);
+        } catch (error) {
+            this.logger.info('Invalid login link presented', { error: error.message });
+            return null;
+        }
+        if (payload.typ !== 'magic_link' || !payload.jti) {
+            return null;
+        }
+
+        const expected = Buffer.from(String(payload.nonce || ''));
+        const actual = Buffer.from(nonce ? this.hashNonce(nonce) : '');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            this.logger.warn('Login link opened in another browser', { userId: payload.sub });
+            return null;
+        }
+
+        if (!tenantService.bindTenant(payload.tid)) {
+            this.logger.warn('Login link used with another tenant', { userId: payload.sub });
+            return null;
+        }
+
+        // Single use: only the request that flips used_at may proceed
+        if (!(await MagicLinkModel.markUsed(payload.jti))) {
+            return null;
+        }
+
+        const userId = parseInt(payload.sub);
+        await MagicLinkModel.invalidateForUser(userId);
+
+        this.logger.info('Login link used', { userId });
+        return userId;
+    }
+}
+
+module.exports = new MagicLinkService();
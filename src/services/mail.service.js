@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../middleware/logger.middleware');
+const mailConfig = require('../config/mail.config');
+
+class MailService {
+    constructor() {
+        this.logger = logger('mail');
+        this.transports = new Map();
+
+        // Built-in transports for local development
+        this.registerTransport('console', {
+            send: async (message) => {
+                this.logger.info('Mail (console transport)', message);
+                return { id: `console_${Date.now()}` };
+            }
+        });
+
+        this.registerTransport('file', {
+            send: async (message) => {
+                await fs.promises.mkdir(mailConfig.fileDir, { recursive: true });
+                const id = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                const file = path.join(mailConfig.fileDir, `${id}.json`);
+                await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+                return { id, file };
+            }
+        });
+    }
+
+    /**
+     * Register a mail transport
+     * 注册邮件传输方式
+     * @param {string} name - Transport name
+     * @param {Object} transport - Object with an async send(message) method
+     */
+    registerTransport(name, transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new Error('Mail transport must implement send(message)');
+        }
+        this.transports.set(name, transport);
+    }
+
+    /**
+     * Send an email through the configured transport
+     * 通过配置的传输方式发送邮件
+     * @param {Object} message - Message
+     * @param {string} message.to - Recipient address
+     * @param {string} message.subject - Subject
+     * @param {string} message.text - Plain text body
+     * @param {string} message.html - HTML body (optional)
+     * @returns {Promise<Object>} Transport result
+     */
+    async send(message) {
+        const name = mailConfig.transport;
+        const transport = name && this.transports.get(name);
+
+        if (!transport) {
+            this.logger.error('Mail transport not configured', { transport: name, to: message.to });
+            throw new Error(`Mail transport not configured: ${name}`);
+        }
+
+        const result = await transport.send({
+            from: mailConfig.from,
+            ...message
+        });
+
+        this.logger.info('Mail sent', { transport: name, to: message.to, subject: message.subject });
+        return result;
+    }
+
+    /**
+     * Build an absolute link to the application
+     * 生成指向应用的绝对链接
+     * @param {string} pathname - Path (e.g. /reset-password)
+     * @param {Object} query - Query parameters
+     * @returns {string} URL
+     */
+    buildLink(pathname, query = {}) {
+        const url = new URL(pathname, mailConfig.appUrl);
+        Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+        return url.toString();
+    }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,208 @@
+const { logger } = require('../middleware/logger.middleware');
+const MfaModel = require('../models/mfa.model');
+const EncryptUtil = require('../utils/encrypt.util');
+const TotpUtil = require('../utils/totp.util');
+const RateLimitUtil = require('../utils/rate-limit.util');
+const tokenService = require('./token.service');
+const revocationService = require('./revocation.service');
+const tenantService = require('./tenant.service');
+const authConfig = require('../config/auth.config');
+
+// Unambiguous characters (no 0/O, 1/I); 32 symbols so random bytes map without bias
+const RECOVERY_CODE_CHARSET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+class MfaService {
+    constructor() {
+        this.logger = logger('mfa');
+    }
+
+    /**
+     * Check whether a user has confirmed TOTP enrollment
+     * 检查用户是否已启用两步验证
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} True if MFA is enabled
+     */
+    async isEnabled(userId) {
+        const settings = await MfaModel.findByUserId(userId);
+        return Boolean(settings && settings.enabled_at);
+    }
+
+    /**
+     * Decrypt the stored TOTP secret
+     * 解密保存的TOTP密钥
+     * @param {Object} settings - user_mfa row
+     * @returns {string} Base32 secret
+     */
+    decryptSecret(settings) {
+        return EncryptUtil.aesDecrypt(settings.secret_encrypted, authConfig.mfa.encryptionKey, settings.secret_iv);
+    }
+
+    /**
+     * Start TOTP enrollment: create a secret and the provisioning URI for authenticator apps
+     * 开始绑定TOTP：生成密钥和身份验证器应用的配置链接
+     * @param {Object} user - User record (id, username, email)
+     * @returns {Promise<Object|null>} { secret, otpauthUrl }, or null if MFA is already enabled
+     */
+    async startEnrollment(user) {
+        const existing = await MfaModel.findByUserId(user.id);
+        if (existing && existing.enabled_at) {
+            return null;
+        }
+
+        const secret = TotpUtil.generateSecret();
+        const { encrypted, iv } = EncryptUtil.aesEncrypt(secret, authConfig.mfa.encryptionKey);
+        await MfaModel.savePendingSecret(user.id, encrypted, iv);
+
+        this.logger.info('MFA enrollment started', { userId: user.id });
+
+        return {
+            secret,
+            otpauthUrl: TotpUtil.provisioningUri(secret, user.email || user.username, authConfig.mfa.issuer)
+        };
+    }
+
+    /**
+     * Confirm enrollment with a code from the authenticator app and generate recovery codes
+     * 使用验证器中的验证码确认绑定，并生成恢复码
+     * @param {number} userId - User ID
+     * @param {string} code - TOTP code
+     * @param {Object} options - Options
+     * @param {number} options.time - Timestamp in milliseconds (default: now)
+     * @returns {Promise<string[]|null>} Plain recovery codes (shown once), or null if the code is wrong
+     */
+    async confirmEnrollment(userId, code, options = {}) {
+        const settings = await MfaModel.findByUserId(userId);
+        if (!settings || settings.enabled_at) {
+            return null;
+        }
+
+        const step = TotpUtil.verify(code, this.decryptSecret(settings), {
+            window: authConfig.mfa.window,
+            time: options.time
+        });
+        if (step === null) {
+            return null;
+        }
+
+        const recoveryCodes = this.generateRecoveryCodes();
+        const enabled = await MfaModel.enable(userId, step, recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)));
+        if (!enabled) {
+            return null;
+        }
+
+        this.logger.info('MFA enabled', { userId });
+        return recoveryCodes;
+    }
+
+    /**
+     * Generate plain recovery codes (format XXXXX-XXXXX)
+     * 生成恢复码
+     * @returns {string[]} Recovery codes
+     */
+    generateRecoveryCodes() {
+        return Array.from({ length: authConfig.mfa.recoveryCodeCount }, () => {
+            const raw = EncryptUtil.randomString(10, RECOVERY_CODE_CHARSET);
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+    }
+
+    /**
+     * Hash a recovery code for storage (case, spaces and dashes are ignored)
+     * 对恢复码进行哈希（忽略大小写、空格和连字符）
+     * @param {string} recoveryCode - Plain recovery code
+     * @returns {string} HMAC-SHA256 hash
+     */
+    hashRecoveryCode(recoveryCode) {
+        const normalized = String(recoveryCode).toUpperCase().replace(/[\s-]/g, '');
+        return EncryptUtil.hashOneTimeToken(normalized, authConfig.tokenHashSecret);
+    }
+
+    /**
+     * Verify a second factor: a TOTP code (each time step is accepted once) or a recovery code (single use)
+     * 验证第二因素：TOTP验证码（每个时间步只能使用一次）或恢复码（一次性）
+     * @param {number} userId - User ID
+     * @param {Object} factor - { code } or { recoveryCode }
+     * @param {Object} options - Options
+     * @param {number} options.time - Timestamp in milliseconds (default: now)
+     * @returns {Promise<Object>} { success, method }
+     */
+    async verifyCode(userId, factor = {}, options = {}) {
+        const settings = await MfaModel.findByUserId(userId);
+        if (!settings || !settings.enabled_at) {
+            return { success: false, method: null };
+        }
+
+        if (factor.recoveryCode) {
+            const used = await MfaModel.useRecoveryCode(userId, this.hashRecoveryCode(factor.recoveryCode));
+            if (used) {
+                this.logger.info('Recovery code used', { userId });
+            }
+            return { success: used, method: 'recovery' };
+        }
+
+        const step = TotpUtil.verify(factor.code, this.decryptSecret(settings), {
+            window: authConfig.mfa.window,
+            time: options.time
+        });
+
+        // A code that was already accepted is rejected to prevent replay
+        const success = step !== null && await MfaModel.markStepUsed(userId, step);
+        return { success, method: 'totp' };
+    }
+
+    /**
+     * Verify the second factor of a login attempt against an "mfa pending" ticket.
+     * The ticket is single use, allows a limited number of wrong codes and moves the request to the tenant of the login.
+     * 使用"待二次验证"票据验证登录的第二因素；票据只能使用一次，错误次数有限
+     * @param {string} ticket - Ticket returned by /login
+     * @param {Object} factor - { code } or { recoveryCode }
+     * @returns {Promise<Object|null>} { userId, success, method, locked }, or null if the ticket is invalid
+     */
+    async verifyLoginTicket(ticket, factor = {}) {
+        const payload = tokenService.verifyMfaTicket(ticket);
+        if (!payload || await revocationService.isRevoked(payload)) {
+            return null;
+        }
+
+        // The second step names no tenant either: continue in the tenant the login started in
+        if (!tenantService.bindTenant(payload.tid)) {
+            this.logger.warn('MFA ticket used with another tenant', { userId: payload.userId });
+            return null;
+        }
+
+        const ttl = Math.max(1, payload.exp - Math.floor(Date.now() / 1000));
+        const attempts = await RateLimitUtil.hit(`mfa:ticket:${payload.jti}`, ttl);
+        if (attempts.count > authConfig.mfa.maxAttempts) {
+            await revocationService.revokeToken(payload, 'mfa_attempts_exceeded');
+            this.logger.warn('Too many MFA attempts for login ticket', { userId: payload.userId });
+            return { userId: payload.userId, success: false, method: null, locked: true };
+        }
+
+        const result = await this.verifyCode(payload.userId, factor);
+        if (result.success) {
+            await revocationService.revokeToken(payload, 'mfa_completed');
+        }
+
+        return { userId: payload.userId, ...result, locked: false };
+    }
+
+    /**
+     * Disable MFA after verifying a current code or a recovery code
+     * 验证当前验证码或恢复码后关闭两步验证
+     * @param {number} userId - User ID
+     * @param {Object} factor - { code } or { recoveryCode }
+     * @returns {Promise<boolean>} True if MFA was disabled
+     */
+    async disable(userId, factor = {}) {
+        const { success } = await this.verifyCode(userId, factor);
+        if (!success) {
+            return false;
+        }
+
+        await MfaModel.disable(userId);
+        this.logger.info('MFA disabled', { userId });
+        return true;
+    }
+}
+
+module.exports = new MfaService();
@@ -0,0 +1,485 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('../middleware/logger.middleware');
+const UserModel = require('../models/user.model');
+const IdentityModel = require('../models/identity.model');
+const HttpUtil = require('../utils/http.util');
+const RedisUtil = require('../utils/redis.util');
+const EncryptUtil = require('../utils/encrypt.util');
+const RequestContextUtil = require('../utils/request-context.util');
+const tenantService = require('./tenant.service');
+const oidcConfig = require('../config/oidc.config');
+
+/**
+ * OpenID Connect provider configured by discovery URL.
+ * Custom providers can extend this class (e.g. to override mapProfile) or implement the same methods.
+ */
+class OidcProvider {
+    constructor(options) {
+        this.name = options.name;
+        this.discoveryUrl = options.discoveryUrl;
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret || null;
+        this.scopes = options.scopes || 'openid email profile';
+        this.redirectUri = options.redirectUri;
+        this.logger = logger('oidc');
+        this.metadata = null;
+        this.metadataExpiresAt = 0;
+        this.jwks = null;
+        this.jwksExpiresAt = 0;
+    }
+
+    /**
+     * Fetch (and cache) the discovery document
+     * 获取并缓存OIDC发现文档
+     * @returns {Promise<Object>} Provider metadata
+     */
+    async getMetadata() {
+        if (this.metadata && Date.now() < this.metadataExpiresAt) {
+            return this.metadata;
+        }
+
+        const { data, status } = await HttpUtil.get(this.discoveryUrl);
+        if (status !== 200 || !data || !data.issuer || !data.authorization_endpoint || !data.token_endpoint || !data.jwks_uri) {
+            throw new Error(`Invalid discovery document from ${this.discoveryUrl} (status ${status})`);
+        }
+
+        this.metadata = data;
+        this.metadataExpiresAt = Date.now() + oidcConfig.metadataCacheTtl * 1000;
+        return data;
+    }
+
+    /**
+     * Build the URL the browser is sent to (authorization code flow with PKCE)
+     * 生成授权地址（授权码模式 + PKCE）
+     * @param {Object} params - { state, nonce, codeChallenge }
+     * @returns {Promise<string>} Authorization URL
+     */
+    async getAuthorizationUrl({ state, nonce, codeChallenge }) {
+        const metadata = await this.getMetadata();
+        const url = new URL(metadata.authorization_endpoint);
+
+        url.searchParams.set('response_type', 'code');
+        url.searchParams.set('client_id', this.clientId);
+        url.searchParams.set('redirect_uri', this.redirectUri);
+        url.searchParams.set('scope', this.scopes);
+        url.searchParams.set('state', state);
+        url.searchParams.set('nonce', nonce);
+        url.searchParams.set('code_challenge', codeChallenge);
+        url.searchParams.set('code_challenge_method', 'S256');
+
+        return url.toString();
+    }
+
+    /**
+     * Exchange an authorization code for tokens
+     * 使用授权码换取令牌
+     * @param {string} code - Authorization code
+     * @param {string} codeVerifier - PKCE code verifier
+     * @returns {Promise<Object>} Token response (contains id_token)
+     */
+    async exchangeCode(code, codeVerifier) {
+        const metadata = await this.getMetadata();
+
+        const { data, status } = await HttpUtil.postUrlEncoded(metadata.token_endpoint, {
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri,
+            client_id: this.clientId,
+            client_secret: this.clientSecret,
+            code_verifier: codeVerifier
+        }, {
+            headers: { Accept: 'application/json' }
+        });
+
+        if (status !== 200 || !data || !data.id_token) {
+            throw new Error(`Token request failed (status ${status}${data && data.error ? `, ${data.error}` : ''})`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Find a signing key of the provider, fetching the JWKS again once for unknown key IDs (key rotation)
+     * 获取提供方的签名公钥；遇到未知kid时重新拉取一次JWKS（密钥轮换）
+     * @param {string} kid - Key ID from the ID token header
+     * @returns {Promise<KeyObject|null>} Public key
+     */
+    async getSigningKey(kid) {
+        for (const refresh of [false, true]) {
+            if (refresh || !this.jwks || Date.now() >= this.jwksExpiresAt) {
+                const metadata = await this.getMetadata();
+                const { data, status } = await HttpUtil.get(metadata.jwks_uri);
+                if (status !== 200 || !data || !Array.isArray(data.keys)) {
+                    throw new Error(`Invalid JWKS from ${metadata.jwks_uri} (status ${status})`);
+                }
+                this.jwks = data.keys;
+                this.jwksExpiresAt = Date.now() + oidcConfig.metadataCacheTtl * 1000;
+            }
+
+            const signingKeys = this.jwks.filter(key => !key.use || key.use === 'sig');
+            const jwk = kid ? signingKeys.find(key => key.kid === kid) : (signingKeys.length === 1 ? signingKeys[0] : null);
+            if (jwk) {
+                return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate an ID token: signature, issuer, audience, expiry and nonce
+     * 校验ID令牌：签名、签发者、受众、有效期和nonce
+     * @param {string} idToken - ID token
+     * @param {string} nonce - Nonce sent in the authorization request
+     * @returns {Promise<Object>} Claims (throws if the token is not valid)
+     */
+    async validateIdToken(idToken, nonce) {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw new Error('Malformed ID token');
+        }
+
+        const metadata = await this.getMetadata();
+        const key = await this.getSigningKey(decoded.header.kid);
+        if (!key) {
+            throw new Error(`Unknown ID token signing key ${decoded.header.kid}`);
+        }
+
+        const claims = jwt.verify(idToken, key, {
+            algorithms: oidcConfig.idTokenAlgorithms,
+            issuer: metadata.issuer,
+            audience: this.clientId,
+            clockTolerance: oidcConfig.clockTolerance
+        });
+
+        if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.clientId) {
+            throw new Error('ID token azp does not match the client');
+        }
+
+        // Compare as buffers of equal length only
+        const expected = Buffer.from(String(nonce));
+        const actual = Buffer.from(String(claims.nonce || ''));
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new Error('ID token nonce mismatch');
+        }
+
+        return claims;
+    }
+
+    /**
+     * Map ID token claims to a profile
+     * 将ID令牌声明映射为用户资料
+     * @param {Object} claims - Validated claims
+     * @returns {Object} { subject, email, emailVerified, name, username }
+     */
+    mapProfile(claims) {
+        return {
+            subject: String(claims.sub),
+            email: claims.email ? String(claims.email).toLowerCase() : null,
+            emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+            name: claims.name || null,
+            username: claims.preferred_username || null
+        };
+    }
+}
+
+class OidcService {
+    constructor() {
+        this.logger = logger('oidc');
+        this.providers = new Map();
+        this.states = new Map();
+        this.statePrefix = 'oidc:state:';
+
+        for (const provider of oidcConfig.providers) {
+            this.registerProvider(provider.name, new OidcProvider({
+                ...provider,
+                redirectUri: this.getRedirectUri(provider.name)
+            }));
+        }
+    }
+
+    /**
+     * Callback URL of a provider (must be registered with the provider)
+     * 提供方的回调地址（需在提供方处登记）
+     * @param {string} name - Provider name
+     * @returns {string} Redirect URI
+     */
+    getRedirectUri(name) {
+        return new URL(`/api/auth/oidc/${encodeURIComponent(name)}/callback`, oidcConfig.redirectBaseUrl).toString();
+    }
+
+    /**
+     * Register a login provider
+     * 注册登录提供方
+     * @param {string} name - Provider name used in URLs and stored with linked identities
+     * @param {Object} provider - Object with getAuthorizationUrl, exchangeCode, validateIdToken and mapProfile
+     */
+    registerProvider(name, provider) {
+        const methods = ['getAuthorizationUrl', 'exchangeCode', 'validateIdToken', 'mapProfile'];
+        if (!provider || methods.some(method => typeof provider[method] !== 'function')) {
+            throw new Error(`OIDC provider must implement ${methods.join(', ')}`);
+        }
+        this.providers.set(name, provider);
+    }
+
+    /**
+     * Names of the registered providers
+     * 已注册的提供方名称
+     * @returns {Array<string>} Provider names
+     */
+    listProviders() {
+        return [...this.providers.keys()];
+    }
+
+    /**
+     * Create a PKCE code verifier and its S256 challenge
+     * 生成PKCE校验码及其S256挑战值
+     * @returns {Object} { codeVerifier, codeChallenge }
+     */
+    generatePkce() {
+        const codeVerifier = EncryptUtil.randomBytes(32, 'base64url');
+        return { codeVerifier, codeChallenge: EncryptUtil.sha256(codeVerifier, 'base64url') };
+    }
+
+    /**
+     * Store a pending login (Redis when connected, in-memory otherwise)
+     * 保存待完成的登录状态（优先Redis，否则内存）
+     * @param {string} state - State value
+     * @param {Object} data - Pending login data
+     */
+    async saveState(state, data) {
+        if (RedisUtil.isRedisConnected()) {
+            try {
+                await RedisUtil.set(`${this.statePrefix}${state}`, data, oidcConfig.stateExpiresIn);
+                return;
+            } catch (error) {
+                this.logger.warn('Failed to store OIDC state in Redis', { error: error.message });
+            }
+        }
+
+        this.states.set(state, { data, expiresAt: Date.now() + oidcConfig.stateExpiresIn * 1000 });
+    }
+
+    /**
+     * Read and delete a pending login, so a state can only be used once
+     * 读取并删除待完成的登录状态（state只能使用一次）
+     * @param {string} state - State value
+     * @returns {Promise<Object|null>} Pending login data
+     */
+    async takeState(state) {
+        if (RedisUtil.isRedisConnected()) {
+            try {
+                const key = `${this.statePrefix}${state}`;
+                const data = await RedisUtil.get(key);
+                // Only the request that actually deleted the key may use it
+                if (data && await RedisUtil.del(key) === 1) {
+                    return data;
+                }
+            } catch (error) {
+                this.logger.warn('Failed to read OIDC state from Redis', { error: error.message });
+            }
+        }
+
+        const entry = this.states.get(state);
+        this.states.delete(state);
+        if (!entry || Date.now() > entry.expiresAt) {
+            return null;
+        }
+        return entry.data;
+    }
+
+    /**
+     * Start a login (or, with userId, linking a provider to that user)
+     * 发起登录（传入userId时为给该用户绑定提供方账号）
+     * @param {string} providerName - Provider name
+     * @param {Object} options - { userId }
+     * @returns {Promise<Object|null>} { authorizationUrl, state }, or null for unknown providers
+     */
+    async startAuthorization(providerName, options = {}) {
+        const provider = this.providers.get(providerName);
+        if (!provider) {
+            return null;
+        }
+
+        const state = EncryptUtil.randomBytes(32, 'base64url');
+        const nonce = EncryptUtil.randomBytes(32, 'base64url');
+        const { codeVerifier, codeChallenge } = this.generatePkce();
+
+        const authorizationUrl = await provider.getAuthorizationUrl({ state, nonce, codeChallenge });
+        // The callback comes back from the provider without the tenant header or subdomain of this request
+        await this.saveState(state, {
+            provider: providerName, nonce, codeVerifier, userId: options.userId || null, tenantId: RequestContextUtil.getTenantId()
+        });
+
+        return { authorizationUrl, state };
+    }
+
+    /**
+     * Pick a free username based on the profile
+     * 根据资料生成可用的用户名
+     * @param {Object} profile - Mapped profile
+     * @param {number} attempt - 0 for the plain name, later attempts add a random suffix
+     * @returns {string} Username candidate
+     */
+    usernameCandidate(profile, attempt) {
+        const source = profile.username || (profile.email ? profile.email.split('@')[0] : 'user');
+        let base = source.replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 24);
+        if (base.length < 3) {
+            base = `user${base}`;
+        }
+        return attempt === 0 ? base : `${base}-${EncryptUtil.randomString(5, 'abcdefghijklmnopqrstuvwxyz0123456789')}`;
+    }
+
+    /**
+     * Create an account for a first-time login
+     * 首次登录时创建账号
+     * @param {Object} profile - Mapped profile
+     * @returns {Promise<Object>} { user } or { error: 'email_in_use' }
+     */
+    async createAccount(profile) {
+        const role = await UserModel.getRole(oidcConfig.defaultRole);
+        if (!role) {
+            throw new Error(`OIDC default role not found: ${oidcConfig.defaultRole}`);
+        }
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const username = this.usernameCandidate(profile, attempt);
+            const existing = await UserModel.checkUsernameOrEmail(username, profile.email);
+            if (existing && existing.email === profile.email) {
+                return { error: 'email_in_use' };
+            }
+            if (existing) {
+                continue;
+            }
+
+            // The account has no usable password until the user sets one with /password/forgot
+            const created = await UserModel.create({
+                username,
+                email: profile.email,
+                password: EncryptUtil.randomBytes(32),
+                roleid: role.id,
+                fullName: profile.name
+            });
+            if (profile.emailVerified) {
+                await UserModel.markEmailVerified(created.id, profile.email);
+            }
+
+            return { user: { ...created, roleid: role.id, fullName: profile.name } };
+        }
+
+        throw new Error('Could not find a free username');
+    }
+
+    /**
+     * Finish a login at the callback: check state, exchange the code, validate the ID token,
+     * then find, link or create the user.
+     * 在回调中完成登录：校验state、换取令牌、校验ID令牌，然后查找、绑定或创建用户
+     * @param {string} providerName - Provider name
+     * @param {Object} params - { code, state, browserState } (browserState comes from the state cookie)
+     * @returns {Promise<Object>} { user, created, linked, emailVerified } or { error }
+     */
+    async handleCallback(providerName, { code, state, browserState }) {
+        const provider = this.providers.get(providerName);
+        if (!provider) {
+            return { error: 'unknown_provider' };
+        }
+
+        // The state must have been issued to this browser, for this provider, and not used yet
+        if (!state || state !== browserState) {
+            this.logger.warn('OIDC callback with a state not bound to this browser', { provider: providerName });
+            return { error: 'invalid_state' };
+        }
+        const pending = await this.takeState(state);
+        if (!pending || pending.provider !== providerName) {
+            return { error: 'invalid_state' };
+        }
+        if (!tenantService.bindTenant(pending.tenantId)) {
+            this.logger.warn('OIDC callback for another tenant', { provider: providerName, tenantId: pending.tenantId });
+            return { error: 'invalid_state' };
+        }
+
+        let profile;
+        try {
+            const tokens = await provider.exchangeCode(code, pending.codeVerifier);
+            const claims = await provider.validateIdToken(tokens.id_token, pending.nonce);
+            profile = provider.mapProfile(claims, tokens);
+        } catch (error) {
+            this.logger.warn('OIDC login failed at the provider', { provider: providerName, error: error.message });
+            return { error: 'provider_error' };
+        }
+
+        const identity = await IdentityModel.findByProviderSubject(providerName, profile.subject);
+
+        // Linking to a signed-in user
+        if (pending.userId) {
+            if (identity && identity.userid !== pending.userId) {
+                return { error: 'identity_in_use' };
+            }
+            if (!identity) {
+                await IdentityModel.create({ userid: pending.userId, provider: providerName, subject: profile.subject, email: profile.email });
+                this.logger.info('OIDC identity linked', { userId: pending.userId, provider: providerName });
+            }
+            return { user: await UserModel.findById(pending.userId), created: false, linked: true };
+        }
+
+        if (identity) {
+            const user = await UserModel.findById(identity.userid);
+            if (!user) {
+                return { error: 'account_unavailable' };
+            }
+            await IdentityModel.touch(identity.id, profile.email);
+            return { user, created: false, linked: false };
+        }
+
+        // First login: an existing account with this email must link the provider itself, or anyone
+        // controlling that address at the provider could take the account over
+        if (!profile.email) {
+            return { error: 'email_required' };
+        }
+
+        const { user, error } = await this.createAccount(profile);
+        if (error) {
+            return { error };
+        }
+        await IdentityModel.create({ userid: user.id, provider: providerName, subject: profile.subject, email: profile.email });
+
+        this.logger.info('Account created from OIDC login', { userId: user.id, provider: providerName });
+        return { user: await UserModel.findById(user.id), created: true, linked: false, emailVerified: profile.emailVerified };
+    }
+
+    /**
+     * List the identities linked to a user
+     * 获取用户已绑定的外部账号
+     * @param {number} userId - User ID
+     * @returns {Promise<Array<Object>>} Identities
+     */
+    async listIdentities(userId) {
+        const rows = await IdentityModel.findByUser(userId);
+        return rows.map(row => ({
+            id: row.id,
+            provider: row.provider,
+            email: row.email,
+            lastLoginAt: row.last_login_at,
+            createdAt: row.created_at
+        }));
+    }
+
+    /**
+     * Unlink an identity
+     * 解绑外部账号
+     * @param {number} userId - User ID
+     * @param {number} identityId - Identity ID
+     * @returns {Promise<boolean>} False if the identity does not belong to the user
+     */
+    async unlinkIdentity(userId, identityId) {
+        const removed = await IdentityModel.remove(identityId, userId);
+        if (removed) {
+            this.logger.info('OIDC identity unlinked', { userId, identityId });
+        }
+        return removed;
+    }
+}
+
+module.exports = new OidcService();
+module.exports.OidcProvider = OidcProvider;
@@ -0,0 +1,150 @@
+const { logger } = require('../middleware/logger.middleware');
+const UserModel = require('../models/user.model');
+const PasswordResetModel = require('../models/password-reset.model');
+const EncryptUtil = require('../utils/encrypt.util');
+const RateLimitUtil = require('../utils/rate-limit.util');
+const mailService = require('./mail.service');
+const revocationService = require('./revocation.service');
+const passwordService = require('./password.service');
+const tenantService = require('./tenant.service');
+const authConfig = require('../config/auth.config');
+
+class PasswordResetService {
+    constructor() {
+        this.logger = logger('password-reset');
+    }
+
+    /**
+     * Handle a forgot-password request.
+     * The result never reveals whether the email belongs to an account.
+     * 处理忘记密码请求（不泄露邮箱是否存在）
+     * @param {string} email - Email address
+     * @param {Object} context - Client context (ipAddress)
+     * @returns {Promise<Object>} { limited, retryAfter } - limited is true when the IP is rate limited
+     */
+    async requestReset(email, context = {}) {
+        const { windowSeconds, maxPerIp, maxPerAccount } = authConfig.passwordResetRateLimit;
+
+        const ipLimit = await RateLimitUtil.hit(`pwreset:ip:${context.ipAddress}`, windowSeconds);
+        if (ipLimit.count > maxPerIp) {
+            this.logger.warn('Password reset rate limited by IP', { ipAddress: context.ipAddress });
+            return { limited: true, retryAfter: ipLimit.ttl };
+        }
+
+        const user = await UserModel.findByEmail(email);
+        if (!user) {
+            this.logger.info('Password reset requested for unknown email', { ipAddress: context.ipAddress });
+            return { limited: false };
+        }
+
+        // Per-account limit is applied silently so it cannot be used to probe for accounts
+        const accountLimit = await RateLimitUtil.hit(`pwreset:user:${user.id}`, windowSeconds);
+        if (accountLimit.count > maxPerAccount) {
+            this.logger.warn('Password reset rate limited by account', { userId: user.id, ipAddress: context.ipAddress });
+            return { limited: false };
+        }
+
+        // Token creation and delivery run in the background so response time does not depend on the email existing
+        this.sendResetEmail(user, context).catch(error => {
+            this.logger.error('Failed to send password reset email', { userId: user.id, error: error.message });
+        });
+
+        return { limited: false };
+    }
+
+    /**
+     * Force a password reset (admin action): the current password stops working, every token is revoked
+     * and the user gets a reset link by email
+     * 强制重置密码（管理员操作）：当前密码失效、撤销所有令牌并发送重置链接
+     * @param {Object} user - User record (id, email, username)
+     * @param {Object} context - Client context (ipAddress)
+     */
+    async forceReset(user, context = {}) {
+        await UserModel.changePassword(user.id, EncryptUtil.randomBytes(32));
+        await revocationService.revokeAllForUser(user.id, 'admin_password_reset');
+        await this.sendResetEmail(user, context);
+
+        this.logger.info('Password reset forced', { userId: user.id });
+    }
+
+    /**
+     * Create a reset token and email the reset link
+     * 创建重置令牌并发送重置链接邮件
+     * @param {Object} user - User record (id, email, username)
+     * @param {Object} context - Client context (ipAddress)
+     */
+    async sendResetEmail(user, context = {}) {
+        const { token, hash } = EncryptUtil.generateOneTimeToken(authConfig.tokenHashSecret);
+        const expiresAt = new Date(Date.now() + authConfig.passwordResetExpiresIn * 1000);
+
+        await PasswordResetModel.create({
+            userid: user.id,
+            tokenHash: hash,
+            expiresAt,
+            ipAddress: context.ipAddress
+        });
+
+        const link = mailService.buildLink('/reset-password', { token });
+        const minutes = Math.round(authConfig.passwordResetExpiresIn / 60);
+
+        await mailService.send({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hi ${user.username},\n\nUse the link below to reset your password. It expires in ${minutes} minutes and can only be used once.\n\n${link}\n\nIf you did not request a password reset, you can ignore this email.`
+        });
+
+        this.logger.info('Password reset email sent', { userId: user.id });
+    }
+
+    /**
+     * Reset a password with a reset token and revoke existing sessions.
+     * A password rejected by the policy leaves the token usable for another attempt.
+     * 使用重置令牌重置密码并撤销已有会话（新密码不符合策略时令牌仍可再次使用）
+     * @param {string} token - Raw reset token
+     * @param {string} newPassword - New password
+     * @returns {Promise<Object>} { userId, violations } - userId is null if the token is invalid, expired or used,
+     * or if the password was rejected (violations)
+     */
+    async resetPassword(token, newPassword) {
+        const stored = await PasswordResetModel.findValidByHash(
+            EncryptUtil.hashOneTimeToken(token, authConfig.tokenHashSecret)
+        );
+        if (!stored) {
+            return { userId: null };
+        }
+
+        // The link names no tenant: the rest of the request runs in the tenant of the user
+        if (!tenantService.bindTenant(stored.tenant_id)) {
+            this.logger.warn('Password reset token used with another tenant', { userId: stored.userid });
+            return { userId: null };
+        }
+
+        const user = await UserModel.findById(stored.userid);
+        if (!user) {
+            return { userId: null };
+        }
+
+        const violations = await passwordService.check(newPassword, user);
+        if (violations.length > 0) {
+            return { userId: null, violations };
+        }
+
+        // Single use: only the request that flips used_at may proceed
+        if (!(await PasswordResetModel.markUsed(stored.id))) {
+            return { userId: null };
+        }
+
+        // Deleted or moved since the lookup: nothing was changed, so nothing is revoked
+        if (!(await passwordService.setPassword(stored.userid, newPassword))) {
+            this.logger.warn('Password reset for a user that no longer exists', { userId: stored.userid });
+            return { userId: null };
+        }
+        await PasswordResetModel.invalidateForUser(stored.userid);
+        await revocationService.revokeAllForUser(stored.userid, 'password_reset');
+
+        this.logger.info('Password reset completed', { userId: stored.userid });
+        return { userId: stored.userid };
+    }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,113 @@
+const bcrypt = require('bcryptjs');
+const { logger } = require('../middleware/logger.middleware');
+const UserModel = require('../models/user.model');
+const PasswordHistoryModel = require('../models/password-history.model');
+const PasswordPolicyUtil = require('../utils/password-policy.util');
+const authConfig = require('../config/auth.config');
+
+class PasswordService {
+    constructor() {
+        this.logger = logger('password');
+    }
+
+    /**
+     * Hash a password with the configured cost
+     * 使用配置的成本因子对密码进行哈希
+     * @param {string} password - Password
+     * @returns {Promise<string>} bcrypt hash
+     */
+    async hash(password) {
+        return bcrypt.hash(password, authConfig.passwordHash.rounds);
+    }
+
+    /**
+     * Check whether a stored hash uses an outdated algorithm or a lower cost than configured
+     * 检查已存储的哈希是否使用了过时的算法或低于配置的成本因子
+     * @param {string} hash - Stored hash
+     * @returns {boolean} True if the hash should be replaced
+     */
+    needsRehash(hash) {
+        if (typeof hash !== 'string' || !hash.startsWith(authConfig.passwordHash.algorithm)) {
+            return true;
+        }
+        try {
+            const rounds = bcrypt.getRounds(hash);
+            return !Number.isInteger(rounds) || rounds < authConfig.passwordHash.rounds;
+        } catch (error) {
+            return true;
+        }
+    }
+
+    /**
+     * Check whether a password matches the current or one of the recent passwords of a user
+     * 检查密码是否与用户当前或最近使用过的密码相同
+     * @param {number} userId - User ID
+     * @param {string} password - Candidate password
+     * @returns {Promise<boolean>} True if reused
+     */
+    async isReused(userId, password) {
+        const current = await UserModel.getPasswordHash(userId);
+        const previous = await PasswordHistoryModel.findRecent(userId, authConfig.passwordPolicy.historySize);
+
+        for (const hash of [current, ...previous]) {
+            if (hash && await bcrypt.compare(password, hash)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check a new password against the policy and, for existing users, the password history
+     * 按密码策略校验新密码（已有用户还会检查历史密码）
+     * @param {string} password - New password
+     * @param {Object} user - { id, username, email }; without id the history is not checked
+     * @returns {Promise<Array<string>>} Violations (empty if the password is acceptable)
+     */
+    async check(password, user = {}) {
+        const violations = PasswordPolicyUtil.validate(password, user);
+
+        if (violations.length === 0 && user.id && await this.isReused(user.id, password)) {
+            violations.push(`Password must differ from your last ${authConfig.passwordPolicy.historySize} passwords`);
+        }
+
+        return violations;
+    }
+
+    /**
+     * Set a new password and remember it in the password history
+     * 设置新密码并记录到历史密码
+     * @param {number} userId - User ID
+     * @param {string} password - New password (already checked)
+     * @returns {Promise<boolean>} False if the user does not exist
+     */
+    async setPassword(userId, password) {
+        const hash = await this.hash(password);
+        if (!(await UserModel.setPasswordHash(userId, hash))) {
+            return false;
+        }
+
+        await PasswordHistoryModel.add(userId, hash);
+        await PasswordHistoryModel.prune(userId, authConfig.passwordPolicy.historySize);
+        return true;
+    }
+
+    /**
+     * Replace an outdated hash after a successful login (the plain password is only known then)
+     * 登录成功后替换过时的哈希（只有此时才知道明文密码）
+     * @param {Object} user - User record with the stored hash in password
+     * @param {string} password - Password that was just verified
+     * @returns {Promise<boolean>} True if the hash was upgraded
+     */
+    async rehashIfNeeded(user, password) {
+        if (!this.needsRehash(user.password)) {
+            return false;
+        }
+
+        await UserModel.setPasswordHash(user.id, await this.hash(password));
+        this.logger.info('Password hash upgraded', { userId: user.id });
+        return true;
+    }
+}
+
+module.exports = new PasswordService();
@@ -0,0 +1,177 @@
+const { logger } = require('../middleware/logger.middleware');
+const RedisUtil = require('../utils/redis.util');
+const UserModel = require('../models/user.model');
+const rbacConfig = require('../config/rbac.config');
+
+class PermissionService {
+    constructor() {
+        this.logger = logger('permission');
+        this.cachePrefix = 'auth:perm:';
+
+        // Local cache used when Redis is not connected: userId -> { data, expiresAt }
+        this.cache = new Map();
+    }
+
+    /**
+     * Parse roles.paramlist into permission strings.
+     * Accepts a JSON array or a comma/whitespace separated list.
+     * 将roles.paramlist解析为权限字符串数组
+     * @param {string|Array} paramlist - Raw paramlist value
+     * @returns {Array<string>} Permission strings
+     */
+    parsePermissions(paramlist) {
+        if (!paramlist) {
+            return [];
+        }
+
+        if (Array.isArray(paramlist)) {
+            return paramlist.map(String).filter(Boolean);
+        }
+
+        const value = String(paramlist).trim();
+        if (value.startsWith('[')) {
+            try {
+                return this.parsePermissions(JSON.parse(value));
+            } catch (error) {
+                this.logger.warn('Invalid paramlist JSON', { error: error.message });
+                return [];
+            }
+        }
+
+        return value.split(/[\s,]+/).filter(Boolean);
+    }
+
+    /**
+     * Check whether a permission list grants a permission
+     * 检查权限列表是否包含指定权限
+     * @param {Array<string>} permissions - Granted permissions
+     * @param {string} permission - Required permission
+     * @returns {boolean} True if granted
+     */
+    hasPermission(permissions, permission) {
+        return permissions.some(granted => {
+            if (granted === '*' || granted === permission) {
+                return true;
+            }
+            return granted.endsWith(':*') && permission.startsWith(granted.slice(0, -1));
+        });
+    }
+
+    /**
+     * Check whether a permission list grants every permission of another (wildcards included),
+     * e.g. whether an admin holds everything a role would grant
+     * 检查权限列表是否包含另一组的全部权限（含通配符）
+     * @param {Array<string>} permissions - Granted permissions
+     * @param {Array<string>} required - Permissions to cover
+     * @returns {boolean} True if all are granted
+     */
+    hasAllPermissions(permissions, required) {
+        return required.every(permission => this.hasPermission(permissions, permission));
+    }
+
+    /**
+     * Permissions granted by a role row (the admin role gets "*")
+     * 获取角色授予的权限（管理员角色为"*"）
+     * @param {Object} role - Role row (rolename, paramlist)
+     * @returns {Array<string>} Permission strings
+     */
+    getRolePermissions(role) {
+        return role.rolename === rbacConfig.adminRole ? ['*'] : this.parsePermissions(role.paramlist);
+    }
+
+    /**
+     * Load a user's role and permissions (cached)
+     * 获取用户的角色与权限（带缓存）
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} { roleId, role, permissions } or null if the user has no role
+     */
+    async getUserAccess(userId) {
+        const cached = await this.getCached(userId);
+        if (cached) {
+            return cached;
+        }
+
+        const role = await UserModel.getRoleByUserId(userId);
+        if (!role) {
+            return null;
+        }
+
+        const permissions = this.getRolePermissions(role);
+
+        const access = {
+            roleId: role.id,
+            role: role.rolename,
+            permissions
+        };
+
+        await this.setCached(userId, access);
+        return access;
+    }
+
+    /**
+     * Read cached access data
+     * 读取缓存的权限数据
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} Cached access data
+     */
+    async getCached(userId) {
+        if (RedisUtil.isRedisConnected()) {
+            try {
+                return await RedisUtil.get(`${this.cachePrefix}${userId}`);
+            } catch (error) {
+                this.logger.warn('Failed to read permission cache from Redis', { error: error.message });
+            }
+        }
+
+        const entry = this.cache.get(userId);
+        if (!entry) {
+            return null;
+        }
+        if (Date.now() > entry.expiresAt) {
+            this.cache.delete(userId);
+            return null;
+        }
+        return entry.data;
+    }
+
+    /**
+     * Store access data in the cache
+     * 缓存权限数据
+     * @param {number} userId - User ID
+     * @param {Object} access - Access data
+     */
+    async setCached(userId, access) {
+        if (RedisUtil.isRedisConnected()) {
+            try {
+                await RedisUtil.set(`${this.cachePrefix}${userId}`, access, rbacConfig.cacheTtl);
+                return;
+            } catch (error) {
+                this.logger.warn('Failed to write permission cache to Redis', { error: error.message });
+            }
+        }
+
+        this.cache.set(userId, {
+            data: access,
+            expiresAt: Date.now() + rbacConfig.cacheTtl * 1000
+        });
+    }
+
+    /**
+     * Drop cached access data (call after a user's role or a role's paramlist changes)
+     * 清除缓存的权限数据（用户角色或角色权限变更后调用）
+     * @param {number} userId - User ID
+     */
+    async invalidate(userId) {
+        this.cache.delete(userId);
+
+        if (RedisUtil.isRedisConnected()) {
+            try {
+                await RedisUtil.del(`${this.cachePrefix}${userId}`);
+            } catch (error) {
+                this.logger.warn('Failed to clear permission cache in Redis', { error: error.message });
+            }
+        }
+    }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,221 @@
+const bcrypt = require('bcryptjs');
+const { logger } = require('../middleware/logger.middleware');
+const UserModel = require('../models/user.model');
+const { VersionConflictError } = require('../models/base.model');
+const ETagUtil = require('../utils/etag.util');
+const revocationService = require('./revocation.service');
+const sessionService = require('./session.service');
+const emailVerificationService = require('./email-verification.service');
+const mfaService = require('./mfa.service');
+const passwordService = require('./password.service');
+
+// Conditional writes tried while only the row version, not the profile, changes in between
+const MAX_VERSION_RETRIES = 3;
+
+class ProfileService {
+    constructor() {
+        this.logger = logger('profile');
+    }
+
+    /**
+     * Get the profile of a user
+     * 获取用户资料
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} Profile, or null if the user does not exist
+     */
+    async getProfile(userId) {
+        const loaded = await this.loadProfile(userId);
+        return loaded ? loaded.profile : null;
+    }
+
+    /**
+     * Get the profile of a user with the version of its users row, which guards conditional updates
+     * 获取用户资料及其users行版本（用于条件更新）
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} { profile, version }, or null if the user does not exist
+     */
+    async loadProfile(userId) {
+        const row = await UserModel.getProfile(userId);
+        if (!row) {
+            return null;
+        }
+
+        const profile = {
+            id: row.id,
+            username: row.username,
+            email: row.email,
+            fullName: row.fullName,
+            role: row.rolename,
+            emailVerified: Boolean(row.email_verified_at),
+            emailVerifiedAt: row.email_verified_at,
+            mfaEnabled: await mfaService.isEnabled(userId),
+            createdAt: row.created_at
+        };
+        return { profile, version: row.version };
+    }
+
+    /**
+     * ETag of a profile: a digest of what the client sees, so that writes that do not show in it
+     * (password changes, login bookkeeping) do not invalidate the tag, while enabling MFA does
+     * 用户资料的ETag（按响应内容计算）
+     * @param {Object} profile - Profile returned by getProfile
+     * @returns {string} Quoted strong tag
+     */
+    etag(profile) {
+        return ETagUtil.fromRepresentation(profile);
+    }
+
+    /**
+     * Update username, email and/or full name. A changed email is unverified until the new address is confirmed.
+     * With options.ifMatch the update only happens while the profile still has one of these ETags; the write itself
+     * is guarded by the version of the users row read with it, so a change in between is refused as well, unless
+     * the profile still has the same ETag after it.
+     * 更新用户名、邮箱和姓名；修改后的邮箱需重新验证。指定ifMatch时仅在资料ETag未变化时更新
+     * @param {Object} user - Current user record
+     * @param {Object} changes - { username, email, fullName }
+     * @param {Object} options - { ifMatch } quoted ETags the client edited (If-Match)
+     * @returns {Promise<Object>} { updated, notFound, conflict, preconditionFailed, emailChanged, profile }
+     */
+    async updateProfile(user, changes, options = {}) {
+        let current = await this.loadProfile(user.id);
+        if (!current) {
+            return { updated: false, notFound: true, profile: null };
+        }
+
+        // Checked even when nothing changes, so a client editing an outdated profile always learns about it
+        if (options.ifMatch && !options.ifMatch.includes(this.etag(current.profile))) {
+            return { updated: false, preconditionFailed: true, profile: current.profile };
+        }
+
+        const fields = {};
+        if (changes.username !== undefined && changes.username !== user.username) {
+            fields.username = changes.username;
+        }
+        if (changes.email !== undefined && changes.email !== user.email) {
+            fields.email = changes.email;
+        }
+        if (changes.fullName !== undefined && changes.fullName !== user.fullName) {
+            fields.fullName = changes.fullName;
+        }
+
+        if (Object.keys(fields).length === 0) {
+            return { updated: false, conflict: false, emailChanged: false, profile: current.profile };
+        }
+
+        if (fields.username || fields.email) {
+            const existing = await UserModel.findOtherByUsernameOrEmail(user.id, fields.username, fields.email);
+            if (existing) {
+                return { updated: false, conflict: true, emailChanged: false, profile: null };
+            }
+        }
+
+        let written;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                written = await UserModel.update(user.id, fields, { version: options.ifMatch ? current.version : undefined });
+                break;
+            } catch (error) {
+                if (!(error instanceof VersionConflictError)) {
+                    // Another account took the username or email after the check above
+                    if (error.code === 'ER_DUP_ENTRY') {
+                        return { updated: false, conflict: true, emailChanged: false, profile: null };
+                    }
+                    throw error;
+                }
+
+                // Only the ETag decides: a write that does not show in the profile (password rehash at login)
+                // moves the row version alone, so the update is tried again with the new version
+                current = await this.loadProfile(user.id);
+                if (!current) {
+                    return { updated: false, notFound: true, profile: null };
+                }
+                if (!options.ifMatch.includes(this.etag(current.profile)) || attempt >= MAX_VERSION_RETRIES) {
+                    return { updated: false, preconditionFailed: true, profile: current.profile };
+                }
+            }
+        }
+
+        // Deleted in the meantime
+        if (!written) {
+            return { updated: false, notFound: true, profile: null };
+        }
+
+        const emailChanged = fields.email !== undefined;
+
+        if (emailChanged) {
+            // Send in the background; the user can ask for another email with /resend-verification
+            emailVerificationService.sendVerification({ id: user.id, username: fields.username || user.username, email: fields.email })
+                .catch(error => {
+                    this.logger.error('Failed to send verification email', { userId: user.id, error: error.message });
+                });
+        }
+
+        this.logger.info('Profile updated', { userId: user.id, fields: Object.keys(fields) });
+
+        return { updated: true, conflict: false, emailChanged, profile: await this.getProfile(user.id) };
+    }
+
+    /**
+     * Check the current password of a user
+     * 校验用户当前密码
+     * @param {number} userId - User ID
+     * @param {string} password - Password to check
+     * @returns {Promise<boolean>} True if the password matches
+     */
+    async verifyPassword(userId, password) {
+        const hash = await UserModel.getPasswordHash(userId);
+        if (!hash) {
+            return false;
+        }
+        return bcrypt.compare(password, hash);
+    }
+
+    /**
+     * Change the password after checking the current one and the password policy; every other session is signed out
+     * 校验当前密码和密码策略后修改密码，并登出其他所有会话
+     * @param {Object} user - Current user record
+     * @param {string} currentPassword - Current password
+     * @param {string} newPassword - New password
+     * @param {string} currentSessionId - Session to keep signed in
+     * @returns {Promise<Object>} { changed, wrongPassword, violations }
+     */
+    async changePassword(user, currentPassword, newPassword, currentSessionId = null) {
+        if (!(await this.verifyPassword(user.id, currentPassword))) {
+            this.logger.warn('Password change with wrong current password', { userId: user.id });
+            return { changed: false, wrongPassword: true };
+        }
+
+        const violations = await passwordService.check(newPassword, user);
+        if (violations.length > 0) {
+            return { changed: false, violations };
+        }
+
+        await passwordService.setPassword(user.id, newPassword);
+        const revoked = await sessionService.revokeOtherSessions(user.id, currentSessionId);
+
+        this.logger.info('Password changed', { userId: user.id, sessionsRevoked: revoked });
+        return { changed: true };
+    }
+
+    /**
+     * Delete the account (soft delete) after checking the password, and revoke every token
+     * 校验密码后删除账号（软删除），并撤销所有令牌
+     * @param {Object} user - Current user record
+     * @param {string} password - Current password
+     * @returns {Promise<boolean>} False if the password is wrong
+     */
+    async deleteAccount(user, password) {
+        if (!(await this.verifyPassword(user.id, password))) {
+            this.logger.warn('Account deletion with wrong password', { userId: user.id });
+            return false;
+        }
+
+        await UserModel.softDelete(user.id);
+        await revocationService.revokeAllForUser(user.id, 'account_deleted');
+
+        this.logger.info('Account deleted', { userId: user.id });
+        return true;
+    }
+}
+
+module.exports = new ProfileService();
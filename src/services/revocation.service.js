@@ -0,0 +1,261 @@
+const { logger } = require('../middleware/logger.middleware');
+const RedisUtil = require('../utils/redis.util');
+const RevokedTokenModel = require('../models/revoked-token.model');
+const RefreshTokenModel = require('../models/refresh-token.model');
+const authConfig = require('../config/auth.config');
+
+class RevocationService {
+    constructor() {
+        this.logger = logger('revocation');
+        this.jtiPrefix = 'auth:revoked:jti:';
+        this.userPrefix = 'auth:revoked:user:';
+        this.sessionPrefix = 'auth:revoked:sid:';
+        // Redis may lack revocations (none copied yet, or written while it was down) until syncToRedis runs
+        this.redisStale = true;
+        this.syncing = null;
+    }
+
+    /**
+     * Mirror a revocation to Redis. When Redis is down or the write fails it is marked stale,
+     * so lookups use MySQL until the revocations are copied over again.
+     * 将撤销记录同步写入Redis（失败时标记Redis数据不完整）
+     * @param {string} key - Redis key
+     * @param {string|number} value - Value
+     * @param {number} ttl - TTL in seconds
+     */
+    async mirror(key, value, ttl) {
+        if (!RedisUtil.isRedisConnected()) {
+            this.redisStale = true;
+            return;
+        }
+
+        try {
+            await RedisUtil.set(key, value, ttl);
+        } catch (error) {
+            this.redisStale = true;
+            this.logger.warn('Failed to store revocation in Redis', { key, error: error.message });
+        }
+    }
+
+    /**
+     * Revoke a single access token by its jti.
+     * The entry is always written to MySQL and mirrored to Redis (TTL = remaining token lifetime).
+     * 撤销单个访问令牌
+     * @param {Object} payload - Decoded access token payload (jti, userId, exp)
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<boolean>} True if the token was revoked
+     */
+    async revokeToken(payload, reason = 'logout') {
+        if (!payload || !payload.jti) {
+            return false;
+        }
+
+        const ttl = payload.exp - Math.floor(Date.now() / 1000);
+        if (ttl <= 0) {
+            return false;
+        }
+
+        await RevokedTokenModel.add({
+            jti: payload.jti,
+            userid: payload.userId,
+            expiresAt: new Date(payload.exp * 1000),
+            reason
+        });
+
+        await this.mirror(`${this.jtiPrefix}${payload.jti}`, reason, ttl);
+
+        this.logger.info('Access token revoked', { userId: payload.userId, jti: payload.jti, reason });
+        return true;
+    }
+
+    /**
+     * Revoke every token of a user issued up to now (access and refresh tokens).
+     * The cutoff is in milliseconds so a token issued right after it (e.g. by a new login) stays valid.
+     * The Redis copy expires with the refresh token lifetime, after which no token issued before it can still be valid.
+     * 撤销用户当前所有令牌（访问令牌与刷新令牌），截止时间精确到毫秒
+     * @param {number} userId - User ID
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<Object>} Cutoff timestamp (ms) and number of revoked refresh tokens
+     */
+    async revokeAllForUser(userId, reason = 'logout_all') {
+        const cutoff = Date.now();
+
+        await RevokedTokenModel.setUserCutoff(userId, new Date(cutoff), reason);
+        const refreshTokensRevoked = await RefreshTokenModel.revokeAllForUser(userId, reason);
+
+        await this.mirror(`${this.userPrefix}${userId}`, cutoff, authConfig.refreshTokenExpiresIn);
+
+        this.logger.info('All tokens revoked for user', { userId, reason, refreshTokensRevoked });
+        return { cutoff, refreshTokensRevoked };
+    }
+
+    /**
+     * Revoke one session: its refresh token family and every access token carrying its sid.
+     * The sid entry is stored in revoked_tokens as "sid:<session id>" and kept for the refresh token lifetime,
+     * after which no access token of the session can still be valid.
+     * 撤销单个会话：刷新令牌族以及带有该sid的所有访问令牌
+     * @param {number} userId - User ID
+     * @param {string} sessionId - Session ID (refresh token family)
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<number>} Number of revoked refresh tokens
+     */
+    async revokeSession(userId, sessionId, reason = 'session_revoked') {
+        const refreshTokensRevoked = await RefreshTokenModel.revokeFamily(sessionId, reason);
+
+        await RevokedTokenModel.add({
+            jti: `sid:${sessionId}`,
+            userid: userId,
+            expiresAt: new Date(Date.now() + authConfig.refreshTokenExpiresIn * 1000),
+            reason
+        });
+
+        await this.mirror(`${this.sessionPrefix}${sessionId}`, reason, authConfig.refreshTokenExpiresIn);
+
+        this.logger.info('Session revoked', { userId, sessionId, reason, refreshTokensRevoked });
+        return refreshTokensRevoked;
+    }
+
+    /**
+     * Check whether a decoded access token has been revoked.
+     * While Redis is connected it holds every revocation and answers alone, without a MySQL query.
+     * After a Redis outage (and once after startup) the revocations in MySQL are copied to Redis first;
+     * MySQL answers while Redis is down or the lookup fails.
+     * 检查访问令牌是否已被撤销（Redis连接时只查Redis；Redis不可用时查MySQL）
+     * @param {Object} payload - Decoded access token payload
+     * @returns {Promise<boolean>} True if revoked
+     */
+    async isRevoked(payload) {
+        if (!RedisUtil.isRedisConnected()) {
+            this.redisStale = true;
+            return this.isRevokedInDatabase(payload);
+        }
+
+        try {
+            if (this.redisStale) {
+                await this.syncToRedis();
+            }
+            return await this.isRevokedInRedis(payload);
+        } catch (error) {
+            this.logger.warn('Redis revocation lookup failed, falling back to MySQL', { error: error.message });
+            return this.isRevokedInDatabase(payload);
+        }
+    }
+
+    /**
+     * Copy the revocations still in force from MySQL to Redis. Concurrent callers share one copy.
+     * 将仍然有效的撤销记录从MySQL复制到Redis
+     * @returns {Promise<void>}
+     */
+    async syncToRedis() {
+        if (!this.syncing) {
+            this.syncing = this.copyToRedis().finally(() => {
+                this.syncing = null;
+            });
+        }
+        await this.syncing;
+    }
+
+    /**
+     * Write every revoked jti, revoked session and user cutoff that can still reject a token to Redis
+     * 将撤销的jti、会话和用户截止时间写入Redis
+     * @returns {Promise<void>}
+     */
+    async copyToRedis() {
+        // A write failing while copying marks Redis stale again
+        this.redisStale = false;
+
+        try {
+            const now = Date.now();
+            const lifetime = authConfig.refreshTokenExpiresIn * 1000;
+
+            const revoked = await RevokedTokenModel.findActive();
+            for (const row of revoked) {
+                const ttl = Math.ceil((new Date(row.expires_at).getTime() - now) / 1000);
+                if (ttl > 0) {
+                    const key = row.jti.startsWith('sid:')
+                        ? `${this.sessionPrefix}${row.jti.slice(4)}`
+                        : `${this.jtiPrefix}${row.jti}`;
+                    await RedisUtil.set(key, row.reason || 'revoked', ttl);
+                }
+            }
+
+            const cutoffs = await RevokedTokenModel.findCutoffsSince(new Date(now - lifetime));
+            for (const row of cutoffs) {
+                const cutoff = new Date(row.revoked_before).getTime();
+                const ttl = Math.ceil((cutoff + lifetime - now) / 1000);
+                if (ttl > 0) {
+                    await RedisUtil.set(`${this.userPrefix}${row.userid}`, cutoff, ttl);
+                }
+            }
+
+            this.logger.info('Revocations copied to Redis', { revoked: revoked.length, cutoffs: cutoffs.length });
+        } catch (error) {
+            this.redisStale = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Delete revoked_tokens entries of tokens that have expired anyway (run periodically by the server)
+     * 删除已过期令牌的撤销记录（由服务器定期执行）
+     * @returns {Promise<number>} Number of deleted entries
+     */
+    async deleteExpired() {
+        const deleted = await RevokedTokenModel.deleteExpired();
+        if (deleted > 0) {
+            this.logger.info('Expired revocations deleted', { deleted });
+        }
+        return deleted;
+    }
+
+    /**
+     * Issue time of an access token in milliseconds (iatMs claim).
+     * Tokens signed without it only have the second of iat and count as issued at its start.
+     * 访问令牌的签发时间（毫秒）
+     * @param {Object} payload - Decoded access token payload
+     * @returns {number} Issue time in milliseconds
+     */
+    issuedAt(payload) {
+        return payload.iatMs !== undefined ? Number(payload.iatMs) : payload.iat * 1000;
+    }
+
+    /**
+     * Revocation lookup in Redis
+     * 在Redis中检查撤销状态
+     * @param {Object} payload - Decoded access token payload
+     * @returns {Promise<boolean>} True if revoked
+     */
+    async isRevokedInRedis(payload) {
+        if (payload.jti && await RedisUtil.exists(`${this.jtiPrefix}${payload.jti}`)) {
+            return true;
+        }
+
+        if (payload.sid && await RedisUtil.exists(`${this.sessionPrefix}${payload.sid}`)) {
+            return true;
+        }
+
+        const cutoff = await RedisUtil.get(`${this.userPrefix}${payload.userId}`);
+        return cutoff !== null && this.issuedAt(payload) <= Number(cutoff);
+    }
+
+    /**
+     * Revocation lookup in MySQL
+     * 在MySQL中检查撤销状态
+     * @param {Object} payload - Decoded access token payload
+     * @returns {Promise<boolean>} True if revoked
+     */
+    async isRevokedInDatabase(payload) {
+        if (payload.jti && await RevokedTokenModel.isRevoked(payload.jti)) {
+            return true;
+        }
+
+        if (payload.sid && await RevokedTokenModel.isRevoked(`sid:${payload.sid}`)) {
+            return true;
+        }
+
+        const cutoff = await RevokedTokenModel.getUserCutoff(payload.userId);
+        return cutoff !== null && this.issuedAt(payload) <= new Date(cutoff).getTime();
+    }
+}
+
+module.exports = new RevocationService();
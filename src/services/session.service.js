@@ -0,0 +1,87 @@
+const { logger } = require('../middleware/logger.middleware');
+const SessionModel = require('../models/session.model');
+const UserModel = require('../models/user.model');
+const NetworkUtil = require('../utils/network.util');
+const revocationService = require('./revocation.service');
+
+class SessionService {
+    constructor() {
+        this.logger = logger('session');
+    }
+
+    /**
+     * Format a session row for API responses
+     * 格式化会话记录用于接口响应
+     * @param {Object} row - Active session row
+     * @param {string} currentSessionId - Session of the current request
+     * @returns {Object} Session
+     */
+    formatSession(row, currentSessionId) {
+        const { raw, ...deviceInfo } = NetworkUtil.parseUserAgent(row.user_agent || 'unknown');
+
+        return {
+            id: row.session_id,
+            current: row.session_id === currentSessionId,
+            device: row.deviceinfo,
+            deviceInfo,
+            location: row.location,
+            network: row.network,
+            ipAddress: row.ip,
+            createdAt: row.created_at,
+            lastActiveAt: row.last_active_at
+        };
+    }
+
+    /**
+     * List the active sessions of a user
+     * 列出用户的活跃会话
+     * @param {number} userId - User ID
+     * @param {string} currentSessionId - Session of the current request (sid claim)
+     * @returns {Promise<Object[]>} Sessions
+     */
+    async listSessions(userId, currentSessionId = null) {
+        const rows = await SessionModel.findActiveByUser(userId);
+        return rows.map(row => this.formatSession(row, currentSessionId));
+    }
+
+    /**
+     * Revoke one session of a user
+     * 撤销用户的一个会话
+     * @param {number} userId - User ID
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<boolean>} False if the user has no such active session
+     */
+    async revokeSession(userId, sessionId, reason = 'session_revoked') {
+        const session = await SessionModel.findActive(userId, sessionId);
+        if (!session) {
+            return false;
+        }
+
+        await revocationService.revokeSession(userId, sessionId, reason);
+        await UserModel.recordLogout(userId, sessionId);
+        return true;
+    }
+
+    /**
+     * Revoke every session of a user except the current one
+     * 撤销用户除当前会话外的所有会话
+     * @param {number} userId - User ID
+     * @param {string} currentSessionId - Session to keep
+     * @returns {Promise<number>} Number of revoked sessions
+     */
+    async revokeOtherSessions(userId, currentSessionId) {
+        const rows = await SessionModel.findActiveByUser(userId);
+        const others = rows.filter(row => row.session_id !== currentSessionId);
+
+        for (const row of others) {
+            await revocationService.revokeSession(userId, row.session_id, 'sessions_revoked');
+            await UserModel.recordLogout(userId, row.session_id);
+        }
+
+        this.logger.info('Other sessions revoked', { userId, revoked: others.length });
+        return others.length;
+    }
+}
+
+module.exports = new SessionService();
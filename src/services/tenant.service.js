@@ -0,0 +1,125 @@
+const { logger } = require('../middleware/logger.middleware');
+const TenantModel = require('../models/tenant.model');
+const RequestContextUtil = require('../utils/request-context.util');
+const tenantConfig = require('../config/tenant.config');
+
+class TenantService {
+    constructor() {
+        this.logger = logger('tenant');
+
+        // Found tenants: key (id, slug) -> { tenant, expiresAt }; unknown keys are not cached
+        this.cache = new Map();
+    }
+
+    /**
+     * Tenant slug named by the subdomain of a host (acme.example.com -> acme)
+     * 从主机名的子域名中解析租户标识
+     * @param {string} hostname - Host name without port
+     * @returns {string|null} Slug, or null if the host names no tenant
+     */
+    getSubdomain(hostname) {
+        const { baseDomain, ignoredSubdomains } = tenantConfig;
+        const host = String(hostname || '').toLowerCase();
+        if (!baseDomain || !host.endsWith(`.${baseDomain}`)) {
+            return null;
+        }
+
+        const subdomain = host.slice(0, -(baseDomain.length + 1));
+        // Only one label: a.b.example.com is not a tenant
+        if (!subdomain || subdomain.includes('.') || ignoredSubdomains.includes(subdomain)) {
+            return null;
+        }
+        return subdomain;
+    }
+
+    /**
+     * Find a tenant by id or slug (cached)
+     * 按ID或标识查找租户（带缓存）
+     * @param {string|number} key - Tenant id or slug
+     * @returns {Promise<Object|null>} Tenant, or null if unknown or disabled
+     */
+    async find(key) {
+        const cacheKey = String(key).trim().toLowerCase();
+        const cached = this.cache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.tenant;
+        }
+
+        const tenant = await TenantModel.findByKey(cacheKey);
+        if (!tenant || tenant.disabled_at) {
+            this.cache.delete(cacheKey);
+            return null;
+        }
+
+        this.cache.set(cacheKey, { tenant, expiresAt: Date.now() + tenantConfig.cacheTtl * 1000 });
+        return tenant;
+    }
+
+    /**
+     * Resolve the tenant of a request: X-Tenant-Id header, then subdomain, then the default tenant.
+     * An access token may still move a request from the default tenant to its own (see applyTokenTenant).
+     * 解析请求的租户：优先X-Tenant-Id请求头，其次子域名，最后为默认租户
+     * @param {Object} request - { header, hostname }
+     * @returns {Promise<Object|null>} { tenant, source: "header"|"subdomain"|"default" }, or null if the named tenant is unknown
+     */
+    async resolve({ header, hostname }) {
+        if (header) {
+            const tenant = await this.find(header);
+            return tenant ? { tenant, source: 'header' } : null;
+        }
+
+        const subdomain = this.getSubdomain(hostname);
+        if (subdomain) {
+            const tenant = await this.find(subdomain);
+            return tenant ? { tenant, source: 'subdomain' } : null;
+        }
+
+        const tenant = await this.find(tenantConfig.defaultTenant);
+        if (!tenant) {
+            this.logger.error('Default tenant not found', { slug: tenantConfig.defaultTenant });
+            return null;
+        }
+        return { tenant, source: 'default' };
+    }
+
+    /**
+     * Move the request to the tenant of the credential it presents (access token, API key, emailed link).
+     * That tenant applies when the request named none; a credential of another tenant than the one named is refused.
+     * 将请求切换到其凭据（访问令牌、API密钥、邮件链接）所属的租户；凭据属于请求指定的其他租户时拒绝
+     * @param {number|null} tenantId - Tenant of the credential (null: issued before multi-tenancy, keep the request's)
+     * @returns {boolean} False if the credential belongs to another tenant than the one the request named
+     */
+    bindTenant(tenantId) {
+        if (tenantId === undefined || tenantId === null) {
+            return true;
+        }
+
+        const current = RequestContextUtil.getTenantId();
+        if (current && RequestContextUtil.get('tenantSource') !== 'default') {
+            return Number(tenantId) === current;
+        }
+
+        RequestContextUtil.set({ tenantId: Number(tenantId), tenantSource: 'token' });
+        return true;
+    }
+
+    /**
+     * Apply the tid claim of an access token to the request context (see bindTenant)
+     * 将访问令牌的tid声明应用到请求上下文
+     * @param {Object} payload - Decoded access token
+     * @returns {boolean} False if the token belongs to another tenant
+     */
+    applyTokenTenant(payload) {
+        return this.bindTenant(payload.tid);
+    }
+
+    /**
+     * Forget cached tenants (after disabling or renaming one)
+     * 清除租户缓存（停用或修改租户后）
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+}
+
+module.exports = new TenantService();
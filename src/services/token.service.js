@@ -0,0 +1,323 @@
+const jwt = require('jsonwebtoken');
+const { logger } = require('../middleware/logger.middleware');
+const RefreshTokenModel = require('../models/refresh-token.model');
+const UserModel = require('../models/user.model');
+const EncryptUtil = require('../utils/encrypt.util');
+const RequestContextUtil = require('../utils/request-context.util');
+const authConfig = require('../config/auth.config');
+const keyringService = require('./keyring.service');
+const tenantService = require('./tenant.service');
+
+class TokenService {
+    constructor() {
+        this.logger = logger('token');
+    }
+
+    /**
+     * Sign a JWT with the active key of the keyring (its kid goes into the header)
+     * 使用密钥环中的当前密钥签发JWT（kid写入头部）
+     * @param {Object} payload - Claims
+     * @param {Object} options - jsonwebtoken sign options (expiresIn, subject, jwtid...)
+     * @returns {string} Signed JWT
+     */
+    sign(payload, options = {}) {
+        const key = keyringService.getSigningKey();
+        return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.algorithm, keyid: key.kid });
+    }
+
+    /**
+     * Verify a JWT against the keyring key named by its kid header
+     * 按头部kid从密钥环中取出密钥并验证JWT
+     * @param {string} token - Signed JWT
+     * @returns {Object} Decoded payload (throws on invalid or expired token)
+     */
+    verify(token) {
+        const decoded = jwt.decode(token, { complete: true });
+        if (!decoded) {
+            throw new jwt.JsonWebTokenError('jwt malformed');
+        }
+
+        // Tokens without kid can only have been signed with a shared secret (HS256 mode)
+        const key = decoded.header.kid
+            ? keyringService.getVerificationKey(decoded.header.kid)
+            : keyringService.getSigningKey();
+        if (!key) {
+            throw new jwt.JsonWebTokenError('unknown key id');
+        }
+
+        // Pin the algorithm to the key so a token cannot pick a weaker one
+        return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+    }
+
+    /**
+     * Add the tenant of the request (tid claim) to access token claims
+     * 在访问令牌声明中加入当前请求的租户（tid）
+     * @param {Object} payload - Claims
+     * @returns {Object} Claims
+     */
+    withTenant(payload) {
+        const tenantId = RequestContextUtil.getTenantId();
+        return tenantId ? { ...payload, tid: tenantId } : payload;
+    }
+
+    /**
+     * Add the issue time in milliseconds (iatMs claim) to token claims, so revocation cutoffs
+     * can tell tokens issued in the same second apart (iat only has whole seconds)
+     * 在令牌声明中加入毫秒级签发时间（iatMs）
+     * @param {Object} payload - Claims
+     * @returns {Object} Claims
+     */
+    withIssueTime(payload) {
+        return { ...payload, iatMs: Date.now() };
+    }
+
+    /**
+     * Sign a short-lived access token
+     * 签发短期访问令牌
+     * @param {Object} user - User record (must contain id)
+     * @param {string} sessionId - Session the token belongs to (sid claim, optional)
+     * @returns {string} JWT access token
+     */
+    signAccessToken(user, sessionId = null) {
+        const payload = sessionId ? { userId: user.id, sid: sessionId } : { userId: user.id };
+        return this.sign(this.withIssueTime(this.withTenant(payload)), {
+            expiresIn: authConfig.accessTokenExpiresIn,
+            jwtid: EncryptUtil.randomBytes(16)
+        });
+    }
+
+    /**
+     * Verify an access token
+     * 验证访问令牌
+     * @param {string} token - JWT access token
+     * @returns {Object} Decoded payload (throws on invalid or expired token)
+     */
+    verifyAccessToken(token) {
+        const payload = this.verify(token);
+
+        // Other token types (e.g. MFA tickets) are signed with the same keys but grant no access
+        if (payload.typ) {
+            throw new jwt.JsonWebTokenError('invalid token type');
+        }
+
+        return payload;
+    }
+
+    /**
+     * Sign an access token for an admin acting as another user.
+     * The "act" claim names the admin; no refresh token is issued.
+     * 签发管理员模拟其他用户的访问令牌（act声明记录管理员，不签发刷新令牌）
+     * @param {Object} user - Impersonated user (must contain id)
+     * @param {Object} actor - Admin (must contain id)
+     * @returns {string} JWT access token
+     */
+    signImpersonationToken(user, actor) {
+        return this.sign(this.withIssueTime(this.withTenant({ userId: user.id, act: { sub: String(actor.id) } })), {
+            expiresIn: authConfig.impersonation.expiresIn,
+            jwtid: EncryptUtil.randomBytes(16)
+        });
+    }
+
+    /**
+     * Sign a short-lived "mfa pending" ticket, exchanged for a token pair after the second factor.
+     * It carries the tenant of the login (tid claim), like access tokens.
+     * 签发短期的"待二次验证"票据（带当前租户tid），通过二次验证后换取令牌
+     * @param {Object} user - User record (must contain id)
+     * @returns {string} Signed ticket
+     */
+    signMfaTicket(user) {
+        return this.sign(this.withIssueTime(this.withTenant({ typ: 'mfa_pending' })), {
+            subject: String(user.id),
+            expiresIn: authConfig.mfa.ticketExpiresIn,
+            jwtid: EncryptUtil.randomBytes(16)
+        });
+    }
+
+    /**
+     * Verify an "mfa pending" ticket
+     * 验证"待二次验证"票据
+     * @param {string} ticket - Signed ticket
+     * @returns {Object|null} { userId, tid, jti, iat, iatMs, exp }, or null if the ticket is invalid or expired
+     */
+    verifyMfaTicket(ticket) {
+        try {
+            const payload = this.verify(ticket);
+            if (payload.typ !== 'mfa_pending') {
+                return null;
+            }
+            return { userId: parseInt(payload.sub), tid: payload.tid, jti: payload.jti, iat: payload.iat, iatMs: payload.iatMs, exp: payload.exp };
+        } catch (error) {
+            this.logger.info('Invalid MFA ticket presented', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Hash an opaque refresh token for storage and lookup
+     * 对刷新令牌进行哈希，用于存储和查询
+     * @param {string} refreshToken - Raw refresh token
+     * @returns {string} SHA-256 hash
+     */
+    hashRefreshToken(refreshToken) {
+        return EncryptUtil.sha256(refreshToken);
+    }
+
+    /**
+     * Create and persist a refresh token
+     * 创建并保存刷新令牌
+     * @param {number} userId - User ID
+     * @param {Object} context - Token context
+     * @param {string} context.familyId - Existing family (omit to start a new one)
+     * @param {number} context.parentId - Token this one replaces
+     * @param {string} context.ipAddress - Client IP
+     * @param {string} context.device - Client device info
+     * @returns {Promise<Object>} Raw refresh token and its metadata
+     */
+    async issueRefreshToken(userId, context = {}) {
+        const { familyId = EncryptUtil.randomBytes(16), parentId = null, ipAddress = null, device = null } = context;
+
+        const refreshToken = EncryptUtil.randomBytes(authConfig.refreshTokenBytes, 'base64url');
+        const expiresAt = new Date(Date.now() + authConfig.refreshTokenExpiresIn * 1000);
+
+        const record = await RefreshTokenModel.create({
+            userid: userId,
+            familyId,
+            tokenHash: this.hashRefreshToken(refreshToken),
+            parentId,
+            expiresAt,
+            ipAddress,
+            device
+        });
+
+        return {
+            id: record.id,
+            refreshToken,
+            familyId,
+            expiresAt
+        };
+    }
+
+    /**
+     * Issue an access token and a refresh token for a user.
+     * The refresh token family is the session: its id is the sid claim of every access token in it.
+     * 为用户签发访问令牌和刷新令牌；刷新令牌族即会话，其ID作为访问令牌的sid
+     * @param {Object} user - User record (must contain id)
+     * @param {Object} context - Refresh token context (see issueRefreshToken)
+     * @returns {Promise<Object>} Token pair
+     */
+    async issueTokenPair(user, context = {}) {
+        const familyId = context.familyId || EncryptUtil.randomBytes(16);
+        const token = this.signAccessToken(user, familyId);
+        const { exp, iat } = jwt.decode(token);
+        const refresh = await this.issueRefreshToken(user.id, { ...context, familyId });
+
+        return {
+            token,
+            expiresIn: exp - iat,
+            refreshToken: refresh.refreshToken,
+            refreshTokenExpiresAt: refresh.expiresAt,
+            familyId: refresh.familyId,
+            sessionId: refresh.familyId
+        };
+    }
+
+    /**
+     * Rotate a refresh token: revoke the presented one and issue a new pair in the same family.
+     * Presenting an already rotated token is treated as theft and revokes the whole family.
+     * 轮换刷新令牌；重复使用已轮换的令牌会撤销整个令牌族
+     * @param {string} refreshToken - Raw refresh token
+     * @param {Object} context - Client context (ipAddress, device)
+     * @returns {Promise<Object|null>} userId and new token pair, or null if the token is not usable
+     */
+    async rotateRefreshToken(refreshToken, context = {}) {
+        const stored = await RefreshTokenModel.findByHash(this.hashRefreshToken(refreshToken));
+
+        if (!stored) {
+            this.logger.warn('Unknown refresh token presented', { ipAddress: context.ipAddress });
+            return null;
+        }
+
+        if (stored.revoked_at) {
+            if (stored.revoke_reason === 'rotated') {
+                await this.handleReuse(stored, context);
+            }
+            return null;
+        }
+
+        if (new Date(stored.expires_at).getTime() <= Date.now()) {
+            this.logger.info('Expired refresh token presented', { userId: stored.userid, tokenId: stored.id });
+            return null;
+        }
+
+        // The new pair is issued in the tenant of the token, also when the request names none
+        if (!tenantService.bindTenant(stored.tenant_id)) {
+            this.logger.warn('Refresh token used with another tenant', { userId: stored.userid, tokenId: stored.id });
+            return null;
+        }
+
+        // Deleted or disabled since the login: the session ends here
+        const user = await UserModel.findById(stored.userid);
+        if (!user || user.disabled_at) {
+            await RefreshTokenModel.revokeFamily(stored.family_id, 'account_unavailable');
+            this.logger.warn('Refresh token of a deleted or disabled user presented', { userId: stored.userid, tokenId: stored.id });
+            return null;
+        }
+
+        // Another request may have rotated this token in the meantime
+        const rotated = await RefreshTokenModel.markRotated(stored.id);
+        if (!rotated) {
+            await this.handleReuse(stored, context);
+            return null;
+        }
+
+        const pair = await this.issueTokenPair({ id: stored.userid }, {
+            ...context,
+            familyId: stored.family_id,
+            parentId: stored.id
+        });
+
+        this.logger.info('Refresh token rotated', { userId: stored.userid, familyId: stored.family_id });
+
+        return {
+            userId: stored.userid,
+            ...pair
+        };
+    }
+
+    /**
+     * Revoke the family of a reused refresh token
+     * 撤销被重复使用的刷新令牌所在的令牌族
+     * @param {Object} stored - Stored refresh token row
+     * @param {Object} context - Client context
+     */
+    async handleReuse(stored, context = {}) {
+        const revoked = await RefreshTokenModel.revokeFamily(stored.family_id, 'reuse_detected');
+
+        this.logger.warn('Refresh token reuse detected, token family revoked', {
+            userId: stored.userid,
+            familyId: stored.family_id,
+            tokenId: stored.id,
+            revoked,
+            ipAddress: context.ipAddress
+        });
+    }
+
+    /**
+     * Revoke the family a refresh token belongs to (used on logout)
+     * 撤销刷新令牌所在的令牌族（用于登出）
+     * @param {string} refreshToken - Raw refresh token
+     * @param {number} userId - Owner of the token; tokens of other users are ignored
+     * @returns {Promise<number>} Number of revoked tokens
+     */
+    async revokeRefreshToken(refreshToken, userId) {
+        const stored = await RefreshTokenModel.findByHash(this.hashRefreshToken(refreshToken));
+
+        if (!stored || stored.userid !== userId) {
+            return 0;
+        }
+
+        return RefreshTokenModel.revokeFamily(stored.family_id, 'logout');
+    }
+}
+
+module.exports = new TokenService();
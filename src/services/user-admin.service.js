@@ -0,0 +1,287 @@
+const { logger } = require('../middleware/logger.middleware');
+const UserModel = require('../models/user.model');
+const revocationService = require('./revocation.service');
+const permissionService = require('./permission.service');
+const passwordResetService = require('./password-reset.service');
+
+class UserAdminService {
+    constructor() {
+        this.logger = logger('user-admin');
+    }
+
+    /**
+     * Format a user row for admin responses
+     * 格式化用户记录用于管理接口响应
+     * @param {Object} row - User row (with rolename)
+     * @returns {Object} User
+     */
+    formatUser(row) {
+        return {
+            id: row.id,
+            username: row.username,
+            email: row.email,
+            fullName: row.fullName,
+            role: row.rolename,
+            emailVerified: Boolean(row.email_verified_at),
+            disabled: Boolean(row.disabled_at),
+            disabledAt: row.disabled_at,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * List users with pagination and search
+     * 分页搜索用户列表
+     * @param {Object} options - { search, page, limit, sort, order }
+     * @returns {Promise<Object>} { users, pagination }
+     */
+    async listUsers(options = {}) {
+        const page = parseInt(options.page) || 1;
+        const limit = parseInt(options.limit) || 20;
+
+        const { rows, total } = await UserModel.search({ ...options, page, limit });
+
+        return {
+            users: rows.map(row => this.formatUser(row)),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Get a user with recent login history
+     * 获取用户详情及最近登录记录
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} User, or null if not found
+     */
+    async getUser(userId) {
+        const row = await UserModel.findDetailById(userId);
+        if (!row) {
+            return null;
+        }
+
+        const history = await UserModel.getLoginHistory(userId);
+
+        return {
+            ...this.formatUser(row),
+            loginHistory: history.map(record => ({
+                id: record.id,
+                recordType: record.recordtype,
+                location: record.location,
+                network: record.network,
+                device: record.deviceinfo,
+                ipAddress: record.ip,
+                createdAt: record.created_at,
+                endedAt: record.updated_at
+            }))
+        };
+    }
+
+    /**
+     * Check whether an admin holds every permission of a list, so that nothing they hand out or
+     * act upon can do more than they can
+     * 检查管理员是否拥有列表中的全部权限
+     * @param {Object} actor - Admin (id)
+     * @param {Array<string>} permissions - Permissions to cover
+     * @returns {Promise<boolean>} True if the admin holds all of them
+     */
+    async holdsPermissions(actor, permissions) {
+        const access = await permissionService.getUserAccess(actor.id);
+        return Boolean(access) && permissionService.hasAllPermissions(access.permissions, permissions);
+    }
+
+    /**
+     * Check that an admin may change a user: not their own account, and not a user whose role
+     * has permissions the admin lacks (the same rule that keeps impersonation from gaining privileges)
+     * 检查管理员能否修改该用户（不能修改自己，也不能修改权限超出自己的用户）
+     * @param {Object} actor - Admin (id)
+     * @param {number} userId - User to change
+     * @returns {Promise<Object>} { user } or { error: 'self' | 'not_found' | 'privileged' }
+     */
+    async checkTarget(actor, userId) {
+        if (actor.id === userId) {
+            return { error: 'self' };
+        }
+
+        const user = await UserModel.findDetailById(userId);
+        if (!user) {
+            return { error: 'not_found' };
+        }
+
+        const access = await permissionService.getUserAccess(userId);
+        if (access && !(await this.holdsPermissions(actor, access.permissions))) {
+            return { error: 'privileged' };
+        }
+
+        return { user };
+    }
+
+    /**
+     * Create a user. The role may not grant permissions the admin does not have.
+     * 创建用户（角色权限不能超出管理员自身的权限）
+     * @param {Object} actor - Admin (id)
+     * @param {Object} data - { username, email, password, role, fullName }
+     * @returns {Promise<Object>} { user } or { error: 'role_not_found' | 'role_privileged' | 'conflict' }
+     */
+    async createUser(actor, data) {
+        const role = await UserModel.getRole(data.role);
+        if (!role) {
+            return { error: 'role_not_found' };
+        }
+        if (!(await this.holdsPermissions(actor, permissionService.getRolePermissions(role)))) {
+            return { error: 'role_privileged' };
+        }
+
+        if (await UserModel.checkUsernameOrEmail(data.username, data.email)) {
+            return { error: 'conflict' };
+        }
+
+        let created;
+        try {
+            created = await UserModel.create({
+                username: data.username,
+                email: data.email,
+                password: data.password,
+                roleid: role.id,
+                fullName: data.fullName ?? null
+            });
+        } catch (error) {
+            // Taken by a concurrent request after the check above
+            if (error.code === 'ER_DUP_ENTRY') {
+                return { error: 'conflict' };
+            }
+            throw error;
+        }
+
+        this.logger.info('User created by admin', { userId: created.id });
+        return { user: this.formatUser(await UserModel.findDetailById(created.id)) };
+    }
+
+    /**
+     * Update username, email and/or full name of a user (see checkTarget)
+     * 更新用户的用户名、邮箱和姓名
+     * @param {Object} actor - Admin (id)
+     * @param {number} userId - User ID
+     * @param {Object} changes - { username, email, fullName }
+     * @returns {Promise<Object>} { user } or { error: 'not_found' | 'self' | 'privileged' | 'conflict' }
+     */
+    async updateUser(actor, userId, changes) {
+        const target = await this.checkTarget(actor, userId);
+        if (target.error) {
+            return target;
+        }
+        const existing = target.user;
+
+        const fields = {};
+        for (const field of ['username', 'email', 'fullName']) {
+            if (changes[field] !== undefined && changes[field] !== existing[field]) {
+                fields[field] = changes[field];
+            }
+        }
+
+        if (fields.username || fields.email) {
+            if (await UserModel.findOtherByUsernameOrEmail(userId, fields.username, fields.email)) {
+                return { error: 'conflict' };
+            }
+        }
+
+        if (Object.keys(fields).length > 0) {
+            try {
+                await UserModel.update(userId, fields);
+            } catch (error) {
+                // Taken by a concurrent request after the check above
+                if (error.code === 'ER_DUP_ENTRY') {
+                    return { error: 'conflict' };
+                }
+                throw error;
+            }
+            this.logger.info('User updated by admin', { userId, fields: Object.keys(fields) });
+        }
+
+        return { user: this.formatUser(await UserModel.findDetailById(userId)) };
+    }
+
+    /**
+     * Disable or enable a user (see checkTarget). Disabling signs the user out everywhere.
+     * 禁用或启用用户；禁用时会登出所有设备
+     * @param {Object} actor - Admin (id)
+     * @param {number} userId - User ID
+     * @param {boolean} disabled - True to disable, false to enable
+     * @returns {Promise<Object>} { changed } or { error: 'not_found' | 'self' | 'privileged' }
+     */
+    async setDisabled(actor, userId, disabled) {
+        const target = await this.checkTarget(actor, userId);
+        if (target.error) {
+            return target;
+        }
+
+        const changed = await UserModel.setDisabled(userId, disabled);
+        if (!changed) {
+            return { changed: false };
+        }
+
+        if (disabled) {
+            await revocationService.revokeAllForUser(userId, 'account_disabled');
+        }
+
+        this.logger.info(disabled ? 'User disabled' : 'User enabled', { userId });
+        return { changed: true };
+    }
+
+    /**
+     * Assign a role by name. Admins cannot change their own role, the role of a user with permissions
+     * they lack, or grant a role with permissions they lack.
+     * 按角色名分配角色（不能修改自己的角色、权限超出自己的用户，也不能授予超出自己权限的角色）
+     * @param {Object} actor - Admin (id)
+     * @param {number} userId - User ID
+     * @param {string} roleName - Role name from the roles table
+     * @returns {Promise<Object>} { user } or { error: 'not_found' | 'self' | 'privileged' | 'role_not_found' | 'role_privileged' }
+     */
+    async assignRole(actor, userId, roleName) {
+        const target = await this.checkTarget(actor, userId);
+        if (target.error) {
+            return target;
+        }
+
+        const role = await UserModel.getRole(roleName);
+        if (!role) {
+            return { error: 'role_not_found' };
+        }
+        if (!(await this.holdsPermissions(actor, permissionService.getRolePermissions(role)))) {
+            return { error: 'role_privileged' };
+        }
+
+        if (!(await UserModel.setRole(userId, role.id))) {
+            return { error: 'not_found' };
+        }
+
+        await permissionService.invalidate(userId);
+
+        this.logger.info('Role assigned', { userId, role: role.rolename });
+        return { user: this.formatUser(await UserModel.findDetailById(userId)) };
+    }
+
+    /**
+     * Force a password reset for a user (see checkTarget)
+     * 强制用户重置密码
+     * @param {Object} actor - Admin (id)
+     * @param {number} userId - User ID
+     * @param {Object} context - Client context (ipAddress)
+     * @returns {Promise<Object>} { reset: true } or { error: 'not_found' | 'self' | 'privileged' }
+     */
+    async forcePasswordReset(actor, userId, context = {}) {
+        const target = await this.checkTarget(actor, userId);
+        if (target.error) {
+            return target;
+        }
+
+        await passwordResetService.forceReset(target.user, context);
+        return { reset: true };
+    }
+}
+
+module.exports = new UserAdminService();
@@ -1,15 +1,21 @@
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
 const { logger } = require('../middleware/logger.middleware');
 const UserModel = require('../models/user.model');
+const tokenService = require('./token.service');
+const revocationService = require('./revocation.service');
+const apiKeyService = require('./api-key.service');
+const tenantService = require('./tenant.service');
+const { apiKeyScopes } = require('../config/rbac.config');
+const tenantConfig = require('../config/tenant.config');
 const NetworkUtil = require('../utils/network.util');
+const RequestContextUtil = require('../utils/request-context.util');
 
 class WebSocketService {
     constructor() {
         this.io = null;
         this.connectedUsers = new Map(); // userId -> socketId
         this.socketUsers = new Map();    // socketId -> userInfo
-        this.rooms = new Map();          // roomId -> Set of socketIds
+        this.rooms = new Map();          // room name (see roomName) -> Set of socketIds
         this.logger = logger('websocket');
     }
 
@@ -43,45 +49,41 @@ class WebSocketService {
      * 设置WebSocket中间件
      */
     setupMiddleware() {
-        // Authentication middleware
+        // Tenant middleware: X-Tenant-Id header, subdomain or default tenant, like HTTP requests
         this.io.use(async (socket, next) => {
             try {
-                const token = socket.handshake.auth.token || socket.handshake.query.token;
+                const headers = socket.handshake.headers || {};
+                const resolved = await tenantService.resolve({
+                    header: headers[tenantConfig.header],
+                    hostname: String(headers.host || '').replace(/:\d+$/, '')
+                });
 
-                if (!token) {
-                    this.logger.warn('WebSocket connection without token', {
+                if (!resolved) {
+                    this.logger.warn('WebSocket connection to unknown tenant', {
                         socketId: socket.id,
                         ip: socket.handshake.address
                     });
-                    return next(new Error('Authentication token required'));
-                }
-
-                // Verify JWT token
-                const decoded = jwt.verify(token, process.env.JWT_SECRET);
-                const user = await UserModel.findById(decoded.userId);
-
-                if (!user) {
-                    this.logger.warn('WebSocket connection with invalid user', {
-                        socketId: socket.id,
-                        userId: decoded.userId
-                    });
-                    return next(new Error('User not found'));
+                    return next(new Error('Unknown tenant'));
                 }
 
-                // Attach user info to socket
-                socket.userId = decoded.userId;
-                socket.userInfo = user;
-
+                socket.tenantId = resolved.tenant.id;
+                socket.tenantSource = resolved.source;
                 next();
             } catch (error) {
-                this.logger.error('WebSocket authentication error', {
+                this.logger.error('WebSocket tenant resolution error', {
                     error: error.message,
                     socketId: socket.id
                 });
-                next(new Error('Authentication failed'));
+                next(new Error('Tenant resolution failed'));
             }
         });
 
+        // Authentication middleware (user lookups are scoped to the tenant of the socket)
+        this.io.use((socket, next) => RequestContextUtil.run(
+            { tenantId: socket.tenantId, tenantSource: socket.tenantSource, ip: NetworkUtil.getClientIP(socket.handshake) },
+            () => this.authenticateSocket(socket, next)
+        ));
+
         // Rate limiting middleware
         this.io.use((socket, next) => {
             const clientIP = NetworkUtil.getClientIP(socket.handshake);
@@ -118,6 +120,118 @@ class WebSocketService {
         });
     }
 
+    /**
+     * Authenticate a connecting socket with an access token or an API key
+     * 使用访问令牌或API密钥认证连接的socket
+     * @param {Object} socket - Socket instance
+     * @param {Function} next - Socket.IO middleware callback
+     */
+    async authenticateSocket(socket, next) {
+        try {
+            const token = socket.handshake.auth.token || socket.handshake.query.token;
+            const apiKey = socket.handshake.auth.apiKey || socket.handshake.headers?.['x-api-key'];
+
+            if (!token && !apiKey) {
+                this.logger.warn('WebSocket connection without token', {
+                    socketId: socket.id,
+                    ip: socket.handshake.address
+                });
+                return next(new Error('Authentication token required'));
+            }
+
+            let userId;
+            if (token) {
+                // Verify JWT token
+                const decoded = tokenService.verifyAccessToken(token);
+
+                if (await revocationService.isRevoked(decoded)) {
+                    this.logger.warn('WebSocket connection with revoked token', {
+                        socketId: socket.id,
+                        userId: decoded.userId
+                    });
+                    return next(new Error('Token revoked'));
+                }
+
+                // Impersonation is limited to audited HTTP requests
+                if (decoded.act) {
+                    this.logger.warn('WebSocket connection with impersonation token', {
+                        socketId: socket.id,
+                        userId: decoded.userId,
+                        actorId: decoded.act.sub
+                    });
+                    return next(new Error('Impersonation tokens cannot connect'));
+                }
+
+                // Tokens are only valid in the tenant they were issued for
+                if (!tenantService.applyTokenTenant(decoded)) {
+                    this.logger.warn('WebSocket connection with token of another tenant', {
+                        socketId: socket.id,
+                        userId: decoded.userId,
+                        tenantId: socket.tenantId
+                    });
+                    return next(new Error('Invalid token'));
+                }
+
+                userId = decoded.userId;
+            } else {
+                // Machine clients connect with an API key that has the websocket:connect scope
+                const verified = await apiKeyService.verifyKey(apiKey, NetworkUtil.getClientIP(socket.handshake));
+
+                if (!verified || !apiKeyService.hasScope(verified, apiKeyScopes.WEBSOCKET_CONNECT)) {
+                    this.logger.warn('WebSocket connection with invalid API key', {
+                        socketId: socket.id,
+                        ip: socket.handshake.address
+                    });
+                    return next(new Error('Invalid API key'));
+                }
+
+                // Keys are only valid in the tenant of their owner
+                if (!tenantService.bindTenant(verified.tenantId)) {
+                    this.logger.warn('WebSocket connection with API key of another tenant', {
+                        socketId: socket.id,
+                        keyId: verified.id,
+                        tenantId: socket.tenantId
+                    });
+                    return next(new Error('Invalid API key'));
+                }
+
+                userId = verified.userId;
+                socket.apiKey = verified;
+            }
+
+            const user = await UserModel.findById(userId);
+
+            if (!user) {
+                this.logger.warn('WebSocket connection with invalid user', {
+                    socketId: socket.id,
+                    userId
+                });
+                return next(new Error('User not found'));
+            }
+
+            if (user.disabled_at) {
+                this.logger.warn('WebSocket connection of disabled user', {
+                    socketId: socket.id,
+                    userId
+                });
+                return next(new Error('Account disabled'));
+            }
+
+            // Attach user info to socket (the tid claim may have named the tenant)
+            socket.userId = userId;
+            socket.userInfo = user;
+            socket.tenantId = RequestContextUtil.getTenantId();
+
+            next();
+        } catch (error) {
+            this.logger.error('WebSocket authentication error', {
+                error: error.message,
+                socketId: socket.id
+            });
+            next(new Error('Authentication failed'));
+        }
+    }
+
     /**
      * Setup WebSocket event handlers
      * 设置WebSocket事件处理器
@@ -143,6 +257,7 @@ class WebSocketService {
         this.socketUsers.set(socket.id, {
             userId,
             userInfo,
+            tenantId: socket.tenantId || null,
             connectedAt: new Date(),
             ip: clientIP
         });
@@ -154,8 +269,11 @@ class WebSocketService {
             ip: clientIP
         });
 
-        // Join user to their personal room
+        // Join user to their personal room and to the room of their tenant
         socket.join(`user_${userId}`);
+        if (socket.tenantId) {
+            socket.join(this.tenantRoom(socket.tenantId));
+        }
 
         // Send connection confirmation
         socket.emit('connected', {
@@ -165,8 +283,8 @@ class WebSocketService {
             socketId: socket.id
         });
 
-        // Notify other users about online status
-        socket.broadcast.emit('user_online', {
+        // Notify other users of the tenant about online status
+        this.tenantPeers(socket).emit('user_online', {
             userId,
             username: userInfo.username
         });
@@ -253,13 +371,14 @@ class WebSocketService {
             return;
         }
 
-        socket.join(roomId);
+        const room = this.roomName(roomId, socket.tenantId);
+        socket.join(room);
 
         // Track room membership
-        if (!this.rooms.has(roomId)) {
-            this.rooms.set(roomId, new Set());
+        if (!this.rooms.has(room)) {
+            this.rooms.set(room, new Set());
         }
-        this.rooms.get(roomId).add(socket.id);
+        this.rooms.get(room).add(socket.id);
 
         this.logger.info('User joined room', {
             userId,
@@ -268,7 +387,7 @@ class WebSocketService {
         });
 
         socket.emit('joined_room', { roomId });
-        socket.to(roomId).emit('user_joined_room', {
+        socket.to(room).emit('user_joined_room', {
             userId,
             username: socket.userInfo.username,
             roomId
@@ -290,13 +409,14 @@ class WebSocketService {
             return;
         }
 
-        socket.leave(roomId);
+        const room = this.roomName(roomId, socket.tenantId);
+        socket.leave(room);
 
         // Update room membership
-        if (this.rooms.has(roomId)) {
-            this.rooms.get(roomId).delete(socket.id);
-            if (this.rooms.get(roomId).size === 0) {
-                this.rooms.delete(roomId);
+        if (this.rooms.has(room)) {
+            this.rooms.get(room).delete(socket.id);
+            if (this.rooms.get(room).size === 0) {
+                this.rooms.delete(room);
             }
         }
 
@@ -307,7 +427,7 @@ class WebSocketService {
         });
 
         socket.emit('left_room', { roomId });
-        socket.to(roomId).emit('user_left_room', {
+        socket.to(room).emit('user_left_room', {
             userId,
             username: socket.userInfo.username,
             roomId
@@ -349,7 +469,7 @@ class WebSocketService {
         });
 
         // Send to all users in the room
-        this.io.to(roomId).emit('room_message', messageData);
+        this.io.to(this.roomName(roomId, socket.tenantId)).emit('room_message', messageData);
 
         // Send confirmation to sender
         socket.emit('message_sent', { messageId: messageData.id });
@@ -371,9 +491,9 @@ class WebSocketService {
             return;
         }
 
-        // Check if target user is online
+        // Check if target user is online (users of other tenants never are)
         const targetSocketId = this.connectedUsers.get(targetUserId);
-        if (!targetSocketId) {
+        if (!targetSocketId || !this.isSameTenant(socket, targetSocketId)) {
             socket.emit('error', { message: 'Target user is offline' });
             return;
         }
@@ -422,10 +542,10 @@ class WebSocketService {
         };
 
         if (roomId) {
-            socket.to(roomId).emit('user_typing_start', typingData);
+            socket.to(this.roomName(roomId, socket.tenantId)).emit('user_typing_start', typingData);
         } else if (targetUserId) {
             const targetSocketId = this.connectedUsers.get(targetUserId);
-            if (targetSocketId) {
+            if (targetSocketId && this.isSameTenant(socket, targetSocketId)) {
                 this.io.to(targetSocketId).emit('user_typing_start', typingData);
             }
         }
@@ -451,10 +571,10 @@ class WebSocketService {
         };
 
         if (roomId) {
-            socket.to(roomId).emit('user_typing_stop', typingData);
+            socket.to(this.roomName(roomId, socket.tenantId)).emit('user_typing_stop', typingData);
         } else if (targetUserId) {
             const targetSocketId = this.connectedUsers.get(targetUserId);
-            if (targetSocketId) {
+            if (targetSocketId && this.isSameTenant(socket, targetSocketId)) {
                 this.io.to(targetSocketId).emit('user_typing_stop', typingData);
             }
         }
@@ -485,8 +605,8 @@ class WebSocketService {
             customStatus
         });
 
-        // Broadcast to all connected users
-        this.io.emit('user_status_updated', statusData);
+        // Broadcast to all connected users of the tenant
+        this.broadcast('user_status_updated', statusData, socket.tenantId);
     }
 
     /**
@@ -518,8 +638,8 @@ class WebSocketService {
             reason
         });
 
-        // Notify other users about offline status
-        socket.broadcast.emit('user_offline', {
+        // Notify other users of the tenant about offline status
+        this.tenantPeers(socket).emit('user_offline', {
             userId,
             username: userInfo?.username
         });
@@ -531,25 +651,52 @@ class WebSocketService {
      * @param {string} userId - Target user ID
      * @param {string} event - Event name
      * @param {Object} data - Message data
+     * @param {number|null} tenantId - Only send if the user belongs to this tenant (default: tenant of the request, null: any)
      */
-    sendToUser(userId, event, data) {
+    sendToUser(userId, event, data, tenantId = RequestContextUtil.getTenantId()) {
         const socketId = this.connectedUsers.get(userId);
-        if (socketId) {
+        if (socketId && this.isInTenant(socketId, tenantId)) {
             this.io.to(socketId).emit(event, data);
             return true;
         }
         return false;
     }
 
+    /**
+     * Disconnect a user's socket (e.g. after their tokens were revoked)
+     * 断开用户的socket连接（例如令牌被撤销后）
+     * @param {string} userId - Target user ID
+     * @param {string} reason - Reason sent to the client
+     * @returns {boolean} True if a socket was disconnected
+     */
+    disconnectUser(userId, reason = 'revoked') {
+        const socketId = this.connectedUsers.get(userId);
+        if (!this.io || !socketId) {
+            return false;
+        }
+
+        const socket = this.io.sockets.sockets.get(socketId);
+        if (!socket) {
+            return false;
+        }
+
+        socket.emit('force_logout', { reason });
+        socket.disconnect(true);
+
+        this.logger.info('User socket disconnected by server', { userId, socketId, reason });
+        return true;
+    }
+
     /**
      * Send message to room
      * 向房间发送消息
      * @param {string} roomId - Room ID
      * @param {string} event - Event name
      * @param {Object} data - Message data
+     * @param {number|null} tenantId - Tenant of the room (default: tenant of the request)
      */
-    sendToRoom(roomId, event, data) {
-        this.io.to(roomId).emit(event, data);
+    sendToRoom(roomId, event, data, tenantId = RequestContextUtil.getTenantId()) {
+        this.io.to(this.roomName(roomId, tenantId)).emit(event, data);
     }
 
     /**
@@ -557,28 +704,41 @@ class WebSocketService {
      * 向所有用户广播消息
      * @param {string} event - Event name
      * @param {Object} data - Message data
+     * @param {number|null} tenantId - Only users of this tenant (default: tenant of the request, null: every tenant)
      */
-    broadcast(event, data) {
-        this.io.emit(event, data);
+    broadcast(event, data, tenantId = RequestContextUtil.getTenantId()) {
+        if (tenantId) {
+            this.io.to(this.tenantRoom(tenantId)).emit(event, data);
+        } else {
+            this.io.emit(event, data);
+        }
     }
 
     /**
      * Get connected users count
      * 获取连接用户数量
+     * @param {number|null} tenantId - Only users of this tenant (default: tenant of the request, null: every tenant)
      * @returns {number} Connected users count
      */
-    getConnectedUsersCount() {
-        return this.connectedUsers.size;
+    getConnectedUsersCount(tenantId = RequestContextUtil.getTenantId()) {
+        if (!tenantId) {
+            return this.connectedUsers.size;
+        }
+        return [...this.connectedUsers.values()].filter(socketId => this.isInTenant(socketId, tenantId)).length;
     }
 
     /**
      * Get online users list
      * 获取在线用户列表
+     * @param {number|null} tenantId - Only users of this tenant (default: tenant of the request, null: every tenant)
      * @returns {Array} Online users list
      */
-    getOnlineUsers() {
+    getOnlineUsers(tenantId = RequestContextUtil.getTenantId()) {
         const onlineUsers = [];
         for (const [socketId, userData] of this.socketUsers.entries()) {
+            if (!this.isInTenant(socketId, tenantId)) {
+                continue;
+            }
             onlineUsers.push({
                 socketId,
                 userId: userData.userId,
@@ -594,10 +754,11 @@ class WebSocketService {
      * Get room members
      * 获取房间成员
      * @param {string} roomId - Room ID
+     * @param {number|null} tenantId - Tenant of the room (default: tenant of the request)
      * @returns {Array} Room members
      */
-    getRoomMembers(roomId) {
-        const socketIds = this.rooms.get(roomId) || new Set();
+    getRoomMembers(roomId, tenantId = RequestContextUtil.getTenantId()) {
+        const socketIds = this.rooms.get(this.roomName(roomId, tenantId)) || new Set();
         const members = [];
 
         for (const socketId of socketIds) {
@@ -614,6 +775,63 @@ class WebSocketService {
         return members;
     }
 
+    /**
+     * Socket.IO room of every socket of a tenant
+     * 租户下所有socket所在的房间
+     * @param {number} tenantId - Tenant ID
+     * @returns {string} Room name
+     */
+    tenantRoom(tenantId) {
+        return `tenant_${tenantId}`;
+    }
+
+    /**
+     * Socket.IO room name of a client room: rooms of different tenants never share a name
+     * 客户端房间对应的Socket.IO房间名，不同租户的同名房间互不相通
+     * @param {string} roomId - Room ID chosen by clients
+     * @param {number|null} tenantId - Tenant ID
+     * @returns {string} Room name
+     */
+    roomName(roomId, tenantId) {
+        return tenantId ? `${this.tenantRoom(tenantId)}:${roomId}` : roomId;
+    }
+
+    /**
+     * Sockets of the tenant of a socket, except itself
+     * 与指定socket同租户的其他socket
+     * @param {Object} socket - Socket instance
+     * @returns {Object} Broadcast operator
+     */
+    tenantPeers(socket) {
+        return socket.tenantId ? socket.to(this.tenantRoom(socket.tenantId)) : socket.broadcast;
+    }
+
+    /**
+     * Whether a connected socket belongs to a tenant
+     * 判断已连接的socket是否属于指定租户
+     * @param {string} socketId - Socket ID
+     * @param {number|null} tenantId - Tenant ID (null: any tenant)
+     * @returns {boolean} True if it does
+     */
+    isInTenant(socketId, tenantId) {
+        if (!tenantId) {
+            return true;
+        }
+        const userData = this.socketUsers.get(socketId);
+        return !!userData && userData.tenantId === tenantId;
+    }
+
+    /**
+     * Whether a connected socket belongs to the tenant of another socket
+     * 判断已连接的socket是否与指定socket属于同一租户
+     * @param {Object} socket - Sending socket
+     * @param {string} socketId - Target socket ID
+     * @returns {boolean} True if it does
+     */
+    isSameTenant(socket, socketId) {
+        return this.isInTenant(socketId, socket.tenantId || null);
+    }
+
     /**
      * Generate unique message ID
      * 生成唯一消息ID
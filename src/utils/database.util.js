@@ -1,62 +1,365 @@
+const { AsyncLocalStorage } = require("async_hooks");
 const mysql = require("mysql2/promise");
 const { logger } = require("../middleware/logger.middleware");
 const dbConfig = require("../config/database.config");
+const QueryMetricsUtil = require("./query-metrics.util");
+
+// Deadlocks roll back the whole transaction, which is then run again after a short backoff
+const DEADLOCK_ERROR = "ER_LOCK_DEADLOCK";
+const DEFAULT_RETRIES = 3;
+const RETRY_BASE_DELAY = 50;
+
+// Statements a replica may answer: plain SELECTs, without locks or session state of the primary
+const READ_STATEMENT = /^\s*\(?\s*(SELECT|WITH)\b/i;
+const PRIMARY_ONLY = /\bFOR\s+UPDATE\b|\bFOR\s+SHARE\b|\bLOCK\s+IN\s+SHARE\s+MODE\b|\b(LAST_INSERT_ID|FOUND_ROWS|GET_LOCK|RELEASE_LOCK|IS_USED_LOCK)\s*\(/i;
+// Statements EXPLAIN accepts
+const EXPLAINABLE = /^\s*\(?\s*(SELECT|WITH|INSERT|REPLACE|UPDATE|DELETE)\b/i;
+// Errors meaning the replica itself is unreachable (SQL errors are not retried elsewhere)
+const CONNECTION_ERRORS = new Set([
+  "ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "EHOSTUNREACH", "ENOTFOUND", "EPIPE",
+  "PROTOCOL_CONNECTION_LOST", "ER_CON_COUNT_ERROR", "ER_SERVER_SHUTDOWN",
+]);
 
 class DatabaseUtil {
   constructor() {
-    this.pool = mysql.createPool(dbConfig);
+    const { replication, metrics, ...poolConfig } = dbConfig;
+
+    this.pool = mysql.createPool(poolConfig);
     this.logger = logger("database");
+    // Transaction of the current async call chain: { connection, savepoints, query }
+    this.transactionStorage = new AsyncLocalStorage();
+    // Request scope of readYourWrites(): { wrote } (reads stay on the primary once the request wrote)
+    this.requestStorage = new AsyncLocalStorage();
+    // "primary" inside primary(fn), "replica" inside replica(fn)
+    this.routeStorage = new AsyncLocalStorage();
+
+    this.metrics = metrics;
+    this.ejectTime = replication.ejectTime;
+    this.replicaIndex = 0;
+    this.replicas = replication.hosts.map(address => {
+      const [host, port] = address.split(":");
+      return {
+        name: address,
+        pool: mysql.createPool({ ...poolConfig, host, port: parseInt(port) || poolConfig.port }),
+        ejectedUntil: 0,
+      };
+    });
   }
 
-  // Execute a query
+  /**
+   * Execute a query. Inside withTransaction it runs on the transaction's connection; otherwise
+   * reads go to a replica (when configured) unless the request already wrote or primary() is used.
+   * 执行查询：事务中使用事务连接；否则读语句在配置了从库时发往从库（请求已写入或使用primary()时除外）
+   * @param {string} sql - SQL with ? placeholders
+   * @param {Array} params - Bind values
+   * @returns {Promise<Array>} [rows, fields]
+   */
   async query(sql, params = []) {
+    const tx = this.transactionStorage.getStore();
+    if (tx) {
+      return this.execute(tx.connection, sql, params);
+    }
+
+    if (this.isRead(sql)) {
+      const route = this.routeStorage.getStore();
+      const sticky = route !== "replica" && this.requestStorage.getStore()?.wrote;
+      if (this.replicas.length > 0 && route !== "primary" && !sticky) {
+        return this.queryReplica(sql, params);
+      }
+    } else {
+      this.markWrite();
+    }
+    return this.execute(this.pool, sql, params);
+  }
+
+  // Whether a replica may run the statement
+  isRead(sql) {
+    return READ_STATEMENT.test(sql) && !PRIMARY_ONLY.test(sql);
+  }
+
+  // Remember that the current request wrote, so its next reads see the write
+  markWrite() {
+    const scope = this.requestStorage.getStore();
+    if (scope) {
+      scope.wrote = true;
+    }
+  }
+
+  // Run a read on the next healthy replica, falling back to the primary when it is unreachable
+  async queryReplica(sql, params) {
+    const replica = this.nextReplica();
+    if (!replica) {
+      return this.execute(this.pool, sql, params);
+    }
+
+    try {
+      const result = await this.execute(replica.pool, sql, params, replica.name);
+      if (replica.ejectedUntil) {
+        replica.ejectedUntil = 0;
+        this.logger.info("Replica back in rotation", { replica: replica.name });
+      }
+      return result;
+    } catch (error) {
+      if (!error.fatal && !CONNECTION_ERRORS.has(error.code)) {
+        throw error;
+      }
+      replica.ejectedUntil = Date.now() + this.ejectTime;
+      this.logger.warn("Replica ejected, reading from the primary", {
+        replica: replica.name,
+        error: error.message,
+        ejectTime: `${this.ejectTime}ms`,
+      });
+      return this.execute(this.pool, sql, params);
+    }
+  }
+
+  // Round-robin over the replicas that are not ejected (an ejected replica is tried again once its time is over)
+  nextReplica() {
+    const now = Date.now();
+    const healthy = this.replicas.filter(replica => replica.ejectedUntil <= now);
+    if (healthy.length === 0) {
+      return null;
+    }
+    return healthy[this.replicaIndex++ % healthy.length];
+  }
+
+  /**
+   * Read from the primary: primary(fn) runs fn with every query on the primary,
+   * primary() returns { query } for a single statement (e.g. db.primary().query(sql, params)).
+   * Use it for reads that must not lag behind, such as token revocation checks.
+   * 强制读主库：primary(fn) 中的所有查询走主库，primary() 返回只走主库的 { query }
+   * @param {Function} fn - Optional async function
+   * @returns {Promise<*>|Object} Result of fn, or { query }
+   */
+  primary(fn) {
+    return this.route("primary", fn);
+  }
+
+  /**
+   * Read from a replica even after the request wrote, for data where a little lag does not matter
+   * (history, listings). Same forms as primary(); writes still go to the primary.
+   * 即使请求已写入也从从库读取，适用于允许少量延迟的数据（历史记录、列表）；写操作仍走主库
+   * @param {Function} fn - Optional async function
+   * @returns {Promise<*>|Object} Result of fn, or { query }
+   */
+  replica(fn) {
+    return this.route("replica", fn);
+  }
+
+  route(target, fn) {
+    if (!fn) {
+      return { query: (sql, params) => this.routeStorage.run(target, () => this.query(sql, params)) };
+    }
+    return this.routeStorage.run(target, fn);
+  }
+
+  /**
+   * Express middleware giving each request read-your-writes: once the request writes,
+   * its following reads go to the primary instead of a replica that may lag behind.
+   * Express中间件：请求写入后，其后续读操作走主库，避免从库延迟导致读不到刚写入的数据
+   * @returns {Function} Middleware
+   */
+  readYourWrites() {
+    return (req, res, next) => this.requestStorage.run({ wrote: false }, next);
+  }
+
+  // Execute a query on a pool or connection, with metrics and logging (bind values are redacted)
+  async execute(executor, sql, params = [], replica = undefined) {
     const start = Date.now();
     try {
-      const [rows, fields] = await this.pool.execute(sql, params);
+      const [rows, fields] = await executor.execute(sql, params);
       const duration = Date.now() - start;
+      const slow = duration >= this.metrics.slowQueryThreshold;
+      const entry = QueryMetricsUtil.record(sql, duration, { slow });
+      // SELECT returns rows, other statements a result header
+      const counts = Array.isArray(rows) ? { rowCount: rows.length } : { affectedRows: rows.affectedRows };
 
-      this.logger.info("Executed query", {
+      this.logger.debug("Executed query", {
         sql,
+        fingerprint: entry.id,
         duration: `${duration}ms`,
-        rowCount: rows.length,
+        ...counts,
+        ...(replica && { replica }),
       });
 
+      if (slow) {
+        // Not awaited: EXPLAIN must not delay the caller
+        this.logSlowQuery(executor, sql, params, { entry, duration, counts, replica });
+      }
+
       return [rows, fields];
     } catch (error) {
+      const entry = QueryMetricsUtil.record(sql, Date.now() - start, { error: true });
       this.logger.error("Error executing query", {
         sql,
-        params,
+        fingerprint: entry.id,
+        params: QueryMetricsUtil.redact(sql, params),
         error: error.message,
+        ...(replica && { replica }),
       });
       throw error;
     }
   }
 
+  // Log a slow query, with its EXPLAIN (captured at most once per interval for each statement)
+  async logSlowQuery(executor, sql, params, details) {
+    const { entry, duration, counts, replica } = details;
+    let plan;
+
+    if (this.metrics.explain && EXPLAINABLE.test(sql) && QueryMetricsUtil.shouldExplain(entry, this.metrics.explainInterval)) {
+      try {
+        // A transaction's connection is left alone; its pool is the primary. The text protocol is
+        // used since EXPLAIN cannot always be prepared.
+        const target = typeof executor.getConnection === "function" ? executor : this.pool;
+        [plan] = await target.query(`EXPLAIN ${sql}`, params);
+        entry.plan = plan;
+      } catch (error) {
+        plan = `EXPLAIN failed: ${error.message}`;
+      }
+    }
+
+    this.logger.warn("Slow query", {
+      sql,
+      fingerprint: entry.id,
+      params: QueryMetricsUtil.redact(sql, params),
+      duration: `${duration}ms`,
+      threshold: `${this.metrics.slowQueryThreshold}ms`,
+      ...counts,
+      ...(replica && { replica }),
+      ...(plan && { plan }),
+    });
+  }
+
+  // Connections of a pool (mysql2 keeps them in its core pool)
+  poolUsage(pool) {
+    const core = pool.pool || {};
+    const total = core._allConnections ? core._allConnections.length : 0;
+    const idle = core._freeConnections ? core._freeConnections.length : 0;
+
+    return {
+      limit: core.config ? core.config.connectionLimit : undefined,
+      total,
+      active: total - idle,
+      idle,
+      queued: core._connectionQueue ? core._connectionQueue.length : 0,
+    };
+  }
+
+  /**
+   * Pool usage and query statistics, for monitoring
+   * 连接池使用情况及查询统计（用于监控）
+   * @param {Object} options - { top } number of slow statements returned (default 10)
+   * @returns {Object} { pools: { primary, replicas }, queries }
+   */
+  getStats(options = {}) {
+    const now = Date.now();
+
+    return {
+      pools: {
+        primary: this.poolUsage(this.pool),
+        replicas: this.replicas.map(replica => ({
+          name: replica.name,
+          ejected: replica.ejectedUntil > now,
+          ...this.poolUsage(replica.pool),
+        })),
+      },
+      queries: {
+        slowQueryThreshold: this.metrics.slowQueryThreshold,
+        ...QueryMetricsUtil.getStats(options),
+      },
+    };
+  }
+
   // Execute multiple queries in a transaction
   async transaction(queries) {
-    const connection = await this.pool.getConnection();
-    try {
-      await connection.beginTransaction();
-
+    return this.withTransaction(async (tx) => {
       const results = [];
       for (const { sql, params } of queries) {
-        const [rows] = await connection.execute(sql, params);
+        const [rows] = await tx.query(sql, params);
         results.push(rows);
       }
-
-      await connection.commit();
       return results;
+    });
+  }
+
+  /**
+   * Run a function in a transaction. db.query (and so every model) joins the transaction
+   * while the function runs; nested calls become savepoints. On a deadlock the whole
+   * function runs again, so it must not have side effects outside the database.
+   * 在事务中执行函数；期间db.query（包括所有model）自动加入该事务，嵌套调用使用保存点，
+   * 死锁时整个函数会重新执行，因此函数内不应有数据库以外的副作用
+   * @param {Function} fn - async (tx) => result; tx.query(sql, params) runs on the transaction
+   * @param {Object} options - { retries } deadlock retries (default 3)
+   * @returns {Promise<*>} Result of fn
+   */
+  async withTransaction(fn, options = {}) {
+    const current = this.transactionStorage.getStore();
+    if (current) {
+      return this.withSavepoint(current, fn);
+    }
+
+    const retries = options.retries === undefined ? DEFAULT_RETRIES : options.retries;
+
+    // Transactions run on the primary, so the request's later reads must too
+    this.markWrite();
+
+    for (let attempt = 0; ; attempt++) {
+      const connection = await this.pool.getConnection();
+      const tx = {
+        connection,
+        savepoints: 0,
+        query: (sql, params) => this.execute(connection, sql, params),
+      };
+
+      try {
+        await connection.beginTransaction();
+        const result = await this.transactionStorage.run(tx, () => fn(tx));
+        await connection.commit();
+        return result;
+      } catch (error) {
+        await connection.rollback().catch(rollbackError => {
+          this.logger.error("Error rolling back transaction", { error: rollbackError.message });
+        });
+
+        if (error.code !== DEADLOCK_ERROR || attempt >= retries) {
+          throw error;
+        }
+
+        const delay = RETRY_BASE_DELAY * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_DELAY);
+        this.logger.warn("Transaction deadlock, retrying", { attempt: attempt + 1, delay: `${delay}ms` });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } finally {
+        connection.release();
+      }
+    }
+  }
+
+  // Run a nested transaction as a savepoint of the current one
+  async withSavepoint(tx, fn) {
+    const name = `sp_${++tx.savepoints}`;
+    await tx.connection.query(`SAVEPOINT ${name}`);
+
+    try {
+      const result = await fn(tx);
+      await tx.connection.query(`RELEASE SAVEPOINT ${name}`);
+      return result;
     } catch (error) {
-      await connection.rollback();
+      // A deadlock already rolled back the whole transaction, savepoints included
+      if (error.code !== DEADLOCK_ERROR) {
+        await tx.connection.query(`ROLLBACK TO SAVEPOINT ${name}`);
+      }
       throw error;
-    } finally {
-      connection.release();
     }
   }
 
-  // Close the pool
+  // Get a dedicated connection to the primary (the caller must release it)
+  async getConnection() {
+    return this.pool.getConnection();
+  }
+
+  // Close the pools
   async close() {
-    await this.pool.end();
+    await Promise.all([this.pool, ...this.replicas.map(replica => replica.pool)].map(pool => pool.end()));
   }
 }
 
@@ -340,6 +340,35 @@ class EncryptUtil {
     }
   }
 
+  /**
+   * Generate EC key pair
+   * 生成EC（椭圆曲线）密钥对
+   * @param {string} namedCurve - Curve name (default: prime256v1, i.e. P-256)
+   * @returns {Object} Public and private keys (PEM)
+   */
+  static generateEcKeyPair(namedCurve = 'prime256v1') {
+    try {
+      const keyPair = crypto.generateKeyPairSync('ec', {
+        namedCurve,
+        publicKeyEncoding: {
+          type: 'spki',
+          format: 'pem'
+        },
+        privateKeyEncoding: {
+          type: 'pkcs8',
+          format: 'pem'
+        }
+      });
+
+      this.logger.info('EC key pair generated successfully', { namedCurve });
+
+      return keyPair;
+    } catch (error) {
+      this.logger.error('Error generating EC key pair', { error: error.message });
+      throw new Error(`Failed to generate EC key pair: ${error.message}`);
+    }
+  }
+
   /**
    * RSA public key encryption
    * RSA公钥加密
@@ -551,6 +580,41 @@ class EncryptUtil {
     }
   }
 
+  /**
+   * Generate a single-use token and its keyed hash
+   * Only the hash should be stored; the raw token is sent to the user (e.g. by email)
+   * 生成一次性令牌及其HMAC哈希（仅存储哈希值）
+   * @param {string} secret - HMAC secret
+   * @param {number} size - Number of random bytes (default: 32)
+   * @returns {Object} Raw token (base64url) and hash (hex)
+   */
+  static generateOneTimeToken(secret, size = 32) {
+    try {
+      if (!secret) {
+        throw new Error('Secret is required for one-time token generation');
+      }
+
+      const token = this.randomBytes(size, 'base64url');
+      const hash = this.hashOneTimeToken(token, secret);
+
+      return { token, hash };
+    } catch (error) {
+      this.logger.error('Error generating one-time token', { error: error.message });
+      throw new Error(`Failed to generate one-time token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Hash a single-use token for lookup
+   * 计算一次性令牌的哈希值用于查询
+   * @param {string} token - Raw token
+   * @param {string} secret - HMAC secret
+   * @returns {string} HMAC-SHA256 hash (hex)
+   */
+  static hashOneTimeToken(token, secret) {
+    return this.hmac(token, secret, 'sha256', 'hex');
+  }
+
   /**
    * Generate JWT-like token
    * 生成JWT风格的令牌
@@ -0,0 +1,40 @@
+const crypto = require("crypto");
+
+// Strong entity tags (a digest of a representation) and the If-Match header that sends them back
+class ETagUtil {
+  /**
+   * Entity tag of a representation (SHA-256 of its JSON), so that writes that do not show in the response
+   * (and only move the row version) keep the tag
+   * 根据响应内容（JSON的SHA-256）生成实体标签
+   * @param {Object} data - Representation sent to the client
+   * @returns {string} Quoted strong tag
+   */
+  static fromRepresentation(data) {
+    const digest = crypto.createHash("sha256").update(JSON.stringify(data)).digest("base64url");
+    return `"${digest.slice(0, 22)}"`;
+  }
+
+  /**
+   * Parse an If-Match header into the strong tags it names. If-Match uses the strong comparison,
+   * so weak tags (W/"3") never match and are left out.
+   * 解析If-Match请求头中的强实体标签（强比较，弱标签不匹配）
+   * @param {string} header - If-Match header value
+   * @returns {Array<string>|null} Quoted tags (empty if no tag can match), or null without a header or with "*"
+   */
+  static parseIfMatch(header) {
+    const value = String(header ?? "").trim();
+    if (!value || value === "*") {
+      return null;
+    }
+
+    const tags = [];
+    for (const match of value.matchAll(/(W\/)?("[^"]*")/g)) {
+      if (!match[1]) {
+        tags.push(match[2]);
+      }
+    }
+    return tags;
+  }
+}
+
+module.exports = ETagUtil;
@@ -0,0 +1,59 @@
+const db = require("./database.util");
+const SeedUtil = require("./seed.util");
+
+class FixtureUtil {
+  // Rows inserted by load(), in insertion order: { table, where }
+  static loaded = [];
+
+  /**
+   * Insert fixture rows through DatabaseUtil and remember them for teardown()
+   * 通过DatabaseUtil插入测试数据，并记录下来供teardown()删除
+   * @param {Object} fixtures - { table: [rows] }, inserted in key order (list parent tables first)
+   * @returns {Promise<Object>} { table: [rows] } with the generated id filled in
+   */
+  static async load(fixtures) {
+    const result = {};
+
+    for (const [table, rows] of Object.entries(fixtures)) {
+      result[table] = [];
+      for (const row of rows) {
+        const columns = Object.keys(row);
+        const [inserted] = await db.query(
+          `INSERT INTO ${SeedUtil.escapeId(table)} (${columns.map(column => SeedUtil.escapeId(column)).join(", ")}) ` +
+          `VALUES (${columns.map(() => "?").join(", ")})`,
+          columns.map(column => row[column])
+        );
+
+        // Tables without an auto increment id are cleaned up by the inserted values
+        const stored = inserted.insertId ? { id: inserted.insertId, ...row } : { ...row };
+        this.loaded.push({ table, where: inserted.insertId ? { id: inserted.insertId } : row });
+        result[table].push(stored);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete every row inserted by load(), newest first
+   * 删除load()插入的所有数据（从最新的开始）
+   * @returns {Promise<number>} Deleted rows
+   */
+  static async teardown() {
+    let deleted = 0;
+
+    while (this.loaded.length > 0) {
+      const { table, where } = this.loaded.pop();
+      const columns = Object.keys(where);
+      const [result] = await db.query(
+        `DELETE FROM ${SeedUtil.escapeId(table)} WHERE ${columns.map(column => `${SeedUtil.escapeId(column)} <=> ?`).join(" AND ")}`,
+        columns.map(column => where[column])
+      );
+      deleted += result.affectedRows;
+    }
+
+    return deleted;
+  }
+}
+
+module.exports = FixtureUtil;
@@ -163,6 +163,44 @@ class HttpUtil {
     }
   }
 
+  /**
+   * Make HTTP POST request with application/x-www-form-urlencoded data (e.g. OAuth2 token endpoints)
+   * @param {string} url - Request URL
+   * @param {Object} formData - Form fields
+   * @param {Object} config - Request configuration
+   * @returns {Promise<Object>} - Response data
+   */
+  static async postUrlEncoded(url, formData = {}, config = {}) {
+    try {
+      const params = new URLSearchParams();
+      Object.entries(formData).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          params.append(key, String(value));
+        }
+      });
+
+      const instance = this.createInstance({
+        ...config,
+        headers: {
+          ...config.headers,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+
+      const response = await instance.post(url, params.toString());
+      return {
+        data: response.data,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        config: response.config
+      };
+    } catch (error) {
+      this.logger.error(`POST URL-encoded request failed for ${url}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Make HTTP POST request with multipart form data (file upload)
    * @param {string} url - Request URL
@@ -0,0 +1,357 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { logger } = require("../middleware/logger.middleware");
+const db = require("./database.util");
+const dbConfig = require("../config/database.config");
+const migrationConfig = require("../config/migration.config");
+
+// NNN_name.sql or NNN_name.js; the number is the version
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+const SECTION_PATTERN = /^--\s*migrate:(up|down)[ \t]*$/gim;
+
+class MigrationUtil {
+  static logger = logger("migration");
+
+  /**
+   * Split a SQL script into statements (semicolons in quotes and comments are ignored)
+   * 将SQL脚本拆分为单条语句（忽略引号和注释中的分号）
+   * @param {string} sql - SQL script
+   * @returns {Array<string>} Statements without the trailing semicolon
+   */
+  static splitStatements(sql) {
+    const statements = [];
+    let current = "";
+    let quote = null;
+
+    for (let i = 0; i < sql.length; i++) {
+      const char = sql[i];
+      const next = sql[i + 1];
+
+      if (quote) {
+        current += char;
+        if (char === "\\" && quote !== "`" && next !== undefined) {
+          current += next;
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+        continue;
+      }
+
+      if ((char === "-" && next === "-") || char === "#") {
+        const end = sql.indexOf("\n", i);
+        i = end === -1 ? sql.length : end - 1;
+        continue;
+      }
+      if (char === "/" && next === "*") {
+        const end = sql.indexOf("*/", i + 2);
+        i = end === -1 ? sql.length : end + 1;
+        continue;
+      }
+
+      if (char === ";") {
+        if (current.trim()) {
+          statements.push(current.trim());
+        }
+        current = "";
+        continue;
+      }
+
+      if (char === "'" || char === "\"" || char === "`") {
+        quote = char;
+      }
+      current += char;
+    }
+
+    if (current.trim()) {
+      statements.push(current.trim());
+    }
+    return statements;
+  }
+
+  /**
+   * Parse a SQL migration into its "-- migrate:up" and "-- migrate:down" sections
+   * 解析SQL迁移文件中的 "-- migrate:up" 与 "-- migrate:down" 部分
+   * @param {string} content - File content
+   * @returns {Object} { up, down } statement lists
+   */
+  static parseSql(content) {
+    const sections = { up: null, down: null };
+    const markers = [...content.matchAll(SECTION_PATTERN)];
+
+    markers.forEach((marker, index) => {
+      const start = marker.index + marker[0].length;
+      const end = index + 1 < markers.length ? markers[index + 1].index : content.length;
+      sections[marker[1].toLowerCase()] = this.splitStatements(content.slice(start, end));
+    });
+
+    if (!sections.up) {
+      throw new Error("Missing \"-- migrate:up\" section");
+    }
+    return { up: sections.up, down: sections.down || [] };
+  }
+
+  /**
+   * Load the migrations of a directory, ordered by version
+   * 加载目录中的迁移文件（按版本号排序）
+   * @param {string} directory - Migrations directory
+   * @returns {Array<Object>} { version, name, file, checksum, up(connection), down(connection) | null }
+   */
+  static loadMigrations(directory = migrationConfig.directory) {
+    const migrations = [];
+
+    for (const file of fs.readdirSync(directory)) {
+      const match = file.match(FILE_PATTERN);
+      if (!match) {
+        continue;
+      }
+
+      const fullPath = path.join(directory, file);
+      const content = fs.readFileSync(fullPath, "utf8");
+      const migration = {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        checksum: crypto.createHash("sha256").update(content).digest("hex"),
+      };
+
+      if (match[3] === "sql") {
+        let sections;
+        try {
+          sections = this.parseSql(content);
+        } catch (error) {
+          throw new Error(`${file}: ${error.message}`);
+        }
+        migration.up = this.statementRunner(sections.up);
+        migration.down = sections.down.length > 0 ? this.statementRunner(sections.down) : null;
+      } else {
+        const definition = require(fullPath);
+        if (typeof definition.up !== "function") {
+          throw new Error(`${file}: missing up() function`);
+        }
+        migration.up = definition.up;
+        migration.down = typeof definition.down === "function" ? definition.down : null;
+      }
+
+      migrations.push(migration);
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+      }
+    }
+    return migrations;
+  }
+
+  // Run SQL statements one by one (the pool does not allow multiple statements per query)
+  static statementRunner(statements) {
+    return async (connection) => {
+      for (const statement of statements) {
+        await connection.query(statement);
+      }
+    };
+  }
+
+  /**
+   * Run a function on a dedicated connection holding the migration lock, so that
+   * two instances never migrate at the same time
+   * 在持有迁移锁的独立连接上执行函数，避免多个实例同时迁移
+   * @param {Function} fn - async (connection) => result
+   * @returns {Promise<*>} Result of fn
+   */
+  static async withLock(fn) {
+    // Lock names are server-wide and at most 64 characters
+    const lockName = `${dbConfig.database}.${migrationConfig.table}`.slice(0, 64);
+    const connection = await db.getConnection();
+
+    try {
+      const [rows] = await connection.query("SELECT GET_LOCK(?, ?) AS acquired", [lockName, migrationConfig.lockTimeout]);
+      if (rows[0].acquired !== 1) {
+        throw new Error(`Could not acquire the migration lock within ${migrationConfig.lockTimeout}s, another instance is migrating`);
+      }
+
+      try {
+        await this.ensureTable(connection);
+        return await fn(connection);
+      } finally {
+        await connection.query("SELECT RELEASE_LOCK(?)", [lockName]);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Create the tracking table on first use
+  static async ensureTable(connection) {
+    await connection.query(
+      `CREATE TABLE IF NOT EXISTS \`${migrationConfig.table}\` (
+        version BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+  }
+
+  /**
+   * Read the applied migrations
+   * 读取已执行的迁移
+   * @param {Object} connection - Connection or DatabaseUtil
+   * @returns {Promise<Map<number, Object>>} version -> { version, name, checksum, applied_at }, oldest first
+   */
+  static async getApplied(connection) {
+    let rows;
+    try {
+      [rows] = await connection.query(
+        `SELECT version, name, checksum, applied_at FROM \`${migrationConfig.table}\` ORDER BY version`
+      );
+    } catch (error) {
+      if (error.code === "ER_NO_SUCH_TABLE") {
+        return new Map();
+      }
+      throw error;
+    }
+    return new Map(rows.map(row => [Number(row.version), { ...row, version: Number(row.version) }]));
+  }
+
+  // Check whether a column exists, for migrations that also run on schemas created by hand
+  static async columnExists(connection, table, column) {
+    const [rows] = await connection.query(
+      "SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?",
+      [table, column]
+    );
+    return rows.length > 0;
+  }
+
+  // Check whether an index (or unique key) exists, see columnExists
+  static async indexExists(connection, table, index) {
+    const [rows] = await connection.query(
+      "SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ? LIMIT 1",
+      [table, index]
+    );
+    return rows.length > 0;
+  }
+
+  // Run one migration in a direction and update the tracking table
+  static async run(connection, migration, direction) {
+    const start = Date.now();
+    try {
+      await migration[direction](connection);
+    } catch (error) {
+      // MySQL commits DDL implicitly, so a failed migration may be partly applied
+      this.logger.error("Migration failed", { file: migration.file, direction, error: error.message });
+      error.message = `${migration.file} (${direction}): ${error.message}`;
+      throw error;
+    }
+
+    if (direction === "up") {
+      await connection.query(
+        `INSERT INTO \`${migrationConfig.table}\` (version, name, checksum) VALUES (?, ?, ?)`,
+        [migration.version, migration.name, migration.checksum]
+      );
+    } else {
+      await connection.query(`DELETE FROM \`${migrationConfig.table}\` WHERE version = ?`, [migration.version]);
+    }
+
+    this.logger.info(`Migrated ${direction}`, { file: migration.file, duration: `${Date.now() - start}ms` });
+  }
+
+  /**
+   * Apply pending migrations
+   * 执行待执行的迁移
+   * @param {Object} options - { to } highest version to apply (default: all)
+   * @param {string} directory - Migrations directory
+   * @returns {Promise<Array<Object>>} Applied migrations ({ version, name })
+   */
+  static async up(options = {}, directory = migrationConfig.directory) {
+    const migrations = this.loadMigrations(directory);
+
+    return this.withLock(async (connection) => {
+      const applied = await this.getApplied(connection);
+      const latest = Math.max(0, ...applied.keys());
+      const pending = migrations.filter(migration =>
+        !applied.has(migration.version) && (options.to === undefined || migration.version <= options.to)
+      );
+
+      for (const migration of pending) {
+        if (migration.version < latest) {
+          this.logger.warn("Applying migration older than the latest applied one", { file: migration.file, latest });
+        }
+        await this.run(connection, migration, "up");
+      }
+
+      return pending.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   * 回滚已执行的迁移（从最新的开始）
+   * @param {Object} options - { steps } number of migrations to revert (default 1), or { to } version to keep
+   * @param {string} directory - Migrations directory
+   * @returns {Promise<Array<Object>>} Reverted migrations ({ version, name })
+   */
+  static async down(options = {}, directory = migrationConfig.directory) {
+    const migrations = new Map(this.loadMigrations(directory).map(migration => [migration.version, migration]));
+
+    return this.withLock(async (connection) => {
+      const applied = [...(await this.getApplied(connection)).values()].reverse();
+      const targets = options.to !== undefined
+        ? applied.filter(row => row.version > options.to)
+        : applied.slice(0, options.steps || 1);
+
+      // Check every target first so a revert never stops half way on a missing file
+      for (const row of targets) {
+        const migration = migrations.get(row.version);
+        if (!migration) {
+          throw new Error(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+        }
+        if (!migration.down) {
+          throw new Error(`Migration ${migration.file} cannot be reverted (no down section)`);
+        }
+      }
+
+      for (const row of targets) {
+        await this.run(connection, migrations.get(row.version), "down");
+      }
+
+      return targets.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  /**
+   * List every migration with its state
+   * 列出所有迁移及其状态
+   * @param {string} directory - Migrations directory
+   * @returns {Promise<Array<Object>>} { version, name, state: 'applied' | 'pending' | 'missing', appliedAt, modified }
+   */
+  static async status(directory = migrationConfig.directory) {
+    const migrations = this.loadMigrations(directory);
+    const applied = await this.getApplied(db);
+
+    const entries = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        state: row ? "applied" : "pending",
+        appliedAt: row ? row.applied_at : null,
+        // The file was edited after it was applied
+        modified: Boolean(row && row.checksum !== migration.checksum),
+      };
+    });
+
+    for (const row of applied.values()) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        entries.push({ version: row.version, name: row.name, state: "missing", appliedAt: row.applied_at, modified: false });
+      }
+    }
+
+    return entries.sort((a, b) => a.version - b.version);
+  }
+}
+
+module.exports = MigrationUtil;
@@ -0,0 +1,95 @@
+const fs = require("fs");
+const { logger } = require("../middleware/logger.middleware");
+const authConfig = require("../config/auth.config");
+
+class PasswordPolicyUtil {
+  static logger = logger("password-policy");
+
+  // Lowercased blocklist entries, loaded on first use
+  static blocklist = null;
+
+  /**
+   * Load the blocklist of common passwords (one per line, "#" comments)
+   * 加载常见密码黑名单（每行一个，#开头为注释）
+   * @param {string} file - Blocklist file
+   * @returns {Set<string>} Lowercased passwords
+   */
+  static loadBlocklist(file = authConfig.passwordPolicy.blocklistFile) {
+    try {
+      const entries = fs.readFileSync(file, "utf8")
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith("#"));
+      this.blocklist = new Set(entries);
+      this.logger.info(`Loaded ${this.blocklist.size} blocked passwords from ${file}`);
+    } catch (error) {
+      this.logger.warn(`Password blocklist not loaded from ${file}: ${error.message}`);
+      this.blocklist = new Set();
+    }
+    return this.blocklist;
+  }
+
+  /**
+   * Check whether a password is on the blocklist (case-insensitive)
+   * 检查密码是否在黑名单中（不区分大小写）
+   * @param {string} password - Password
+   * @returns {boolean} True if blocked
+   */
+  static isBlocked(password) {
+    const blocklist = this.blocklist || this.loadBlocklist();
+    return blocklist.has(String(password).toLowerCase());
+  }
+
+  /**
+   * Check a password against the policy
+   * 按密码策略校验密码
+   * @param {string} password - Password
+   * @param {Object} user - { username, email } the password must not contain (optional)
+   * @param {Object} policy - Policy (default: authConfig.passwordPolicy)
+   * @returns {Array<string>} Violations (empty if the password is acceptable)
+   */
+  static validate(password, user = {}, policy = authConfig.passwordPolicy) {
+    if (typeof password !== "string") {
+      return ["Password is required"];
+    }
+
+    const violations = [];
+
+    if (password.length < policy.minLength) {
+      violations.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+    if (Buffer.byteLength(password) > policy.maxLength) {
+      violations.push(`Password must be no more than ${policy.maxLength} bytes long`);
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      violations.push("Password must contain a lowercase letter");
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      violations.push("Password must contain an uppercase letter");
+    }
+    if (policy.requireDigit && !/\d/.test(password)) {
+      violations.push("Password must contain a number");
+    }
+    if (policy.requireSymbol && !/[^a-zA-Z0-9]/.test(password)) {
+      violations.push("Password must contain a symbol");
+    }
+
+    if (policy.disallowUserInfo) {
+      const lowered = password.toLowerCase();
+      const emailName = user.email ? String(user.email).split("@")[0] : null;
+      // Very short names would reject too many passwords
+      const parts = [user.username, emailName].filter(part => part && String(part).length >= 3);
+      if (parts.some(part => lowered.includes(String(part).toLowerCase()))) {
+        violations.push("Password must not contain your username or email");
+      }
+    }
+
+    if (this.isBlocked(password)) {
+      violations.push("Password is too common");
+    }
+
+    return violations;
+  }
+}
+
+module.exports = PasswordPolicyUtil;
@@ -0,0 +1,402 @@
+const db = require("./database.util");
+
+const IDENTIFIER = /^[A-Za-z_][\w$]*$/;
+const OPERATORS = new Set(["=", "<>", "!=", "<", "<=", ">", ">=", "LIKE", "NOT LIKE", "IN", "NOT IN", "IS NULL", "IS NOT NULL"]);
+const JOIN_OPERATORS = new Set(["=", "<>", "!=", "<", "<=", ">", ">="]);
+
+// SQL passed through unescaped (e.g. NOW(), COUNT(*)); never build it from user input
+class RawSql {
+  constructor(sql, params = []) {
+    this.sql = sql;
+    this.params = params;
+  }
+}
+
+// mysql2 refuses undefined bind values
+const bindValue = (value) => (value === undefined ? null : value);
+
+class QueryBuilder {
+  constructor(table) {
+    this.tableName = table;
+    this.columns = [];
+    this.joins = [];
+    // { boolean: "AND" | "OR", sql, params }
+    this.wheres = [];
+    this.orders = [];
+    this.limitValue = null;
+    this.offsetValue = null;
+    this.lockRows = false;
+  }
+
+  /**
+   * Start a query on a table ("users" or "users u")
+   * 创建针对某张表的查询（"users" 或带别名的 "users u"）
+   * @param {string} table - Table name, optionally with an alias
+   * @returns {QueryBuilder} Builder
+   */
+  static table(table) {
+    return new QueryBuilder(table);
+  }
+
+  /**
+   * Wrap SQL that must not be escaped (e.g. QueryBuilder.raw("NOW()"))
+   * 包装无需转义的SQL片段（如 QueryBuilder.raw("NOW()")）
+   * @param {string} sql - SQL fragment
+   * @param {Array} params - Bind values of the fragment
+   * @returns {RawSql} Raw fragment
+   */
+  static raw(sql, params = []) {
+    return new RawSql(sql, params);
+  }
+
+  /**
+   * Escape an identifier: "id", "u.id", "u.*", "users u", "u.id AS userId"
+   * 转义标识符（支持表前缀、别名和 *）
+   * @param {string|RawSql} identifier - Table or column
+   * @returns {string} Escaped identifier
+   */
+  static escapeId(identifier) {
+    if (identifier instanceof RawSql) {
+      return identifier.sql;
+    }
+
+    const match = String(identifier).trim().match(/^(\S+?)(?:\s+(?:AS\s+)?(\S+))?$/i);
+    if (!match) {
+      throw new Error(`Invalid identifier: ${identifier}`);
+    }
+
+    const parts = match[1].split(".");
+    const escaped = parts.map((part, index) => {
+      if (part === "*" && index === parts.length - 1) {
+        return "*";
+      }
+      if (!IDENTIFIER.test(part)) {
+        throw new Error(`Invalid identifier: ${identifier}`);
+      }
+      return `\`${part}\``;
+    }).join(".");
+
+    if (match[2] === undefined) {
+      return escaped;
+    }
+    if (!IDENTIFIER.test(match[2])) {
+      throw new Error(`Invalid identifier: ${identifier}`);
+    }
+    return `${escaped} AS \`${match[2]}\``;
+  }
+
+  // Columns to select (default *)
+  select(...columns) {
+    this.columns.push(...columns.flat());
+    return this;
+  }
+
+  // INNER JOIN table ON left operator right
+  join(table, left, operator, right) {
+    return this.addJoin("INNER", table, left, operator, right);
+  }
+
+  // LEFT JOIN table ON left operator right
+  leftJoin(table, left, operator, right) {
+    return this.addJoin("LEFT", table, left, operator, right);
+  }
+
+  addJoin(type, table, left, operator, right) {
+    if (!JOIN_OPERATORS.has(operator)) {
+      throw new Error(`Invalid join operator: ${operator}`);
+    }
+    this.joins.push(`${type} JOIN ${QueryBuilder.escapeId(table)} ON ${QueryBuilder.escapeId(left)} ${operator} ${QueryBuilder.escapeId(right)}`);
+    return this;
+  }
+
+  /**
+   * Add an AND condition. Forms: where("id", 1), where("id", ">", 1), where({ id: 1, email: null }),
+   * where("id", "IN", [1, 2]) and where(q => q.where(...).orWhere(...)) for a group in parentheses.
+   * A null value compares with IS NULL.
+   * 添加AND条件（支持多种写法，null值使用IS NULL，回调函数生成括号分组）
+   * @returns {QueryBuilder} Builder
+   */
+  where(column, operator, value) {
+    return this.addWhere("AND", arguments.length, column, operator, value);
+  }
+
+  // Same as where(), joined with OR
+  orWhere(column, operator, value) {
+    return this.addWhere("OR", arguments.length, column, operator, value);
+  }
+
+  whereNull(column) {
+    return this.addWhere("AND", 3, column, "IS NULL");
+  }
+
+  whereNotNull(column) {
+    return this.addWhere("AND", 3, column, "IS NOT NULL");
+  }
+
+  whereIn(column, values) {
+    return this.where(column, "IN", values);
+  }
+
+  // Condition written by hand, with ? placeholders
+  whereRaw(sql, params = []) {
+    this.wheres.push({ boolean: "AND", sql, params });
+    return this;
+  }
+
+  addWhere(boolean, argumentCount, column, operator, value) {
+    if (typeof column === "function") {
+      const group = new QueryBuilder(this.tableName);
+      column(group);
+      const { sql, params } = group.compileWhere();
+      if (sql) {
+        this.wheres.push({ boolean, sql: `(${sql})`, params });
+      }
+      return this;
+    }
+
+    if (column !== null && typeof column === "object") {
+      Object.entries(column).forEach(([key, entry], index) => {
+        this.addWhere(index === 0 ? boolean : "AND", 2, key, entry);
+      });
+      return this;
+    }
+
+    if (argumentCount === 2) {
+      value = operator;
+      operator = "=";
+    }
+
+    let op = String(operator).toUpperCase();
+    if (!OPERATORS.has(op)) {
+      throw new Error(`Invalid operator: ${operator}`);
+    }
+    if (value === null && (op === "=" || op === "<>" || op === "!=")) {
+      op = op === "=" ? "IS NULL" : "IS NOT NULL";
+    }
+
+    const id = QueryBuilder.escapeId(column);
+    if (op === "IS NULL" || op === "IS NOT NULL") {
+      this.wheres.push({ boolean, sql: `${id} ${op}`, params: [] });
+    } else if (op === "IN" || op === "NOT IN") {
+      if (!Array.isArray(value)) {
+        throw new Error(`${op} expects an array`);
+      }
+      if (value.length === 0) {
+        // IN () is invalid SQL; an empty list matches nothing (IN) or everything (NOT IN)
+        this.wheres.push({ boolean, sql: op === "IN" ? "1 = 0" : "1 = 1", params: [] });
+      } else {
+        this.wheres.push({ boolean, sql: `${id} ${op} (${value.map(() => "?").join(", ")})`, params: value.map(bindValue) });
+      }
+    } else if (value instanceof RawSql) {
+      this.wheres.push({ boolean, sql: `${id} ${op} ${value.sql}`, params: value.params });
+    } else {
+      this.wheres.push({ boolean, sql: `${id} ${op} ?`, params: [bindValue(value)] });
+    }
+    return this;
+  }
+
+  orderBy(column, direction = "ASC") {
+    const dir = String(direction).toUpperCase();
+    if (dir !== "ASC" && dir !== "DESC") {
+      throw new Error(`Invalid order direction: ${direction}`);
+    }
+    this.orders.push(`${QueryBuilder.escapeId(column)} ${dir}`);
+    return this;
+  }
+
+  // LIMIT and OFFSET are inlined as integers (mysql2 prepared statements reject them as parameters)
+  limit(count) {
+    this.limitValue = QueryBuilder.toCount(count, "limit");
+    return this;
+  }
+
+  offset(count) {
+    this.offsetValue = QueryBuilder.toCount(count, "offset");
+    return this;
+  }
+
+  // SELECT ... FOR UPDATE (only useful inside db.withTransaction)
+  forUpdate() {
+    this.lockRows = true;
+    return this;
+  }
+
+  static toCount(value, name) {
+    const count = parseInt(value, 10);
+    if (isNaN(count) || count < 0) {
+      throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return count;
+  }
+
+  compileWhere() {
+    const sql = this.wheres.map((where, index) => (index === 0 ? where.sql : `${where.boolean} ${where.sql}`)).join(" ");
+    return { sql, params: this.wheres.flatMap(where => where.params) };
+  }
+
+  // WHERE, with a guard against updating or deleting a whole table by mistake
+  compileWhereClause(statement) {
+    const where = this.compileWhere();
+    if (!where.sql && statement) {
+      throw new Error(`Refusing to ${statement} ${this.tableName} without a where clause`);
+    }
+    return { sql: where.sql ? ` WHERE ${where.sql}` : "", params: where.params };
+  }
+
+  /**
+   * Build the SELECT statement
+   * 生成SELECT语句
+   * @returns {Object} { sql, params }
+   */
+  toSQL() {
+    const columns = this.columns.length > 0 ? this.columns.map(column => QueryBuilder.escapeId(column)).join(", ") : "*";
+    const where = this.compileWhereClause();
+    const params = [
+      ...this.columns.flatMap(column => (column instanceof RawSql ? column.params : [])),
+      ...where.params,
+    ];
+
+    let sql = `SELECT ${columns} FROM ${QueryBuilder.escapeId(this.tableName)}`;
+    if (this.joins.length > 0) {
+      sql += ` ${this.joins.join(" ")}`;
+    }
+    sql += where.sql;
+    if (this.orders.length > 0) {
+      sql += ` ORDER BY ${this.orders.join(", ")}`;
+    }
+    if (this.limitValue !== null) {
+      sql += ` LIMIT ${this.limitValue}`;
+    }
+    if (this.offsetValue !== null) {
+      sql += ` OFFSET ${this.offsetValue}`;
+    }
+    if (this.lockRows) {
+      sql += " FOR UPDATE";
+    }
+    return { sql, params };
+  }
+
+  // Build an INSERT of one row or several rows with the same columns
+  toInsertSQL(data) {
+    const rows = Array.isArray(data) ? data : [data];
+    if (rows.length === 0 || Object.keys(rows[0]).length === 0) {
+      throw new Error("Nothing to insert");
+    }
+
+    const columns = Object.keys(rows[0]);
+    const params = [];
+    const values = rows.map(row => `(${columns.map(column => {
+      if (row[column] instanceof RawSql) {
+        params.push(...row[column].params);
+        return row[column].sql;
+      }
+      params.push(bindValue(row[column]));
+      return "?";
+    }).join(", ")})`);
+
+    return {
+      sql: `INSERT INTO ${QueryBuilder.escapeId(this.tableName)} (${columns.map(column => QueryBuilder.escapeId(column)).join(", ")}) VALUES ${values.join(", ")}`,
+      params,
+    };
+  }
+
+  // Build an UPDATE of the matching rows
+  toUpdateSQL(data) {
+    const columns = Object.keys(data);
+    if (columns.length === 0) {
+      throw new Error("Nothing to update");
+    }
+
+    const params = [];
+    const assignments = columns.map(column => {
+      if (data[column] instanceof RawSql) {
+        params.push(...data[column].params);
+        return `${QueryBuilder.escapeId(column)} = ${data[column].sql}`;
+      }
+      params.push(bindValue(data[column]));
+      return `${QueryBuilder.escapeId(column)} = ?`;
+    });
+    const where = this.compileWhereClause("update");
+
+    return {
+      sql: `UPDATE ${QueryBuilder.escapeId(this.tableName)} SET ${assignments.join(", ")}${where.sql}`,
+      params: [...params, ...where.params],
+    };
+  }
+
+  // Build a DELETE of the matching rows
+  toDeleteSQL() {
+    const where = this.compileWhereClause("delete");
+    return { sql: `DELETE FROM ${QueryBuilder.escapeId(this.tableName)}${where.sql}`, params: where.params };
+  }
+
+  /**
+   * Run the SELECT
+   * 执行查询
+   * @returns {Promise<Array<Object>>} Rows
+   */
+  async get() {
+    const { sql, params } = this.toSQL();
+    const [rows] = await db.query(sql, params);
+    return rows;
+  }
+
+  // First matching row, or undefined
+  async first() {
+    this.limit(1);
+    const rows = await this.get();
+    return rows[0];
+  }
+
+  // Number of matching rows (ignores select, order, limit and offset)
+  async count() {
+    const query = Object.assign(new QueryBuilder(this.tableName), this, {
+      columns: [QueryBuilder.raw("COUNT(*) AS total")],
+      orders: [],
+      limitValue: null,
+      offsetValue: null,
+      lockRows: false,
+    });
+    const rows = await query.get();
+    return Number(rows[0].total);
+  }
+
+  /**
+   * Insert one row or several rows
+   * 插入一行或多行
+   * @param {Object|Array<Object>} data - Row(s), values may be QueryBuilder.raw()
+   * @returns {Promise<Object>} mysql2 result (insertId, affectedRows)
+   */
+  async insert(data) {
+    const { sql, params } = this.toInsertSQL(data);
+    const [result] = await db.query(sql, params);
+    return result;
+  }
+
+  /**
+   * Update the matching rows (a where clause is required)
+   * 更新匹配的行（必须带where条件）
+   * @param {Object} data - Column values, may be QueryBuilder.raw()
+   * @returns {Promise<number>} Affected rows
+   */
+  async update(data) {
+    const { sql, params } = this.toUpdateSQL(data);
+    const [result] = await db.query(sql, params);
+    return result.affectedRows;
+  }
+
+  /**
+   * Delete the matching rows (a where clause is required)
+   * 删除匹配的行（必须带where条件）
+   * @returns {Promise<number>} Affected rows
+   */
+  async delete() {
+    const { sql, params } = this.toDeleteSQL();
+    const [result] = await db.query(sql, params);
+    return result.affectedRows;
+  }
+}
+
+QueryBuilder.RawSql = RawSql;
+
+module.exports = QueryBuilder;
@@ -0,0 +1,255 @@
+const crypto = require("crypto");
+const dbConfig = require("../config/database.config");
+
+// Histogram bucket upper bounds in ms (the last bucket holds everything slower)
+const BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, Infinity];
+// Distinct statements tracked; later ones are counted under OTHER so the map stays bounded
+const MAX_FINGERPRINTS = 500;
+const OTHER = "(other)";
+const REDACTED = "[REDACTED]";
+
+// Values redacted whatever their column: password hashes and JWTs
+const SECRET_VALUES = [/^\$(2[abxy]|argon2(id|i|d)?)\$/, /^eyJ[\w-]+\.[\w-]+\./];
+// Column compared to the placeholder: "col = ?", "col > ?", "col LIKE ?", "col IN (?, ?"
+const COMPARED_COLUMN = /`?(\w+)`?\s*(?:=|<>|!=|<=|>=|<|>|\bLIKE|\bNOT\s+LIKE|\bIN\s*\((?:\s*\?\s*,)*)\s*$/i;
+const INSERT_COLUMNS = /^\s*(?:INSERT|REPLACE)\s+(?:IGNORE\s+)?INTO\s+[\w.`]+\s*\(([^)]*)\)\s*VALUES\s*/i;
+
+class QueryMetricsUtil {
+  // fingerprint id -> { id, fingerprint, count, errors, slow, totalMs, maxMs, buckets, lastSlowAt, lastExplainAt, plan }
+  static statements = new Map();
+  static redactColumns = dbConfig.metrics.redactColumns.map(column => column.toLowerCase());
+
+  /**
+   * Normalize SQL so that statements differing only in literals or list lengths aggregate together
+   * 规范化SQL（替换字面量、合并IN列表和多行VALUES），使同类语句归为一组
+   * @param {string} sql - SQL statement
+   * @returns {string} Normalized SQL
+   */
+  static normalize(sql) {
+    return String(sql)
+      .replace(/\/\*[\s\S]*?\*\/|--[^\n]*|#[^\n]*/g, " ")
+      .replace(/'(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.)*"/g, "?")
+      .replace(/\b\d+(?:\.\d+)?\b/g, "?")
+      .replace(/\s+/g, " ")
+      .replace(/\(\s*\?(?:\s*,\s*\?)*\s*\)/g, "(?+)")
+      .replace(/(VALUES\s*\(\?\+\))(?:\s*,\s*\(\?\+\))+/gi, "$1")
+      .trim();
+  }
+
+  /**
+   * Fingerprint of a statement: its normalized SQL and a short id for logs
+   * 计算语句指纹：规范化SQL及用于日志的短id
+   * @param {string} sql - SQL statement
+   * @returns {Object} { id, fingerprint }
+   */
+  static fingerprint(sql) {
+    const fingerprint = this.normalize(sql);
+    return { id: crypto.createHash("sha1").update(fingerprint).digest("hex").slice(0, 16), fingerprint };
+  }
+
+  /**
+   * Find the column each ? placeholder is bound to (null when it cannot be told)
+   * 找出每个?占位符对应的列名（无法判断时为null）
+   * @param {string} sql - SQL statement
+   * @returns {Array<string|null>} One entry per placeholder
+   */
+  static placeholderColumns(sql) {
+    const columns = [];
+    const insert = sql.match(INSERT_COLUMNS);
+    const insertColumns = insert ? insert[1].split(",").map(column => column.trim().replace(/`/g, "")) : [];
+    // Inside INSERT ... VALUES (...), (...): the nth value of a row belongs to the nth column
+    const valuesStart = insert ? insert[0].length : Infinity;
+    let valuesDone = false;
+    let depth = 0;
+    let element = 0;
+    let quote = null;
+
+    for (let i = 0; i < sql.length; i++) {
+      const char = sql[i];
+      if (quote) {
+        if (char === "\\") {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+        continue;
+      }
+      if (char === "'" || char === "\"" || char === "`") {
+        quote = char;
+        continue;
+      }
+
+      const inValues = i >= valuesStart && !valuesDone;
+      if (inValues) {
+        if (char === "(") {
+          depth++;
+          element = depth === 1 ? 0 : element;
+        } else if (char === ")") {
+          depth--;
+        } else if (char === "," && depth === 1) {
+          element++;
+        } else if (depth === 0 && /[A-Za-z]/.test(char)) {
+          // ON DUPLICATE KEY UPDATE ...: back to "col = ?" matching
+          valuesDone = true;
+        }
+      }
+
+      if (char === "?") {
+        if (inValues && depth === 1) {
+          columns.push(insertColumns[element] || null);
+        } else {
+          const match = sql.slice(0, i).match(COMPARED_COLUMN);
+          columns.push(match ? match[1] : null);
+        }
+      }
+    }
+
+    return columns;
+  }
+
+  /**
+   * Redact bind values of sensitive columns (password, token, hash...) and values that look like secrets
+   * 脱敏敏感列（密码、令牌、哈希等）的参数以及形似密钥的值
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Bind values
+   * @returns {Array} Params safe to log
+   */
+  static redact(sql, params = []) {
+    const columns = this.placeholderColumns(String(sql));
+
+    return params.map((value, index) => {
+      const column = (columns[index] || "").toLowerCase();
+      if (column && this.redactColumns.some(pattern => column.includes(pattern))) {
+        return REDACTED;
+      }
+      if (typeof value === "string" && SECRET_VALUES.some(pattern => pattern.test(value))) {
+        return REDACTED;
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Count one execution of a statement
+   * 记录一次语句执行
+   * @param {string} sql - SQL statement
+   * @param {number} duration - Duration in ms
+   * @param {Object} options - { error, slow }
+   * @returns {Object} Statistics entry of the statement
+   */
+  static record(sql, duration, options = {}) {
+    const { id, fingerprint } = this.fingerprint(sql);
+    let entry = this.statements.get(id);
+
+    if (!entry) {
+      if (this.statements.size >= MAX_FINGERPRINTS) {
+        entry = this.statements.get(OTHER) || this.createEntry(OTHER, OTHER);
+        this.statements.set(OTHER, entry);
+      } else {
+        entry = this.createEntry(id, fingerprint);
+        this.statements.set(id, entry);
+      }
+    }
+
+    entry.count++;
+    entry.totalMs += duration;
+    entry.maxMs = Math.max(entry.maxMs, duration);
+    entry.buckets[BUCKETS.findIndex(bound => duration <= bound)]++;
+    if (options.error) {
+      entry.errors++;
+    }
+    if (options.slow) {
+      entry.slow++;
+      entry.lastSlowAt = new Date().toISOString();
+    }
+    return entry;
+  }
+
+  static createEntry(id, fingerprint) {
+    return {
+      id,
+      fingerprint,
+      count: 0,
+      errors: 0,
+      slow: 0,
+      totalMs: 0,
+      maxMs: 0,
+      buckets: BUCKETS.map(() => 0),
+      lastSlowAt: null,
+      lastExplainAt: 0,
+      plan: null,
+    };
+  }
+
+  // Whether a slow statement should be explained again (at most once per interval)
+  static shouldExplain(entry, interval) {
+    const now = Date.now();
+    if (now - entry.lastExplainAt < interval) {
+      return false;
+    }
+    entry.lastExplainAt = now;
+    return true;
+  }
+
+  // Upper bound of the bucket holding the given percentile (the max for the last bucket)
+  static percentile(entry, ratio) {
+    const target = Math.ceil(entry.count * ratio);
+    let seen = 0;
+    for (let i = 0; i < BUCKETS.length; i++) {
+      seen += entry.buckets[i];
+      if (seen >= target && seen > 0) {
+        return BUCKETS[i] === Infinity ? entry.maxMs : Math.min(BUCKETS[i], entry.maxMs);
+      }
+    }
+    return 0;
+  }
+
+  // Entry as returned by getStats()
+  static summarize(entry) {
+    return {
+      id: entry.id,
+      fingerprint: entry.fingerprint,
+      count: entry.count,
+      errors: entry.errors,
+      slow: entry.slow,
+      avgMs: entry.count ? Math.round((entry.totalMs / entry.count) * 100) / 100 : 0,
+      maxMs: entry.maxMs,
+      p50Ms: this.percentile(entry, 0.5),
+      p95Ms: this.percentile(entry, 0.95),
+      p99Ms: this.percentile(entry, 0.99),
+      histogram: Object.fromEntries(BUCKETS.map((bound, index) => [bound === Infinity ? "+Inf" : `${bound}ms`, entry.buckets[index]])),
+      lastSlowAt: entry.lastSlowAt,
+      plan: entry.plan,
+    };
+  }
+
+  /**
+   * Aggregated statistics: totals and the statements with the most slow executions
+   * 汇总统计：总数及慢查询次数最多的语句
+   * @param {Object} options - { top } number of statements returned (default 10)
+   * @returns {Object} { statements, executions, errors, slow, slowest }
+   */
+  static getStats(options = {}) {
+    const top = options.top || 10;
+    const entries = [...this.statements.values()];
+
+    return {
+      statements: entries.length,
+      executions: entries.reduce((sum, entry) => sum + entry.count, 0),
+      errors: entries.reduce((sum, entry) => sum + entry.errors, 0),
+      slow: entries.reduce((sum, entry) => sum + entry.slow, 0),
+      slowest: entries
+        .filter(entry => entry.slow > 0)
+        .sort((a, b) => b.slow - a.slow || b.maxMs - a.maxMs)
+        .slice(0, top)
+        .map(entry => this.summarize(entry)),
+    };
+  }
+
+  // Forget every statistic
+  static reset() {
+    this.statements.clear();
+  }
+}
+
+module.exports = QueryMetricsUtil;
@@ -0,0 +1,114 @@
+const { logger } = require("../middleware/logger.middleware");
+const RedisUtil = require("./redis.util");
+
+class RateLimitUtil {
+  static logger = logger("rate-limit");
+  static prefix = "ratelimit:";
+
+  // In-memory counters used when Redis is not connected: key -> { count, resetAt }
+  static memoryStore = new Map();
+
+  /**
+   * Count a hit for a key within a fixed window
+   * 在固定时间窗口内为key计数
+   * @param {string} key - Counter key (e.g. "forgot:ip:1.2.3.4")
+   * @param {number} windowSeconds - Window length in seconds
+   * @returns {Promise<Object>} { count, ttl } after this hit
+   */
+  static async hit(key, windowSeconds) {
+    if (RedisUtil.isRedisConnected()) {
+      try {
+        const redisKey = `${this.prefix}${key}`;
+        const count = await RedisUtil.incr(redisKey);
+        if (count === 1) {
+          await RedisUtil.expire(redisKey, windowSeconds);
+        }
+        const ttl = await RedisUtil.ttl(redisKey);
+        return { count, ttl: ttl > 0 ? ttl : windowSeconds };
+      } catch (error) {
+        this.logger.warn("Redis rate limit failed, using memory store", { key, error: error.message });
+      }
+    }
+
+    // Keep the memory store bounded without a background timer
+    if (this.memoryStore.size > 10000) {
+      this.cleanup();
+    }
+
+    const now = Date.now();
+    let entry = this.memoryStore.get(key);
+    if (!entry || now >= entry.resetAt) {
+      entry = { count: 0, resetAt: now + windowSeconds * 1000 };
+      this.memoryStore.set(key, entry);
+    }
+    entry.count++;
+
+    return { count: entry.count, ttl: Math.ceil((entry.resetAt - now) / 1000) };
+  }
+
+  /**
+   * Get the current count of a key without counting a hit
+   * 获取key当前计数（不增加计数）
+   * @param {string} key - Counter key
+   * @returns {Promise<Object>} { count, ttl }
+   */
+  static async peek(key) {
+    if (RedisUtil.isRedisConnected()) {
+      try {
+        const redisKey = `${this.prefix}${key}`;
+        const count = await RedisUtil.get(redisKey);
+        if (count === null) {
+          return { count: 0, ttl: 0 };
+        }
+        const ttl = await RedisUtil.ttl(redisKey);
+        return { count: Number(count), ttl: ttl > 0 ? ttl : 0 };
+      } catch (error) {
+        this.logger.warn("Redis rate limit lookup failed, using memory store", { key, error: error.message });
+      }
+    }
+
+    const entry = this.memoryStore.get(key);
+    if (!entry || Date.now() >= entry.resetAt) {
+      return { count: 0, ttl: 0 };
+    }
+    return { count: entry.count, ttl: Math.ceil((entry.resetAt - Date.now()) / 1000) };
+  }
+
+  /**
+   * Reset a counter
+   * 重置计数
+   * @param {string} key - Counter key
+   */
+  static async reset(key) {
+    this.memoryStore.delete(key);
+
+    if (RedisUtil.isRedisConnected()) {
+      try {
+        await RedisUtil.del(`${this.prefix}${key}`);
+      } catch (error) {
+        this.logger.warn("Redis rate limit reset failed", { key, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Remove expired in-memory counters
+   * 清理过期的内存计数
+   * @returns {number} Number of removed counters
+   */
+  static cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of this.memoryStore.entries()) {
+      if (now >= entry.resetAt) {
+        this.memoryStore.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = RateLimitUtil;
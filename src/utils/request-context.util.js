@@ -0,0 +1,54 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const NetworkUtil = require("./network.util");
+
+// Values of the current request, reachable from code that has no req (models, services):
+// { ip } from middleware(), { tenantId, tenantSource } from the tenant middleware, { userId, actorId } once authenticated
+class RequestContextUtil {
+  static storage = new AsyncLocalStorage();
+
+  /**
+   * Express middleware opening a context for each request
+   * Express中间件：为每个请求创建上下文
+   * @returns {Function} Middleware
+   */
+  static middleware() {
+    return (req, res, next) => this.storage.run({ ip: NetworkUtil.getClientIP(req) }, next);
+  }
+
+  /**
+   * Run a function in its own context (scripts, WebSocket handlers, tests)
+   * 在独立的上下文中执行函数（脚本、WebSocket处理、测试）
+   * @param {Object} values - Initial values
+   * @param {Function} fn - Function to run
+   * @returns {*} Result of fn
+   */
+  static run(values, fn) {
+    return this.storage.run({ ...values }, fn);
+  }
+
+  // Value of the current context (undefined outside of one)
+  static get(key) {
+    const store = this.storage.getStore();
+    return store ? store[key] : undefined;
+  }
+
+  // Merge values into the current context (ignored outside of one)
+  static set(values) {
+    const store = this.storage.getStore();
+    if (store) {
+      Object.assign(store, values);
+    }
+  }
+
+  // The person behind the request: the admin when impersonating, otherwise the user (null when anonymous)
+  static getAuthorId() {
+    return this.get("actorId") || this.get("userId") || null;
+  }
+
+  // Tenant of the request (null outside of one: scripts, seeds and migrations see every tenant)
+  static getTenantId() {
+    return this.get("tenantId") || null;
+  }
+}
+
+module.exports = RequestContextUtil;
@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("../middleware/logger.middleware");
+const db = require("./database.util");
+const migrationConfig = require("../config/migration.config");
+
+// NNN_name.js, run in name order
+const FILE_PATTERN = /^\d+_[\w-]+\.js$/;
+
+class SeedUtil {
+  static logger = logger("seed");
+
+  // Quote a table or column name (only plain identifiers are accepted)
+  static escapeId(name) {
+    if (!/^\w+$/.test(name)) {
+      throw new Error(`Invalid identifier: ${name}`);
+    }
+    return `\`${name}\``;
+  }
+
+  /**
+   * Insert rows, updating the existing ones on a duplicate unique key, so seeds can run repeatedly
+   * 插入数据，唯一键冲突时更新已有行，使种子数据可以重复执行
+   * @param {Object} connection - Connection or DatabaseUtil
+   * @param {string} table - Table name
+   * @param {Array<Object>} rows - Rows with the same columns
+   * @param {Object} options - { update } columns to overwrite on existing rows (default: all, [] keeps existing rows untouched)
+   * @returns {Promise<number>} Affected rows as reported by MySQL
+   */
+  static async upsert(connection, table, rows, options = {}) {
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    const columns = Object.keys(rows[0]);
+    const update = options.update || columns;
+    const placeholders = rows.map(() => `(${columns.map(() => "?").join(", ")})`).join(", ");
+    // A no-op assignment turns the insert into "insert if missing"
+    const assignments = update.length > 0
+      ? update.map(column => `${this.escapeId(column)} = VALUES(${this.escapeId(column)})`)
+      : [`${this.escapeId(columns[0])} = ${this.escapeId(columns[0])}`];
+
+    const [result] = await connection.query(
+      `INSERT INTO ${this.escapeId(table)} (${columns.map(column => this.escapeId(column)).join(", ")}) VALUES ${placeholders} ` +
+      `ON DUPLICATE KEY UPDATE ${assignments.join(", ")}`,
+      rows.flatMap(row => columns.map(column => (row[column] === undefined ? null : row[column])))
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * List the seed files of an environment: common/ first, then <environment>/
+   * 列出某环境的种子文件：先common/，再<environment>/
+   * @param {string} environment - Environment name (NODE_ENV)
+   * @param {string} directory - Seeds directory
+   * @returns {Array<string>} Full paths
+   */
+  static listFiles(environment, directory = migrationConfig.seedDirectory) {
+    const folders = environment === "common" ? ["common"] : ["common", environment];
+
+    return folders.flatMap(folder => {
+      const folderPath = path.join(directory, folder);
+      if (!fs.existsSync(folderPath)) {
+        return [];
+      }
+      return fs.readdirSync(folderPath)
+        .filter(file => FILE_PATTERN.test(file))
+        .sort()
+        .map(file => path.join(folderPath, file));
+    });
+  }
+
+  /**
+   * Run the seeds of an environment in one transaction; each file exports seed(connection)
+   * 在同一事务中执行某环境的种子文件（每个文件导出 seed(connection)）
+   * @param {string} environment - Environment name (default NODE_ENV or "development")
+   * @param {string} directory - Seeds directory
+   * @returns {Promise<Array<string>>} Seed files that ran, relative to the directory
+   */
+  static async run(environment = process.env.NODE_ENV || "development", directory = migrationConfig.seedDirectory) {
+    const files = this.listFiles(environment, directory);
+    const seeds = files.map(file => {
+      const definition = require(file);
+      if (typeof definition.seed !== "function") {
+        throw new Error(`${path.relative(directory, file)}: missing seed() function`);
+      }
+      return { name: path.relative(directory, file), seed: definition.seed };
+    });
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      for (const { name, seed } of seeds) {
+        const start = Date.now();
+        await seed(connection);
+        this.logger.info("Seeded", { file: name, duration: `${Date.now() - start}ms` });
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      this.logger.error("Seeding failed, rolled back", { environment, error: error.message });
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return seeds.map(({ name }) => name);
+  }
+}
+
+module.exports = SeedUtil;
@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const { logger } = require("../middleware/logger.middleware");
+const EncryptUtil = require("./encrypt.util");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+class TotpUtil {
+  static logger = logger("totp");
+
+  /**
+   * Encode a buffer as base32 (RFC 4648, no padding)
+   * 将Buffer编码为base32字符串
+   * @param {Buffer} buffer - Data to encode
+   * @returns {string} Base32 string
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode a base32 string (case-insensitive, spaces and padding ignored)
+   * 解码base32字符串
+   * @param {string} input - Base32 string
+   * @returns {Buffer} Decoded data
+   */
+  static base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/[\s=]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error(`Invalid base32 character: ${char}`);
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate a random base32 secret
+   * 生成随机base32密钥
+   * @param {number} size - Number of random bytes (default: 20, 160 bits as recommended by RFC 4226)
+   * @returns {string} Base32 secret
+   */
+  static generateSecret(size = 20) {
+    return this.base32Encode(Buffer.from(EncryptUtil.randomBytes(size), "hex"));
+  }
+
+  /**
+   * Generate an HOTP code (RFC 4226)
+   * 生成HOTP验证码
+   * @param {string|Buffer} secret - Base32 secret or raw key
+   * @param {number} counter - Moving factor
+   * @param {Object} options - Options
+   * @param {number} options.digits - Code length (default: 6)
+   * @param {string} options.algorithm - HMAC algorithm (default: sha1)
+   * @returns {string} Zero-padded code
+   */
+  static hotp(secret, counter, options = {}) {
+    const { digits = 6, algorithm = "sha1" } = options;
+    const key = Buffer.isBuffer(secret) ? secret : this.base32Decode(secret);
+
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const digest = Buffer.from(EncryptUtil.hmac(counterBuffer, key, algorithm, "hex"), "hex");
+
+    // Dynamic truncation
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary =
+      ((digest[offset] & 0x7f) << 24) |
+      (digest[offset + 1] << 16) |
+      (digest[offset + 2] << 8) |
+      digest[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, "0");
+  }
+
+  /**
+   * Get the TOTP time step for a timestamp
+   * 获取时间戳对应的TOTP时间步
+   * @param {number} time - Timestamp in milliseconds (default: now)
+   * @param {number} step - Step length in seconds (default: 30)
+   * @returns {number} Time step counter
+   */
+  static timeStep(time = Date.now(), step = 30) {
+    return Math.floor(time / 1000 / step);
+  }
+
+  /**
+   * Generate a TOTP code (RFC 6238)
+   * 生成TOTP验证码
+   * @param {string|Buffer} secret - Base32 secret or raw key
+   * @param {Object} options - Options (time in ms, step in seconds, digits, algorithm)
+   * @returns {string} Code
+   */
+  static totp(secret, options = {}) {
+    const { time = Date.now(), step = 30 } = options;
+    return this.hotp(secret, this.timeStep(time, step), options);
+  }
+
+  /**
+   * Verify a TOTP code allowing for clock drift
+   * 验证TOTP验证码（允许时钟偏差）
+   * @param {string} code - Code entered by the user
+   * @param {string|Buffer} secret - Base32 secret or raw key
+   * @param {Object} options - Options
+   * @param {number} options.time - Timestamp in milliseconds (default: now)
+   * @param {number} options.step - Step length in seconds (default: 30)
+   * @param {number} options.window - Accepted steps before/after the current one (default: 1)
+   * @param {number} options.digits - Code length (default: 6)
+   * @returns {number|null} Matching time step, or null if the code is invalid
+   */
+  static verify(code, secret, options = {}) {
+    const { time = Date.now(), step = 30, window = 1, digits = 6 } = options;
+
+    if (!code || !/^\d+$/.test(String(code)) || String(code).length !== digits) {
+      return null;
+    }
+
+    const current = this.timeStep(time, step);
+    for (let offset = -window; offset <= window; offset++) {
+      const counter = current + offset;
+      if (counter < 0) {
+        continue;
+      }
+      // Codes have the same length here, so a timing-safe comparison is possible
+      if (crypto.timingSafeEqual(Buffer.from(String(code)), Buffer.from(this.hotp(secret, counter, options)))) {
+        return counter;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build an otpauth:// provisioning URI for authenticator apps
+   * 生成用于身份验证器应用的otpauth://链接
+   * @param {string} secret - Base32 secret
+   * @param {string} accountName - Account label (e.g. username or email)
+   * @param {string} issuer - Issuer name
+   * @param {Object} options - Options (digits, step)
+   * @returns {string} Provisioning URI
+   */
+  static provisioningUri(secret, accountName, issuer, options = {}) {
+    const { digits = 6, step = 30 } = options;
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: "SHA1",
+      digits: String(digits),
+      period: String(step),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = TotpUtil;
@@ -0,0 +1,147 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/api-key.model');
+
+const ApiKeyModel = require('../src/models/api-key.model');
+const EncryptUtil = require('../src/utils/encrypt.util');
+const apiKeyService = require('../src/services/api-key.service');
+
+describe('ApiKeyService', () => {
+    const user = { id: 1, username: 'batch' };
+
+    beforeEach(() => {
+        ApiKeyModel.countActiveByUser.mockResolvedValue(0);
+        ApiKeyModel.create.mockImplementation(async (data) => ({ id: 5, ...data }));
+        ApiKeyModel.touch.mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('generateKey', () => {
+        test('should start with the public prefix', () => {
+            const { key, prefix } = apiKeyService.generateKey();
+
+            expect(prefix).toMatch(/^ak_[0-9a-f]{8}$/);
+            expect(key.startsWith(`${prefix}_`)).toBe(true);
+            expect(key.length).toBeGreaterThan(prefix.length + 40);
+        });
+    });
+
+    describe('findInvalidScopes', () => {
+        test('should accept permissions, API key scopes and wildcards', () => {
+            expect(apiKeyService.findInvalidScopes(['websocket:broadcast', 'websocket:send', 'websocket:*', '*'])).toEqual([]);
+        });
+
+        test('should report unknown scopes', () => {
+            expect(apiKeyService.findInvalidScopes(['websocket:send', 'files:write', 'nope:*'])).toEqual(['files:write', 'nope:*']);
+        });
+    });
+
+    describe('createKey', () => {
+        test('should store only the SHA-256 hash and return the key once', async () => {
+            const result = await apiKeyService.createKey(user, { name: 'batch job', scopes: ['websocket:send'], expiresInDays: 30 });
+
+            const stored = ApiKeyModel.create.mock.calls[0][0];
+            expect(stored.keyHash).toBe(EncryptUtil.sha256(result.key));
+            expect(stored.prefix).toBe(result.apiKey.prefix);
+            expect(JSON.stringify(stored)).not.toContain(result.key);
+            expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+            expect(result.apiKey).toEqual(expect.objectContaining({ id: 5, scopes: ['websocket:send'], revoked: false }));
+        });
+
+        test('should reject unknown scopes', async () => {
+            const result = await apiKeyService.createKey(user, { name: 'x', scopes: ['files:write'] });
+
+            expect(result).toEqual({ error: 'invalid_scopes', invalidScopes: ['files:write'] });
+            expect(ApiKeyModel.create).not.toHaveBeenCalled();
+        });
+
+        test('should limit active keys per user', async () => {
+            ApiKeyModel.countActiveByUser.mockResolvedValue(20);
+
+            const result = await apiKeyService.createKey(user, { name: 'x', scopes: ['websocket:send'] });
+
+            expect(result.error).toBe('limit_reached');
+            expect(ApiKeyModel.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('verifyKey', () => {
+        const key = 'ak_0123abcd_secret';
+        const stored = {
+            id: 5,
+            userid: 1,
+            tenant_id: 2,
+            prefix: 'ak_0123abcd',
+            scopes: '["websocket:send"]',
+            expires_at: new Date(Date.now() + 60 * 1000),
+            revoked_at: null
+        };
+
+        test('should return the owner and scopes and record the use', async () => {
+            ApiKeyModel.findByHash.mockResolvedValue(stored);
+
+            const apiKey = await apiKeyService.verifyKey(key, '10.0.0.1');
+
+            expect(ApiKeyModel.findByHash).toHaveBeenCalledWith(EncryptUtil.sha256(key));
+            expect(apiKey).toEqual({ id: 5, userId: 1, tenantId: 2, prefix: 'ak_0123abcd', scopes: ['websocket:send'] });
+            expect(ApiKeyModel.touch).toHaveBeenCalledWith(5, '10.0.0.1', 60);
+        });
+
+        test('should not look up values without the key prefix', async () => {
+            expect(await apiKeyService.verifyKey('eyJhbGciOi...')).toBeNull();
+            expect(ApiKeyModel.findByHash).not.toHaveBeenCalled();
+        });
+
+        test('should reject unknown keys', async () => {
+            ApiKeyModel.findByHash.mockResolvedValue(undefined);
+
+            expect(await apiKeyService.verifyKey(key)).toBeNull();
+        });
+
+        test('should reject revoked keys', async () => {
+            ApiKeyModel.findByHash.mockResolvedValue({ ...stored, revoked_at: new Date() });
+
+            expect(await apiKeyService.verifyKey(key)).toBeNull();
+            expect(ApiKeyModel.touch).not.toHaveBeenCalled();
+        });
+
+        test('should reject expired keys', async () => {
+            ApiKeyModel.findByHash.mockResolvedValue({ ...stored, expires_at: new Date(Date.now() - 1000) });
+
+            expect(await apiKeyService.verifyKey(key)).toBeNull();
+        });
+
+        test('should not fail when recording the use fails', async () => {
+            ApiKeyModel.findByHash.mockResolvedValue(stored);
+            ApiKeyModel.touch.mockRejectedValue(new Error('db down'));
+
+            expect(await apiKeyService.verifyKey(key)).not.toBeNull();
+        });
+    });
+
+    describe('hasScope', () => {
+        test('should support wildcard scopes', () => {
+            expect(apiKeyService.hasScope({ scopes: ['websocket:*'] }, 'websocket:send')).toBe(true);
+            expect(apiKeyService.hasScope({ scopes: ['websocket:send'] }, 'websocket:broadcast')).toBe(false);
+        });
+    });
+
+    describe('revokeKey', () => {
+        test('should only revoke keys of the user', async () => {
+            ApiKeyModel.revoke.mockResolvedValue(false);
+
+            expect(await apiKeyService.revokeKey(1, 9)).toBe(false);
+            expect(ApiKeyModel.revoke).toHaveBeenCalledWith(9, 1);
+        });
+    });
+});
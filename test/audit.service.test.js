@@ -0,0 +1,90 @@
+// Mock dependencies
+jest.mock('../src/models/audit-log.model');
+jest.mock('../src/models/user.model', () => ({
+    table: 'users',
+    audited: true
+}));
+
+const AuditLogModel = require('../src/models/audit-log.model');
+const auditService = require('../src/services/audit.service');
+
+describe('AuditService', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('isAudited', () => {
+        test('should only accept tables of audited models', () => {
+            expect(auditService.isAudited('users')).toBe(true);
+            expect(auditService.isAudited('audit_log')).toBe(false);
+            expect(auditService.isAudited('roles')).toBe(false);
+        });
+    });
+
+    describe('getHistory', () => {
+        test('should return formatted entries and pagination', async () => {
+            AuditLogModel.findByRecord.mockResolvedValue({
+                rows: [
+                    {
+                        id: 12,
+                        action: 'update',
+                        changes: '{"roleid":{"from":2,"to":1}}',
+                        user_id: 3,
+                        actor_id: 1,
+                        ip: '127.0.0.1',
+                        created_at: '2026-01-02 03:04:05'
+                    },
+                    {
+                        id: 9,
+                        action: 'create',
+                        changes: { username: { from: null, to: 'alice' } },
+                        user_id: null,
+                        actor_id: null,
+                        ip: null,
+                        created_at: '2026-01-01 00:00:00'
+                    }
+                ],
+                total: 45
+            });
+
+            const result = await auditService.getHistory('users', '7', { page: '2', limit: '20' });
+
+            expect(AuditLogModel.findByRecord).toHaveBeenCalledWith('users', '7', { page: 2, limit: 20 });
+            expect(result.entries).toEqual([
+                {
+                    id: 12,
+                    action: 'update',
+                    changes: { roleid: { from: 2, to: 1 } },
+                    userId: 3,
+                    actorId: 1,
+                    ip: '127.0.0.1',
+                    createdAt: '2026-01-02 03:04:05'
+                },
+                {
+                    id: 9,
+                    action: 'create',
+                    changes: { username: { from: null, to: 'alice' } },
+                    userId: null,
+                    actorId: null,
+                    ip: null,
+                    createdAt: '2026-01-01 00:00:00'
+                }
+            ]);
+            expect(result.pagination).toEqual({ page: 2, limit: 20, total: 45, totalPages: 3 });
+        });
+
+        test('should default to the first page of 20 entries', async () => {
+            AuditLogModel.findByRecord.mockResolvedValue({ rows: [], total: 0 });
+
+            const result = await auditService.getHistory('users', 7);
+
+            expect(AuditLogModel.findByRecord).toHaveBeenCalledWith('users', 7, { page: 1, limit: 20 });
+            expect(result).toEqual({ entries: [], pagination: { page: 1, limit: 20, total: 0, totalPages: 0 } });
+        });
+
+        test('should return null for tables without history', async () => {
+            await expect(auditService.getHistory('roles', 1)).resolves.toBeNull();
+            expect(AuditLogModel.findByRecord).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,391 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/user.model');
+jest.mock('../src/services/token.service');
+jest.mock('../src/services/revocation.service');
+jest.mock('../src/services/permission.service');
+jest.mock('../src/services/api-key.service');
+jest.mock('../src/services/impersonation.service');
+
+const UserModel = require('../src/models/user.model');
+const tokenService = require('../src/services/token.service');
+const revocationService = require('../src/services/revocation.service');
+const permissionService = require('../src/services/permission.service');
+const apiKeyService = require('../src/services/api-key.service');
+const impersonationService = require('../src/services/impersonation.service');
+const authConfig = require('../src/config/auth.config');
+const RequestContextUtil = require('../src/utils/request-context.util');
+const { authenticate, authenticateWithApiKey, requireScope, forbidImpersonation, authorize, requireRole, requireVerifiedEmail } = require('../src/middleware/auth.middleware');
+
+describe('Auth Middleware', () => {
+    let mockReq, mockRes, mockNext;
+
+    beforeEach(() => {
+        mockReq = {
+            headers: { authorization: 'Bearer valid-token' },
+            originalUrl: '/api/test',
+            user: { id: 1, username: 'testuser' }
+        };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis(),
+            on: jest.fn()
+        };
+        mockNext = jest.fn();
+
+        tokenService.verifyAccessToken.mockReturnValue({ userId: 1, jti: 'jti-1' });
+        revocationService.isRevoked.mockResolvedValue(false);
+        UserModel.findById.mockResolvedValue({ id: 1, username: 'testuser' });
+        permissionService.hasPermission.mockImplementation((granted, permission) => granted.includes(permission));
+        apiKeyService.hasScope.mockImplementation((apiKey, scope) => apiKey.scopes.includes(scope));
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('authenticate', () => {
+        test('should attach user and token payload', async () => {
+            await authenticate(mockReq, mockRes, mockNext);
+
+            expect(mockNext).toHaveBeenCalled();
+            expect(mockReq.user.id).toBe(1);
+            expect(mockReq.tokenPayload.jti).toBe('jti-1');
+        });
+
+        test('should reject missing tokens', async () => {
+            mockReq.headers = {};
+
+            await authenticate(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(401);
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+
+        test('should reject expired tokens with "Token expired"', async () => {
+            const error = new Error('jwt expired');
+            error.name = 'TokenExpiredError';
+            tokenService.verifyAccessToken.mockImplementation(() => { throw error; });
+
+            await authenticate(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(401);
+            expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Token expired' }));
+        });
+
+        test('should reject revoked tokens', async () => {
+            revocationService.isRevoked.mockResolvedValue(true);
+
+            await authenticate(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(401);
+            expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Token revoked' }));
+            expect(UserModel.findById).not.toHaveBeenCalled();
+        });
+
+        test('should reject disabled accounts', async () => {
+            UserModel.findById.mockResolvedValue({ id: 1, username: 'testuser', disabled_at: new Date() });
+
+            await authenticate(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+            expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Account disabled' }));
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+
+        test('should expose the admin behind an impersonation token and audit the request', async () => {
+            tokenService.verifyAccessToken.mockReturnValue({ userId: 1, jti: 'jti-1', act: { sub: '9' } });
+            impersonationService.resolveActor.mockResolvedValue({ id: 9, username: 'admin' });
+            mockReq.method = 'GET';
+
+            await authenticate(mockReq, mockRes, mockNext);
+
+            expect(mockNext).toHaveBeenCalled();
+            expect(mockReq.user.id).toBe(1);
+            expect(mockReq.actor.id).toBe(9);
+
+            mockRes.statusCode = 200;
+            mockRes.on.mock.calls.find(([event]) => event === 'finish')[1]();
+            expect(impersonationService.audit).toHaveBeenCalledWith(expect.objectContaining({
+                actorId: 9,
+                userId: 1,
+                jti: 'jti-1',
+                method: 'GET',
+                url: '/api/test',
+                status: 200
+            }));
+        });
+
+        test('should reject impersonation tokens whose admin lost access', async () => {
+            tokenService.verifyAccessToken.mockReturnValue({ userId: 1, jti: 'jti-1', act: { sub: '9' } });
+            impersonationService.resolveActor.mockResolvedValue(null);
+
+            await authenticate(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(401);
+            expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Impersonation ended' }));
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+
+        test('should reject tokens issued for another tenant than the one named by the request', async () => {
+            tokenService.verifyAccessToken.mockReturnValue({ userId: 1, jti: 'jti-1', tid: 3 });
+
+            await RequestContextUtil.run({ tenantId: 2, tenantSource: 'subdomain' }, () => authenticate(mockReq, mockRes, mockNext));
+
+            expect(mockRes.status).toHaveBeenCalledWith(401);
+            expect(UserModel.findById).not.toHaveBeenCalled();
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+
+        test('should look the user up in the tenant of the token when the request named none', async () => {
+            tokenService.verifyAccessToken.mockReturnValue({ userId: 1, jti: 'jti-1', tid: 3 });
+            let tenantId;
+            UserModel.findById.mockImplementation(async (id) => {
+                tenantId = RequestContextUtil.getTenantId();
+                return { id, username: 'testuser' };
+            });
+
+            await RequestContextUtil.run({ tenantId: 1, tenantSource: 'default' }, () => authenticate(mockReq, mockRes, mockNext));
+
+            expect(mockNext).toHaveBeenCalled();
+            expect(tenantId).toBe(3);
+        });
+
+        test('should not set an actor for normal tokens', async () => {
+            await authenticate(mockReq, mockRes, mockNext);
+
+            expect(mockReq.actor).toBeUndefined();
+            expect(impersonationService.resolveActor).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('forbidImpersonation', () => {
+        test('should let the account owner through', () => {
+            forbidImpersonation(mockReq, mockRes, mockNext);
+
+            expect(mockNext).toHaveBeenCalled();
+        });
+
+        test('should refuse impersonation tokens', () => {
+            mockReq.actor = { id: 9 };
+
+            forbidImpersonation(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('authenticateWithApiKey', () => {
+        const apiKey = { id: 5, userId: 1, prefix: 'ak_0123abcd', scopes: ['websocket:send'] };
+
+        beforeEach(() => {
+            mockReq.headers = { 'x-api-key': 'ak_0123abcd_secret' };
+            apiKeyService.verifyKey.mockResolvedValue(apiKey);
+        });
+
+        test('should authenticate the key owner from X-API-Key', async () => {
+            await authenticateWithApiKey(mockReq, mockRes, mockNext);
+
+            expect(apiKeyService.verifyKey).toHaveBeenCalledWith('ak_0123abcd_secret', expect.anything());
+            expect(mockNext).toHaveBeenCalled();
+            expect(mockReq.user.id).toBe(1);
+            expect(mockReq.apiKey).toBe(apiKey);
+        });
+
+        test('should accept "Authorization: ApiKey"', async () => {
+            mockReq.headers = { authorization: 'ApiKey ak_0123abcd_secret' };
+
+            await authenticateWithApiKey(mockReq, mockRes, mockNext);
+
+            expect(apiKeyService.verifyKey).toHaveBeenCalledWith('ak_0123abcd_secret', expect.anything());
+            expect(mockNext).toHaveBeenCalled();
+        });
+
+        test('should fall back to bearer tokens', async () => {
+            mockReq.headers = { authorization: 'Bearer valid-token' };
+
+            await authenticateWithApiKey(mockReq, mockRes, mockNext);
+
+            expect(apiKeyService.verifyKey).not.toHaveBeenCalled();
+            expect(mockReq.tokenPayload.jti).toBe('jti-1');
+            expect(mockNext).toHaveBeenCalled();
+        });
+
+        test('should reject invalid keys', async () => {
+            apiKeyService.verifyKey.mockResolvedValue(null);
+
+            await authenticateWithApiKey(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(401);
+            expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid API key' }));
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+
+        test('should reject keys of disabled accounts', async () => {
+            UserModel.findById.mockResolvedValue({ id: 1, disabled_at: new Date() });
+
+            await authenticateWithApiKey(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+
+        test('should look the owner up in the tenant of the key', async () => {
+            apiKeyService.verifyKey.mockResolvedValue({ ...apiKey, tenantId: 3 });
+            let tenantId;
+            UserModel.findById.mockImplementation(async (id) => {
+                tenantId = RequestContextUtil.getTenantId();
+                return { id, username: 'testuser' };
+            });
+
+            await RequestContextUtil.run({ tenantId: 1, tenantSource: 'default' }, () => authenticateWithApiKey(mockReq, mockRes, mockNext));
+
+            expect(mockNext).toHaveBeenCalled();
+            expect(tenantId).toBe(3);
+        });
+
+        test('should reject keys of another tenant than the one named by the request', async () => {
+            apiKeyService.verifyKey.mockResolvedValue({ ...apiKey, tenantId: 3 });
+
+            await RequestContextUtil.run({ tenantId: 2, tenantSource: 'header' }, () => authenticateWithApiKey(mockReq, mockRes, mockNext));
+
+            expect(mockRes.status).toHaveBeenCalledWith(401);
+            expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid API key' }));
+            expect(UserModel.findById).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('requireScope', () => {
+        test('should let user tokens through', () => {
+            requireScope('websocket:send')(mockReq, mockRes, mockNext);
+
+            expect(mockNext).toHaveBeenCalled();
+        });
+
+        test('should require the scope from API keys', () => {
+            mockReq.apiKey = { id: 5, scopes: ['websocket:connect'] };
+
+            requireScope('websocket:send')(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('authorize', () => {
+        test('should require the permission among the scopes of an API key', async () => {
+            permissionService.getUserAccess.mockResolvedValue({ role: 'admin', permissions: ['websocket:broadcast', 'csrf:stats'] });
+            mockReq.apiKey = { id: 5, scopes: ['websocket:broadcast'] };
+
+            await authorize('csrf:stats')(mockReq, mockRes, mockNext);
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+
+            await authorize('websocket:broadcast')(mockReq, mockRes, mockNext);
+            expect(mockNext).toHaveBeenCalled();
+        });
+
+        test('should allow users with the permission', async () => {
+            permissionService.getUserAccess.mockResolvedValue({ role: 'operator', permissions: ['csrf:stats'] });
+
+            await authorize('csrf:stats')(mockReq, mockRes, mockNext);
+
+            expect(mockNext).toHaveBeenCalled();
+            expect(mockReq.access.role).toBe('operator');
+        });
+
+        test('should reject users without the permission', async () => {
+            permissionService.getUserAccess.mockResolvedValue({ role: 'user', permissions: [] });
+
+            await authorize('csrf:stats')(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+
+        test('should reject users without a role', async () => {
+            permissionService.getUserAccess.mockResolvedValue(null);
+
+            await authorize('csrf:stats')(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('requireRole', () => {
+        test('should allow listed roles', async () => {
+            permissionService.getUserAccess.mockResolvedValue({ role: 'admin', permissions: ['*'] });
+
+            await requireRole('admin', 'support')(mockReq, mockRes, mockNext);
+
+            expect(mockNext).toHaveBeenCalled();
+        });
+
+        test('should reject other roles', async () => {
+            permissionService.getUserAccess.mockResolvedValue({ role: 'user', permissions: [] });
+
+            await requireRole('admin')(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+        });
+
+        test('should reject API keys without the full scope even for a listed role', async () => {
+            permissionService.getUserAccess.mockResolvedValue({ role: 'admin', permissions: ['*'] });
+            mockReq.apiKey = { id: 5, scopes: ['websocket:*'] };
+
+            await requireRole('admin')(mockReq, mockRes, mockNext);
+
+            expect(mockNext).not.toHaveBeenCalled();
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+            expect(mockRes.json).toHaveBeenCalledWith({ error: 'Forbidden', message: 'API key scope required' });
+        });
+
+        test('should allow API keys with the full scope for a listed role', async () => {
+            permissionService.getUserAccess.mockResolvedValue({ role: 'admin', permissions: ['*'] });
+            mockReq.apiKey = { id: 5, scopes: ['*'] };
+
+            await requireRole('admin')(mockReq, mockRes, mockNext);
+
+            expect(mockNext).toHaveBeenCalled();
+        });
+    });
+
+    describe('requireVerifiedEmail', () => {
+        afterEach(() => {
+            authConfig.emailVerificationRequired = false;
+        });
+
+        test('should allow everyone when verification is not required', () => {
+            authConfig.emailVerificationRequired = false;
+
+            requireVerifiedEmail(mockReq, mockRes, mockNext);
+
+            expect(mockNext).toHaveBeenCalled();
+        });
+
+        test('should block unverified users when required', () => {
+            authConfig.emailVerificationRequired = true;
+            mockReq.user.email_verified_at = null;
+
+            requireVerifiedEmail(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(403);
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+
+        test('should allow verified users when required', () => {
+            authConfig.emailVerificationRequired = true;
+            mockReq.user.email_verified_at = new Date();
+
+            requireVerifiedEmail(mockReq, mockRes, mockNext);
+
+            expect(mockNext).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,420 @@
+// Mock dependencies
+jest.mock('../src/utils/database.util', () => ({
+  query: jest.fn(),
+  withTransaction: jest.fn(fn => fn())
+}));
+
+const db = require('../src/utils/database.util');
+const BaseModel = require('../src/models/base.model');
+const QueryBuilder = require('../src/utils/query-builder.util');
+const RequestContextUtil = require('../src/utils/request-context.util');
+
+class AccountModel extends BaseModel {
+  static table = 'accounts';
+  static columns = ['name', 'email'];
+  static hiddenColumns = ['secret'];
+  static writableColumns = ['name', 'email', 'secret'];
+  static softDeleteColumn = 'deleted_at';
+}
+
+class TagModel extends BaseModel {
+  static table = 'tags';
+  static columns = ['label'];
+  static writableColumns = ['label'];
+}
+
+class MemberModel extends BaseModel {
+  static table = 'members';
+  static columns = ['name', 'status'];
+  static hiddenColumns = ['secret'];
+  static writableColumns = ['name', 'secret'];
+  static softDeleteColumn = 'deleted_at';
+  static createdByColumn = 'created_by';
+  static updatedByColumn = 'updated_by';
+  static audited = true;
+}
+
+class NoteModel extends BaseModel {
+  static table = 'notes';
+  static columns = ['body'];
+  static audited = true;
+}
+
+class ProjectModel extends BaseModel {
+  static table = 'projects';
+  static columns = ['title'];
+  static writableColumns = ['title'];
+  static softDeleteColumn = 'deleted_at';
+  static tenantColumn = 'tenant_id';
+  static audited = true;
+}
+
+class DocumentModel extends BaseModel {
+  static table = 'documents';
+  static columns = ['title'];
+  static writableColumns = ['title'];
+  static versionColumn = 'version';
+}
+
+class PageModel extends BaseModel {
+  static table = 'pages';
+  static columns = ['title'];
+  static writableColumns = ['title'];
+  static versionColumn = 'version';
+  static audited = true;
+}
+
+// Run as user 7, impersonated by admin 2
+const asUser = (fn) => RequestContextUtil.run({ userId: 7, actorId: 2, ip: '10.0.0.1' }, fn);
+const auditInsert = () => db.query.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO `audit_log`'));
+
+describe('BaseModel', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('finders', () => {
+    test('findById should select the default columns and skip soft deleted rows', async () => {
+      db.query.mockResolvedValue([[{ name: 'a' }], []]);
+
+      await expect(AccountModel.findById(5)).resolves.toEqual({ name: 'a' });
+      expect(db.query).toHaveBeenCalledWith(
+        'SELECT `name`, `email` FROM `accounts` WHERE `deleted_at` IS NULL AND `id` = ? LIMIT 1',
+        [5]
+      );
+    });
+
+    test('should only select hidden columns when asked for', async () => {
+      db.query.mockResolvedValue([[{ secret: 's' }], []]);
+
+      await AccountModel.findOne({ email: 'a@example.com' }, { columns: ['id', 'secret'] });
+      expect(db.query).toHaveBeenCalledWith(
+        'SELECT `id`, `secret` FROM `accounts` WHERE `deleted_at` IS NULL AND `email` = ? LIMIT 1',
+        ['a@example.com']
+      );
+    });
+
+    test('should reject columns outside the whitelists', async () => {
+      await expect(AccountModel.findMany({}, { columns: ['password'] })).rejects.toThrow('Unknown column(s) for accounts: password');
+      await expect(AccountModel.findMany({ role: 1 })).rejects.toThrow('Unknown column(s) for accounts: role');
+      await expect(AccountModel.findMany({}, { orderBy: 'created_at' })).rejects.toThrow('Unknown column(s)');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('findMany should apply order, limit and offset', async () => {
+      db.query.mockResolvedValue([[], []]);
+
+      await TagModel.findMany({}, { orderBy: ['label', 'desc'], limit: 5, offset: 10 });
+      expect(db.query).toHaveBeenCalledWith('SELECT `label` FROM `tags` ORDER BY `label` DESC LIMIT 5 OFFSET 10', []);
+    });
+
+    test('paginate should return the page rows and the total', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ name: 'c' }], []])
+        .mockResolvedValueOnce([[{ total: 21 }], []]);
+
+      await expect(AccountModel.paginate({ name: 'c' }, { page: '3', pageSize: '10' }))
+        .resolves.toEqual({ rows: [{ name: 'c' }], total: 21, page: 3, pageSize: 10 });
+      expect(db.query).toHaveBeenNthCalledWith(1,
+        'SELECT `name`, `email` FROM `accounts` WHERE `deleted_at` IS NULL AND `name` = ? LIMIT 10 OFFSET 20', ['c']);
+      expect(db.query).toHaveBeenNthCalledWith(2,
+        'SELECT COUNT(*) AS total FROM `accounts` WHERE `deleted_at` IS NULL AND `name` = ?', ['c']);
+    });
+
+    test('paginate should fall back to the first page of 20 rows and clamp the page size', async () => {
+      db.query
+        .mockResolvedValueOnce([[], []])
+        .mockResolvedValueOnce([[{ total: 0 }], []]);
+
+      await expect(TagModel.paginate({}, { page: 'x' })).resolves.toEqual({ rows: [], total: 0, page: 1, pageSize: 20 });
+      expect(db.query).toHaveBeenNthCalledWith(1, 'SELECT `label` FROM `tags` LIMIT 20 OFFSET 0', []);
+
+      db.query
+        .mockResolvedValueOnce([[], []])
+        .mockResolvedValueOnce([[{ total: 0 }], []]);
+      await expect(TagModel.paginate({}, { page: -2, pageSize: -4 })).resolves.toMatchObject({ page: 1, pageSize: 1 });
+    });
+  });
+
+  describe('writes', () => {
+    test('create should only insert writable columns', async () => {
+      db.query.mockResolvedValue([{ insertId: 9, affectedRows: 1 }, undefined]);
+
+      await expect(AccountModel.create({ name: 'n', email: undefined, secret: 's', deleted_at: null, id: 1 }))
+        .resolves.toEqual({ id: 9, name: 'n', secret: 's' });
+      expect(db.query).toHaveBeenCalledWith('INSERT INTO `accounts` (`name`, `secret`) VALUES (?, ?)', ['n', 's']);
+    });
+
+    test('update should write whitelisted columns of a live row', async () => {
+      db.query.mockResolvedValue([{ affectedRows: 1 }, undefined]);
+
+      await expect(AccountModel.update(4, { email: 'e', roleid: 1 })).resolves.toBe(true);
+      expect(db.query).toHaveBeenCalledWith(
+        'UPDATE `accounts` SET `email` = ? WHERE `deleted_at` IS NULL AND `id` = ?',
+        ['e', 4]
+      );
+    });
+
+    test('update should return false without writable columns or a matching row', async () => {
+      await expect(AccountModel.update(4, { roleid: 1 })).resolves.toBe(false);
+      expect(db.query).not.toHaveBeenCalled();
+
+      db.query.mockResolvedValue([{ affectedRows: 0 }, undefined]);
+      await expect(AccountModel.update(4, { name: 'x' })).resolves.toBe(false);
+    });
+
+    test('delete should soft delete when the model has a soft delete column', async () => {
+      db.query.mockResolvedValue([{ affectedRows: 1 }, undefined]);
+
+      await expect(AccountModel.delete(4)).resolves.toBe(true);
+      expect(db.query).toHaveBeenCalledWith(
+        'UPDATE `accounts` SET `deleted_at` = NOW() WHERE `deleted_at` IS NULL AND `id` = ?',
+        [4]
+      );
+    });
+
+    test('delete should remove the row otherwise', async () => {
+      db.query.mockResolvedValue([{ affectedRows: 0 }, undefined]);
+
+      await expect(TagModel.delete(4)).resolves.toBe(false);
+      expect(db.query).toHaveBeenCalledWith('DELETE FROM `tags` WHERE `id` = ?', [4]);
+    });
+
+    test('finders should include soft deleted rows with withDeleted', async () => {
+      db.query.mockResolvedValue([[], []]);
+
+      await AccountModel.findMany({}, { withDeleted: true, columns: ['name', 'deleted_at'] });
+      expect(db.query).toHaveBeenCalledWith('SELECT `name`, `deleted_at` FROM `accounts`', []);
+    });
+  });
+
+  describe('authors and audit log', () => {
+    test('create should set the author columns and log the new values', async () => {
+      db.query.mockResolvedValue([{ insertId: 11, affectedRows: 1 }, undefined]);
+
+      await expect(asUser(() => MemberModel.create({ name: 'n', secret: 's' }))).resolves.toEqual({ id: 11, name: 'n', secret: 's' });
+
+      expect(db.withTransaction).toHaveBeenCalled();
+      expect(db.query).toHaveBeenNthCalledWith(1,
+        'INSERT INTO `members` (`name`, `secret`, `created_by`, `updated_by`) VALUES (?, ?, ?, ?)', ['n', 's', 2, 2]);
+      expect(auditInsert()).toEqual([
+        'INSERT INTO `audit_log` (`table_name`, `record_id`, `action`, `changes`, `user_id`, `actor_id`, `ip`) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        ['members', '11', 'create', JSON.stringify({ name: { from: null, to: 'n' }, secret: { from: null, to: '[REDACTED]' } }), 7, 2, '10.0.0.1']
+      ]);
+    });
+
+    test('should leave the author columns alone outside of an authenticated request', async () => {
+      db.query.mockResolvedValue([{ insertId: 12, affectedRows: 1 }, undefined]);
+
+      await MemberModel.create({ name: 'n' });
+
+      expect(db.query).toHaveBeenNthCalledWith(1, 'INSERT INTO `members` (`name`) VALUES (?)', ['n']);
+      expect(auditInsert()[1].slice(4)).toEqual([null, null, null]);
+    });
+
+    test('update should lock the row and log the old and new values of changed columns', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ name: 'old', secret: 'a' }], []])
+        .mockResolvedValueOnce([{ affectedRows: 1 }, undefined])
+        .mockResolvedValueOnce([[{ name: 'new', secret: 'b' }], []])
+        .mockResolvedValueOnce([{ insertId: 1, affectedRows: 1 }, undefined]);
+
+      await expect(asUser(() => MemberModel.update(3, { name: 'new', secret: 'b' }))).resolves.toBe(true);
+
+      expect(db.query.mock.calls.map(([sql, params]) => [sql, params]).slice(0, 3)).toEqual([
+        ['SELECT `name`, `secret` FROM `members` WHERE `deleted_at` IS NULL AND `id` = ? LIMIT 1 FOR UPDATE', [3]],
+        ['UPDATE `members` SET `name` = ?, `secret` = ?, `updated_by` = ? WHERE `deleted_at` IS NULL AND `id` = ?', ['new', 'b', 2, 3]],
+        ['SELECT `name`, `secret` FROM `members` WHERE `id` = ? LIMIT 1', [3]]
+      ]);
+      expect(JSON.parse(auditInsert()[1][3])).toEqual({
+        name: { from: 'old', to: 'new' },
+        secret: { from: '[REDACTED]', to: '[REDACTED]' }
+      });
+    });
+
+    test('update should not log writes that changed nothing', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ name: 'same' }], []])
+        .mockResolvedValueOnce([{ affectedRows: 1 }, undefined])
+        .mockResolvedValueOnce([[{ name: 'same' }], []]);
+
+      await expect(MemberModel.update(3, { name: 'same' })).resolves.toBe(true);
+      expect(auditInsert()).toBeUndefined();
+    });
+
+    test('update should return false without logging when the row is missing', async () => {
+      db.query.mockResolvedValueOnce([[], []]);
+
+      await expect(MemberModel.update(3, { name: 'x' })).resolves.toBe(false);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('updateById should apply extra conditions and log values computed by the database', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ status: null }], []])
+        .mockResolvedValueOnce([{ affectedRows: 1 }, undefined])
+        .mockResolvedValueOnce([[{ status: 'active' }], []])
+        .mockResolvedValueOnce([{ insertId: 1, affectedRows: 1 }, undefined]);
+
+      await MemberModel.updateById(3, { status: QueryBuilder.raw("CONCAT('act', 'ive')") }, {
+        where: query => query.whereNull('status')
+      });
+
+      expect(db.query.mock.calls[1][0]).toBe(
+        "UPDATE `members` SET `status` = CONCAT('act', 'ive') WHERE `deleted_at` IS NULL AND `id` = ? AND `status` IS NULL"
+      );
+      expect(db.query.mock.calls[0][0]).toBe('SELECT `status` FROM `members` WHERE `deleted_at` IS NULL AND `id` = ? AND `status` IS NULL LIMIT 1 FOR UPDATE');
+      expect(JSON.parse(auditInsert()[1][3])).toEqual({ status: { from: null, to: 'active' } });
+    });
+
+    test('soft delete should be logged as a delete with its author', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ deleted_at: null }], []])
+        .mockResolvedValueOnce([{ affectedRows: 1 }, undefined])
+        .mockResolvedValueOnce([[{ deleted_at: '2026-01-02T03:04:05.000Z' }], []])
+        .mockResolvedValueOnce([{ insertId: 1, affectedRows: 1 }, undefined]);
+
+      await expect(asUser(() => MemberModel.delete(3))).resolves.toBe(true);
+
+      expect(db.query.mock.calls[1]).toEqual([
+        'UPDATE `members` SET `deleted_at` = NOW(), `updated_by` = ? WHERE `deleted_at` IS NULL AND `id` = ?', [2, 3]
+      ]);
+      expect(auditInsert()[1].slice(0, 4)).toEqual([
+        'members', '3', 'delete', JSON.stringify({ deleted_at: { from: null, to: '2026-01-02T03:04:05.000Z' } })
+      ]);
+    });
+
+    test('hard delete should log the removed values', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ body: 'text' }], []])
+        .mockResolvedValueOnce([{ affectedRows: 1 }, undefined])
+        .mockResolvedValueOnce([{ insertId: 1, affectedRows: 1 }, undefined]);
+
+      await expect(NoteModel.delete(8)).resolves.toBe(true);
+
+      expect(db.query.mock.calls[0][0]).toBe('SELECT `body` FROM `notes` WHERE `id` = ? LIMIT 1 FOR UPDATE');
+      expect(db.query.mock.calls[1][0]).toBe('DELETE FROM `notes` WHERE `id` = ?');
+      expect(JSON.parse(auditInsert()[1][3])).toEqual({ body: { from: 'text', to: null } });
+    });
+  });
+
+  describe('tenants', () => {
+    const inTenant = (fn) => RequestContextUtil.run({ tenantId: 4 }, fn);
+
+    test('finders should only see rows of the tenant of the request', async () => {
+      db.query.mockResolvedValue([[], []]);
+
+      await inTenant(() => ProjectModel.findById(1));
+      expect(db.query).toHaveBeenCalledWith(
+        'SELECT `title` FROM `projects` WHERE `tenant_id` = ? AND `deleted_at` IS NULL AND `id` = ? LIMIT 1',
+        [4, 1]
+      );
+    });
+
+    test('should see every tenant outside of a request', async () => {
+      db.query.mockResolvedValue([[], []]);
+
+      await ProjectModel.findById(1);
+      expect(db.query).toHaveBeenCalledWith('SELECT `title` FROM `projects` WHERE `deleted_at` IS NULL AND `id` = ? LIMIT 1', [1]);
+    });
+
+    test('scope should qualify the conditions with an alias', () => {
+      const query = inTenant(() => ProjectModel.scope(QueryBuilder.table('projects p').join('tags t', 't.id', '=', 'p.tag_id'), 'p'));
+
+      expect(query.toSQL()).toEqual({
+        sql: 'SELECT * FROM `projects` AS `p` INNER JOIN `tags` AS `t` ON `t`.`id` = `p`.`tag_id` WHERE `p`.`tenant_id` = ? AND `p`.`deleted_at` IS NULL',
+        params: [4]
+      });
+    });
+
+    test('create should set the tenant and log it with the change', async () => {
+      db.query.mockResolvedValue([{ insertId: 3, affectedRows: 1 }, undefined]);
+
+      await inTenant(() => ProjectModel.create({ title: 'Roadmap', tenant_id: 9 }));
+
+      expect(db.query.mock.calls[0]).toEqual(['INSERT INTO `projects` (`title`, `tenant_id`) VALUES (?, ?)', ['Roadmap', 4]]);
+      expect(auditInsert()[0]).toMatch(/^INSERT INTO `audit_log` \(`tenant_id`, /);
+      expect(auditInsert()[1][0]).toBe(4);
+    });
+
+    test('updates and deletes should not reach rows of other tenants', async () => {
+      db.query.mockResolvedValueOnce([[], []]);
+
+      await expect(inTenant(() => ProjectModel.update(3, { title: 'x' }))).resolves.toBe(false);
+      expect(db.query.mock.calls[0][0]).toBe(
+        'SELECT `title` FROM `projects` WHERE `tenant_id` = ? AND `deleted_at` IS NULL AND `id` = ? LIMIT 1 FOR UPDATE'
+      );
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('versions', () => {
+    test('updates should increment the version', async () => {
+      db.query.mockResolvedValue([{ affectedRows: 1 }, undefined]);
+
+      await expect(DocumentModel.update(3, { title: 'x' })).resolves.toBe(true);
+      expect(db.query).toHaveBeenCalledWith(
+        'UPDATE `documents` SET `title` = ?, `version` = `version` + 1 WHERE `id` = ?',
+        ['x', 3]
+      );
+    });
+
+    test('should only update a row that still has the expected version', async () => {
+      db.query.mockResolvedValue([{ affectedRows: 1 }, undefined]);
+
+      await expect(DocumentModel.update(3, { title: 'x' }, { version: 4 })).resolves.toBe(true);
+      expect(db.query).toHaveBeenCalledWith(
+        'UPDATE `documents` SET `title` = ?, `version` = `version` + 1 WHERE `id` = ? AND `version` IN (?)',
+        ['x', 3, 4]
+      );
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should throw a VersionConflictError when the row has another version', async () => {
+      db.query
+        .mockResolvedValueOnce([{ affectedRows: 0 }, undefined])
+        .mockResolvedValueOnce([[{ version: 6 }], []]);
+
+      const error = await DocumentModel.update(3, { title: 'x' }, { version: [4, 5] }).catch(e => e);
+
+      expect(error).toBeInstanceOf(BaseModel.VersionConflictError);
+      expect(error).toEqual(expect.objectContaining({ table: 'documents', id: 3, version: 6 }));
+      expect(db.query).toHaveBeenLastCalledWith('SELECT `version` FROM `documents` WHERE `id` = ? LIMIT 1', [3]);
+    });
+
+    test('should return false when the row is missing or fails the other conditions', async () => {
+      db.query
+        .mockResolvedValueOnce([{ affectedRows: 0 }, undefined])
+        .mockResolvedValueOnce([[], []]);
+      await expect(DocumentModel.update(3, { title: 'x' }, { version: 4 })).resolves.toBe(false);
+
+      db.query
+        .mockResolvedValueOnce([{ affectedRows: 0 }, undefined])
+        .mockResolvedValueOnce([[{ version: 4 }], []]);
+      await expect(DocumentModel.updateById(3, { title: 'x' }, { version: 4, where: query => query.where('title', 'y') }))
+        .resolves.toBe(false);
+    });
+
+    test('audited updates should lock the row of the expected version and leave the version out of the log', async () => {
+      db.query
+        .mockResolvedValueOnce([[{ title: 'a' }], []])
+        .mockResolvedValueOnce([{ affectedRows: 1 }, undefined])
+        .mockResolvedValueOnce([[{ title: 'b' }], []])
+        .mockResolvedValueOnce([{ insertId: 1, affectedRows: 1 }, undefined]);
+
+      await expect(PageModel.update(2, { title: 'b' }, { version: 1 })).resolves.toBe(true);
+
+      expect(db.query.mock.calls[0]).toEqual([
+        'SELECT `title` FROM `pages` WHERE `id` = ? AND `version` IN (?) LIMIT 1 FOR UPDATE', [2, 1]
+      ]);
+      expect(JSON.parse(auditInsert()[1][3])).toEqual({ title: { from: 'a', to: 'b' } });
+    });
+
+    test('should ignore expected versions on models without a version column', async () => {
+      db.query.mockResolvedValue([{ affectedRows: 1 }, undefined]);
+
+      await TagModel.update(1, { label: 'x' }, { version: 4 });
+      expect(db.query).toHaveBeenCalledWith('UPDATE `tags` SET `label` = ? WHERE `id` = ?', ['x', 1]);
+    });
+  });
+});
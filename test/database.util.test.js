@@ -0,0 +1,426 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+  logger: jest.fn(() => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }))
+}));
+
+const mockConnections = [];
+const createMockConnection = () => {
+  const connection = {
+    statements: [],
+    execute: jest.fn(async (sql) => {
+      connection.statements.push(sql);
+      return [[{ sql }], []];
+    }),
+    query: jest.fn(async (sql) => {
+      connection.statements.push(sql);
+      return [[], []];
+    }),
+    beginTransaction: jest.fn(async () => connection.statements.push('BEGIN')),
+    commit: jest.fn(async () => connection.statements.push('COMMIT')),
+    rollback: jest.fn(async () => connection.statements.push('ROLLBACK')),
+    release: jest.fn()
+  };
+  mockConnections.push(connection);
+  return connection;
+};
+
+const mockPool = {
+  execute: jest.fn(async () => [[{ from: 'pool' }], []]),
+  query: jest.fn(async () => [[{ id: 1, type: 'ALL', rows: 5000 }], []]),
+  getConnection: jest.fn(async () => createMockConnection()),
+  end: jest.fn()
+};
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => mockPool)
+}));
+
+const db = require('../src/utils/database.util');
+const QueryMetricsUtil = require('../src/utils/query-metrics.util');
+
+const deadlock = () => Object.assign(new Error('Deadlock found when trying to get lock'), { code: 'ER_LOCK_DEADLOCK' });
+
+describe('DatabaseUtil', () => {
+  afterEach(() => {
+    mockConnections.length = 0;
+    jest.clearAllMocks();
+  });
+
+  describe('withTransaction', () => {
+    test('should commit and let db.query join the transaction', async () => {
+      const result = await db.withTransaction(async (tx) => {
+        await tx.query('INSERT INTO a VALUES (?)', [1]);
+        // Models call db.query, possibly after other async work
+        await new Promise(resolve => setImmediate(resolve));
+        await db.query('INSERT INTO b VALUES (?)', [2]);
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(mockConnections).toHaveLength(1);
+      expect(mockConnections[0].statements).toEqual(['BEGIN', 'INSERT INTO a VALUES (?)', 'INSERT INTO b VALUES (?)', 'COMMIT']);
+      expect(mockConnections[0].release).toHaveBeenCalled();
+      expect(mockPool.execute).not.toHaveBeenCalled();
+    });
+
+    test('should use the pool again once the transaction is over', async () => {
+      await db.withTransaction(async () => {});
+
+      const [rows] = await db.query('SELECT 1');
+
+      expect(rows).toEqual([{ from: 'pool' }]);
+    });
+
+    test('should roll back and rethrow on errors', async () => {
+      await expect(db.withTransaction(async (tx) => {
+        await tx.query('INSERT INTO a VALUES (1)');
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      expect(mockConnections).toHaveLength(1);
+      expect(mockConnections[0].statements).toEqual(['BEGIN', 'INSERT INTO a VALUES (1)', 'ROLLBACK']);
+      expect(mockConnections[0].release).toHaveBeenCalled();
+    });
+
+    test('should keep concurrent transactions apart', async () => {
+      await Promise.all([
+        db.withTransaction(async () => {
+          await new Promise(resolve => setTimeout(resolve, 5));
+          await db.query('FIRST');
+        }),
+        db.withTransaction(async () => {
+          await db.query('SECOND');
+        })
+      ]);
+
+      expect(mockConnections.map(connection => connection.statements[1]).sort()).toEqual(['FIRST', 'SECOND']);
+    });
+
+    describe('nested calls', () => {
+      test('should release a savepoint on success', async () => {
+        await db.withTransaction(async () => {
+          await db.withTransaction(async () => {
+            await db.query('INNER');
+          });
+        });
+
+        expect(mockConnections).toHaveLength(1);
+        expect(mockConnections[0].statements).toEqual(['BEGIN', 'SAVEPOINT sp_1', 'INNER', 'RELEASE SAVEPOINT sp_1', 'COMMIT']);
+      });
+
+      test('should only roll back the savepoint when the error is handled', async () => {
+        await db.withTransaction(async () => {
+          await db.query('OUTER');
+          await db.withTransaction(async () => {
+            await db.query('INNER');
+            throw new Error('inner failed');
+          }).catch(() => {});
+        });
+
+        expect(mockConnections[0].statements).toEqual([
+          'BEGIN', 'OUTER', 'SAVEPOINT sp_1', 'INNER', 'ROLLBACK TO SAVEPOINT sp_1', 'COMMIT'
+        ]);
+      });
+    });
+
+    describe('deadlocks', () => {
+      test('should run the whole transaction again', async () => {
+        let attempts = 0;
+
+        const result = await db.withTransaction(async () => {
+          attempts++;
+          await db.query('UPDATE a');
+          if (attempts === 1) {
+            throw deadlock();
+          }
+          return attempts;
+        });
+
+        expect(result).toBe(2);
+        expect(mockConnections).toHaveLength(2);
+        expect(mockConnections[0].statements).toEqual(['BEGIN', 'UPDATE a', 'ROLLBACK']);
+        expect(mockConnections[1].statements).toEqual(['BEGIN', 'UPDATE a', 'COMMIT']);
+      });
+
+      test('should give up after the configured retries', async () => {
+        const fn = jest.fn(async () => {
+          throw deadlock();
+        });
+
+        await expect(db.withTransaction(fn, { retries: 1 })).rejects.toThrow('Deadlock');
+        expect(fn).toHaveBeenCalledTimes(2);
+      });
+
+      test('should retry from the outermost transaction, not the savepoint', async () => {
+        let attempts = 0;
+
+        await db.withTransaction(async () => {
+          attempts++;
+          await db.withTransaction(async () => {
+            if (attempts === 1) {
+              throw deadlock();
+            }
+          });
+        });
+
+        expect(attempts).toBe(2);
+        expect(mockConnections[0].statements).toEqual(['BEGIN', 'SAVEPOINT sp_1', 'ROLLBACK']);
+      });
+
+      test('should not retry other errors', async () => {
+        const fn = jest.fn(async () => {
+          throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+        });
+
+        await expect(db.withTransaction(fn)).rejects.toThrow('Duplicate entry');
+        expect(fn).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('transaction', () => {
+    test('should run a list of queries in one transaction', async () => {
+      const results = await db.transaction([
+        { sql: 'UPDATE a', params: [] },
+        { sql: 'UPDATE b', params: [] }
+      ]);
+
+      expect(results).toEqual([[{ sql: 'UPDATE a' }], [{ sql: 'UPDATE b' }]]);
+      expect(mockConnections[0].statements).toEqual(['BEGIN', 'UPDATE a', 'UPDATE b', 'COMMIT']);
+    });
+  });
+
+  describe('metrics and logging', () => {
+    const defaultMetrics = db.metrics;
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    afterEach(() => {
+      db.metrics = defaultMetrics;
+      QueryMetricsUtil.reset();
+    });
+
+    test('should log affected rows for statements that return no rows', async () => {
+      mockPool.execute.mockResolvedValueOnce([{ affectedRows: 3, insertId: 0 }, undefined]);
+
+      await db.query('UPDATE a SET b = ?', [1]);
+
+      expect(db.logger.debug).toHaveBeenCalledWith('Executed query', expect.objectContaining({ affectedRows: 3 }));
+      expect(db.logger.debug.mock.calls[0][1]).not.toHaveProperty('rowCount');
+      expect(db.logger.info).not.toHaveBeenCalled();
+    });
+
+    test('should record every statement under its fingerprint', async () => {
+      await db.query('SELECT * FROM a WHERE id = ?', [1]);
+      await db.query('SELECT * FROM a WHERE id = ?', [2]);
+
+      const { id } = QueryMetricsUtil.fingerprint('SELECT * FROM a WHERE id = ?');
+      expect(QueryMetricsUtil.statements.get(id).count).toBe(2);
+    });
+
+    test('should redact sensitive bind values when a query fails', async () => {
+      mockPool.execute.mockRejectedValueOnce(new Error('Duplicate entry'));
+
+      await expect(db.query(
+        'INSERT INTO users (username, email, password, roleid, fullName) VALUES (?, ?, ?, ?, ?)',
+        ['alice', 'alice@example.com', '$2b$12$abcdefghijklmnopqrstuv', 1, 'Alice']
+      )).rejects.toThrow('Duplicate entry');
+
+      expect(db.logger.error).toHaveBeenCalledWith('Error executing query', expect.objectContaining({
+        params: ['alice', 'alice@example.com', '[REDACTED]', 1, 'Alice'],
+        error: 'Duplicate entry'
+      }));
+    });
+
+    test('should log slow queries with their EXPLAIN, at most once per interval', async () => {
+      db.metrics = { ...defaultMetrics, slowQueryThreshold: 0, explain: true };
+
+      await db.query('SELECT * FROM refresh_tokens WHERE token_hash = ?', ['abc123']);
+      await flush();
+      await db.query('SELECT * FROM refresh_tokens WHERE token_hash = ?', ['def456']);
+      await flush();
+
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+      expect(mockPool.query).toHaveBeenCalledWith('EXPLAIN SELECT * FROM refresh_tokens WHERE token_hash = ?', ['abc123']);
+      expect(db.logger.warn).toHaveBeenCalledTimes(2);
+      expect(db.logger.warn).toHaveBeenNthCalledWith(1, 'Slow query', expect.objectContaining({
+        params: ['[REDACTED]'],
+        plan: [{ id: 1, type: 'ALL', rows: 5000 }]
+      }));
+      expect(db.logger.warn.mock.calls[1][1]).not.toHaveProperty('plan');
+      expect(db.getStats().queries.slowest[0]).toEqual(expect.objectContaining({ slow: 2, plan: [{ id: 1, type: 'ALL', rows: 5000 }] }));
+    });
+
+    test('should explain slow statements of a transaction on the pool, not its connection', async () => {
+      db.metrics = { ...defaultMetrics, slowQueryThreshold: 0, explain: true };
+
+      await db.withTransaction(async () => {
+        await db.query('DELETE FROM a WHERE id = ?', [1]);
+      });
+      await flush();
+
+      expect(mockPool.query).toHaveBeenCalledWith('EXPLAIN DELETE FROM a WHERE id = ?', [1]);
+      expect(mockConnections[0].statements).toEqual(['BEGIN', 'DELETE FROM a WHERE id = ?', 'COMMIT']);
+    });
+
+    test('should still log the slow query when EXPLAIN fails or is turned off', async () => {
+      db.metrics = { ...defaultMetrics, slowQueryThreshold: 0, explain: true };
+      mockPool.query.mockRejectedValueOnce(new Error('explain denied'));
+
+      await db.query('SELECT 1');
+      await flush();
+      expect(db.logger.warn).toHaveBeenCalledWith('Slow query', expect.objectContaining({ plan: 'EXPLAIN failed: explain denied' }));
+
+      db.metrics = { ...defaultMetrics, slowQueryThreshold: 0, explain: false };
+      await db.query('SELECT 2');
+      await flush();
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+      expect(db.logger.warn).toHaveBeenCalledTimes(2);
+    });
+
+    test('getStats should report pool usage', () => {
+      mockPool.pool = {
+        config: { connectionLimit: 20 },
+        _allConnections: { length: 5 },
+        _freeConnections: { length: 2 },
+        _connectionQueue: { length: 1 }
+      };
+
+      expect(db.getStats().pools.primary).toEqual({ limit: 20, total: 5, active: 3, idle: 2, queued: 1 });
+      delete mockPool.pool;
+    });
+  });
+
+  describe('replicas', () => {
+    let replicaDb;
+    let pools;
+
+    const createMockPool = (config) => ({
+      config,
+      execute: jest.fn(async () => [[{ from: config.host }], []]),
+      getConnection: jest.fn(async () => createMockConnection()),
+      end: jest.fn()
+    });
+
+    // Load a second DatabaseUtil with two replicas configured
+    beforeEach(() => {
+      const mysql = require('mysql2/promise');
+      pools = [];
+      mysql.createPool.mockImplementation((config) => {
+        const pool = createMockPool(config);
+        pools.push(pool);
+        return pool;
+      });
+
+      process.env.DB_HOST = 'primary';
+      process.env.DB_REPLICA_HOSTS = 'replica1, replica2:3307';
+      jest.isolateModules(() => {
+        replicaDb = require('../src/utils/database.util');
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.DB_HOST;
+      delete process.env.DB_REPLICA_HOSTS;
+      require('mysql2/promise').createPool.mockImplementation(() => mockPool);
+    });
+
+    const source = async (promise) => (await promise)[0][0].from;
+
+    test('should create a pool per replica with the primary settings', () => {
+      expect(pools.map(pool => [pool.config.host, pool.config.port])).toEqual([
+        ['primary', 3306], ['replica1', 3306], ['replica2', 3307]
+      ]);
+      expect(pools[0].config.replication).toBeUndefined();
+    });
+
+    test('should send reads to the replicas in turn and writes to the primary', async () => {
+      expect(await source(replicaDb.query('SELECT 1'))).toBe('replica1');
+      expect(await source(replicaDb.query('  select 2'))).toBe('replica2');
+      expect(await source(replicaDb.query('SELECT 3'))).toBe('replica1');
+      expect(await source(replicaDb.query('UPDATE a SET b = 1'))).toBe('primary');
+    });
+
+    test('should keep locking and session dependent reads on the primary', async () => {
+      expect(await source(replicaDb.query('SELECT id FROM a WHERE id = 1 FOR UPDATE'))).toBe('primary');
+      expect(await source(replicaDb.query('SELECT id FROM a LOCK IN SHARE MODE'))).toBe('primary');
+      expect(await source(replicaDb.query('SELECT LAST_INSERT_ID() AS id'))).toBe('primary');
+      expect(await source(replicaDb.query('SELECT GET_LOCK(?, ?) AS acquired', ['x', 1]))).toBe('primary');
+    });
+
+    test('should run transactions on the primary', async () => {
+      await replicaDb.withTransaction(async () => {
+        await replicaDb.query('SELECT 1');
+      });
+
+      expect(pools[0].getConnection).toHaveBeenCalled();
+      expect(mockConnections[0].statements).toEqual(['BEGIN', 'SELECT 1', 'COMMIT']);
+      expect(pools[1].execute).not.toHaveBeenCalled();
+    });
+
+    test('should read from the primary once the request wrote', async () => {
+      const middleware = replicaDb.readYourWrites();
+      const sources = [];
+
+      await new Promise((resolve, reject) => middleware({}, {}, async () => {
+        try {
+          sources.push(await source(replicaDb.query('SELECT 1')));
+          await replicaDb.query('INSERT INTO a VALUES (1)');
+          sources.push(await source(replicaDb.query('SELECT 2')));
+          // replica() opts out of read-your-writes
+          sources.push(await source(replicaDb.replica().query('SELECT 3')));
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      }));
+
+      expect(sources).toEqual(['replica1', 'primary', 'replica2']);
+      // Other requests are not affected
+      expect(await source(replicaDb.query('SELECT 4'))).toBe('replica1');
+    });
+
+    test('primary() should read from the primary', async () => {
+      expect(await source(replicaDb.primary().query('SELECT 1'))).toBe('primary');
+      expect(await replicaDb.primary(async () => source(replicaDb.query('SELECT 2')))).toBe('primary');
+      expect(await source(replicaDb.query('SELECT 3'))).toBe('replica1');
+    });
+
+    test('should eject an unreachable replica and read from the primary meanwhile', async () => {
+      pools[1].execute.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+      expect(await source(replicaDb.query('SELECT 1'))).toBe('primary');
+      expect(await source(replicaDb.query('SELECT 2'))).toBe('replica2');
+      expect(await source(replicaDb.query('SELECT 3'))).toBe('replica2');
+
+      // Back in rotation once the eject time is over
+      replicaDb.replicas[0].ejectedUntil = Date.now() - 1;
+      const next = await Promise.all([replicaDb.query('SELECT 4'), replicaDb.query('SELECT 5')]);
+      expect(next.map(([rows]) => rows[0].from).sort()).toEqual(['replica1', 'replica2']);
+      expect(replicaDb.replicas[0].ejectedUntil).toBe(0);
+    });
+
+    test('should fall back to the primary when every replica is ejected', async () => {
+      replicaDb.replicas.forEach(replica => { replica.ejectedUntil = Date.now() + 60000; });
+
+      expect(await source(replicaDb.query('SELECT 1'))).toBe('primary');
+    });
+
+    test('should rethrow SQL errors without ejecting the replica', async () => {
+      pools[1].execute.mockRejectedValueOnce(Object.assign(new Error('Unknown column'), { code: 'ER_BAD_FIELD_ERROR' }));
+
+      await expect(replicaDb.query('SELECT nope FROM a')).rejects.toThrow('Unknown column');
+      expect(replicaDb.replicas[0].ejectedUntil).toBe(0);
+    });
+
+    test('close should end every pool', async () => {
+      await replicaDb.close();
+
+      pools.forEach(pool => expect(pool.end).toHaveBeenCalled());
+    });
+  });
+});
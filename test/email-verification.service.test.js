@@ -0,0 +1,124 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/user.model');
+jest.mock('../src/models/email-verification.model');
+jest.mock('../src/utils/rate-limit.util');
+jest.mock('../src/services/mail.service');
+jest.mock('../src/config/auth.config', () => ({
+    tokenHashSecret: 'test-secret',
+    emailVerificationExpiresIn: 86400,
+    emailVerificationRateLimit: { windowSeconds: 3600, maxPerAccount: 3 }
+}));
+
+const UserModel = require('../src/models/user.model');
+const EmailVerificationModel = require('../src/models/email-verification.model');
+const RateLimitUtil = require('../src/utils/rate-limit.util');
+const EncryptUtil = require('../src/utils/encrypt.util');
+const RequestContextUtil = require('../src/utils/request-context.util');
+const mailService = require('../src/services/mail.service');
+const emailVerificationService = require('../src/services/email-verification.service');
+
+describe('EmailVerificationService', () => {
+    const user = { id: 1, username: 'testuser', email: 'test@example.com' };
+
+    beforeEach(() => {
+        RateLimitUtil.hit.mockResolvedValue({ count: 1, ttl: 3600 });
+        EmailVerificationModel.create.mockResolvedValue({ id: 1 });
+        mailService.buildLink.mockImplementation((path, query) => `http://localhost${path}?token=${query.token}`);
+        mailService.send.mockResolvedValue({ id: 'mail-1' });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('sendVerification', () => {
+        test('should store a hashed token bound to the email and send the link', async () => {
+            const result = await emailVerificationService.sendVerification(user);
+
+            expect(result).toEqual({ sent: true });
+            const stored = EmailVerificationModel.create.mock.calls[0][0];
+            const message = mailService.send.mock.calls[0][0];
+            const token = message.text.match(/token=([\w-]+)/)[1];
+
+            expect(stored.email).toBe(user.email);
+            expect(stored.tokenHash).toBe(EncryptUtil.hashOneTimeToken(token, 'test-secret'));
+            expect(message.to).toBe(user.email);
+        });
+
+        test('should rate limit per account', async () => {
+            RateLimitUtil.hit.mockResolvedValue({ count: 4, ttl: 600 });
+
+            const result = await emailVerificationService.sendVerification(user);
+
+            expect(result).toEqual({ sent: false, retryAfter: 600 });
+            expect(mailService.send).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('verify', () => {
+        test('should mark the email verified', async () => {
+            EmailVerificationModel.findValidByHash.mockResolvedValue({ id: 3, userid: 1, email: user.email });
+            EmailVerificationModel.markUsed.mockResolvedValue(true);
+            UserModel.markEmailVerified.mockResolvedValue(true);
+
+            const userId = await emailVerificationService.verify('raw-token');
+
+            expect(userId).toBe(1);
+            expect(EmailVerificationModel.findValidByHash).toHaveBeenCalledWith(EncryptUtil.hashOneTimeToken('raw-token', 'test-secret'));
+            expect(UserModel.markEmailVerified).toHaveBeenCalledWith(1, user.email);
+            expect(EmailVerificationModel.invalidateForUser).toHaveBeenCalledWith(1);
+        });
+
+        test('should reject unknown tokens', async () => {
+            EmailVerificationModel.findValidByHash.mockResolvedValue(undefined);
+
+            expect(await emailVerificationService.verify('raw-token')).toBeNull();
+            expect(UserModel.markEmailVerified).not.toHaveBeenCalled();
+        });
+
+        test('should reject tokens already used', async () => {
+            EmailVerificationModel.findValidByHash.mockResolvedValue({ id: 3, userid: 1, email: user.email });
+            EmailVerificationModel.markUsed.mockResolvedValue(false);
+
+            expect(await emailVerificationService.verify('raw-token')).toBeNull();
+            expect(UserModel.markEmailVerified).not.toHaveBeenCalled();
+        });
+
+        test('should reject tokens sent to a previous email', async () => {
+            EmailVerificationModel.findValidByHash.mockResolvedValue({ id: 3, userid: 1, email: 'old@example.com' });
+            EmailVerificationModel.markUsed.mockResolvedValue(true);
+            UserModel.markEmailVerified.mockResolvedValue(false);
+
+            expect(await emailVerificationService.verify('raw-token')).toBeNull();
+        });
+
+        test('should verify the email in the tenant of the token', async () => {
+            EmailVerificationModel.findValidByHash.mockResolvedValue({ id: 3, userid: 1, tenant_id: 4, email: user.email });
+            EmailVerificationModel.markUsed.mockResolvedValue(true);
+            UserModel.markEmailVerified.mockImplementation(async () => RequestContextUtil.getTenantId() === 4);
+
+            const userId = await RequestContextUtil.run({ tenantId: 1, tenantSource: 'default' },
+                () => emailVerificationService.verify('raw-token'));
+
+            expect(userId).toBe(1);
+        });
+
+        test('should keep a token of another tenant than the one the request named', async () => {
+            EmailVerificationModel.findValidByHash.mockResolvedValue({ id: 3, userid: 1, tenant_id: 4, email: user.email });
+
+            const userId = await RequestContextUtil.run({ tenantId: 2, tenantSource: 'header' },
+                () => emailVerificationService.verify('raw-token'));
+
+            expect(userId).toBeNull();
+            expect(EmailVerificationModel.markUsed).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,27 @@
+const ETagUtil = require('../src/utils/etag.util');
+
+describe('ETagUtil', () => {
+  test('fromRepresentation should build a strong tag that follows the content', () => {
+    const tag = ETagUtil.fromRepresentation({ id: 1, mfaEnabled: false });
+
+    expect(tag).toMatch(/^"[A-Za-z0-9_-]{22}"$/);
+    expect(ETagUtil.fromRepresentation({ id: 1, mfaEnabled: false })).toBe(tag);
+    expect(ETagUtil.fromRepresentation({ id: 1, mfaEnabled: true })).not.toBe(tag);
+  });
+
+  test('parseIfMatch should return the strong tags', () => {
+    expect(ETagUtil.parseIfMatch('"3"')).toEqual(['"3"']);
+    expect(ETagUtil.parseIfMatch('"3", W/"4", "abc"')).toEqual(['"3"', '"abc"']);
+  });
+
+  test('parseIfMatch should return null without a header or with "*"', () => {
+    expect(ETagUtil.parseIfMatch(undefined)).toBeNull();
+    expect(ETagUtil.parseIfMatch('')).toBeNull();
+    expect(ETagUtil.parseIfMatch(' * ')).toBeNull();
+  });
+
+  test('parseIfMatch should return no tag for weak or unquoted tags', () => {
+    expect(ETagUtil.parseIfMatch('W/"3"')).toEqual([]);
+    expect(ETagUtil.parseIfMatch('3')).toEqual([]);
+  });
+});
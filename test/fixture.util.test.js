@@ -0,0 +1,68 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+  logger: jest.fn(() => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }))
+}));
+jest.mock('../src/utils/database.util', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../src/utils/database.util');
+const FixtureUtil = require('../src/utils/fixture.util');
+
+describe('FixtureUtil', () => {
+  let nextId;
+
+  beforeEach(() => {
+    nextId = 100;
+    FixtureUtil.loaded = [];
+    db.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('INSERT INTO `user_mfa`')) {
+        return [{ insertId: 0, affectedRows: 1 }];
+      }
+      return sql.startsWith('INSERT') ? [{ insertId: nextId++, affectedRows: 1 }] : [{ affectedRows: 1 }];
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should insert the rows in order and return them with their id', async () => {
+    const data = await FixtureUtil.load({
+      roles: [{ rolename: 'tester', paramlist: '' }],
+      users: [{ username: 'fixture', email: 'fixture@example.com', password: 'x' }]
+    });
+
+    expect(data).toEqual({
+      roles: [{ id: 100, rolename: 'tester', paramlist: '' }],
+      users: [{ id: 101, username: 'fixture', email: 'fixture@example.com', password: 'x' }]
+    });
+    expect(db.query).toHaveBeenNthCalledWith(1, 'INSERT INTO `roles` (`rolename`, `paramlist`) VALUES (?, ?)', ['tester', '']);
+  });
+
+  test('should delete the loaded rows newest first', async () => {
+    await FixtureUtil.load({ roles: [{ rolename: 'tester' }], users: [{ username: 'fixture' }] });
+    db.query.mockClear();
+
+    expect(await FixtureUtil.teardown()).toBe(2);
+
+    expect(db.query.mock.calls).toEqual([
+      ['DELETE FROM `users` WHERE `id` <=> ?', [101]],
+      ['DELETE FROM `roles` WHERE `id` <=> ?', [100]]
+    ]);
+    expect(FixtureUtil.loaded).toEqual([]);
+  });
+
+  test('should delete rows without an auto increment id by their values', async () => {
+    await FixtureUtil.load({ user_mfa: [{ userid: 101, secret_iv: null }] });
+    db.query.mockClear();
+
+    await FixtureUtil.teardown();
+
+    expect(db.query).toHaveBeenCalledWith('DELETE FROM `user_mfa` WHERE `userid` <=> ? AND `secret_iv` <=> ?', [101, null]);
+  });
+});
@@ -178,6 +178,19 @@ describe('HttpUtil', () => {
       });
     });
 
+    test('should make POST URL-encoded request', async () => {
+      const result = await HttpUtil.postUrlEncoded('https://api.example.com/token', { grant_type: 'authorization_code', code: 'a b', empty: null });
+
+      expect(mockInstance.post).toHaveBeenCalledWith('https://api.example.com/token', 'grant_type=authorization_code&code=a+b');
+      expect(axios.create).toHaveBeenCalledWith(expect.objectContaining({
+        headers: expect.objectContaining({ 'Content-Type': 'application/x-www-form-urlencoded' })
+      }));
+      expect(result).toMatchObject({
+        data: mockResponse.data,
+        status: mockResponse.status
+      });
+    });
+
     test('should make POST form request', async () => {
       const formData = { name: 'test', email: 'test@example.com' };
       const result = await HttpUtil.postForm('https://api.example.com/test', formData);
@@ -0,0 +1,109 @@
+const jwt = require('jsonwebtoken');
+
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/user.model');
+jest.mock('../src/services/revocation.service');
+jest.mock('../src/services/permission.service');
+
+const UserModel = require('../src/models/user.model');
+const revocationService = require('../src/services/revocation.service');
+const permissionService = require('../src/services/permission.service');
+const tokenService = require('../src/services/token.service');
+const impersonationService = require('../src/services/impersonation.service');
+
+describe('ImpersonationService', () => {
+    const admin = { id: 9, username: 'support' };
+    const user = { id: 1, username: 'alice', email: 'alice@example.com', fullName: 'Alice' };
+
+    beforeEach(() => {
+        UserModel.findById.mockImplementation(async (id) => (id === admin.id ? admin : id === user.id ? user : undefined));
+        permissionService.getUserAccess.mockImplementation(async (id) => (
+            id === admin.id ? { role: 'support', permissions: ['users:impersonate'] } : { role: 'user', permissions: [] }
+        ));
+        permissionService.hasPermission.mockImplementation((granted, permission) => granted.includes(permission));
+        revocationService.isRevoked.mockResolvedValue(false);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('start', () => {
+        test('should issue an access token for the user with the admin in the act claim', async () => {
+            const result = await impersonationService.start(admin, user.id, { ipAddress: '127.0.0.1' });
+
+            const payload = tokenService.verifyAccessToken(result.token);
+            expect(payload.userId).toBe(1);
+            expect(payload.act).toEqual({ sub: '9' });
+            expect(payload.sid).toBeUndefined();
+            expect(result.expiresIn).toBeGreaterThan(0);
+            expect(result.user).toEqual({ id: 1, username: 'alice', email: 'alice@example.com', fullName: 'Alice' });
+        });
+
+        test('should refuse to impersonate yourself', async () => {
+            expect(await impersonationService.start(admin, admin.id)).toEqual({ error: 'self' });
+        });
+
+        test('should report unknown users', async () => {
+            expect(await impersonationService.start(admin, 404)).toEqual({ error: 'not_found' });
+        });
+
+        test('should refuse disabled accounts', async () => {
+            UserModel.findById.mockResolvedValue({ ...user, disabled_at: new Date() });
+
+            expect(await impersonationService.start(admin, user.id)).toEqual({ error: 'disabled' });
+        });
+
+        test('should refuse users who can impersonate', async () => {
+            permissionService.getUserAccess.mockResolvedValue({ role: 'admin', permissions: ['users:impersonate'] });
+
+            expect(await impersonationService.start(admin, user.id)).toEqual({ error: 'privileged' });
+        });
+    });
+
+    describe('end', () => {
+        test('should revoke the impersonation token', async () => {
+            const { token } = await impersonationService.start(admin, user.id);
+            const payload = jwt.decode(token);
+
+            await impersonationService.end(payload, admin);
+
+            expect(revocationService.revokeToken).toHaveBeenCalledWith(payload, 'impersonation_ended');
+        });
+    });
+
+    describe('resolveActor', () => {
+        const payload = { userId: 1, act: { sub: '9' }, iat: Math.floor(Date.now() / 1000), iatMs: Date.now() };
+
+        test('should return the admin', async () => {
+            expect(await impersonationService.resolveActor(payload)).toBe(admin);
+        });
+
+        test('should refuse when the admin revoked all of their tokens', async () => {
+            revocationService.isRevoked.mockResolvedValue(true);
+
+            expect(await impersonationService.resolveActor(payload)).toBeNull();
+            expect(revocationService.isRevoked).toHaveBeenCalledWith({ userId: 9, iat: payload.iat, iatMs: payload.iatMs });
+        });
+
+        test('should refuse when the admin is disabled', async () => {
+            UserModel.findById.mockResolvedValue({ ...admin, disabled_at: new Date() });
+
+            expect(await impersonationService.resolveActor(payload)).toBeNull();
+        });
+
+        test('should refuse when the admin lost the permission', async () => {
+            permissionService.getUserAccess.mockResolvedValue({ role: 'user', permissions: [] });
+
+            expect(await impersonationService.resolveActor(payload)).toBeNull();
+        });
+    });
+});
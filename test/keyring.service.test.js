@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+const EncryptUtil = require('../src/utils/encrypt.util');
+const authConfig = require('../src/config/auth.config');
+const keyringService = require('../src/services/keyring.service');
+
+describe('KeyringService', () => {
+    const originalJwtConfig = { ...authConfig.jwt };
+    let keysDir;
+
+    beforeEach(() => {
+        keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+        authConfig.jwt.keysDir = keysDir;
+        keyringService.keys = null;
+    });
+
+    afterEach(() => {
+        fs.rmSync(keysDir, { recursive: true, force: true });
+        Object.assign(authConfig.jwt, originalJwtConfig);
+        keyringService.keys = null;
+    });
+
+    const writeKey = (kid, pem, suffix = '.pem', mtime = Date.now() / 1000) => {
+        const file = path.join(keysDir, kid + suffix);
+        fs.writeFileSync(file, pem);
+        fs.utimesSync(file, mtime, mtime);
+    };
+
+    describe('checkSecrets', () => {
+        const originalSecret = authConfig.tokenHashSecret;
+        const originalMfaConfig = { ...authConfig.mfa };
+
+        afterEach(() => {
+            authConfig.tokenHashSecret = originalSecret;
+            Object.assign(authConfig.mfa, originalMfaConfig);
+        });
+
+        test('should accept configured secrets', () => {
+            authConfig.tokenHashSecret = 'hash-secret';
+            authConfig.mfa.encryptionKey = 'mfa-key';
+
+            expect(() => keyringService.checkSecrets()).not.toThrow();
+        });
+
+        test('should refuse to start without TOKEN_HASH_SECRET', () => {
+            authConfig.tokenHashSecret = undefined;
+            authConfig.mfa.encryptionKey = 'mfa-key';
+
+            expect(() => keyringService.checkSecrets()).toThrow('TOKEN_HASH_SECRET not set');
+        });
+
+        test('should name every missing secret', () => {
+            authConfig.tokenHashSecret = '';
+            authConfig.mfa.encryptionKey = undefined;
+
+            expect(() => keyringService.checkSecrets()).toThrow('TOKEN_HASH_SECRET and MFA_ENCRYPTION_KEY not set');
+        });
+    });
+
+    describe('load', () => {
+        test('should generate and persist a key when the directory is empty', () => {
+            keyringService.load();
+
+            const key = keyringService.getSigningKey();
+            expect(key.algorithm).toBe('RS256');
+            expect(fs.existsSync(path.join(keysDir, `${key.kid}.pem`))).toBe(true);
+        });
+
+        test('should generate ES256 keys', () => {
+            authConfig.jwt.algorithm = 'ES256';
+
+            keyringService.load();
+
+            expect(keyringService.getSigningKey().algorithm).toBe('ES256');
+        });
+
+        test('should keep a generated key in memory without a directory in development', () => {
+            authConfig.jwt.keysDir = null;
+            authConfig.jwt.inMemoryKeys = true;
+
+            keyringService.load();
+
+            expect(keyringService.getSigningKey().privateKey).toBeDefined();
+            expect(fs.readdirSync(keysDir)).toHaveLength(0);
+        });
+
+        test('should refuse to generate an in-memory key outside development', () => {
+            authConfig.jwt.keysDir = null;
+            authConfig.jwt.inMemoryKeys = false;
+
+            expect(() => keyringService.load()).toThrow('JWT_KEYS_DIR is not set');
+            expect(keyringService.keys).toBeNull();
+        });
+
+        test('should still sign with JWT_SECRET in HS256 mode without a directory', () => {
+            authConfig.jwt.keysDir = null;
+            authConfig.jwt.inMemoryKeys = false;
+            authConfig.jwt.algorithm = 'HS256';
+
+            keyringService.load();
+
+            expect(keyringService.getSigningKey().kid).toBe('default');
+        });
+
+        test('should sign with the newest private key and keep older keys for verification', () => {
+            const now = Date.now() / 1000;
+            writeKey('old', EncryptUtil.generateRsaKeyPair(2048).privateKey, '.pem', now - 3600);
+            writeKey('new', EncryptUtil.generateEcKeyPair().privateKey, '.pem', now);
+            writeKey('retired', EncryptUtil.generateRsaKeyPair(2048).publicKey, '.pub.pem', now - 7200);
+
+            keyringService.load();
+
+            expect(keyringService.getSigningKey().kid).toBe('new');
+            expect(keyringService.getVerificationKey('old').algorithm).toBe('RS256');
+            expect(keyringService.getVerificationKey('retired').privateKey).toBeNull();
+        });
+
+        test('should sign with JWT_ACTIVE_KID when set', () => {
+            const now = Date.now() / 1000;
+            writeKey('current', EncryptUtil.generateRsaKeyPair(2048).privateKey, '.pem', now - 3600);
+            writeKey('next', EncryptUtil.generateRsaKeyPair(2048).privateKey, '.pem', now);
+            authConfig.jwt.activeKid = 'current';
+
+            keyringService.load();
+
+            expect(keyringService.getSigningKey().kid).toBe('current');
+        });
+
+        test('should fail when JWT_ACTIVE_KID has no private key', () => {
+            writeKey('a', EncryptUtil.generateRsaKeyPair(2048).privateKey);
+            writeKey('b', EncryptUtil.generateRsaKeyPair(2048).publicKey, '.pub.pem');
+            authConfig.jwt.activeKid = 'b';
+
+            expect(() => keyringService.load()).toThrow('JWT signing key b not found');
+        });
+
+        test('should use JWT_SECRET in HS256 mode', () => {
+            authConfig.jwt.algorithm = 'HS256';
+            process.env.JWT_SECRET = 'test-secret';
+
+            keyringService.load();
+
+            expect(keyringService.getSigningKey()).toEqual(expect.objectContaining({ algorithm: 'HS256', privateKey: 'test-secret' }));
+            expect(keyringService.getJwks().keys).toHaveLength(0);
+        });
+    });
+
+    describe('getJwks', () => {
+        test('should publish every public key with kid, alg and use', () => {
+            writeKey('rsa', EncryptUtil.generateRsaKeyPair(2048).privateKey);
+            writeKey('ec', EncryptUtil.generateEcKeyPair().publicKey, '.pub.pem');
+
+            const { keys } = keyringService.getJwks();
+
+            expect(keys).toHaveLength(2);
+            expect(keys).toEqual(expect.arrayContaining([
+                expect.objectContaining({ kid: 'rsa', kty: 'RSA', alg: 'RS256', use: 'sig', n: expect.any(String), e: 'AQAB' }),
+                expect.objectContaining({ kid: 'ec', kty: 'EC', alg: 'ES256', crv: 'P-256' })
+            ]));
+            keys.forEach(key => expect(key.d).toBeUndefined());
+        });
+    });
+});
@@ -0,0 +1,141 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/utils/redis.util');
+jest.mock('../src/config/auth.config', () => ({
+    loginProtection: {
+        windowSeconds: 900,
+        freeAttempts: 3,
+        delayStepMs: 500,
+        maxDelayMs: 8000,
+        maxAttemptsPerUser: 5,
+        maxAttemptsPerIp: 8,
+        lockoutSeconds: 900
+    }
+}));
+
+const RedisUtil = require('../src/utils/redis.util');
+const RateLimitUtil = require('../src/utils/rate-limit.util');
+const RequestContextUtil = require('../src/utils/request-context.util');
+const loginProtectionService = require('../src/services/login-protection.service');
+
+describe('LoginProtectionService', () => {
+    const ip = '10.0.0.1';
+
+    const fail = async (times, username = 'john', ipAddress = ip) => {
+        let result;
+        for (let i = 0; i < times; i++) {
+            result = await loginProtectionService.recordFailure(username, ipAddress);
+        }
+        return result;
+    };
+
+    beforeEach(() => {
+        RateLimitUtil.memoryStore.clear();
+        RedisUtil.isRedisConnected.mockReturnValue(false);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('keys', () => {
+        test('should count usernames per tenant', () => {
+            expect(loginProtectionService.keys(' John ', ip).userFailures).toBe('login:fail:user:john');
+            expect(RequestContextUtil.run({ tenantId: 2 }, () => loginProtectionService.keys('john', ip))).toEqual({
+                userFailures: 'login:fail:user:2:john',
+                ipFailures: `login:fail:ip:${ip}`,
+                userLock: 'login:lock:user:2:john',
+                ipLock: `login:lock:ip:${ip}`
+            });
+        });
+    });
+
+    describe('delayFor', () => {
+        test('should not delay the first attempts', () => {
+            expect(loginProtectionService.delayFor(0)).toBe(0);
+            expect(loginProtectionService.delayFor(2)).toBe(0);
+        });
+
+        test('should double the delay and cap it', () => {
+            expect(loginProtectionService.delayFor(3)).toBe(500);
+            expect(loginProtectionService.delayFor(4)).toBe(1000);
+            expect(loginProtectionService.delayFor(5)).toBe(2000);
+            expect(loginProtectionService.delayFor(20)).toBe(8000);
+        });
+    });
+
+    describe('check', () => {
+        test('should allow a fresh username', async () => {
+            expect(await loginProtectionService.check('john', ip)).toEqual({ locked: false, retryAfter: 0, delayMs: 0 });
+        });
+
+        test('should delay after repeated failures', async () => {
+            await fail(4);
+
+            expect((await loginProtectionService.check('john', ip)).delayMs).toBe(1000);
+        });
+
+        test('should lock a username after too many failures from any IP', async () => {
+            await fail(2, 'john', '10.0.0.2');
+            const result = await fail(3, 'john', '10.0.0.3');
+
+            expect(result.locked).toBe(true);
+
+            const status = await loginProtectionService.check('John', '10.0.0.4');
+            expect(status.locked).toBe(true);
+            expect(status.retryAfter).toBe(900);
+        });
+
+        test('should lock an IP after too many failures across usernames', async () => {
+            for (let i = 0; i < 8; i++) {
+                await loginProtectionService.recordFailure(`user${i}`, ip);
+            }
+
+            expect((await loginProtectionService.check('someone-else', ip)).locked).toBe(true);
+            expect((await loginProtectionService.check('someone-else', '10.0.0.9')).locked).toBe(false);
+        });
+
+        test('should track unknown usernames like existing ones', async () => {
+            await fail(5, 'no-such-user');
+
+            expect((await loginProtectionService.check('no-such-user', '10.0.0.5')).locked).toBe(true);
+        });
+    });
+
+    describe('recordSuccess', () => {
+        test('should reset the username counter but keep the IP counter', async () => {
+            await fail(4);
+            await loginProtectionService.recordSuccess('john', ip);
+
+            expect((await RateLimitUtil.peek('login:fail:user:john')).count).toBe(0);
+            expect((await RateLimitUtil.peek(`login:fail:ip:${ip}`)).count).toBe(4);
+        });
+    });
+
+    describe('unlock', () => {
+        test('should lift a username lockout', async () => {
+            await fail(5);
+
+            await loginProtectionService.unlock({ username: 'john' });
+
+            expect((await loginProtectionService.check('john', '10.0.0.6')).locked).toBe(false);
+        });
+
+        test('should lift an IP lockout when given', async () => {
+            for (let i = 0; i < 8; i++) {
+                await loginProtectionService.recordFailure(`user${i}`, ip);
+            }
+
+            await loginProtectionService.unlock({ username: 'john', ipAddress: ip });
+
+            expect((await loginProtectionService.check('john', ip)).locked).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,158 @@
+const jwt = require('jsonwebtoken');
+
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/user.model');
+jest.mock('../src/models/magic-link.model');
+jest.mock('../src/utils/rate-limit.util');
+jest.mock('../src/services/mail.service');
+
+const UserModel = require('../src/models/user.model');
+const MagicLinkModel = require('../src/models/magic-link.model');
+const RateLimitUtil = require('../src/utils/rate-limit.util');
+const mailService = require('../src/services/mail.service');
+const tokenService = require('../src/services/token.service');
+const authConfig = require('../src/config/auth.config');
+const RequestContextUtil = require('../src/utils/request-context.util');
+const magicLinkService = require('../src/services/magic-link.service');
+
+// Wait for the background email task started by requestLink
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('MagicLinkService', () => {
+    const user = { id: 1, username: 'testuser', email: 'test@example.com' };
+    const context = { ipAddress: '127.0.0.1' };
+    const originalSecret = authConfig.tokenHashSecret;
+
+    beforeAll(() => {
+        authConfig.tokenHashSecret = 'test-secret';
+    });
+
+    afterAll(() => {
+        authConfig.tokenHashSecret = originalSecret;
+    });
+
+    beforeEach(() => {
+        RateLimitUtil.hit.mockResolvedValue({ count: 1, ttl: 3600 });
+        UserModel.findByEmail.mockResolvedValue(user);
+        MagicLinkModel.create.mockResolvedValue({ id: 1 });
+        MagicLinkModel.markUsed.mockResolvedValue(true);
+        mailService.buildLink.mockImplementation((path, query) => `http://localhost${path}?token=${query.token}`);
+        mailService.send.mockResolvedValue({ id: 'mail-1' });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    // Request a link and return the nonce and the token from the email
+    const requestLink = async () => {
+        const { nonce } = await magicLinkService.requestLink(user.email, context);
+        await flushPromises();
+        const token = mailService.send.mock.calls[0][0].text.match(/token=([\w.-]+)/)[1];
+        return { nonce, token };
+    };
+
+    describe('requestLink', () => {
+        test('should email a signed single-use link bound to the nonce', async () => {
+            const { nonce, token } = await requestLink();
+
+            const payload = jwt.decode(token);
+            expect(payload.typ).toBe('magic_link');
+            expect(payload.sub).toBe('1');
+            expect(payload.exp - payload.iat).toBe(authConfig.magicLink.expiresIn);
+            expect(payload.nonce).toBe(magicLinkService.hashNonce(nonce));
+            expect(token).not.toContain(nonce);
+            expect(MagicLinkModel.create).toHaveBeenCalledWith(expect.objectContaining({ jti: payload.jti, userid: 1, ipAddress: '127.0.0.1' }));
+            expect(mailService.send.mock.calls[0][0].to).toBe(user.email);
+        });
+
+        test('should return a nonce without sending anything for unknown emails', async () => {
+            UserModel.findByEmail.mockResolvedValue(undefined);
+
+            const result = await magicLinkService.requestLink('nobody@example.com', context);
+            await flushPromises();
+
+            expect(result).toEqual({ limited: false, nonce: expect.any(String) });
+            expect(mailService.send).not.toHaveBeenCalled();
+        });
+
+        test('should rate limit by IP', async () => {
+            RateLimitUtil.hit.mockResolvedValue({ count: 11, ttl: 120 });
+
+            expect(await magicLinkService.requestLink(user.email, context)).toEqual({ limited: true, retryAfter: 120 });
+        });
+
+        test('should silently limit emails per account', async () => {
+            RateLimitUtil.hit
+                .mockResolvedValueOnce({ count: 1, ttl: 3600 })
+                .mockResolvedValueOnce({ count: 6, ttl: 3600 });
+
+            const result = await magicLinkService.requestLink(user.email, context);
+            await flushPromises();
+
+            expect(result.limited).toBe(false);
+            expect(mailService.send).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('verifyLink', () => {
+        test('should return the user for the requesting browser and use the link up', async () => {
+            const { nonce, token } = await requestLink();
+
+            expect(await magicLinkService.verifyLink(token, nonce)).toBe(1);
+            expect(MagicLinkModel.markUsed).toHaveBeenCalledWith(jwt.decode(token).jti);
+            expect(MagicLinkModel.invalidateForUser).toHaveBeenCalledWith(1);
+        });
+
+        test('should reject the link in another browser', async () => {
+            const { token } = await requestLink();
+
+            expect(await magicLinkService.verifyLink(token, 'other-nonce')).toBeNull();
+            expect(await magicLinkService.verifyLink(token, null)).toBeNull();
+            expect(MagicLinkModel.markUsed).not.toHaveBeenCalled();
+        });
+
+        test('should reject used or expired links', async () => {
+            const { nonce, token } = await requestLink();
+            MagicLinkModel.markUsed.mockResolvedValue(false);
+
+            expect(await magicLinkService.verifyLink(token, nonce)).toBeNull();
+        });
+
+        test('should move the request to the tenant the link was requested in', async () => {
+            const { nonce, token } = await RequestContextUtil.run({ tenantId: 3, tenantSource: 'subdomain' }, requestLink);
+            expect(jwt.decode(token).tid).toBe(3);
+
+            const tenantId = await RequestContextUtil.run({ tenantId: 1, tenantSource: 'default' }, async () => {
+                await magicLinkService.verifyLink(token, nonce);
+                return RequestContextUtil.getTenantId();
+            });
+            expect(tenantId).toBe(3);
+        });
+
+        test('should reject the link with another tenant than its own', async () => {
+            const { nonce, token } = await RequestContextUtil.run({ tenantId: 3, tenantSource: 'subdomain' }, requestLink);
+
+            const userId = await RequestContextUtil.run({ tenantId: 2, tenantSource: 'header' },
+                () => magicLinkService.verifyLink(token, nonce));
+
+            expect(userId).toBeNull();
+            expect(MagicLinkModel.markUsed).not.toHaveBeenCalled();
+        });
+
+        test('should reject tokens that are not login links', async () => {
+            const accessToken = tokenService.signAccessToken(user);
+
+            expect(await magicLinkService.verifyLink(accessToken, 'nonce')).toBeNull();
+            expect(await magicLinkService.verifyLink('not-a-token', 'nonce')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,221 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/mfa.model');
+jest.mock('../src/utils/rate-limit.util');
+jest.mock('../src/services/token.service');
+jest.mock('../src/services/revocation.service');
+jest.mock('../src/services/tenant.service');
+jest.mock('../src/config/auth.config', () => ({
+    tokenHashSecret: 'test-secret',
+    mfa: {
+        issuer: 'Test App',
+        encryptionKey: 'mfa-key',
+        window: 1,
+        maxAttempts: 5,
+        recoveryCodeCount: 10
+    }
+}));
+
+const MfaModel = require('../src/models/mfa.model');
+const RateLimitUtil = require('../src/utils/rate-limit.util');
+const EncryptUtil = require('../src/utils/encrypt.util');
+const TotpUtil = require('../src/utils/totp.util');
+const tokenService = require('../src/services/token.service');
+const revocationService = require('../src/services/revocation.service');
+const tenantService = require('../src/services/tenant.service');
+const mfaService = require('../src/services/mfa.service');
+
+describe('MfaService', () => {
+    const user = { id: 1, username: 'testuser', email: 'test@example.com' };
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    const time = 1700000000000;
+
+    const storedSettings = (enabled) => {
+        const { encrypted, iv } = EncryptUtil.aesEncrypt(secret, 'mfa-key');
+        return {
+            userid: 1,
+            secret_encrypted: encrypted,
+            secret_iv: iv,
+            enabled_at: enabled ? new Date() : null,
+            last_used_step: null
+        };
+    };
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('startEnrollment', () => {
+        test('should store an encrypted secret and return a provisioning URI', async () => {
+            MfaModel.findByUserId.mockResolvedValue(undefined);
+
+            const result = await mfaService.startEnrollment(user);
+
+            const [userid, encrypted, iv] = MfaModel.savePendingSecret.mock.calls[0];
+            expect(userid).toBe(1);
+            expect(encrypted).not.toContain(result.secret);
+            expect(EncryptUtil.aesDecrypt(encrypted, 'mfa-key', iv)).toBe(result.secret);
+            expect(result.otpauthUrl).toContain('otpauth://totp/Test%20App%3Atest%40example.com');
+        });
+
+        test('should refuse when MFA is already enabled', async () => {
+            MfaModel.findByUserId.mockResolvedValue(storedSettings(true));
+
+            expect(await mfaService.startEnrollment(user)).toBeNull();
+            expect(MfaModel.savePendingSecret).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('confirmEnrollment', () => {
+        test('should enable MFA and store hashed recovery codes', async () => {
+            MfaModel.findByUserId.mockResolvedValue(storedSettings(false));
+            MfaModel.enable.mockResolvedValue(true);
+
+            const code = TotpUtil.totp(secret, { time });
+            const recoveryCodes = await mfaService.confirmEnrollment(1, code, { time });
+
+            expect(recoveryCodes).toHaveLength(10);
+            recoveryCodes.forEach(recoveryCode => expect(recoveryCode).toMatch(/^[A-Z2-9]{5}-[A-Z2-9]{5}$/));
+
+            const [userid, step, hashes] = MfaModel.enable.mock.calls[0];
+            expect(userid).toBe(1);
+            expect(step).toBe(TotpUtil.timeStep(time));
+            expect(hashes).toEqual(recoveryCodes.map(recoveryCode => mfaService.hashRecoveryCode(recoveryCode)));
+            expect(hashes).not.toContain(recoveryCodes[0]);
+        });
+
+        test('should reject a wrong code', async () => {
+            MfaModel.findByUserId.mockResolvedValue(storedSettings(false));
+            const wrong = TotpUtil.totp(secret, { time: time + 10 * 60 * 1000 });
+
+            expect(await mfaService.confirmEnrollment(1, wrong, { time })).toBeNull();
+            expect(MfaModel.enable).not.toHaveBeenCalled();
+        });
+
+        test('should reject when there is no pending enrollment', async () => {
+            MfaModel.findByUserId.mockResolvedValue(undefined);
+
+            expect(await mfaService.confirmEnrollment(1, '123456', { time })).toBeNull();
+        });
+    });
+
+    describe('verifyCode', () => {
+        beforeEach(() => {
+            MfaModel.findByUserId.mockResolvedValue(storedSettings(true));
+        });
+
+        test('should accept a valid TOTP code once', async () => {
+            MfaModel.markStepUsed.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+            const code = TotpUtil.totp(secret, { time });
+
+            expect(await mfaService.verifyCode(1, { code }, { time })).toEqual({ success: true, method: 'totp' });
+            expect(await mfaService.verifyCode(1, { code }, { time })).toEqual({ success: false, method: 'totp' });
+            expect(MfaModel.markStepUsed).toHaveBeenCalledWith(1, TotpUtil.timeStep(time));
+        });
+
+        test('should consume a recovery code regardless of formatting', async () => {
+            MfaModel.useRecoveryCode.mockResolvedValue(true);
+
+            const result = await mfaService.verifyCode(1, { recoveryCode: 'abcde fghjk' });
+
+            expect(result).toEqual({ success: true, method: 'recovery' });
+            expect(MfaModel.useRecoveryCode).toHaveBeenCalledWith(1, mfaService.hashRecoveryCode('ABCDE-FGHJK'));
+        });
+
+        test('should fail when MFA is not enabled', async () => {
+            MfaModel.findByUserId.mockResolvedValue(storedSettings(false));
+
+            expect((await mfaService.verifyCode(1, { code: '123456' })).success).toBe(false);
+        });
+    });
+
+    describe('verifyLoginTicket', () => {
+        const ticketPayload = { userId: 1, jti: 'ticket-1', iat: 1000, exp: Math.floor(Date.now() / 1000) + 300 };
+
+        beforeEach(() => {
+            tokenService.verifyMfaTicket.mockReturnValue(ticketPayload);
+            revocationService.isRevoked.mockResolvedValue(false);
+            tenantService.bindTenant.mockReturnValue(true);
+            RateLimitUtil.hit.mockResolvedValue({ count: 1, ttl: 300 });
+            MfaModel.findByUserId.mockResolvedValue(storedSettings(true));
+            MfaModel.useRecoveryCode.mockResolvedValue(true);
+        });
+
+        test('should complete and burn the ticket on success', async () => {
+            const result = await mfaService.verifyLoginTicket('ticket', { recoveryCode: 'ABCDE-FGHJK' });
+
+            expect(result).toEqual({ userId: 1, success: true, method: 'recovery', locked: false });
+            expect(RateLimitUtil.hit).toHaveBeenCalledWith('mfa:ticket:ticket-1', expect.any(Number));
+            expect(revocationService.revokeToken).toHaveBeenCalledWith(ticketPayload, 'mfa_completed');
+        });
+
+        test('should keep the ticket after a wrong code', async () => {
+            MfaModel.useRecoveryCode.mockResolvedValue(false);
+
+            const result = await mfaService.verifyLoginTicket('ticket', { recoveryCode: 'ABCDE-FGHJK' });
+
+            expect(result.success).toBe(false);
+            expect(revocationService.revokeToken).not.toHaveBeenCalled();
+        });
+
+        test('should lock the ticket after too many attempts', async () => {
+            RateLimitUtil.hit.mockResolvedValue({ count: 6, ttl: 200 });
+
+            const result = await mfaService.verifyLoginTicket('ticket', { recoveryCode: 'ABCDE-FGHJK' });
+
+            expect(result).toEqual({ userId: 1, success: false, method: null, locked: true });
+            expect(revocationService.revokeToken).toHaveBeenCalledWith(ticketPayload, 'mfa_attempts_exceeded');
+            expect(MfaModel.useRecoveryCode).not.toHaveBeenCalled();
+        });
+
+        test('should continue in the tenant of the ticket', async () => {
+            tokenService.verifyMfaTicket.mockReturnValue({ ...ticketPayload, tid: 3 });
+
+            await mfaService.verifyLoginTicket('ticket', { recoveryCode: 'ABCDE-FGHJK' });
+
+            expect(tenantService.bindTenant).toHaveBeenCalledWith(3);
+        });
+
+        test('should reject a ticket of another tenant than the one the request named', async () => {
+            tenantService.bindTenant.mockReturnValue(false);
+
+            expect(await mfaService.verifyLoginTicket('ticket', { recoveryCode: 'ABCDE-FGHJK' })).toBeNull();
+            expect(RateLimitUtil.hit).not.toHaveBeenCalled();
+            expect(MfaModel.useRecoveryCode).not.toHaveBeenCalled();
+        });
+
+        test('should reject invalid or used tickets', async () => {
+            tokenService.verifyMfaTicket.mockReturnValue(null);
+            expect(await mfaService.verifyLoginTicket('bad', { code: '123456' })).toBeNull();
+
+            tokenService.verifyMfaTicket.mockReturnValue(ticketPayload);
+            revocationService.isRevoked.mockResolvedValue(true);
+            expect(await mfaService.verifyLoginTicket('used', { code: '123456' })).toBeNull();
+        });
+    });
+
+    describe('disable', () => {
+        test('should disable MFA after a valid factor', async () => {
+            MfaModel.findByUserId.mockResolvedValue(storedSettings(true));
+            MfaModel.useRecoveryCode.mockResolvedValue(true);
+
+            expect(await mfaService.disable(1, { recoveryCode: 'ABCDE-FGHJK' })).toBe(true);
+            expect(MfaModel.disable).toHaveBeenCalledWith(1);
+        });
+
+        test('should keep MFA enabled after an invalid factor', async () => {
+            MfaModel.findByUserId.mockResolvedValue(storedSettings(true));
+            MfaModel.useRecoveryCode.mockResolvedValue(false);
+
+            expect(await mfaService.disable(1, { recoveryCode: 'ABCDE-FGHJK' })).toBe(false);
+            expect(MfaModel.disable).not.toHaveBeenCalled();
+        });
+    });
+});
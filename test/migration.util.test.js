@@ -0,0 +1,294 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+  logger: jest.fn(() => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }))
+}));
+jest.mock('../src/utils/database.util', () => ({
+  query: jest.fn(),
+  getConnection: jest.fn()
+}));
+
+const db = require('../src/utils/database.util');
+const MigrationUtil = require('../src/utils/migration.util');
+
+// Connection stand-in: keeps schema_migrations in memory and records every other statement
+const createConnection = (applied = []) => {
+  const connection = {
+    rows: applied.map(row => ({ checksum: 'old', applied_at: new Date('2024-01-01T00:00:00Z'), ...row })),
+    executed: [],
+    lockAcquired: 1,
+    release: jest.fn(),
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.startsWith('SELECT GET_LOCK')) {
+        return [[{ acquired: connection.lockAcquired }]];
+      }
+      if (sql.startsWith('SELECT RELEASE_LOCK') || sql.startsWith('CREATE TABLE IF NOT EXISTS `schema_migrations`')) {
+        return [[]];
+      }
+      if (sql.startsWith('SELECT version')) {
+        return [[...connection.rows].sort((a, b) => a.version - b.version)];
+      }
+      if (sql.startsWith('INSERT INTO `schema_migrations`')) {
+        connection.rows.push({ version: params[0], name: params[1], checksum: params[2], applied_at: new Date() });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('DELETE FROM `schema_migrations`')) {
+        connection.rows = connection.rows.filter(row => row.version !== params[0]);
+        return [{ affectedRows: 1 }];
+      }
+      if (sql === 'FAIL') {
+        throw new Error('syntax error');
+      }
+      connection.executed.push(sql);
+      return [[]];
+    })
+  };
+  return connection;
+};
+
+describe('MigrationUtil', () => {
+  let directory;
+
+  const write = (file, content) => fs.writeFileSync(path.join(directory, file), content);
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    write('001_create_a.sql', '-- migrate:up\nCREATE TABLE a (id INT);\n\n-- migrate:down\nDROP TABLE a;\n');
+    write('002_create_b.sql', '-- migrate:up\nCREATE TABLE b (id INT);\nINSERT INTO b VALUES (1);\n-- migrate:down\nDROP TABLE b;\n');
+    write('003_seed_c.js', 'module.exports = { up: async (c) => c.query("UP C"), down: async (c) => c.query("DOWN C") };\n');
+    write('README.md', 'not a migration');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('splitStatements', () => {
+    test('should split on semicolons outside quotes and comments', () => {
+      const sql = "INSERT INTO t VALUES ('a;b', \"c\\\";\");\n-- note; not a statement\n/* also; a comment */ SELECT `x;y` FROM t;";
+
+      expect(MigrationUtil.splitStatements(sql)).toEqual([
+        "INSERT INTO t VALUES ('a;b', \"c\\\";\")",
+        'SELECT `x;y` FROM t'
+      ]);
+    });
+
+    test('should keep a last statement without semicolon', () => {
+      expect(MigrationUtil.splitStatements('SELECT 1;\nSELECT 2\n')).toEqual(['SELECT 1', 'SELECT 2']);
+    });
+  });
+
+  describe('parseSql', () => {
+    test('should separate the up and down sections', () => {
+      expect(MigrationUtil.parseSql('-- migrate:up\nA;\nB;\n-- migrate:down\nC;')).toEqual({ up: ['A', 'B'], down: ['C'] });
+    });
+
+    test('should allow migrations without down section', () => {
+      expect(MigrationUtil.parseSql('-- migrate:up\nA;')).toEqual({ up: ['A'], down: [] });
+    });
+
+    test('should require an up section', () => {
+      expect(() => MigrationUtil.parseSql('CREATE TABLE a (id INT);')).toThrow('migrate:up');
+    });
+  });
+
+  describe('loadMigrations', () => {
+    test('should load SQL and JS migrations ordered by version', () => {
+      write('010_later.sql', '-- migrate:up\nSELECT 1;');
+
+      const migrations = MigrationUtil.loadMigrations(directory);
+
+      expect(migrations.map(m => [m.version, m.name])).toEqual([[1, 'create_a'], [2, 'create_b'], [3, 'seed_c'], [10, 'later']]);
+      expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+      expect(migrations[3].down).toBeNull();
+    });
+
+    test('should refuse duplicate versions', () => {
+      write('002_other.sql', '-- migrate:up\nSELECT 1;');
+
+      expect(() => MigrationUtil.loadMigrations(directory)).toThrow('Duplicate migration version 2');
+    });
+
+    test('should load the shipped migrations', () => {
+      const migrations = MigrationUtil.loadMigrations();
+
+      expect(migrations.length).toBeGreaterThan(0);
+      expect(migrations.every(migration => migration.down)).toBe(true);
+    });
+  });
+
+  describe('up', () => {
+    test('should apply pending migrations in order and record them', async () => {
+      const connection = createConnection([{ version: 1, name: 'create_a' }]);
+      db.getConnection.mockResolvedValue(connection);
+
+      const applied = await MigrationUtil.up({}, directory);
+
+      expect(applied).toEqual([{ version: 2, name: 'create_b' }, { version: 3, name: 'seed_c' }]);
+      expect(connection.executed).toEqual(['CREATE TABLE b (id INT)', 'INSERT INTO b VALUES (1)', 'UP C']);
+      expect(connection.rows.map(row => row.version)).toEqual([1, 2, 3]);
+      expect(connection.query).toHaveBeenLastCalledWith('SELECT RELEASE_LOCK(?)', [expect.any(String)]);
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+    test('should stop at the target version', async () => {
+      const connection = createConnection();
+      db.getConnection.mockResolvedValue(connection);
+
+      expect(await MigrationUtil.up({ to: 2 }, directory)).toHaveLength(2);
+      expect(connection.rows.map(row => row.version)).toEqual([1, 2]);
+    });
+
+    test('should not record a failed migration', async () => {
+      write('004_broken.sql', '-- migrate:up\nFAIL;');
+      const connection = createConnection([{ version: 1 }, { version: 2 }, { version: 3 }]);
+      db.getConnection.mockResolvedValue(connection);
+
+      await expect(MigrationUtil.up({}, directory)).rejects.toThrow('004_broken.sql (up): syntax error');
+      expect(connection.rows.map(row => row.version)).toEqual([1, 2, 3]);
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+    test('should refuse to run while another instance holds the lock', async () => {
+      const connection = createConnection();
+      connection.lockAcquired = 0;
+      db.getConnection.mockResolvedValue(connection);
+
+      await expect(MigrationUtil.up({}, directory)).rejects.toThrow('another instance is migrating');
+      expect(connection.executed).toEqual([]);
+      expect(connection.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('down', () => {
+    test('should revert the latest migration by default', async () => {
+      const connection = createConnection([{ version: 1 }, { version: 2 }, { version: 3, name: 'seed_c' }]);
+      db.getConnection.mockResolvedValue(connection);
+
+      expect(await MigrationUtil.down({}, directory)).toEqual([{ version: 3, name: 'seed_c' }]);
+      expect(connection.executed).toEqual(['DOWN C']);
+      expect(connection.rows.map(row => row.version)).toEqual([1, 2]);
+    });
+
+    test('should revert down to a version, newest first', async () => {
+      const connection = createConnection([{ version: 1 }, { version: 2 }, { version: 3 }]);
+      db.getConnection.mockResolvedValue(connection);
+
+      await MigrationUtil.down({ to: 1 }, directory);
+
+      expect(connection.executed).toEqual(['DOWN C', 'DROP TABLE b']);
+      expect(connection.rows.map(row => row.version)).toEqual([1]);
+    });
+
+    test('should revert nothing when a target cannot be reverted', async () => {
+      write('004_one_way.sql', '-- migrate:up\nSELECT 1;');
+      const connection = createConnection([{ version: 3 }, { version: 4 }]);
+      db.getConnection.mockResolvedValue(connection);
+
+      await expect(MigrationUtil.down({ steps: 2 }, directory)).rejects.toThrow('004_one_way.sql cannot be reverted');
+      expect(connection.executed).toEqual([]);
+    });
+  });
+
+  describe('status', () => {
+    test('should report applied, pending, changed and missing migrations', async () => {
+      const [first] = MigrationUtil.loadMigrations(directory);
+      db.query.mockResolvedValue([[
+        { version: 1, name: 'create_a', checksum: first.checksum, applied_at: new Date() },
+        { version: 2, name: 'create_b', checksum: 'edited', applied_at: new Date() },
+        { version: 7, name: 'removed', checksum: 'x', applied_at: new Date() }
+      ]]);
+
+      const entries = await MigrationUtil.status(directory);
+
+      expect(entries.map(({ version, state, modified }) => [version, state, modified])).toEqual([
+        [1, 'applied', false],
+        [2, 'applied', true],
+        [3, 'pending', false],
+        [7, 'missing', false]
+      ]);
+    });
+
+    test('should treat a missing tracking table as nothing applied', async () => {
+      db.query.mockRejectedValue(Object.assign(new Error('no table'), { code: 'ER_NO_SUCH_TABLE' }));
+
+      expect((await MigrationUtil.status(directory)).every(entry => entry.state === 'pending')).toBe(true);
+    });
+  });
+
+  describe('tenant migration', () => {
+    // Schema created by hand from the README: no tenant_id columns and global unique keys on users
+    const createSchemaConnection = () => {
+      const columns = new Set();
+      const indexes = new Set(['users.uk_username', 'users.uk_email']);
+      const connection = {
+        executed: [],
+        query: jest.fn(async (sql, params = []) => {
+          if (sql.includes('information_schema.COLUMNS')) {
+            return [columns.has(`${params[0]}.${params[1]}`) ? [{ 1: 1 }] : []];
+          }
+          if (sql.includes('information_schema.STATISTICS')) {
+            return [indexes.has(`${params[0]}.${params[1]}`) ? [{ 1: 1 }] : []];
+          }
+          connection.executed.push(sql);
+          const table = sql.match(/^ALTER TABLE (\w+)/)[1];
+          for (const [, action, kind, name] of sql.matchAll(/(ADD|DROP) (COLUMN|KEY|UNIQUE KEY|INDEX) (\w+)/g)) {
+            const set = kind === 'COLUMN' ? columns : indexes;
+            if (action === 'ADD') {
+              set.add(`${table}.${name}`);
+            } else {
+              set.delete(`${table}.${name}`);
+            }
+          }
+          return [[]];
+        })
+      };
+      return connection;
+    };
+
+    const migration = () => MigrationUtil.loadMigrations().find(entry => entry.name === 'add_tenant_id');
+
+    test('should add tenant_id and make usernames and emails unique per tenant, once', async () => {
+      const connection = createSchemaConnection();
+
+      await migration().up(connection);
+      await migration().up(connection);
+
+      expect(connection.executed).toEqual([
+        'ALTER TABLE users ADD COLUMN tenant_id INT NOT NULL DEFAULT 1, ADD KEY idx_tenant (tenant_id)',
+        'ALTER TABLE loginrecord ADD COLUMN tenant_id INT NOT NULL DEFAULT 1, ADD KEY idx_tenant (tenant_id)',
+        'ALTER TABLE audit_log ADD COLUMN tenant_id INT NOT NULL DEFAULT 1, ADD KEY idx_tenant (tenant_id)',
+        'ALTER TABLE users DROP INDEX uk_username',
+        'ALTER TABLE users ADD UNIQUE KEY uk_tenant_username (tenant_id, username)',
+        'ALTER TABLE users DROP INDEX uk_email',
+        'ALTER TABLE users ADD UNIQUE KEY uk_tenant_email (tenant_id, email)'
+      ]);
+    });
+
+    test('should restore the global unique keys on the way down', async () => {
+      const connection = createSchemaConnection();
+      await migration().up(connection);
+      connection.executed = [];
+
+      await migration().down(connection);
+
+      expect(connection.executed).toEqual([
+        'ALTER TABLE users DROP INDEX uk_tenant_username',
+        'ALTER TABLE users ADD UNIQUE KEY uk_username (username)',
+        'ALTER TABLE users DROP INDEX uk_tenant_email',
+        'ALTER TABLE users ADD UNIQUE KEY uk_email (email)',
+        'ALTER TABLE users DROP KEY idx_tenant, DROP COLUMN tenant_id',
+        'ALTER TABLE loginrecord DROP KEY idx_tenant, DROP COLUMN tenant_id',
+        'ALTER TABLE audit_log DROP KEY idx_tenant, DROP COLUMN tenant_id'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,303 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/user.model');
+jest.mock('../src/models/identity.model');
+
+const UserModel = require('../src/models/user.model');
+const IdentityModel = require('../src/models/identity.model');
+const EncryptUtil = require('../src/utils/encrypt.util');
+const RequestContextUtil = require('../src/utils/request-context.util');
+const oidcService = require('../src/services/oidc.service');
+const { OidcProvider } = oidcService;
+
+describe('OidcService', () => {
+    const signingKey = EncryptUtil.generateRsaKeyPair(2048);
+    let server;
+    let issuer;
+    let idTokenClaims;
+    let tokenRequests;
+    let provider;
+
+    // Stand-in OpenID provider: discovery document, JWKS and token endpoint
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            const send = (status, body) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(body));
+            };
+
+            if (req.url === '/.well-known/openid-configuration') {
+                return send(200, {
+                    issuer,
+                    authorization_endpoint: `${issuer}/authorize`,
+                    token_endpoint: `${issuer}/token`,
+                    jwks_uri: `${issuer}/jwks`
+                });
+            }
+            if (req.url === '/jwks') {
+                const jwk = crypto.createPublicKey(signingKey.publicKey).export({ format: 'jwk' });
+                return send(200, { keys: [{ ...jwk, kid: 'k1', use: 'sig', alg: 'RS256' }] });
+            }
+            if (req.url === '/token' && req.method === 'POST') {
+                let body = '';
+                req.on('data', chunk => { body += chunk; });
+                req.on('end', () => {
+                    const params = new URLSearchParams(body);
+                    tokenRequests.push(params);
+                    if (params.get('code') !== 'good-code') {
+                        return send(400, { error: 'invalid_grant' });
+                    }
+                    const idToken = jwt.sign(idTokenClaims(params), signingKey.privateKey, { algorithm: 'RS256', keyid: 'k1' });
+                    send(200, { access_token: 'at', token_type: 'Bearer', id_token: idToken });
+                });
+                return;
+            }
+            send(404, {});
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        issuer = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        tokenRequests = [];
+        provider = new OidcProvider({
+            name: 'test',
+            discoveryUrl: `${issuer}/.well-known/openid-configuration`,
+            clientId: 'client-1',
+            clientSecret: 'secret-1',
+            redirectUri: 'http://localhost:3000/api/auth/oidc/test/callback'
+        });
+        oidcService.registerProvider('test', provider);
+        oidcService.states.clear();
+
+        UserModel.getRole.mockResolvedValue({ id: 2, rolename: 'user' });
+        UserModel.checkUsernameOrEmail.mockResolvedValue(undefined);
+        UserModel.create.mockImplementation(async (data) => ({ id: 7, username: data.username, email: data.email, roleid: data.roleid, fullName: data.fullName }));
+        UserModel.findById.mockImplementation(async (id) => ({ id, username: 'alice', email: 'alice@example.com', roleid: 2 }));
+        IdentityModel.findByProviderSubject.mockResolvedValue(undefined);
+        IdentityModel.create.mockImplementation(async (data) => ({ id: 3, ...data }));
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    // Nonce of the last started login, echoed back in the ID token
+    let lastNonce;
+
+    // Claims of the ID token issued for a token request
+    const claimsFor = (overrides = {}) => () => ({
+        iss: issuer,
+        aud: 'client-1',
+        sub: 'subject-1',
+        email: 'Alice@Example.com',
+        email_verified: true,
+        name: 'Alice',
+        nonce: lastNonce,
+        ...overrides
+    });
+
+    const start = async (options) => {
+        const { authorizationUrl, state } = await oidcService.startAuthorization('test', options);
+        lastNonce = oidcService.states.get(state).data.nonce;
+        return { authorizationUrl: new URL(authorizationUrl), state };
+    };
+
+    describe('registerProvider', () => {
+        test('should reject objects without the provider methods', () => {
+            expect(() => oidcService.registerProvider('bad', { getAuthorizationUrl() {} })).toThrow('OIDC provider must implement');
+        });
+
+        test('should list registered providers', () => {
+            expect(oidcService.listProviders()).toContain('test');
+        });
+    });
+
+    describe('startAuthorization', () => {
+        test('should redirect to the provider with state, nonce and a PKCE challenge', async () => {
+            const { authorizationUrl, state } = await start();
+            const stored = oidcService.states.get(state).data;
+
+            expect(authorizationUrl.origin + authorizationUrl.pathname).toBe(`${issuer}/authorize`);
+            expect(authorizationUrl.searchParams.get('client_id')).toBe('client-1');
+            expect(authorizationUrl.searchParams.get('state')).toBe(state);
+            expect(authorizationUrl.searchParams.get('nonce')).toBe(stored.nonce);
+            expect(authorizationUrl.searchParams.get('code_challenge_method')).toBe('S256');
+            expect(authorizationUrl.searchParams.get('code_challenge')).toBe(EncryptUtil.sha256(stored.codeVerifier, 'base64url'));
+        });
+
+        test('should return null for unknown providers', async () => {
+            expect(await oidcService.startAuthorization('nope')).toBeNull();
+        });
+    });
+
+    describe('handleCallback', () => {
+        test('should create an account on the first login', async () => {
+            idTokenClaims = claimsFor();
+            const { state } = await start();
+
+            const result = await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state });
+
+            expect(result).toEqual(expect.objectContaining({ created: true, linked: false, emailVerified: true }));
+            expect(UserModel.create).toHaveBeenCalledWith(expect.objectContaining({ username: 'alice', email: 'alice@example.com', roleid: 2 }));
+            expect(UserModel.markEmailVerified).toHaveBeenCalledWith(7, 'alice@example.com');
+            expect(IdentityModel.create).toHaveBeenCalledWith({ userid: 7, provider: 'test', subject: 'subject-1', email: 'alice@example.com' });
+            expect(tokenRequests[0].get('code_verifier')).toBeTruthy();
+            expect(tokenRequests[0].get('client_secret')).toBe('secret-1');
+        });
+
+        test('should log in the linked user', async () => {
+            idTokenClaims = claimsFor();
+            IdentityModel.findByProviderSubject.mockResolvedValue({ id: 3, userid: 5 });
+            const { state } = await start();
+
+            const result = await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state });
+
+            expect(result.user.id).toBe(5);
+            expect(result.created).toBe(false);
+            expect(IdentityModel.touch).toHaveBeenCalledWith(3, 'alice@example.com');
+            expect(UserModel.create).not.toHaveBeenCalled();
+        });
+
+        test('should link the identity to the user who started the link', async () => {
+            idTokenClaims = claimsFor();
+            const { state } = await start({ userId: 9 });
+
+            const result = await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state });
+
+            expect(result.linked).toBe(true);
+            expect(IdentityModel.create).toHaveBeenCalledWith(expect.objectContaining({ userid: 9, subject: 'subject-1' }));
+        });
+
+        test('should refuse to link an identity of another user', async () => {
+            idTokenClaims = claimsFor();
+            IdentityModel.findByProviderSubject.mockResolvedValue({ id: 3, userid: 5 });
+            const { state } = await start({ userId: 9 });
+
+            expect(await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state })).toEqual({ error: 'identity_in_use' });
+        });
+
+        test('should not take over an existing account with the same email', async () => {
+            idTokenClaims = claimsFor();
+            UserModel.checkUsernameOrEmail.mockResolvedValue({ id: 5, username: 'other', email: 'alice@example.com' });
+            const { state } = await start();
+
+            expect(await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state })).toEqual({ error: 'email_in_use' });
+            expect(UserModel.create).not.toHaveBeenCalled();
+        });
+
+        test('should pick another username when it is taken', async () => {
+            idTokenClaims = claimsFor();
+            UserModel.checkUsernameOrEmail
+                .mockResolvedValueOnce({ id: 5, username: 'alice', email: 'other@example.com' })
+                .mockResolvedValue(undefined);
+            const { state } = await start();
+
+            await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state });
+
+            expect(UserModel.create.mock.calls[0][0].username).toMatch(/^alice-[a-z0-9]{5}$/);
+        });
+
+        test('should reject a state from another browser', async () => {
+            idTokenClaims = claimsFor();
+            const { state } = await start();
+
+            expect(await oidcService.handleCallback('test', { code: 'good-code', state, browserState: 'other' })).toEqual({ error: 'invalid_state' });
+            expect(tokenRequests).toHaveLength(0);
+        });
+
+        test('should accept a state only once', async () => {
+            idTokenClaims = claimsFor();
+            const { state } = await start();
+
+            await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state });
+
+            expect(await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state })).toEqual({ error: 'invalid_state' });
+        });
+
+        test('should reject ID tokens with a wrong nonce', async () => {
+            idTokenClaims = claimsFor({ nonce: 'replayed' });
+            const { state } = await start();
+
+            expect(await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state })).toEqual({ error: 'provider_error' });
+        });
+
+        test('should reject ID tokens for another client', async () => {
+            idTokenClaims = claimsFor({ aud: 'client-2' });
+            const { state } = await start();
+
+            expect(await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state })).toEqual({ error: 'provider_error' });
+        });
+
+        test('should reject ID tokens from another issuer', async () => {
+            idTokenClaims = claimsFor({ iss: 'https://evil.example.com' });
+            const { state } = await start();
+
+            expect(await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state })).toEqual({ error: 'provider_error' });
+        });
+
+        test('should report failed code exchanges', async () => {
+            idTokenClaims = claimsFor();
+            const { state } = await start();
+
+            expect(await oidcService.handleCallback('test', { code: 'bad-code', state, browserState: state })).toEqual({ error: 'provider_error' });
+        });
+
+        test('should finish the login in the tenant it was started in', async () => {
+            idTokenClaims = claimsFor();
+            IdentityModel.findByProviderSubject.mockImplementation(async () => ({ id: 3, userid: 5, tenantId: RequestContextUtil.getTenantId() }));
+            const { state } = await RequestContextUtil.run({ tenantId: 3, tenantSource: 'subdomain' }, () => start());
+
+            const tenantId = await RequestContextUtil.run({ tenantId: 1, tenantSource: 'default' }, async () => {
+                await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state });
+                return RequestContextUtil.getTenantId();
+            });
+
+            expect(tenantId).toBe(3);
+            expect(await IdentityModel.findByProviderSubject.mock.results[0].value).toEqual(expect.objectContaining({ tenantId: 3 }));
+        });
+
+        test('should reject a callback for another tenant than the one the login was started in', async () => {
+            idTokenClaims = claimsFor();
+            const { state } = await RequestContextUtil.run({ tenantId: 3, tenantSource: 'subdomain' }, () => start());
+
+            const result = await RequestContextUtil.run({ tenantId: 2, tenantSource: 'subdomain' },
+                () => oidcService.handleCallback('test', { code: 'good-code', state, browserState: state }));
+
+            expect(result).toEqual({ error: 'invalid_state' });
+            expect(tokenRequests).toHaveLength(0);
+        });
+
+        test('should require an email for new accounts', async () => {
+            idTokenClaims = claimsFor({ email: undefined });
+            const { state } = await start();
+
+            expect(await oidcService.handleCallback('test', { code: 'good-code', state, browserState: state })).toEqual({ error: 'email_required' });
+        });
+    });
+
+    describe('unlinkIdentity', () => {
+        test('should only unlink identities of the user', async () => {
+            IdentityModel.remove.mockResolvedValue(false);
+
+            expect(await oidcService.unlinkIdentity(1, 3)).toBe(false);
+            expect(IdentityModel.remove).toHaveBeenCalledWith(3, 1);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+  logger: jest.fn(() => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }))
+}));
+
+const PasswordPolicyUtil = require('../src/utils/password-policy.util');
+const authConfig = require('../src/config/auth.config');
+
+describe('PasswordPolicyUtil', () => {
+  const policy = {
+    ...authConfig.passwordPolicy,
+    minLength: 8,
+    maxLength: 72,
+    requireLowercase: true,
+    requireUppercase: true,
+    requireDigit: true,
+    requireSymbol: false,
+    disallowUserInfo: true
+  };
+
+  beforeEach(() => {
+    PasswordPolicyUtil.blocklist = null;
+  });
+
+  describe('validate', () => {
+    test('should accept a password that meets the policy', () => {
+      expect(PasswordPolicyUtil.validate('Tr1ckyHorse', {}, policy)).toEqual([]);
+    });
+
+    test('should report every violated rule', () => {
+      expect(PasswordPolicyUtil.validate('abc', {}, policy)).toEqual([
+        'Password must be at least 8 characters long',
+        'Password must contain an uppercase letter',
+        'Password must contain a number'
+      ]);
+    });
+
+    test('should measure the maximum length in bytes', () => {
+      const password = 'Aa1' + 'é'.repeat(35);
+
+      expect(password.length).toBeLessThan(72);
+      expect(PasswordPolicyUtil.validate(password, {}, policy)).toEqual([
+        'Password must be no more than 72 bytes long'
+      ]);
+    });
+
+    test('should require a symbol when configured', () => {
+      const strict = { ...policy, requireSymbol: true };
+
+      expect(PasswordPolicyUtil.validate('Tr1ckyHorse', {}, strict)).toEqual(['Password must contain a symbol']);
+      expect(PasswordPolicyUtil.validate('Tr1cky-Horse', {}, strict)).toEqual([]);
+    });
+
+    test('should reject passwords containing the username or email name', () => {
+      const user = { username: 'alice', email: 'wonderland@example.com' };
+
+      expect(PasswordPolicyUtil.validate('Alice2024x', user, policy)).toEqual([
+        'Password must not contain your username or email'
+      ]);
+      expect(PasswordPolicyUtil.validate('MyWonderland1', user, policy)).toEqual([
+        'Password must not contain your username or email'
+      ]);
+    });
+
+    test('should ignore very short usernames', () => {
+      expect(PasswordPolicyUtil.validate('Tr1ckyHorse', { username: 'tr' }, policy)).toEqual([]);
+    });
+
+    test('should reject common passwords regardless of case', () => {
+      expect(PasswordPolicyUtil.validate('Password1', {}, policy)).toEqual(['Password is too common']);
+    });
+
+    test('should reject missing passwords', () => {
+      expect(PasswordPolicyUtil.validate(undefined, {}, policy)).toEqual(['Password is required']);
+    });
+  });
+
+  describe('loadBlocklist', () => {
+    test('should skip comments and blank lines', () => {
+      const file = path.join(os.tmpdir(), `blocklist-${process.pid}.txt`);
+      fs.writeFileSync(file, '# common passwords\n\nHunter2\n  letmein  \n');
+
+      try {
+        expect([...PasswordPolicyUtil.loadBlocklist(file)]).toEqual(['hunter2', 'letmein']);
+        expect(PasswordPolicyUtil.isBlocked('HUNTER2')).toBe(true);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    test('should fall back to an empty list when the file is missing', () => {
+      expect(PasswordPolicyUtil.loadBlocklist('/nonexistent/blocklist.txt').size).toBe(0);
+      expect(PasswordPolicyUtil.isBlocked('password1')).toBe(false);
+    });
+  });
+});
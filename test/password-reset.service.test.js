@@ -0,0 +1,201 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/user.model');
+jest.mock('../src/models/password-reset.model');
+jest.mock('../src/utils/rate-limit.util');
+jest.mock('../src/services/mail.service');
+jest.mock('../src/services/revocation.service');
+jest.mock('../src/services/password.service');
+jest.mock('../src/config/auth.config', () => ({
+    tokenHashSecret: 'test-secret',
+    passwordResetExpiresIn: 1800,
+    passwordResetRateLimit: { windowSeconds: 3600, maxPerIp: 10, maxPerAccount: 3 }
+}));
+
+const UserModel = require('../src/models/user.model');
+const PasswordResetModel = require('../src/models/password-reset.model');
+const RateLimitUtil = require('../src/utils/rate-limit.util');
+const EncryptUtil = require('../src/utils/encrypt.util');
+const RequestContextUtil = require('../src/utils/request-context.util');
+const mailService = require('../src/services/mail.service');
+const revocationService = require('../src/services/revocation.service');
+const passwordService = require('../src/services/password.service');
+const passwordResetService = require('../src/services/password-reset.service');
+
+// Wait for the background email task started by requestReset
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('PasswordResetService', () => {
+    const user = { id: 1, username: 'testuser', email: 'test@example.com' };
+    const context = { ipAddress: '127.0.0.1' };
+
+    beforeEach(() => {
+        RateLimitUtil.hit.mockResolvedValue({ count: 1, ttl: 3600 });
+        UserModel.findByEmail.mockResolvedValue(user);
+        PasswordResetModel.create.mockResolvedValue({ id: 1 });
+        mailService.buildLink.mockImplementation((path, query) => `http://localhost${path}?token=${query.token}`);
+        mailService.send.mockResolvedValue({ id: 'mail-1' });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('requestReset', () => {
+        test('should store a hashed token and email the raw token', async () => {
+            const result = await passwordResetService.requestReset(user.email, context);
+            await flushPromises();
+
+            expect(result.limited).toBe(false);
+            const { tokenHash } = PasswordResetModel.create.mock.calls[0][0];
+            const message = mailService.send.mock.calls[0][0];
+            const token = message.text.match(/token=([\w-]+)/)[1];
+
+            expect(message.to).toBe(user.email);
+            expect(tokenHash).toBe(EncryptUtil.hashOneTimeToken(token, 'test-secret'));
+            expect(message.text).not.toContain(tokenHash);
+        });
+
+        test('should answer the same way for unknown emails', async () => {
+            UserModel.findByEmail.mockResolvedValue(undefined);
+
+            const result = await passwordResetService.requestReset('unknown@example.com', context);
+            await flushPromises();
+
+            expect(result).toEqual({ limited: false });
+            expect(PasswordResetModel.create).not.toHaveBeenCalled();
+            expect(mailService.send).not.toHaveBeenCalled();
+        });
+
+        test('should rate limit by IP', async () => {
+            RateLimitUtil.hit.mockResolvedValue({ count: 11, ttl: 120 });
+
+            const result = await passwordResetService.requestReset(user.email, context);
+
+            expect(result).toEqual({ limited: true, retryAfter: 120 });
+            expect(UserModel.findByEmail).not.toHaveBeenCalled();
+        });
+
+        test('should silently rate limit by account', async () => {
+            RateLimitUtil.hit
+                .mockResolvedValueOnce({ count: 1, ttl: 3600 })
+                .mockResolvedValueOnce({ count: 4, ttl: 3600 });
+
+            const result = await passwordResetService.requestReset(user.email, context);
+            await flushPromises();
+
+            expect(result).toEqual({ limited: false });
+            expect(mailService.send).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('forceReset', () => {
+        test('should replace the password, revoke tokens and email a reset link', async () => {
+            await passwordResetService.forceReset(user, context);
+
+            const [userId, randomPassword] = UserModel.changePassword.mock.calls[0];
+            expect(userId).toBe(1);
+            expect(randomPassword).toHaveLength(64);
+            expect(revocationService.revokeAllForUser).toHaveBeenCalledWith(1, 'admin_password_reset');
+            expect(PasswordResetModel.create).toHaveBeenCalled();
+            expect(mailService.send).toHaveBeenCalledWith(expect.objectContaining({ to: user.email }));
+        });
+    });
+
+    describe('resetPassword', () => {
+        beforeEach(() => {
+            UserModel.findById.mockResolvedValue(user);
+            passwordService.check.mockResolvedValue([]);
+            passwordService.setPassword.mockResolvedValue(true);
+        });
+
+        test('should change the password and revoke sessions', async () => {
+            PasswordResetModel.findValidByHash.mockResolvedValue({ id: 7, userid: 1 });
+            PasswordResetModel.markUsed.mockResolvedValue(true);
+
+            const result = await passwordResetService.resetPassword('raw-token', 'NewPassw0rd');
+
+            expect(result).toEqual({ userId: 1 });
+            expect(PasswordResetModel.findValidByHash).toHaveBeenCalledWith(EncryptUtil.hashOneTimeToken('raw-token', 'test-secret'));
+            expect(passwordService.check).toHaveBeenCalledWith('NewPassw0rd', user);
+            expect(passwordService.setPassword).toHaveBeenCalledWith(1, 'NewPassw0rd');
+            expect(PasswordResetModel.invalidateForUser).toHaveBeenCalledWith(1);
+            expect(revocationService.revokeAllForUser).toHaveBeenCalledWith(1, 'password_reset');
+        });
+
+        test('should reject unknown or expired tokens', async () => {
+            PasswordResetModel.findValidByHash.mockResolvedValue(undefined);
+
+            expect(await passwordResetService.resetPassword('raw-token', 'NewPassw0rd')).toEqual({ userId: null });
+            expect(passwordService.setPassword).not.toHaveBeenCalled();
+        });
+
+        test('should reject a token that was used concurrently', async () => {
+            PasswordResetModel.findValidByHash.mockResolvedValue({ id: 7, userid: 1 });
+            PasswordResetModel.markUsed.mockResolvedValue(false);
+
+            expect(await passwordResetService.resetPassword('raw-token', 'NewPassw0rd')).toEqual({ userId: null });
+            expect(passwordService.setPassword).not.toHaveBeenCalled();
+        });
+
+        test('should keep the token usable when the password violates the policy', async () => {
+            PasswordResetModel.findValidByHash.mockResolvedValue({ id: 7, userid: 1 });
+            passwordService.check.mockResolvedValue(['Password is too common']);
+
+            expect(await passwordResetService.resetPassword('raw-token', 'password1')).toEqual({
+                userId: null,
+                violations: ['Password is too common']
+            });
+            expect(PasswordResetModel.markUsed).not.toHaveBeenCalled();
+            expect(passwordService.setPassword).not.toHaveBeenCalled();
+        });
+
+        test('should look the user up in the tenant of the token', async () => {
+            PasswordResetModel.findValidByHash.mockResolvedValue({ id: 7, userid: 1, tenant_id: 3 });
+            PasswordResetModel.markUsed.mockResolvedValue(true);
+            UserModel.findById.mockImplementation(async () => ({ ...user, tenantId: RequestContextUtil.getTenantId() }));
+
+            const result = await RequestContextUtil.run({ tenantId: 1, tenantSource: 'default' },
+                () => passwordResetService.resetPassword('raw-token', 'NewPassw0rd'));
+
+            expect(result).toEqual({ userId: 1 });
+            expect(passwordService.check).toHaveBeenCalledWith('NewPassw0rd', { ...user, tenantId: 3 });
+        });
+
+        test('should reject a token of another tenant than the one the request named', async () => {
+            PasswordResetModel.findValidByHash.mockResolvedValue({ id: 7, userid: 1, tenant_id: 3 });
+
+            const result = await RequestContextUtil.run({ tenantId: 2, tenantSource: 'subdomain' },
+                () => passwordResetService.resetPassword('raw-token', 'NewPassw0rd'));
+
+            expect(result).toEqual({ userId: null });
+            expect(UserModel.findById).not.toHaveBeenCalled();
+            expect(PasswordResetModel.markUsed).not.toHaveBeenCalled();
+        });
+
+        test('should not burn the token for a missing user', async () => {
+            PasswordResetModel.findValidByHash.mockResolvedValue({ id: 7, userid: 1 });
+            UserModel.findById.mockResolvedValue(undefined);
+
+            expect(await passwordResetService.resetPassword('raw-token', 'NewPassw0rd')).toEqual({ userId: null });
+            expect(PasswordResetModel.markUsed).not.toHaveBeenCalled();
+        });
+
+        test('should report a failure without revoking anything when the password was not written', async () => {
+            PasswordResetModel.findValidByHash.mockResolvedValue({ id: 7, userid: 1 });
+            PasswordResetModel.markUsed.mockResolvedValue(true);
+            passwordService.setPassword.mockResolvedValue(false);
+
+            expect(await passwordResetService.resetPassword('raw-token', 'NewPassw0rd')).toEqual({ userId: null });
+            expect(revocationService.revokeAllForUser).not.toHaveBeenCalled();
+            expect(PasswordResetModel.invalidateForUser).not.toHaveBeenCalled();
+        });
+    });
+});
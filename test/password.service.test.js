@@ -0,0 +1,131 @@
+const bcrypt = require('bcryptjs');
+
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/user.model');
+jest.mock('../src/models/password-history.model');
+
+const UserModel = require('../src/models/user.model');
+const PasswordHistoryModel = require('../src/models/password-history.model');
+const authConfig = require('../src/config/auth.config');
+const passwordService = require('../src/services/password.service');
+
+describe('PasswordService', () => {
+    const user = { id: 1, username: 'john', email: 'john@example.com' };
+    const originalHashConfig = authConfig.passwordHash;
+    let currentHash;
+    let oldHash;
+
+    beforeAll(async () => {
+        // Keep the tests fast: a low configured cost
+        authConfig.passwordHash = { algorithm: '$2b$', rounds: 5 };
+        currentHash = await bcrypt.hash('Curr3ntPass', 4);
+        oldHash = await bcrypt.hash('0ldPassword', 4);
+    });
+
+    afterAll(() => {
+        authConfig.passwordHash = originalHashConfig;
+    });
+
+    beforeEach(() => {
+        UserModel.getPasswordHash.mockResolvedValue(currentHash);
+        UserModel.setPasswordHash.mockResolvedValue(true);
+        PasswordHistoryModel.findRecent.mockResolvedValue([oldHash]);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('needsRehash', () => {
+        test('should accept hashes with the configured algorithm and cost', async () => {
+            expect(passwordService.needsRehash(await bcrypt.hash('x', 5))).toBe(false);
+        });
+
+        test('should flag hashes with a lower cost', async () => {
+            expect(passwordService.needsRehash(await bcrypt.hash('x', 4))).toBe(true);
+        });
+
+        test('should flag hashes with an older algorithm prefix', async () => {
+            const legacy = (await bcrypt.hash('x', 5)).replace(/^\$2b\$/, '$2a$');
+
+            expect(passwordService.needsRehash(legacy)).toBe(true);
+        });
+
+        test('should flag missing or malformed hashes', () => {
+            expect(passwordService.needsRehash(null)).toBe(true);
+            expect(passwordService.needsRehash('$2b$garbage')).toBe(true);
+        });
+    });
+
+    describe('check', () => {
+        test('should accept a new password', async () => {
+            expect(await passwordService.check('Brand9NewOne', user)).toEqual([]);
+            expect(PasswordHistoryModel.findRecent).toHaveBeenCalledWith(1, authConfig.passwordPolicy.historySize);
+        });
+
+        test('should reject the current password', async () => {
+            expect(await passwordService.check('Curr3ntPass', user)).toEqual([
+                `Password must differ from your last ${authConfig.passwordPolicy.historySize} passwords`
+            ]);
+        });
+
+        test('should reject a password from the history', async () => {
+            expect(await passwordService.check('0ldPassword', user)).toHaveLength(1);
+        });
+
+        test('should not check the history without a user id', async () => {
+            expect(await passwordService.check('Curr3ntPass', { username: 'john' })).toEqual([]);
+            expect(UserModel.getPasswordHash).not.toHaveBeenCalled();
+        });
+
+        test('should skip the history when the policy already fails', async () => {
+            expect(await passwordService.check('short', user)).not.toHaveLength(0);
+            expect(UserModel.getPasswordHash).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('setPassword', () => {
+        test('should store the hash and trim the history', async () => {
+            expect(await passwordService.setPassword(1, 'Brand9NewOne')).toBe(true);
+
+            const [userId, hash] = UserModel.setPasswordHash.mock.calls[0];
+            expect(userId).toBe(1);
+            expect(await bcrypt.compare('Brand9NewOne', hash)).toBe(true);
+            expect(bcrypt.getRounds(hash)).toBe(5);
+            expect(PasswordHistoryModel.add).toHaveBeenCalledWith(1, hash);
+            expect(PasswordHistoryModel.prune).toHaveBeenCalledWith(1, authConfig.passwordPolicy.historySize);
+        });
+
+        test('should not record history for unknown users', async () => {
+            UserModel.setPasswordHash.mockResolvedValue(false);
+
+            expect(await passwordService.setPassword(404, 'Brand9NewOne')).toBe(false);
+            expect(PasswordHistoryModel.add).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('rehashIfNeeded', () => {
+        test('should upgrade an outdated hash', async () => {
+            expect(await passwordService.rehashIfNeeded({ id: 1, password: currentHash }, 'Curr3ntPass')).toBe(true);
+
+            const [, hash] = UserModel.setPasswordHash.mock.calls[0];
+            expect(bcrypt.getRounds(hash)).toBe(5);
+            expect(await bcrypt.compare('Curr3ntPass', hash)).toBe(true);
+        });
+
+        test('should leave a current hash alone', async () => {
+            const hash = await bcrypt.hash('Curr3ntPass', 5);
+
+            expect(await passwordService.rehashIfNeeded({ id: 1, password: hash }, 'Curr3ntPass')).toBe(false);
+            expect(UserModel.setPasswordHash).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,121 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/utils/redis.util');
+jest.mock('../src/models/user.model');
+
+const RedisUtil = require('../src/utils/redis.util');
+const UserModel = require('../src/models/user.model');
+const permissionService = require('../src/services/permission.service');
+
+describe('PermissionService', () => {
+    beforeEach(() => {
+        permissionService.cache.clear();
+        RedisUtil.isRedisConnected.mockReturnValue(false);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('parsePermissions', () => {
+        test('should parse a comma separated list', () => {
+            expect(permissionService.parsePermissions('csrf:stats, websocket:*')).toEqual(['csrf:stats', 'websocket:*']);
+        });
+
+        test('should parse a JSON array', () => {
+            expect(permissionService.parsePermissions('["csrf:stats","websocket:stats"]')).toEqual(['csrf:stats', 'websocket:stats']);
+        });
+
+        test('should return an empty list for empty or invalid values', () => {
+            expect(permissionService.parsePermissions(null)).toEqual([]);
+            expect(permissionService.parsePermissions('')).toEqual([]);
+            expect(permissionService.parsePermissions('[invalid')).toEqual([]);
+        });
+    });
+
+    describe('hasPermission', () => {
+        test('should match exact permissions', () => {
+            expect(permissionService.hasPermission(['csrf:stats'], 'csrf:stats')).toBe(true);
+            expect(permissionService.hasPermission(['csrf:stats'], 'websocket:stats')).toBe(false);
+        });
+
+        test('should match wildcards', () => {
+            expect(permissionService.hasPermission(['*'], 'anything:here')).toBe(true);
+            expect(permissionService.hasPermission(['websocket:*'], 'websocket:broadcast')).toBe(true);
+            expect(permissionService.hasPermission(['websocket:*'], 'websocketx:broadcast')).toBe(false);
+        });
+    });
+
+    describe('hasAllPermissions', () => {
+        test('should require every permission, wildcards included', () => {
+            expect(permissionService.hasAllPermissions(['users:*'], ['users:read', 'users:write'])).toBe(true);
+            expect(permissionService.hasAllPermissions(['users:read'], ['users:read', 'users:write'])).toBe(false);
+            expect(permissionService.hasAllPermissions(['users:read'], ['users:*'])).toBe(false);
+            expect(permissionService.hasAllPermissions(['users:*'], ['*'])).toBe(false);
+            expect(permissionService.hasAllPermissions(['*'], ['*'])).toBe(true);
+            expect(permissionService.hasAllPermissions([], [])).toBe(true);
+        });
+    });
+
+    describe('getRolePermissions', () => {
+        test('should grant everything to the admin role and parse the paramlist of others', () => {
+            expect(permissionService.getRolePermissions({ rolename: 'admin', paramlist: '' })).toEqual(['*']);
+            expect(permissionService.getRolePermissions({ rolename: 'support', paramlist: 'users:read, users:unlock' }))
+                .toEqual(['users:read', 'users:unlock']);
+        });
+    });
+
+    describe('getUserAccess', () => {
+        test('should load role permissions and cache them', async () => {
+            UserModel.getRoleByUserId.mockResolvedValue({ id: 2, rolename: 'operator', paramlist: 'websocket:stats' });
+
+            const first = await permissionService.getUserAccess(1);
+            const second = await permissionService.getUserAccess(1);
+
+            expect(first).toEqual({ roleId: 2, role: 'operator', permissions: ['websocket:stats'] });
+            expect(second).toEqual(first);
+            expect(UserModel.getRoleByUserId).toHaveBeenCalledTimes(1);
+        });
+
+        test('should grant every permission to the admin role', async () => {
+            UserModel.getRoleByUserId.mockResolvedValue({ id: 1, rolename: 'admin', paramlist: '' });
+
+            const access = await permissionService.getUserAccess(1);
+
+            expect(access.permissions).toEqual(['*']);
+        });
+
+        test('should return null for users without a role', async () => {
+            UserModel.getRoleByUserId.mockResolvedValue(undefined);
+
+            expect(await permissionService.getUserAccess(1)).toBeNull();
+        });
+
+        test('should use Redis as cache when connected', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+            RedisUtil.get.mockResolvedValue(null);
+            UserModel.getRoleByUserId.mockResolvedValue({ id: 2, rolename: 'operator', paramlist: 'csrf:stats' });
+
+            await permissionService.getUserAccess(1);
+
+            expect(RedisUtil.set).toHaveBeenCalledWith('auth:perm:1', expect.objectContaining({ role: 'operator' }), expect.any(Number));
+        });
+
+        test('should reload after invalidation', async () => {
+            UserModel.getRoleByUserId.mockResolvedValue({ id: 2, rolename: 'operator', paramlist: 'csrf:stats' });
+
+            await permissionService.getUserAccess(1);
+            await permissionService.invalidate(1);
+            await permissionService.getUserAccess(1);
+
+            expect(UserModel.getRoleByUserId).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+const { ifMatch } = require('../src/middleware/precondition.middleware');
+
+describe('Precondition Middleware', () => {
+    let mockReq, mockRes, next;
+
+    beforeEach(() => {
+        mockReq = { headers: {} };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+    });
+
+    test('should pass requests without If-Match through unconditionally', () => {
+        ifMatch(mockReq, mockRes, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(mockReq.ifMatch).toBeUndefined();
+    });
+
+    test('should treat "*" like no header', () => {
+        mockReq.headers['if-match'] = '*';
+
+        ifMatch(mockReq, mockRes, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(mockReq.ifMatch).toBeUndefined();
+    });
+
+    test('should put the tags named by If-Match on the request', () => {
+        mockReq.headers['if-match'] = '"4", "a1b2"';
+
+        ifMatch(mockReq, mockRes, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(mockReq.ifMatch).toEqual(['"4"', '"a1b2"']);
+    });
+
+    test('should answer 412 when If-Match names no strong tag', () => {
+        mockReq.headers['if-match'] = 'W/"4"';
+
+        ifMatch(mockReq, mockRes, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(412);
+        expect(mockRes.json).toHaveBeenCalledWith({
+            error: 'Precondition Failed',
+            message: 'If-Match does not name a current version'
+        });
+    });
+});
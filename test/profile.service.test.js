@@ -0,0 +1,263 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/user.model');
+jest.mock('../src/services/revocation.service');
+jest.mock('../src/services/session.service');
+jest.mock('../src/services/email-verification.service');
+jest.mock('../src/services/mfa.service');
+jest.mock('../src/services/password.service');
+
+const bcrypt = require('bcryptjs');
+const UserModel = require('../src/models/user.model');
+const revocationService = require('../src/services/revocation.service');
+const sessionService = require('../src/services/session.service');
+const emailVerificationService = require('../src/services/email-verification.service');
+const mfaService = require('../src/services/mfa.service');
+const passwordService = require('../src/services/password.service');
+const { VersionConflictError } = require('../src/models/base.model');
+const profileService = require('../src/services/profile.service');
+
+describe('ProfileService', () => {
+    const user = { id: 1, username: 'john', email: 'john@example.com', fullName: 'John', roleid: 2 };
+    let passwordHash;
+
+    beforeAll(async () => {
+        passwordHash = await bcrypt.hash('OldPassw0rd', 4);
+    });
+
+    beforeEach(() => {
+        UserModel.getPasswordHash.mockResolvedValue(passwordHash);
+        UserModel.getProfile.mockResolvedValue({
+            id: 1,
+            username: 'john',
+            email: 'john@example.com',
+            fullName: 'John',
+            roleid: 2,
+            rolename: 'user',
+            email_verified_at: null,
+            version: 3,
+            created_at: new Date('2024-01-01T00:00:00Z')
+        });
+        UserModel.update.mockResolvedValue(true);
+        UserModel.findOtherByUsernameOrEmail.mockResolvedValue(undefined);
+        mfaService.isEnabled.mockResolvedValue(false);
+        emailVerificationService.sendVerification.mockResolvedValue({ sent: true });
+        sessionService.revokeOtherSessions.mockResolvedValue(2);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getProfile', () => {
+        test('should return the profile with role and MFA status', async () => {
+            mfaService.isEnabled.mockResolvedValue(true);
+
+            const profile = await profileService.getProfile(1);
+
+            expect(profile).toEqual(expect.objectContaining({
+                id: 1,
+                username: 'john',
+                role: 'user',
+                emailVerified: false,
+                mfaEnabled: true
+            }));
+            expect(profile.password).toBeUndefined();
+            expect(profile.version).toBeUndefined();
+        });
+
+        test('should return null for unknown or deleted users', async () => {
+            UserModel.getProfile.mockResolvedValue(undefined);
+
+            expect(await profileService.getProfile(1)).toBeNull();
+        });
+    });
+
+    describe('etag', () => {
+        test('should change with the MFA status', async () => {
+            const tag = profileService.etag(await profileService.getProfile(1));
+            mfaService.isEnabled.mockResolvedValue(true);
+
+            expect(profileService.etag(await profileService.getProfile(1))).not.toBe(tag);
+        });
+
+        test('should not change with the row version alone', async () => {
+            const tag = profileService.etag(await profileService.getProfile(1));
+            UserModel.getProfile.mockResolvedValue({ ...(await UserModel.getProfile(1)), version: 4 });
+
+            expect(profileService.etag(await profileService.getProfile(1))).toBe(tag);
+        });
+    });
+
+    describe('updateProfile', () => {
+        test('should only update changed fields', async () => {
+            const result = await profileService.updateProfile(user, { username: 'john', fullName: 'John Smith' });
+
+            expect(result.updated).toBe(true);
+            expect(UserModel.update).toHaveBeenCalledWith(1, { fullName: 'John Smith' }, { version: undefined });
+            expect(UserModel.findOtherByUsernameOrEmail).not.toHaveBeenCalled();
+        });
+
+        test('should send a verification email to a new address', async () => {
+            const result = await profileService.updateProfile(user, { email: 'new@example.com' });
+
+            expect(result.emailChanged).toBe(true);
+            expect(UserModel.update).toHaveBeenCalledWith(1, { email: 'new@example.com' }, { version: undefined });
+            expect(emailVerificationService.sendVerification).toHaveBeenCalledWith(
+                expect.objectContaining({ id: 1, email: 'new@example.com' })
+            );
+        });
+
+        test('should report a conflict with another user', async () => {
+            UserModel.findOtherByUsernameOrEmail.mockResolvedValue({ id: 2 });
+
+            const result = await profileService.updateProfile(user, { username: 'taken' });
+
+            expect(result.conflict).toBe(true);
+            expect(UserModel.findOtherByUsernameOrEmail).toHaveBeenCalledWith(1, 'taken', undefined);
+            expect(UserModel.update).not.toHaveBeenCalled();
+        });
+
+        test('should not update anything without changes', async () => {
+            const result = await profileService.updateProfile(user, { email: 'john@example.com' });
+
+            expect(result.updated).toBe(false);
+            expect(UserModel.update).not.toHaveBeenCalled();
+        });
+
+        test('should guard the write with the version read with a matching ETag', async () => {
+            const tag = profileService.etag(await profileService.getProfile(1));
+
+            const result = await profileService.updateProfile(user, { fullName: 'John Smith' }, { ifMatch: [tag] });
+
+            expect(result.updated).toBe(true);
+            expect(UserModel.update).toHaveBeenCalledWith(1, { fullName: 'John Smith' }, { version: 3 });
+        });
+
+        test('should refuse an outdated ETag even without changes', async () => {
+            const result = await profileService.updateProfile(user, { fullName: 'John' }, { ifMatch: ['"outdated"'] });
+
+            expect(result.preconditionFailed).toBe(true);
+            expect(result.profile).toEqual(expect.objectContaining({ id: 1 }));
+            expect(UserModel.update).not.toHaveBeenCalled();
+        });
+
+        test('should refuse the update when the profile changed after it was read', async () => {
+            const tag = profileService.etag(await profileService.getProfile(1));
+            const row = await UserModel.getProfile(1);
+            UserModel.getProfile.mockResolvedValueOnce(row).mockResolvedValue({ ...row, fullName: 'Johnny', version: 4 });
+            UserModel.update.mockRejectedValue(new VersionConflictError('users', 1, 4));
+
+            const result = await profileService.updateProfile(user, { fullName: 'John Smith' }, { ifMatch: [tag] });
+
+            expect(result.preconditionFailed).toBe(true);
+            expect(result.profile.fullName).toBe('Johnny');
+            expect(UserModel.update).toHaveBeenCalledTimes(1);
+            expect(emailVerificationService.sendVerification).not.toHaveBeenCalled();
+        });
+
+        test('should retry when only the row version moved, e.g. after a password rehash', async () => {
+            const tag = profileService.etag(await profileService.getProfile(1));
+            const row = await UserModel.getProfile(1);
+            UserModel.getProfile.mockResolvedValueOnce(row).mockResolvedValue({ ...row, version: 4 });
+            UserModel.update.mockRejectedValueOnce(new VersionConflictError('users', 1, 4)).mockResolvedValue(true);
+
+            const result = await profileService.updateProfile(user, { fullName: 'John Smith' }, { ifMatch: [tag] });
+
+            expect(result.updated).toBe(true);
+            expect(UserModel.update).toHaveBeenLastCalledWith(1, { fullName: 'John Smith' }, { version: 4 });
+        });
+
+        test('should give up after repeated version conflicts', async () => {
+            const tag = profileService.etag(await profileService.getProfile(1));
+            UserModel.update.mockRejectedValue(new VersionConflictError('users', 1, 4));
+
+            const result = await profileService.updateProfile(user, { fullName: 'John Smith' }, { ifMatch: [tag] });
+
+            expect(result.preconditionFailed).toBe(true);
+            expect(UserModel.update).toHaveBeenCalledTimes(3);
+        });
+
+        test('should report a user deleted in the meantime as not found', async () => {
+            UserModel.update.mockResolvedValue(false);
+
+            const result = await profileService.updateProfile(user, { email: 'new@example.com' });
+
+            expect(result).toEqual(expect.objectContaining({ updated: false, notFound: true }));
+            expect(emailVerificationService.sendVerification).not.toHaveBeenCalled();
+
+            UserModel.getProfile.mockResolvedValue(undefined);
+            expect((await profileService.updateProfile(user, { fullName: 'John Smith' })).notFound).toBe(true);
+        });
+
+        test('should report a duplicate key from a concurrent registration as a conflict', async () => {
+            UserModel.update.mockRejectedValue(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+
+            const result = await profileService.updateProfile(user, { username: 'taken' });
+
+            expect(result.conflict).toBe(true);
+            expect(result.updated).toBe(false);
+        });
+
+        test('should let other database errors through', async () => {
+            UserModel.update.mockRejectedValue(new Error('Connection lost'));
+
+            await expect(profileService.updateProfile(user, { fullName: 'John Smith' })).rejects.toThrow('Connection lost');
+        });
+    });
+
+    describe('changePassword', () => {
+        beforeEach(() => {
+            passwordService.check.mockResolvedValue([]);
+            passwordService.setPassword.mockResolvedValue(true);
+        });
+
+        test('should change the password and sign out other sessions', async () => {
+            const result = await profileService.changePassword(user, 'OldPassw0rd', 'NewPassw0rd', 'sid-1');
+
+            expect(result).toEqual({ changed: true });
+            expect(passwordService.check).toHaveBeenCalledWith('NewPassw0rd', user);
+            expect(passwordService.setPassword).toHaveBeenCalledWith(1, 'NewPassw0rd');
+            expect(sessionService.revokeOtherSessions).toHaveBeenCalledWith(1, 'sid-1');
+        });
+
+        test('should reject a wrong current password', async () => {
+            expect(await profileService.changePassword(user, 'wrong', 'NewPassw0rd', 'sid-1')).toEqual({
+                changed: false,
+                wrongPassword: true
+            });
+            expect(passwordService.setPassword).not.toHaveBeenCalled();
+        });
+
+        test('should report password policy violations', async () => {
+            passwordService.check.mockResolvedValue(['Password must differ from your last 5 passwords']);
+
+            expect(await profileService.changePassword(user, 'OldPassw0rd', 'OldPassw0rd', 'sid-1')).toEqual({
+                changed: false,
+                violations: ['Password must differ from your last 5 passwords']
+            });
+            expect(passwordService.setPassword).not.toHaveBeenCalled();
+            expect(sessionService.revokeOtherSessions).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deleteAccount', () => {
+        test('should soft delete the user and revoke every token', async () => {
+            expect(await profileService.deleteAccount(user, 'OldPassw0rd')).toBe(true);
+            expect(UserModel.softDelete).toHaveBeenCalledWith(1);
+            expect(revocationService.revokeAllForUser).toHaveBeenCalledWith(1, 'account_deleted');
+        });
+
+        test('should keep the account with a wrong password', async () => {
+            expect(await profileService.deleteAccount(user, 'wrong')).toBe(false);
+            expect(UserModel.softDelete).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,186 @@
+// Mock dependencies
+jest.mock('../src/utils/database.util', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../src/utils/database.util');
+const QueryBuilder = require('../src/utils/query-builder.util');
+
+describe('QueryBuilder', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('escapeId', () => {
+    test('should escape columns, table prefixes, stars and aliases', () => {
+      expect(QueryBuilder.escapeId('id')).toBe('`id`');
+      expect(QueryBuilder.escapeId('u.id')).toBe('`u`.`id`');
+      expect(QueryBuilder.escapeId('u.*')).toBe('`u`.*');
+      expect(QueryBuilder.escapeId('users u')).toBe('`users` AS `u`');
+      expect(QueryBuilder.escapeId('u.id AS userId')).toBe('`u`.`id` AS `userId`');
+    });
+
+    test('should reject anything that is not an identifier', () => {
+      expect(() => QueryBuilder.escapeId('id; DROP TABLE users')).toThrow('Invalid identifier');
+      expect(() => QueryBuilder.escapeId('id`')).toThrow('Invalid identifier');
+      expect(() => QueryBuilder.escapeId('*.id')).toThrow('Invalid identifier');
+    });
+
+    test('should pass raw SQL through', () => {
+      expect(QueryBuilder.escapeId(QueryBuilder.raw('COUNT(*)'))).toBe('COUNT(*)');
+    });
+  });
+
+  describe('toSQL', () => {
+    test('should select every column by default', () => {
+      expect(QueryBuilder.table('users').toSQL()).toEqual({ sql: 'SELECT * FROM `users`', params: [] });
+    });
+
+    test('should build where conditions with operators', () => {
+      const { sql, params } = QueryBuilder.table('users')
+        .select('id', 'username')
+        .where('roleid', 2)
+        .where('id', '>', 10)
+        .where('username', 'like', 'al%')
+        .toSQL();
+
+      expect(sql).toBe('SELECT `id`, `username` FROM `users` WHERE `roleid` = ? AND `id` > ? AND `username` LIKE ?');
+      expect(params).toEqual([2, 10, 'al%']);
+    });
+
+    test('should compare null values with IS NULL', () => {
+      const { sql, params } = QueryBuilder.table('users')
+        .where({ deleted_at: null, roleid: 1 })
+        .where('disabled_at', '<>', null)
+        .whereNull('email_verified_at')
+        .whereNotNull('email')
+        .toSQL();
+
+      expect(sql).toBe('SELECT * FROM `users` WHERE `deleted_at` IS NULL AND `roleid` = ? AND `disabled_at` IS NOT NULL ' +
+        'AND `email_verified_at` IS NULL AND `email` IS NOT NULL');
+      expect(params).toEqual([1]);
+    });
+
+    test('should group callback conditions in parentheses', () => {
+      const { sql, params } = QueryBuilder.table('users')
+        .where(query => query.where('username', 'alice').orWhere('email', 'alice@example.com'))
+        .where('id', '<>', 1)
+        .toSQL();
+
+      expect(sql).toBe('SELECT * FROM `users` WHERE (`username` = ? OR `email` = ?) AND `id` <> ?');
+      expect(params).toEqual(['alice', 'alice@example.com', 1]);
+    });
+
+    test('should build IN lists and never emit an empty one', () => {
+      expect(QueryBuilder.table('users').whereIn('id', [1, 2, 3]).toSQL())
+        .toEqual({ sql: 'SELECT * FROM `users` WHERE `id` IN (?, ?, ?)', params: [1, 2, 3] });
+      expect(QueryBuilder.table('users').whereIn('id', []).toSQL().sql).toBe('SELECT * FROM `users` WHERE 1 = 0');
+      expect(QueryBuilder.table('users').where('id', 'NOT IN', []).toSQL().sql).toBe('SELECT * FROM `users` WHERE 1 = 1');
+      expect(() => QueryBuilder.table('users').whereIn('id', 5)).toThrow('IN expects an array');
+    });
+
+    test('should reject unknown operators', () => {
+      expect(() => QueryBuilder.table('users').where('id', '= 1 OR 1 =', 1)).toThrow('Invalid operator');
+    });
+
+    test('should build joins, order, limit and offset', () => {
+      const { sql, params } = QueryBuilder.table('users u')
+        .select('u.id', 'r.rolename')
+        .leftJoin('roles r', 'u.roleid', '=', 'r.id')
+        .whereRaw('u.created_at > NOW() - INTERVAL ? DAY', [7])
+        .orderBy('u.id', 'desc')
+        .limit('20')
+        .offset(40)
+        .toSQL();
+
+      expect(sql).toBe('SELECT `u`.`id`, `r`.`rolename` FROM `users` AS `u` LEFT JOIN `roles` AS `r` ON `u`.`roleid` = `r`.`id` ' +
+        'WHERE u.created_at > NOW() - INTERVAL ? DAY ORDER BY `u`.`id` DESC LIMIT 20 OFFSET 40');
+      expect(params).toEqual([7]);
+    });
+
+    test('should reject invalid order directions, limits and join operators', () => {
+      expect(() => QueryBuilder.table('users').orderBy('id', 'DESC; DROP TABLE users')).toThrow('Invalid order direction');
+      expect(() => QueryBuilder.table('users').limit('-1')).toThrow('Invalid limit');
+      expect(() => QueryBuilder.table('users').offset('abc')).toThrow('Invalid offset');
+      expect(() => QueryBuilder.table('users').join('roles', 'users.roleid', 'LIKE', 'roles.id')).toThrow('Invalid join operator');
+    });
+
+    test('should lock rows with forUpdate, but not when counting', async () => {
+      const query = QueryBuilder.table('users').where('id', 1).limit(1).forUpdate();
+      expect(query.toSQL().sql).toBe('SELECT * FROM `users` WHERE `id` = ? LIMIT 1 FOR UPDATE');
+
+      db.query.mockResolvedValue([[{ total: 1 }], []]);
+      await query.count();
+      expect(db.query).toHaveBeenCalledWith('SELECT COUNT(*) AS total FROM `users` WHERE `id` = ?', [1]);
+    });
+
+    test('should bind undefined values as null', () => {
+      expect(QueryBuilder.table('users').where('email', '=', undefined).toSQL().params).toEqual([null]);
+    });
+  });
+
+  describe('write statements', () => {
+    test('should build inserts of one or several rows', () => {
+      expect(QueryBuilder.table('loginrecord').toInsertSQL({ userid: 1, time: QueryBuilder.raw('NOW()') })).toEqual({
+        sql: 'INSERT INTO `loginrecord` (`userid`, `time`) VALUES (?, NOW())',
+        params: [1]
+      });
+      expect(QueryBuilder.table('roles').toInsertSQL([{ rolename: 'a' }, { rolename: 'b' }])).toEqual({
+        sql: 'INSERT INTO `roles` (`rolename`) VALUES (?), (?)',
+        params: ['a', 'b']
+      });
+      expect(() => QueryBuilder.table('roles').toInsertSQL([])).toThrow('Nothing to insert');
+    });
+
+    test('should build updates with the set values before the where values', () => {
+      expect(QueryBuilder.table('users').where('id', 5).toUpdateSQL({ fullName: 'Alice', disabled_at: QueryBuilder.raw('NOW()') })).toEqual({
+        sql: 'UPDATE `users` SET `fullName` = ?, `disabled_at` = NOW() WHERE `id` = ?',
+        params: ['Alice', 5]
+      });
+      expect(() => QueryBuilder.table('users').where('id', 5).toUpdateSQL({})).toThrow('Nothing to update');
+    });
+
+    test('should refuse to update or delete without a where clause', () => {
+      expect(() => QueryBuilder.table('users').toUpdateSQL({ roleid: 1 })).toThrow('Refusing to update users without a where clause');
+      expect(() => QueryBuilder.table('users').toDeleteSQL()).toThrow('Refusing to delete users without a where clause');
+    });
+
+    test('should build deletes', () => {
+      expect(QueryBuilder.table('refresh_tokens').where('userid', 3).toDeleteSQL()).toEqual({
+        sql: 'DELETE FROM `refresh_tokens` WHERE `userid` = ?',
+        params: [3]
+      });
+    });
+  });
+
+  describe('execution', () => {
+    test('get and first should run the select through db.query', async () => {
+      db.query.mockResolvedValue([[{ id: 1 }, { id: 2 }], []]);
+
+      await expect(QueryBuilder.table('users').get()).resolves.toEqual([{ id: 1 }, { id: 2 }]);
+      await expect(QueryBuilder.table('users').where('id', 1).first()).resolves.toEqual({ id: 1 });
+      expect(db.query).toHaveBeenLastCalledWith('SELECT * FROM `users` WHERE `id` = ? LIMIT 1', [1]);
+    });
+
+    test('count should ignore the columns, order and limit of the query', async () => {
+      db.query.mockResolvedValue([[{ total: '42' }], []]);
+      const query = QueryBuilder.table('users').select('id').where('roleid', 2).orderBy('id').limit(10);
+
+      await expect(query.count()).resolves.toBe(42);
+      expect(db.query).toHaveBeenCalledWith('SELECT COUNT(*) AS total FROM `users` WHERE `roleid` = ?', [2]);
+      // The original query is left untouched
+      expect(query.toSQL().sql).toBe('SELECT `id` FROM `users` WHERE `roleid` = ? ORDER BY `id` ASC LIMIT 10');
+    });
+
+    test('insert should return the result, update and delete the affected rows', async () => {
+      db.query.mockResolvedValueOnce([{ insertId: 7, affectedRows: 1 }, undefined]);
+      await expect(QueryBuilder.table('roles').insert({ rolename: 'x' })).resolves.toEqual({ insertId: 7, affectedRows: 1 });
+
+      db.query.mockResolvedValueOnce([{ affectedRows: 2 }, undefined]);
+      await expect(QueryBuilder.table('users').where('roleid', 3).update({ roleid: 1 })).resolves.toBe(2);
+
+      db.query.mockResolvedValueOnce([{ affectedRows: 1 }, undefined]);
+      await expect(QueryBuilder.table('roles').where('id', 7).delete()).resolves.toBe(1);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const QueryMetricsUtil = require('../src/utils/query-metrics.util');
+
+describe('QueryMetricsUtil', () => {
+  afterEach(() => {
+    QueryMetricsUtil.reset();
+  });
+
+  describe('fingerprint', () => {
+    test('should replace literals and collapse lists and whitespace', () => {
+      expect(QueryMetricsUtil.normalize("SELECT * FROM users  WHERE id = 5 AND name = 'bob' /* hint */")).toBe(
+        'SELECT * FROM users WHERE id = ? AND name = ?'
+      );
+      expect(QueryMetricsUtil.normalize('SELECT * FROM users WHERE id IN (?, ?, ?)')).toBe('SELECT * FROM users WHERE id IN (?+)');
+      expect(QueryMetricsUtil.normalize('INSERT INTO roles (rolename) VALUES (?), (?), (?)')).toBe(
+        'INSERT INTO roles (rolename) VALUES (?+)'
+      );
+    });
+
+    test('should give the same id to statements that only differ in values', () => {
+      const a = QueryMetricsUtil.fingerprint('SELECT * FROM a WHERE id IN (?, ?)');
+      const b = QueryMetricsUtil.fingerprint('SELECT * FROM a WHERE id IN (?)');
+      const c = QueryMetricsUtil.fingerprint('SELECT * FROM b WHERE id IN (?)');
+
+      expect(a.id).toMatch(/^[0-9a-f]{16}$/);
+      expect(a).toEqual(b);
+      expect(c.id).not.toBe(a.id);
+    });
+
+    test('should not touch digits that are part of identifiers', () => {
+      expect(QueryMetricsUtil.normalize('SELECT col1 FROM table_2')).toBe('SELECT col1 FROM table_2');
+    });
+  });
+
+  describe('placeholderColumns', () => {
+    test('should map comparisons and IN lists to their column', () => {
+      expect(QueryMetricsUtil.placeholderColumns(
+        'SELECT * FROM users WHERE `email` = ? AND id > ? AND username LIKE ? AND roleid IN (?, ?) LIMIT 1'
+      )).toEqual(['email', 'id', 'username', 'roleid', 'roleid']);
+    });
+
+    test('should map insert values to the column list, row after row', () => {
+      expect(QueryMetricsUtil.placeholderColumns(
+        'INSERT INTO t (a, `b`, c) VALUES (?, NOW(), ?), (?, ?, ?) ON DUPLICATE KEY UPDATE a = ?'
+      )).toEqual(['a', 'c', 'a', 'b', 'c', 'a']);
+    });
+
+    test('should skip question marks inside string literals', () => {
+      expect(QueryMetricsUtil.placeholderColumns("SELECT 'why?' AS q FROM a WHERE id = ?")).toEqual(['id']);
+    });
+
+    test('should return null when the column cannot be told', () => {
+      expect(QueryMetricsUtil.placeholderColumns('SELECT GET_LOCK(?, ?)')).toEqual([null, null]);
+    });
+  });
+
+  describe('redact', () => {
+    test('should redact values bound to sensitive columns', () => {
+      expect(QueryMetricsUtil.redact(
+        'UPDATE users SET password = ? WHERE id = ?',
+        ['$2b$12$hash', 5]
+      )).toEqual(['[REDACTED]', 5]);
+      expect(QueryMetricsUtil.redact(
+        'SELECT id FROM refresh_tokens WHERE token_hash = ? AND userid = ?',
+        ['abc', 3]
+      )).toEqual(['[REDACTED]', 3]);
+      expect(QueryMetricsUtil.redact(
+        'INSERT INTO api_keys (userid, name, prefix, key_hash) VALUES (?, ?, ?, ?)',
+        [1, 'ci', 'ak_12', 'f00d']
+      )).toEqual([1, 'ci', 'ak_12', '[REDACTED]']);
+    });
+
+    test('should redact password hashes and JWTs whatever the column', () => {
+      expect(QueryMetricsUtil.redact('SELECT ?, ?, ?', [
+        '$2a$10$abcdefghijklmnopqrstuv',
+        'eyJhbGciOiJIUzI1NiJ9.eyJ1c2VySWQiOjF9.sig',
+        'plain'
+      ])).toEqual(['[REDACTED]', '[REDACTED]', 'plain']);
+    });
+
+    test('should leave other values alone', () => {
+      expect(QueryMetricsUtil.redact('SELECT * FROM users WHERE username = ? OR email = ?', ['alice', 'a@example.com']))
+        .toEqual(['alice', 'a@example.com']);
+      expect(QueryMetricsUtil.redact('SELECT 1')).toEqual([]);
+    });
+  });
+
+  describe('record and getStats', () => {
+    test('should build a histogram and percentiles per statement', () => {
+      [1, 3, 8, 8, 20, 40, 90, 200, 400, 1200].forEach(duration => QueryMetricsUtil.record('SELECT * FROM a WHERE id = ?', duration));
+      const entry = QueryMetricsUtil.record('SELECT * FROM a WHERE id = ?', 3000, { slow: true });
+
+      expect(entry.count).toBe(11);
+      const [summary] = QueryMetricsUtil.getStats().slowest;
+      expect(summary).toEqual(expect.objectContaining({
+        fingerprint: 'SELECT * FROM a WHERE id = ?',
+        count: 11,
+        slow: 1,
+        maxMs: 3000,
+        p50Ms: 50,
+        // 11 samples: the 95th and 99th fall in the 5000ms bucket, capped at the max
+        p95Ms: 3000,
+        p99Ms: 3000
+      }));
+      expect(summary.histogram).toEqual({
+        '1ms': 1, '5ms': 1, '10ms': 2, '25ms': 1, '50ms': 1, '100ms': 1,
+        '250ms': 1, '500ms': 1, '1000ms': 0, '2500ms': 1, '5000ms': 1, '+Inf': 0
+      });
+      expect(summary.lastSlowAt).toEqual(expect.any(String));
+    });
+
+    test('should report the max for durations past the last bound', () => {
+      QueryMetricsUtil.record('SELECT 1', 9000, { slow: true });
+
+      expect(QueryMetricsUtil.getStats().slowest[0].p99Ms).toBe(9000);
+    });
+
+    test('should list statements with the most slow executions first', () => {
+      QueryMetricsUtil.record('SELECT * FROM a', 600, { slow: true });
+      QueryMetricsUtil.record('SELECT * FROM b', 700, { slow: true });
+      QueryMetricsUtil.record('SELECT * FROM b', 800, { slow: true });
+      QueryMetricsUtil.record('SELECT * FROM c', 2);
+      QueryMetricsUtil.record('SELECT * FROM c', 2, { error: true });
+
+      const stats = QueryMetricsUtil.getStats({ top: 5 });
+
+      expect(stats).toEqual(expect.objectContaining({ statements: 3, executions: 5, errors: 1, slow: 3 }));
+      expect(stats.slowest.map(entry => entry.fingerprint)).toEqual(['SELECT * FROM b', 'SELECT * FROM a']);
+      expect(QueryMetricsUtil.getStats({ top: 1 }).slowest).toHaveLength(1);
+    });
+
+    test('should count new statements under "(other)" once the limit is reached', () => {
+      for (let i = 0; i < 505; i++) {
+        QueryMetricsUtil.record(`SELECT * FROM t${i}`, 1);
+      }
+
+      expect(QueryMetricsUtil.statements.size).toBe(501);
+      expect(QueryMetricsUtil.statements.get('(other)').count).toBe(5);
+    });
+  });
+
+  describe('shouldExplain', () => {
+    test('should allow one EXPLAIN per interval', () => {
+      const entry = QueryMetricsUtil.record('SELECT 1', 1);
+
+      expect(QueryMetricsUtil.shouldExplain(entry, 60000)).toBe(true);
+      expect(QueryMetricsUtil.shouldExplain(entry, 60000)).toBe(false);
+      entry.lastExplainAt -= 60000;
+      expect(QueryMetricsUtil.shouldExplain(entry, 60000)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const RateLimitUtil = require('../src/utils/rate-limit.util');
+
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+  logger: jest.fn(() => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }))
+}));
+jest.mock('../src/utils/redis.util');
+
+const RedisUtil = require('../src/utils/redis.util');
+
+describe('RateLimitUtil', () => {
+  beforeEach(() => {
+    RateLimitUtil.memoryStore.clear();
+    RedisUtil.isRedisConnected.mockReturnValue(false);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('memory store', () => {
+    test('should count hits within a window', async () => {
+      expect((await RateLimitUtil.hit('key', 60)).count).toBe(1);
+      expect((await RateLimitUtil.hit('key', 60)).count).toBe(2);
+      expect((await RateLimitUtil.peek('key')).count).toBe(2);
+    });
+
+    test('should start a new window after expiry', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+      await RateLimitUtil.hit('key', 60);
+      await RateLimitUtil.hit('key', 60);
+
+      jest.setSystemTime(new Date('2024-01-01T00:01:01Z'));
+      const result = await RateLimitUtil.hit('key', 60);
+
+      expect(result.count).toBe(1);
+      expect(result.ttl).toBe(60);
+    });
+
+    test('should reset a counter', async () => {
+      await RateLimitUtil.hit('key', 60);
+      await RateLimitUtil.reset('key');
+
+      expect((await RateLimitUtil.peek('key')).count).toBe(0);
+    });
+
+    test('should clean up expired counters', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+      await RateLimitUtil.hit('short', 10);
+      await RateLimitUtil.hit('long', 600);
+
+      jest.setSystemTime(new Date('2024-01-01T00:01:00Z'));
+
+      expect(RateLimitUtil.cleanup()).toBe(1);
+      expect(RateLimitUtil.memoryStore.has('long')).toBe(true);
+    });
+  });
+
+  describe('redis store', () => {
+    beforeEach(() => {
+      RedisUtil.isRedisConnected.mockReturnValue(true);
+    });
+
+    test('should use incr and set expiry on the first hit', async () => {
+      RedisUtil.incr.mockResolvedValue(1);
+      RedisUtil.ttl.mockResolvedValue(60);
+
+      const result = await RateLimitUtil.hit('key', 60);
+
+      expect(result).toEqual({ count: 1, ttl: 60 });
+      expect(RedisUtil.incr).toHaveBeenCalledWith('ratelimit:key');
+      expect(RedisUtil.expire).toHaveBeenCalledWith('ratelimit:key', 60);
+    });
+
+    test('should not reset expiry on later hits', async () => {
+      RedisUtil.incr.mockResolvedValue(3);
+      RedisUtil.ttl.mockResolvedValue(42);
+
+      const result = await RateLimitUtil.hit('key', 60);
+
+      expect(result).toEqual({ count: 3, ttl: 42 });
+      expect(RedisUtil.expire).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to memory when Redis fails', async () => {
+      RedisUtil.incr.mockRejectedValue(new Error('Connection lost'));
+
+      const result = await RateLimitUtil.hit('key', 60);
+
+      expect(result.count).toBe(1);
+      expect(RateLimitUtil.memoryStore.has('key')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const RequestContextUtil = require('../src/utils/request-context.util');
+
+describe('RequestContextUtil', () => {
+  test('middleware should open a context with the client IP for the rest of the request', async () => {
+    const middleware = RequestContextUtil.middleware();
+    const req = { headers: { 'x-forwarded-for': '203.0.113.9' }, connection: {}, socket: {} };
+
+    const seen = await new Promise(resolve => middleware(req, {}, async () => {
+      RequestContextUtil.set({ userId: 5 });
+      await new Promise(next => setImmediate(next));
+      resolve({ ip: RequestContextUtil.get('ip'), userId: RequestContextUtil.get('userId') });
+    }));
+
+    expect(seen).toEqual({ ip: '203.0.113.9', userId: 5 });
+  });
+
+  test('should keep concurrent contexts apart', async () => {
+    const read = (userId, delay) => RequestContextUtil.run({ userId }, async () => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return RequestContextUtil.get('userId');
+    });
+
+    await expect(Promise.all([read(1, 10), read(2, 1)])).resolves.toEqual([1, 2]);
+  });
+
+  test('should ignore values outside of a context', () => {
+    RequestContextUtil.set({ userId: 9 });
+
+    expect(RequestContextUtil.get('userId')).toBeUndefined();
+    expect(RequestContextUtil.getAuthorId()).toBeNull();
+  });
+
+  test('getAuthorId should prefer the impersonating admin', () => {
+    RequestContextUtil.run({ userId: 7 }, () => {
+      expect(RequestContextUtil.getAuthorId()).toBe(7);
+      RequestContextUtil.set({ actorId: 2 });
+      expect(RequestContextUtil.getAuthorId()).toBe(2);
+    });
+  });
+});
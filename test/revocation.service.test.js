@@ -0,0 +1,237 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/utils/redis.util');
+jest.mock('../src/models/revoked-token.model');
+jest.mock('../src/models/refresh-token.model');
+
+const RedisUtil = require('../src/utils/redis.util');
+const RevokedTokenModel = require('../src/models/revoked-token.model');
+const RefreshTokenModel = require('../src/models/refresh-token.model');
+const revocationService = require('../src/services/revocation.service');
+const authConfig = require('../src/config/auth.config');
+
+describe('RevocationService', () => {
+    const now = Math.floor(Date.now() / 1000);
+    let payload;
+
+    beforeEach(() => {
+        payload = { userId: 1, jti: 'jti-1', iat: now - 60, exp: now + 600 };
+        RevokedTokenModel.getUserCutoff.mockResolvedValue(null);
+        RevokedTokenModel.isRevoked.mockResolvedValue(false);
+        RefreshTokenModel.revokeAllForUser.mockResolvedValue(2);
+        RevokedTokenModel.findActive.mockResolvedValue([]);
+        RevokedTokenModel.findCutoffsSince.mockResolvedValue([]);
+        RedisUtil.exists.mockResolvedValue(false);
+        RedisUtil.get.mockResolvedValue(null);
+        revocationService.redisStale = false;
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('revokeToken', () => {
+        test('should store the jti in MySQL and Redis with the remaining lifetime', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+
+            const result = await revocationService.revokeToken(payload, 'logout');
+
+            expect(result).toBe(true);
+            expect(RevokedTokenModel.add).toHaveBeenCalledWith(expect.objectContaining({
+                jti: 'jti-1',
+                userid: 1,
+                reason: 'logout'
+            }));
+            const [key, value, ttl] = RedisUtil.set.mock.calls[0];
+            expect(key).toBe('auth:revoked:jti:jti-1');
+            expect(value).toBe('logout');
+            expect(ttl).toBeGreaterThan(590);
+            expect(ttl).toBeLessThanOrEqual(600);
+        });
+
+        test('should only use MySQL when Redis is not connected', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(false);
+
+            await revocationService.revokeToken(payload);
+
+            expect(RevokedTokenModel.add).toHaveBeenCalled();
+            expect(RedisUtil.set).not.toHaveBeenCalled();
+            expect(revocationService.redisStale).toBe(true);
+        });
+
+        test('should mark Redis stale when the write fails', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+            RedisUtil.set.mockRejectedValueOnce(new Error('Connection lost'));
+
+            expect(await revocationService.revokeToken(payload)).toBe(true);
+            expect(revocationService.redisStale).toBe(true);
+        });
+
+        test('should skip tokens without jti or already expired', async () => {
+            expect(await revocationService.revokeToken({ userId: 1, exp: now + 600 })).toBe(false);
+            expect(await revocationService.revokeToken({ ...payload, exp: now - 1 })).toBe(false);
+            expect(RevokedTokenModel.add).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('revokeAllForUser', () => {
+        test('should set a cutoff and revoke refresh tokens', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+
+            const result = await revocationService.revokeAllForUser(1, 'admin_revoke');
+
+            expect(result.refreshTokensRevoked).toBe(2);
+            expect(RevokedTokenModel.setUserCutoff).toHaveBeenCalledWith(1, expect.any(Date), 'admin_revoke');
+            expect(RefreshTokenModel.revokeAllForUser).toHaveBeenCalledWith(1, 'admin_revoke');
+            expect(RedisUtil.set).toHaveBeenCalledWith('auth:revoked:user:1', result.cutoff, authConfig.refreshTokenExpiresIn);
+        });
+
+        test('should store the cutoff in milliseconds', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(false);
+            const before = Date.now();
+
+            const result = await revocationService.revokeAllForUser(1);
+
+            expect(result.cutoff).toBeGreaterThanOrEqual(before);
+            expect(RevokedTokenModel.setUserCutoff.mock.calls[0][1].getTime()).toBe(result.cutoff);
+        });
+    });
+
+    describe('revokeSession', () => {
+        test('should revoke the refresh token family and the session id', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+            RefreshTokenModel.revokeFamily.mockResolvedValue(1);
+
+            const revoked = await revocationService.revokeSession(1, 'sid-1', 'session_revoked');
+
+            expect(revoked).toBe(1);
+            expect(RefreshTokenModel.revokeFamily).toHaveBeenCalledWith('sid-1', 'session_revoked');
+            expect(RevokedTokenModel.add).toHaveBeenCalledWith(expect.objectContaining({ jti: 'sid:sid-1', userid: 1 }));
+            expect(RedisUtil.set).toHaveBeenCalledWith('auth:revoked:sid:sid-1', 'session_revoked', expect.any(Number));
+        });
+    });
+
+    describe('isRevoked', () => {
+        test('should answer from Redis when it holds the revocation', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+            RedisUtil.exists.mockResolvedValue(true);
+
+            expect(await revocationService.isRevoked(payload)).toBe(true);
+            expect(RevokedTokenModel.isRevoked).not.toHaveBeenCalled();
+        });
+
+        test('should reject tokens issued before the user cutoff in Redis', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+            RedisUtil.exists.mockResolvedValue(false);
+            RedisUtil.get.mockResolvedValue(String(now * 1000));
+
+            expect(await revocationService.isRevoked(payload)).toBe(true);
+            expect(await revocationService.isRevoked({ ...payload, iat: now + 1 })).toBe(false);
+        });
+
+        test('should accept tokens issued later in the same second as the cutoff', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+            RedisUtil.exists.mockResolvedValue(false);
+            RedisUtil.get.mockResolvedValue(String(now * 1000 + 400));
+            RevokedTokenModel.getUserCutoff.mockResolvedValue(new Date(now * 1000 + 400));
+
+            expect(await revocationService.isRevoked({ ...payload, iat: now, iatMs: now * 1000 + 300 })).toBe(true);
+            expect(await revocationService.isRevoked({ ...payload, iat: now, iatMs: now * 1000 + 500 })).toBe(false);
+        });
+
+        test('should not query MySQL while Redis is connected and has no entry', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+
+            expect(await revocationService.isRevoked(payload)).toBe(false);
+            expect(RevokedTokenModel.isRevoked).not.toHaveBeenCalled();
+            expect(RevokedTokenModel.getUserCutoff).not.toHaveBeenCalled();
+        });
+
+        test('should fall back to MySQL when Redis is not connected', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(false);
+            RevokedTokenModel.isRevoked.mockResolvedValue(true);
+
+            expect(await revocationService.isRevoked(payload)).toBe(true);
+            expect(RedisUtil.exists).not.toHaveBeenCalled();
+            expect(revocationService.redisStale).toBe(true);
+        });
+
+        test('should copy the revocations from MySQL to a stale Redis before answering', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+            revocationService.redisStale = true;
+            const cutoff = Date.now() - 1000;
+            RevokedTokenModel.findActive.mockResolvedValue([
+                { jti: 'jti-1', expires_at: new Date(Date.now() + 60000), reason: 'logout' },
+                { jti: 'sid:sid-1', expires_at: new Date(Date.now() + 60000), reason: 'session_revoked' }
+            ]);
+            RevokedTokenModel.findCutoffsSince.mockResolvedValue([{ userid: 2, revoked_before: new Date(cutoff) }]);
+            RedisUtil.exists.mockImplementation(async (key) => key === 'auth:revoked:jti:jti-1');
+
+            expect(await revocationService.isRevoked(payload)).toBe(true);
+            expect(RedisUtil.set).toHaveBeenCalledWith('auth:revoked:jti:jti-1', 'logout', expect.any(Number));
+            expect(RedisUtil.set).toHaveBeenCalledWith('auth:revoked:sid:sid-1', 'session_revoked', expect.any(Number));
+            expect(RedisUtil.set).toHaveBeenCalledWith('auth:revoked:user:2', cutoff, expect.any(Number));
+            expect(revocationService.redisStale).toBe(false);
+        });
+
+        test('should copy the revocations once for concurrent lookups', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+            revocationService.redisStale = true;
+
+            await Promise.all([revocationService.isRevoked(payload), revocationService.isRevoked(payload)]);
+
+            expect(RevokedTokenModel.findActive).toHaveBeenCalledTimes(1);
+        });
+
+        test('should answer from MySQL and stay stale when the copy fails', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+            revocationService.redisStale = true;
+            RevokedTokenModel.findActive.mockResolvedValue([
+                { jti: 'jti-1', expires_at: new Date(Date.now() + 60000), reason: 'logout' }
+            ]);
+            RedisUtil.set.mockRejectedValueOnce(new Error('Connection lost'));
+            RevokedTokenModel.isRevoked.mockResolvedValue(true);
+
+            expect(await revocationService.isRevoked(payload)).toBe(true);
+            expect(RevokedTokenModel.isRevoked).toHaveBeenCalledWith('jti-1');
+            expect(revocationService.redisStale).toBe(true);
+        });
+
+        test('should fall back to MySQL when Redis lookup fails', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(true);
+            RedisUtil.exists.mockRejectedValue(new Error('Connection lost'));
+            RevokedTokenModel.getUserCutoff.mockResolvedValue(new Date(now * 1000));
+
+            expect(await revocationService.isRevoked(payload)).toBe(true);
+        });
+
+        test('should reject tokens of a revoked session', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(false);
+            RevokedTokenModel.isRevoked.mockImplementation(async (jti) => jti === 'sid:sid-1');
+
+            expect(await revocationService.isRevoked({ ...payload, sid: 'sid-1' })).toBe(true);
+            expect(await revocationService.isRevoked({ ...payload, sid: 'sid-2' })).toBe(false);
+        });
+
+        test('should accept tokens that were not revoked', async () => {
+            RedisUtil.isRedisConnected.mockReturnValue(false);
+
+            expect(await revocationService.isRevoked(payload)).toBe(false);
+        });
+    });
+
+    describe('deleteExpired', () => {
+        test('should delete the entries of expired tokens', async () => {
+            RevokedTokenModel.deleteExpired.mockResolvedValue(4);
+
+            expect(await revocationService.deleteExpired()).toBe(4);
+        });
+    });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+  logger: jest.fn(() => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }))
+}));
+jest.mock('../src/utils/database.util', () => ({
+  query: jest.fn(),
+  getConnection: jest.fn()
+}));
+
+const bcrypt = require('bcryptjs');
+const db = require('../src/utils/database.util');
+const SeedUtil = require('../src/utils/seed.util');
+
+const createConnection = () => ({
+  query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]),
+  beginTransaction: jest.fn(),
+  commit: jest.fn(),
+  rollback: jest.fn(),
+  release: jest.fn()
+});
+
+describe('SeedUtil', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('upsert', () => {
+    test('should insert all rows in one statement and update every column on duplicates', async () => {
+      const connection = createConnection();
+
+      await SeedUtil.upsert(connection, 'roles', [
+        { rolename: 'admin', paramlist: '*' },
+        { rolename: 'user', paramlist: undefined }
+      ]);
+
+      expect(connection.query).toHaveBeenCalledWith(
+        'INSERT INTO `roles` (`rolename`, `paramlist`) VALUES (?, ?), (?, ?) ' +
+        'ON DUPLICATE KEY UPDATE `rolename` = VALUES(`rolename`), `paramlist` = VALUES(`paramlist`)',
+        ['admin', '*', 'user', null]
+      );
+    });
+
+    test('should only update the given columns', async () => {
+      const connection = createConnection();
+
+      await SeedUtil.upsert(connection, 'users', [{ username: 'a', password: 'x', email: 'a@example.com' }], { update: ['email'] });
+
+      expect(connection.query.mock.calls[0][0]).toMatch(/ON DUPLICATE KEY UPDATE `email` = VALUES\(`email`\)$/);
+    });
+
+    test('should leave existing rows untouched with an empty update list', async () => {
+      const connection = createConnection();
+
+      await SeedUtil.upsert(connection, 'roles', [{ rolename: 'admin', paramlist: '*' }], { update: [] });
+
+      expect(connection.query.mock.calls[0][0]).toMatch(/ON DUPLICATE KEY UPDATE `rolename` = `rolename`$/);
+    });
+
+    test('should skip empty row lists', async () => {
+      const connection = createConnection();
+
+      expect(await SeedUtil.upsert(connection, 'roles', [])).toBe(0);
+      expect(connection.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject unsafe identifiers', async () => {
+      await expect(SeedUtil.upsert(createConnection(), 'roles; DROP TABLE users', [{ id: 1 }])).rejects.toThrow('Invalid identifier');
+    });
+  });
+
+  describe('run', () => {
+    let directory;
+
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+      fs.writeFileSync(path.join(directory, file), content);
+    };
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'seeds-'));
+      write('common/001_roles.js', 'module.exports = { seed: (c) => c.query("COMMON 1") };');
+      write('common/002_settings.js', 'module.exports = { seed: (c) => c.query("COMMON 2") };');
+      write('development/001_users.js', 'module.exports = { seed: (c) => c.query("DEV 1") };');
+      write('staging/001_users.js', 'module.exports = { seed: (c) => c.query("STAGING 1") };');
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should run common seeds, then those of the environment, in one transaction', async () => {
+      const connection = createConnection();
+      db.getConnection.mockResolvedValue(connection);
+
+      const files = await SeedUtil.run('development', directory);
+
+      expect(files).toEqual([
+        path.join('common', '001_roles.js'),
+        path.join('common', '002_settings.js'),
+        path.join('development', '001_users.js')
+      ]);
+      expect(connection.query.mock.calls.map(([sql]) => sql)).toEqual(['COMMON 1', 'COMMON 2', 'DEV 1']);
+      expect(connection.commit).toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+    test('should only run common seeds for environments without their own folder', async () => {
+      const connection = createConnection();
+      db.getConnection.mockResolvedValue(connection);
+
+      expect(await SeedUtil.run('production', directory)).toHaveLength(2);
+    });
+
+    test('should roll back when a seed fails', async () => {
+      write('development/002_broken.js', 'module.exports = { seed: async () => { throw new Error("boom"); } };');
+      const connection = createConnection();
+      db.getConnection.mockResolvedValue(connection);
+
+      await expect(SeedUtil.run('development', directory)).rejects.toThrow('boom');
+      expect(connection.rollback).toHaveBeenCalled();
+      expect(connection.commit).not.toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+    test('should refuse seed files without a seed function', async () => {
+      write('development/002_empty.js', 'module.exports = {};');
+
+      await expect(SeedUtil.run('development', directory)).rejects.toThrow('missing seed() function');
+      expect(db.getConnection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('shipped seeds', () => {
+    test('should create the default roles without overwriting existing ones', async () => {
+      const connection = createConnection();
+
+      await require('../src/seeds/common/001_roles').seed(connection);
+
+      const [sql, params] = connection.query.mock.calls[0];
+      expect(sql).toMatch(/^INSERT INTO `roles`.*ON DUPLICATE KEY UPDATE `rolename` = `rolename`$/);
+      expect(params).toEqual(expect.arrayContaining(['admin', '*', 'support', 'user']));
+    });
+
+    test('should create verified demo users with hashed passwords', async () => {
+      const connection = createConnection();
+      connection.query.mockResolvedValueOnce([[{ id: 1, rolename: 'admin' }, { id: 2, rolename: 'support' }, { id: 3, rolename: 'user' }]]);
+
+      await require('../src/seeds/development/001_demo_users').seed(connection);
+
+      const [sql, params] = connection.query.mock.calls[1];
+      expect(sql).toMatch(/^INSERT INTO `users` \(`username`, `email`, `fullName`, `password`, `roleid`, `email_verified_at`\)/);
+      expect(sql).toMatch(/ON DUPLICATE KEY UPDATE `email` = VALUES\(`email`\), `fullName` = VALUES\(`fullName`\), `roleid` = VALUES\(`roleid`\)$/);
+      expect(params.slice(0, 6)).toEqual(['admin', 'admin@example.com', 'Demo Admin', expect.any(String), 1, expect.any(Date)]);
+      expect(await bcrypt.compare('Seed#Passw0rd', params[3])).toBe(true);
+    }, 20000);
+  });
+});
@@ -0,0 +1,105 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/session.model');
+jest.mock('../src/models/user.model');
+jest.mock('../src/services/revocation.service');
+
+const SessionModel = require('../src/models/session.model');
+const UserModel = require('../src/models/user.model');
+const revocationService = require('../src/services/revocation.service');
+const sessionService = require('../src/services/session.service');
+
+describe('SessionService', () => {
+    const rows = [
+        {
+            id: 10,
+            session_id: 'a'.repeat(32),
+            deviceinfo: 'work laptop',
+            user_agent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
+            location: 'Berlin',
+            network: 'wifi',
+            ip: '10.0.0.1',
+            created_at: new Date('2024-01-01T00:00:00Z'),
+            last_active_at: new Date('2024-01-02T00:00:00Z')
+        },
+        {
+            id: 11,
+            session_id: 'b'.repeat(32),
+            deviceinfo: null,
+            user_agent: null,
+            location: null,
+            network: null,
+            ip: '10.0.0.2',
+            created_at: new Date('2024-01-01T00:00:00Z'),
+            last_active_at: new Date('2024-01-01T12:00:00Z')
+        }
+    ];
+
+    beforeEach(() => {
+        SessionModel.findActiveByUser.mockResolvedValue(rows);
+        revocationService.revokeSession.mockResolvedValue(1);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('listSessions', () => {
+        test('should parse device info and flag the current session', async () => {
+            const sessions = await sessionService.listSessions(1, 'a'.repeat(32));
+
+            expect(sessions).toHaveLength(2);
+            expect(sessions[0]).toEqual(expect.objectContaining({
+                id: 'a'.repeat(32),
+                current: true,
+                device: 'work laptop',
+                ipAddress: '10.0.0.1'
+            }));
+            expect(sessions[0].deviceInfo).toEqual(expect.objectContaining({ browser: 'Chrome', os: 'Windows', device: 'desktop' }));
+            expect(sessions[0].deviceInfo.raw).toBeUndefined();
+            expect(sessions[1].current).toBe(false);
+            expect(sessions[1].deviceInfo.browser).toBe('unknown');
+        });
+
+        test('should not expose a token', async () => {
+            const sessions = await sessionService.listSessions(1, null);
+
+            expect(JSON.stringify(sessions)).not.toContain('token');
+        });
+    });
+
+    describe('revokeSession', () => {
+        test('should revoke an active session of the user', async () => {
+            SessionModel.findActive.mockResolvedValue(rows[1]);
+
+            expect(await sessionService.revokeSession(1, 'b'.repeat(32))).toBe(true);
+            expect(SessionModel.findActive).toHaveBeenCalledWith(1, 'b'.repeat(32));
+            expect(revocationService.revokeSession).toHaveBeenCalledWith(1, 'b'.repeat(32), 'session_revoked');
+            expect(UserModel.recordLogout).toHaveBeenCalledWith(1, 'b'.repeat(32));
+        });
+
+        test('should not revoke sessions of other users', async () => {
+            SessionModel.findActive.mockResolvedValue(undefined);
+
+            expect(await sessionService.revokeSession(1, 'c'.repeat(32))).toBe(false);
+            expect(revocationService.revokeSession).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('revokeOtherSessions', () => {
+        test('should keep the current session', async () => {
+            const revoked = await sessionService.revokeOtherSessions(1, 'a'.repeat(32));
+
+            expect(revoked).toBe(1);
+            expect(revocationService.revokeSession).toHaveBeenCalledTimes(1);
+            expect(revocationService.revokeSession).toHaveBeenCalledWith(1, 'b'.repeat(32), 'sessions_revoked');
+        });
+    });
+});
@@ -0,0 +1,64 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/services/tenant.service');
+
+const tenantService = require('../src/services/tenant.service');
+const RequestContextUtil = require('../src/utils/request-context.util');
+const { resolveTenant } = require('../src/middleware/tenant.middleware');
+
+describe('Tenant Middleware', () => {
+    let mockReq, mockRes;
+
+    beforeEach(() => {
+        mockReq = { headers: { 'x-tenant-id': 'acme' }, hostname: 'api.example.com' };
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should put the tenant on the request and in the request context', async () => {
+        const tenant = { id: 2, slug: 'acme' };
+        tenantService.resolve.mockResolvedValue({ tenant, source: 'header' });
+
+        const context = await RequestContextUtil.run({}, () => new Promise(resolve => {
+            resolveTenant(mockReq, mockRes, () => resolve({ tenantId: RequestContextUtil.getTenantId(), source: RequestContextUtil.get('tenantSource') }));
+        }));
+
+        expect(tenantService.resolve).toHaveBeenCalledWith({ header: 'acme', hostname: 'api.example.com' });
+        expect(mockReq.tenant).toBe(tenant);
+        expect(context).toEqual({ tenantId: 2, source: 'header' });
+    });
+
+    test('should answer 404 for unknown tenants', async () => {
+        const next = jest.fn();
+        tenantService.resolve.mockResolvedValue(null);
+
+        await resolveTenant(mockReq, mockRes, next);
+
+        expect(mockRes.status).toHaveBeenCalledWith(404);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not Found', message: 'Unknown tenant' });
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should answer 500 when the tenant cannot be looked up', async () => {
+        const next = jest.fn();
+        tenantService.resolve.mockRejectedValue(new Error('connection lost'));
+
+        await resolveTenant(mockReq, mockRes, next);
+
+        expect(mockRes.status).toHaveBeenCalledWith(500);
+        expect(next).not.toHaveBeenCalled();
+    });
+});
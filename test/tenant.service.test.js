@@ -0,0 +1,112 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/tenant.model');
+
+const TenantModel = require('../src/models/tenant.model');
+const RequestContextUtil = require('../src/utils/request-context.util');
+const tenantConfig = require('../src/config/tenant.config');
+const tenantService = require('../src/services/tenant.service');
+
+describe('TenantService', () => {
+    const tenants = {
+        1: { id: 1, slug: 'default', name: 'Default', disabled_at: null },
+        2: { id: 2, slug: 'acme', name: 'Acme', disabled_at: null },
+        3: { id: 3, slug: 'gone', name: 'Gone', disabled_at: new Date() }
+    };
+    const originalConfig = { ...tenantConfig };
+
+    beforeEach(() => {
+        tenantConfig.baseDomain = 'example.com';
+        TenantModel.findByKey.mockImplementation(async (key) =>
+            Object.values(tenants).find(tenant => String(tenant.id) === key || tenant.slug === key)
+        );
+    });
+
+    afterEach(() => {
+        Object.assign(tenantConfig, originalConfig);
+        tenantService.clearCache();
+        jest.clearAllMocks();
+    });
+
+    describe('getSubdomain', () => {
+        test('should return the first label of hosts under the base domain', () => {
+            expect(tenantService.getSubdomain('acme.example.com')).toBe('acme');
+            expect(tenantService.getSubdomain('ACME.Example.com')).toBe('acme');
+        });
+
+        test('should ignore other hosts, nested and ignored subdomains', () => {
+            expect(tenantService.getSubdomain('example.com')).toBeNull();
+            expect(tenantService.getSubdomain('acme.example.org')).toBeNull();
+            expect(tenantService.getSubdomain('badexample.com')).toBeNull();
+            expect(tenantService.getSubdomain('a.acme.example.com')).toBeNull();
+            expect(tenantService.getSubdomain('www.example.com')).toBeNull();
+        });
+
+        test('should not use subdomains without a base domain', () => {
+            tenantConfig.baseDomain = null;
+
+            expect(tenantService.getSubdomain('acme.example.com')).toBeNull();
+        });
+    });
+
+    describe('resolve', () => {
+        test('should prefer the header, by id or slug', async () => {
+            await expect(tenantService.resolve({ header: '2', hostname: 'other.example.com' }))
+                .resolves.toEqual({ tenant: tenants[2], source: 'header' });
+            await expect(tenantService.resolve({ header: 'Acme' }))
+                .resolves.toEqual({ tenant: tenants[2], source: 'header' });
+        });
+
+        test('should use the subdomain, then the default tenant', async () => {
+            await expect(tenantService.resolve({ hostname: 'acme.example.com' }))
+                .resolves.toEqual({ tenant: tenants[2], source: 'subdomain' });
+            await expect(tenantService.resolve({ hostname: 'localhost' }))
+                .resolves.toEqual({ tenant: tenants[1], source: 'default' });
+        });
+
+        test('should refuse unknown and disabled tenants', async () => {
+            await expect(tenantService.resolve({ header: 'nobody' })).resolves.toBeNull();
+            await expect(tenantService.resolve({ hostname: 'gone.example.com' })).resolves.toBeNull();
+        });
+
+        test('should cache found tenants only', async () => {
+            await tenantService.resolve({ header: 'acme' });
+            await tenantService.resolve({ header: 'acme' });
+            await tenantService.resolve({ header: 'nobody' });
+            await tenantService.resolve({ header: 'nobody' });
+
+            expect(TenantModel.findByKey.mock.calls).toEqual([['acme'], ['nobody'], ['nobody']]);
+        });
+    });
+
+    describe('applyTokenTenant', () => {
+        test('should accept tokens without tenant claim', () => {
+            RequestContextUtil.run({ tenantId: 2, tenantSource: 'header' }, () => {
+                expect(tenantService.applyTokenTenant({ userId: 1 })).toBe(true);
+                expect(RequestContextUtil.getTenantId()).toBe(2);
+            });
+        });
+
+        test('should switch requests that named no tenant to the tenant of the token', () => {
+            RequestContextUtil.run({ tenantId: 1, tenantSource: 'default' }, () => {
+                expect(tenantService.applyTokenTenant({ userId: 1, tid: 2 })).toBe(true);
+                expect(RequestContextUtil.getTenantId()).toBe(2);
+            });
+        });
+
+        test('should refuse tokens of another tenant than the one named', () => {
+            RequestContextUtil.run({ tenantId: 1, tenantSource: 'subdomain' }, () => {
+                expect(tenantService.applyTokenTenant({ userId: 1, tid: 2 })).toBe(false);
+                expect(tenantService.applyTokenTenant({ userId: 1, tid: 1 })).toBe(true);
+                expect(RequestContextUtil.getTenantId()).toBe(1);
+            });
+        });
+    });
+});
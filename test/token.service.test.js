@@ -0,0 +1,330 @@
+const jwt = require('jsonwebtoken');
+
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/refresh-token.model');
+jest.mock('../src/models/user.model');
+
+const RefreshTokenModel = require('../src/models/refresh-token.model');
+const UserModel = require('../src/models/user.model');
+const EncryptUtil = require('../src/utils/encrypt.util');
+const RequestContextUtil = require('../src/utils/request-context.util');
+const keyringService = require('../src/services/keyring.service');
+const tokenService = require('../src/services/token.service');
+
+describe('TokenService', () => {
+    const context = { ipAddress: '127.0.0.1', device: 'jest' };
+
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        RefreshTokenModel.create.mockImplementation(async (data) => ({
+            id: 10,
+            userid: data.userid,
+            familyId: data.familyId,
+            expiresAt: data.expiresAt
+        }));
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('access tokens', () => {
+        test('should sign and verify an access token', () => {
+            const token = tokenService.signAccessToken({ id: 1 });
+            const decoded = tokenService.verifyAccessToken(token);
+
+            expect(decoded.userId).toBe(1);
+            expect(decoded.jti).toBeDefined();
+            expect(decoded.exp).toBeGreaterThan(decoded.iat);
+        });
+
+        test('should carry the issue time in milliseconds', () => {
+            const before = Date.now();
+            const decoded = tokenService.verifyAccessToken(tokenService.signAccessToken({ id: 1 }));
+
+            expect(decoded.iatMs).toBeGreaterThanOrEqual(before);
+            expect(decoded.iatMs).toBeLessThanOrEqual(Date.now());
+            expect(Math.floor(decoded.iatMs / 1000)).toBe(decoded.iat);
+        });
+
+        test('should carry the tenant of the request in the tid claim', () => {
+            const token = RequestContextUtil.run({ tenantId: 3 }, () => tokenService.signAccessToken({ id: 1 }, 'session-1'));
+
+            expect(tokenService.verifyAccessToken(token)).toMatchObject({ userId: 1, sid: 'session-1', tid: 3 });
+            expect(tokenService.verifyAccessToken(tokenService.signAccessToken({ id: 1 })).tid).toBeUndefined();
+        });
+
+        test('should reject a token signed with another secret', () => {
+            const token = jwt.sign({ userId: 1 }, 'other-secret');
+
+            expect(() => tokenService.verifyAccessToken(token)).toThrow();
+        });
+
+        test('should reject an MFA ticket used as access token', () => {
+            const ticket = tokenService.signMfaTicket({ id: 1 });
+
+            expect(() => tokenService.verifyAccessToken(ticket)).toThrow('invalid token type');
+        });
+    });
+
+    describe('signing keys', () => {
+        test('should sign with the active key and put its kid into the header', () => {
+            const token = tokenService.signAccessToken({ id: 1 });
+            const { header } = jwt.decode(token, { complete: true });
+            const key = keyringService.getSigningKey();
+
+            expect(header.alg).toBe('RS256');
+            expect(header.kid).toBe(key.kid);
+        });
+
+        test('should verify tokens signed with a previous key after rotation', () => {
+            const previous = keyringService.getSigningKey();
+            const token = tokenService.signAccessToken({ id: 1 });
+
+            const next = keyringService.generateKey('ES256');
+            keyringService.keys.set(next.kid, keyringService.createKey(next.kid, next.privateKey));
+            keyringService.activeKid = next.kid;
+
+            try {
+                const rotated = tokenService.signAccessToken({ id: 2 });
+
+                expect(jwt.decode(rotated, { complete: true }).header.alg).toBe('ES256');
+                expect(tokenService.verifyAccessToken(rotated).userId).toBe(2);
+                expect(tokenService.verifyAccessToken(token).userId).toBe(1);
+            } finally {
+                keyringService.keys.delete(next.kid);
+                keyringService.activeKid = previous.kid;
+            }
+        });
+
+        test('should reject tokens with an unknown kid', () => {
+            const { privateKey } = EncryptUtil.generateRsaKeyPair(2048);
+            const token = jwt.sign({ userId: 1 }, privateKey, { algorithm: 'RS256', keyid: 'unknown' });
+
+            expect(() => tokenService.verifyAccessToken(token)).toThrow('unknown key id');
+        });
+
+        test('should reject HS256 tokens signed with the public key', () => {
+            const key = keyringService.getSigningKey();
+            const publicPem = key.publicKey.export({ type: 'spki', format: 'pem' });
+            const token = `${Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: key.kid })).toString('base64url')}.${Buffer.from(JSON.stringify({ userId: 1 })).toString('base64url')}`;
+            const forged = `${token}.${EncryptUtil.hmac(token, publicPem, 'sha256', 'base64url')}`;
+
+            expect(() => tokenService.verifyAccessToken(forged)).toThrow();
+        });
+    });
+
+    describe('sessions', () => {
+        test('should put the refresh token family id into the access token as sid', async () => {
+            const pair = await tokenService.issueTokenPair({ id: 1 }, context);
+            const decoded = tokenService.verifyAccessToken(pair.token);
+
+            expect(pair.sessionId).toBe(pair.familyId);
+            expect(decoded.sid).toBe(pair.sessionId);
+        });
+    });
+
+    describe('MFA tickets', () => {
+        test('should sign and verify a ticket', () => {
+            const ticket = tokenService.signMfaTicket({ id: 1 });
+            const payload = tokenService.verifyMfaTicket(ticket);
+
+            expect(payload.userId).toBe(1);
+            expect(payload.jti).toBeDefined();
+            expect(payload.exp - payload.iat).toBe(300);
+        });
+
+        test('should carry the tenant of the login', () => {
+            const ticket = RequestContextUtil.run({ tenantId: 3 }, () => tokenService.signMfaTicket({ id: 1 }));
+
+            expect(tokenService.verifyMfaTicket(ticket).tid).toBe(3);
+        });
+
+        test('should not accept an access token as ticket', () => {
+            const token = tokenService.signAccessToken({ id: 1 });
+
+            expect(tokenService.verifyMfaTicket(token)).toBeNull();
+        });
+
+        test('should return null for a tampered ticket', () => {
+            expect(tokenService.verifyMfaTicket('not-a-ticket')).toBeNull();
+        });
+    });
+
+    describe('issueTokenPair', () => {
+        test('should return an access token and a persisted refresh token', async () => {
+            const pair = await tokenService.issueTokenPair({ id: 1 }, context);
+
+            expect(pair.token).toBeDefined();
+            expect(pair.expiresIn).toBeGreaterThan(0);
+            expect(pair.refreshToken).toBeDefined();
+            expect(pair.familyId).toBeDefined();
+
+            const stored = RefreshTokenModel.create.mock.calls[0][0];
+            expect(stored.userid).toBe(1);
+            expect(stored.tokenHash).toBe(tokenService.hashRefreshToken(pair.refreshToken));
+            expect(stored.tokenHash).not.toBe(pair.refreshToken);
+            expect(stored.ipAddress).toBe('127.0.0.1');
+        });
+    });
+
+    describe('rotateRefreshToken', () => {
+        const liveToken = {
+            id: 5,
+            userid: 1,
+            family_id: 'family-1',
+            parent_id: null,
+            expires_at: new Date(Date.now() + 60000),
+            revoked_at: null,
+            revoke_reason: null
+        };
+
+        beforeEach(() => {
+            UserModel.findById.mockResolvedValue({ id: 1, disabled_at: null });
+        });
+
+        test('should rotate a live token within the same family', async () => {
+            RefreshTokenModel.findByHash.mockResolvedValue(liveToken);
+            RefreshTokenModel.markRotated.mockResolvedValue(true);
+
+            const result = await tokenService.rotateRefreshToken('raw-token', context);
+
+            expect(result.userId).toBe(1);
+            expect(result.token).toBeDefined();
+            expect(RefreshTokenModel.markRotated).toHaveBeenCalledWith(5);
+            expect(RefreshTokenModel.create).toHaveBeenCalledWith(expect.objectContaining({
+                familyId: 'family-1',
+                parentId: 5
+            }));
+        });
+
+        test('should issue the new pair in the tenant of the token', async () => {
+            RefreshTokenModel.findByHash.mockResolvedValue({ ...liveToken, tenant_id: 3 });
+            RefreshTokenModel.markRotated.mockResolvedValue(true);
+
+            const result = await RequestContextUtil.run({ tenantId: 1, tenantSource: 'default' },
+                () => tokenService.rotateRefreshToken('raw-token', context));
+
+            expect(tokenService.verifyAccessToken(result.token).tid).toBe(3);
+        });
+
+        test('should refuse a token of another tenant than the one the request named', async () => {
+            RefreshTokenModel.findByHash.mockResolvedValue({ ...liveToken, tenant_id: 3 });
+
+            const result = await RequestContextUtil.run({ tenantId: 2, tenantSource: 'header' },
+                () => tokenService.rotateRefreshToken('raw-token', context));
+
+            expect(result).toBeNull();
+            expect(RefreshTokenModel.markRotated).not.toHaveBeenCalled();
+        });
+
+        test('should end the session of a disabled user', async () => {
+            RefreshTokenModel.findByHash.mockResolvedValue(liveToken);
+            UserModel.findById.mockResolvedValue({ id: 1, disabled_at: new Date() });
+
+            const result = await tokenService.rotateRefreshToken('raw-token', context);
+
+            expect(result).toBeNull();
+            expect(RefreshTokenModel.revokeFamily).toHaveBeenCalledWith('family-1', 'account_unavailable');
+            expect(RefreshTokenModel.markRotated).not.toHaveBeenCalled();
+        });
+
+        test('should end the session of a deleted user', async () => {
+            RefreshTokenModel.findByHash.mockResolvedValue(liveToken);
+            UserModel.findById.mockResolvedValue(undefined);
+
+            const result = await tokenService.rotateRefreshToken('raw-token', context);
+
+            expect(result).toBeNull();
+            expect(RefreshTokenModel.revokeFamily).toHaveBeenCalledWith('family-1', 'account_unavailable');
+            expect(RefreshTokenModel.create).not.toHaveBeenCalled();
+        });
+
+        test('should return null for an unknown token', async () => {
+            RefreshTokenModel.findByHash.mockResolvedValue(undefined);
+
+            const result = await tokenService.rotateRefreshToken('unknown', context);
+
+            expect(result).toBeNull();
+            expect(RefreshTokenModel.create).not.toHaveBeenCalled();
+        });
+
+        test('should return null for an expired token', async () => {
+            RefreshTokenModel.findByHash.mockResolvedValue({
+                ...liveToken,
+                expires_at: new Date(Date.now() - 1000)
+            });
+
+            const result = await tokenService.rotateRefreshToken('raw-token', context);
+
+            expect(result).toBeNull();
+            expect(RefreshTokenModel.markRotated).not.toHaveBeenCalled();
+        });
+
+        test('should revoke the family when a rotated token is reused', async () => {
+            RefreshTokenModel.findByHash.mockResolvedValue({
+                ...liveToken,
+                revoked_at: new Date(),
+                revoke_reason: 'rotated'
+            });
+
+            const result = await tokenService.rotateRefreshToken('raw-token', context);
+
+            expect(result).toBeNull();
+            expect(RefreshTokenModel.revokeFamily).toHaveBeenCalledWith('family-1', 'reuse_detected');
+            expect(RefreshTokenModel.create).not.toHaveBeenCalled();
+        });
+
+        test('should not revoke the family for a token revoked on logout', async () => {
+            RefreshTokenModel.findByHash.mockResolvedValue({
+                ...liveToken,
+                revoked_at: new Date(),
+                revoke_reason: 'logout'
+            });
+
+            const result = await tokenService.rotateRefreshToken('raw-token', context);
+
+            expect(result).toBeNull();
+            expect(RefreshTokenModel.revokeFamily).not.toHaveBeenCalled();
+        });
+
+        test('should treat a lost rotation race as reuse', async () => {
+            RefreshTokenModel.findByHash.mockResolvedValue(liveToken);
+            RefreshTokenModel.markRotated.mockResolvedValue(false);
+
+            const result = await tokenService.rotateRefreshToken('raw-token', context);
+
+            expect(result).toBeNull();
+            expect(RefreshTokenModel.revokeFamily).toHaveBeenCalledWith('family-1', 'reuse_detected');
+        });
+    });
+
+    describe('revokeRefreshToken', () => {
+        test('should revoke the family of the owner token', async () => {
+            RefreshTokenModel.findByHash.mockResolvedValue({ id: 5, userid: 1, family_id: 'family-1' });
+            RefreshTokenModel.revokeFamily.mockResolvedValue(2);
+
+            const revoked = await tokenService.revokeRefreshToken('raw-token', 1);
+
+            expect(revoked).toBe(2);
+            expect(RefreshTokenModel.revokeFamily).toHaveBeenCalledWith('family-1', 'logout');
+        });
+
+        test('should ignore tokens of other users', async () => {
+            RefreshTokenModel.findByHash.mockResolvedValue({ id: 5, userid: 2, family_id: 'family-1' });
+
+            const revoked = await tokenService.revokeRefreshToken('raw-token', 1);
+
+            expect(revoked).toBe(0);
+            expect(RefreshTokenModel.revokeFamily).not.toHaveBeenCalled();
+        });
+    });
+});
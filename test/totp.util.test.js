@@ -0,0 +1,113 @@
+const TotpUtil = require('../src/utils/totp.util');
+
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+  logger: jest.fn(() => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn()
+  }))
+}));
+
+// Test key from RFC 4226 / RFC 6238 (ASCII "12345678901234567890")
+const RFC_KEY = Buffer.from('12345678901234567890');
+const RFC_KEY_BASE32 = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TotpUtil', () => {
+  describe('base32', () => {
+    test('should encode and decode the RFC test key', () => {
+      expect(TotpUtil.base32Encode(RFC_KEY)).toBe(RFC_KEY_BASE32);
+      expect(TotpUtil.base32Decode(RFC_KEY_BASE32).equals(RFC_KEY)).toBe(true);
+    });
+
+    test('should ignore case, spaces and padding when decoding', () => {
+      expect(TotpUtil.base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').equals(RFC_KEY)).toBe(true);
+      expect(TotpUtil.base32Decode('MZXW6===').toString()).toBe('foo');
+    });
+
+    test('should reject invalid characters', () => {
+      expect(() => TotpUtil.base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+
+    test('should generate a 160-bit secret', () => {
+      const secret = TotpUtil.generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(TotpUtil.base32Decode(secret)).toHaveLength(20);
+    });
+  });
+
+  describe('hotp', () => {
+    test('should match the RFC 4226 test vectors', () => {
+      const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+      expected.forEach((code, counter) => {
+        expect(TotpUtil.hotp(RFC_KEY, counter)).toBe(code);
+      });
+    });
+
+    test('should accept a base32 secret', () => {
+      expect(TotpUtil.hotp(RFC_KEY_BASE32, 1)).toBe('287082');
+    });
+  });
+
+  describe('totp', () => {
+    test('should match the RFC 6238 SHA-1 test vectors', () => {
+      const vectors = [
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+        [20000000000, '65353130']
+      ];
+
+      vectors.forEach(([seconds, code]) => {
+        expect(TotpUtil.totp(RFC_KEY, { time: seconds * 1000, digits: 8 })).toBe(code);
+      });
+    });
+  });
+
+  describe('verify', () => {
+    const time = 1111111111 * 1000;
+
+    test('should return the time step of a valid code', () => {
+      const code = TotpUtil.totp(RFC_KEY_BASE32, { time });
+
+      expect(TotpUtil.verify(code, RFC_KEY_BASE32, { time })).toBe(TotpUtil.timeStep(time));
+    });
+
+    test('should accept codes within the drift window', () => {
+      const previous = TotpUtil.totp(RFC_KEY_BASE32, { time: time - 30000 });
+
+      expect(TotpUtil.verify(previous, RFC_KEY_BASE32, { time })).toBe(TotpUtil.timeStep(time) - 1);
+      expect(TotpUtil.verify(previous, RFC_KEY_BASE32, { time, window: 0 })).toBeNull();
+    });
+
+    test('should reject codes outside the window', () => {
+      const old = TotpUtil.totp(RFC_KEY_BASE32, { time: time - 90000 });
+
+      expect(TotpUtil.verify(old, RFC_KEY_BASE32, { time })).toBeNull();
+    });
+
+    test('should reject malformed codes', () => {
+      expect(TotpUtil.verify('', RFC_KEY_BASE32, { time })).toBeNull();
+      expect(TotpUtil.verify('12345', RFC_KEY_BASE32, { time })).toBeNull();
+      expect(TotpUtil.verify('abcdef', RFC_KEY_BASE32, { time })).toBeNull();
+    });
+  });
+
+  describe('provisioningUri', () => {
+    test('should build an otpauth URI', () => {
+      const uri = TotpUtil.provisioningUri(RFC_KEY_BASE32, 'alice@example.com', 'My App');
+
+      expect(uri.startsWith('otpauth://totp/My%20App%3Aalice%40example.com?')).toBe(true);
+
+      const params = new URL(uri).searchParams;
+      expect(params.get('secret')).toBe(RFC_KEY_BASE32);
+      expect(params.get('issuer')).toBe('My App');
+      expect(params.get('digits')).toBe('6');
+      expect(params.get('period')).toBe('30');
+    });
+  });
+});
@@ -0,0 +1,295 @@
+// Mock dependencies
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: jest.fn(() => ({
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+jest.mock('../src/models/user.model');
+jest.mock('../src/services/revocation.service');
+jest.mock('../src/services/permission.service');
+jest.mock('../src/services/password-reset.service');
+
+const UserModel = require('../src/models/user.model');
+const revocationService = require('../src/services/revocation.service');
+const permissionService = require('../src/services/permission.service');
+const passwordResetService = require('../src/services/password-reset.service');
+const userAdminService = require('../src/services/user-admin.service');
+
+describe('UserAdminService', () => {
+    const row = {
+        id: 2,
+        username: 'jane',
+        email: 'jane@example.com',
+        fullName: 'Jane',
+        roleid: 2,
+        rolename: 'user',
+        email_verified_at: null,
+        disabled_at: null,
+        created_at: new Date('2024-01-01T00:00:00Z')
+    };
+
+    const roles = {
+        admin: { id: 1, rolename: 'admin', paramlist: '' },
+        user: { id: 3, rolename: 'user', paramlist: '' }
+    };
+    const actor = { id: 1 };
+    let access;
+
+    beforeEach(() => {
+        UserModel.findDetailById.mockResolvedValue(row);
+        UserModel.getRole.mockImplementation(async (name) => roles[name]);
+        // The admin acting holds user management permissions, the target user none
+        access = { 1: ['users:read', 'users:write', 'users:assign-role'], 2: [] };
+        permissionService.getUserAccess.mockImplementation(async (userId) => (access[userId] ? { permissions: access[userId] } : null));
+        permissionService.getRolePermissions.mockImplementation((role) => (role.rolename === 'admin' ? ['*'] : []));
+        permissionService.hasAllPermissions.mockImplementation((granted, required) =>
+            required.every(permission => granted.includes('*') || granted.includes(permission)));
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('listUsers', () => {
+        test('should return formatted users with pagination', async () => {
+            UserModel.search.mockResolvedValue({ rows: [row], total: 41 });
+
+            const result = await userAdminService.listUsers({ page: '2', limit: '20', search: 'ja' });
+
+            expect(UserModel.search).toHaveBeenCalledWith(expect.objectContaining({ page: 2, limit: 20, search: 'ja' }));
+            expect(result.users[0]).toEqual(expect.objectContaining({ id: 2, role: 'user', disabled: false }));
+            expect(result.users[0].password).toBeUndefined();
+            expect(result.pagination).toEqual({ page: 2, limit: 20, total: 41, totalPages: 3 });
+        });
+    });
+
+    describe('getUser', () => {
+        test('should include the login history', async () => {
+            UserModel.getLoginHistory.mockResolvedValue([
+                { id: 10, recordtype: 2, location: 'home', network: 'wifi', deviceinfo: 'pc', ip: '1.2.3.4', created_at: new Date(), updated_at: null }
+            ]);
+
+            const user = await userAdminService.getUser(2);
+
+            expect(user.loginHistory).toHaveLength(1);
+            expect(user.loginHistory[0]).toEqual(expect.objectContaining({ recordType: 2, ipAddress: '1.2.3.4' }));
+        });
+
+        test('should return null for unknown users', async () => {
+            UserModel.findDetailById.mockResolvedValue(undefined);
+
+            expect(await userAdminService.getUser(99)).toBeNull();
+            expect(UserModel.getLoginHistory).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('createUser', () => {
+        const data = { username: 'jane', email: 'jane@example.com', password: 'Passw0rd!', role: 'user' };
+
+        test('should create the user with the role id', async () => {
+            UserModel.checkUsernameOrEmail.mockResolvedValue(undefined);
+            UserModel.create.mockResolvedValue({ id: 2 });
+
+            const result = await userAdminService.createUser(actor, data);
+
+            expect(UserModel.create).toHaveBeenCalledWith(expect.objectContaining({ username: 'jane', roleid: 3 }));
+            expect(result.user.id).toBe(2);
+        });
+
+        test('should refuse a role with permissions the admin does not have', async () => {
+            const result = await userAdminService.createUser(actor, { ...data, role: 'admin' });
+
+            expect(result.error).toBe('role_privileged');
+            expect(UserModel.create).not.toHaveBeenCalled();
+        });
+
+        test('should reject unknown roles', async () => {
+            const result = await userAdminService.createUser(actor, { ...data, role: 'nope' });
+
+            expect(result.error).toBe('role_not_found');
+            expect(UserModel.create).not.toHaveBeenCalled();
+        });
+
+        test('should reject taken usernames or emails', async () => {
+            UserModel.checkUsernameOrEmail.mockResolvedValue({ id: 3 });
+
+            const result = await userAdminService.createUser(actor, data);
+
+            expect(result.error).toBe('conflict');
+            expect(UserModel.create).not.toHaveBeenCalled();
+        });
+
+        test('should report a duplicate key from a concurrent request as a conflict', async () => {
+            UserModel.checkUsernameOrEmail.mockResolvedValue(undefined);
+            UserModel.create.mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+
+            expect((await userAdminService.createUser(actor, data)).error).toBe('conflict');
+        });
+    });
+
+    describe('updateUser', () => {
+        test('should only update changed fields', async () => {
+            const result = await userAdminService.updateUser(actor, 2, { username: 'jane', fullName: 'Jane Doe' });
+
+            expect(UserModel.update).toHaveBeenCalledWith(2, { fullName: 'Jane Doe' });
+            expect(UserModel.findOtherByUsernameOrEmail).not.toHaveBeenCalled();
+            expect(result.user).toBeDefined();
+        });
+
+        test('should report conflicts with another user', async () => {
+            UserModel.findOtherByUsernameOrEmail.mockResolvedValue({ id: 3 });
+
+            const result = await userAdminService.updateUser(actor, 2, { email: 'taken@example.com' });
+
+            expect(result.error).toBe('conflict');
+            expect(UserModel.update).not.toHaveBeenCalled();
+        });
+
+        test('should report a duplicate key from a concurrent request as a conflict', async () => {
+            UserModel.findOtherByUsernameOrEmail.mockResolvedValue(undefined);
+            UserModel.update.mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+
+            expect((await userAdminService.updateUser(actor, 2, { email: 'new@example.com' })).error).toBe('conflict');
+        });
+
+        test('should let other database errors through', async () => {
+            UserModel.update.mockRejectedValueOnce(new Error('Connection lost'));
+
+            await expect(userAdminService.updateUser(actor, 2, { fullName: 'Jane Doe' })).rejects.toThrow('Connection lost');
+        });
+
+        test('should report unknown users', async () => {
+            UserModel.findDetailById.mockResolvedValue(undefined);
+
+            expect((await userAdminService.updateUser(actor, 99, { fullName: 'x' })).error).toBe('not_found');
+        });
+
+        test('should refuse the own account and users with more permissions', async () => {
+            expect((await userAdminService.updateUser(actor, 1, { email: 'me@example.com' })).error).toBe('self');
+
+            access[2] = ['*'];
+            expect((await userAdminService.updateUser(actor, 2, { email: 'mine@example.com' })).error).toBe('privileged');
+            expect(UserModel.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('setDisabled', () => {
+        test('should revoke every token when disabling', async () => {
+            UserModel.setDisabled.mockResolvedValue(true);
+
+            expect(await userAdminService.setDisabled(actor, 2, true)).toEqual({ changed: true });
+            expect(UserModel.setDisabled).toHaveBeenCalledWith(2, true);
+            expect(revocationService.revokeAllForUser).toHaveBeenCalledWith(2, 'account_disabled');
+        });
+
+        test('should not revoke tokens when enabling', async () => {
+            UserModel.setDisabled.mockResolvedValue(true);
+
+            expect(await userAdminService.setDisabled(actor, 2, false)).toEqual({ changed: true });
+            expect(revocationService.revokeAllForUser).not.toHaveBeenCalled();
+        });
+
+        test('should report when the state does not change', async () => {
+            UserModel.setDisabled.mockResolvedValue(false);
+
+            expect(await userAdminService.setDisabled(actor, 2, true)).toEqual({ changed: false });
+            expect(revocationService.revokeAllForUser).not.toHaveBeenCalled();
+        });
+
+        test('should report unknown users', async () => {
+            UserModel.findDetailById.mockResolvedValue(undefined);
+
+            expect((await userAdminService.setDisabled(actor, 99, true)).error).toBe('not_found');
+            expect(UserModel.setDisabled).not.toHaveBeenCalled();
+        });
+
+        test('should refuse the own account and users with more permissions', async () => {
+            expect((await userAdminService.setDisabled(actor, 1, true)).error).toBe('self');
+
+            access[2] = ['users:read', 'users:impersonate'];
+            expect((await userAdminService.setDisabled(actor, 2, true)).error).toBe('privileged');
+            expect(UserModel.setDisabled).not.toHaveBeenCalled();
+        });
+
+        test('should allow users with the same permissions', async () => {
+            access[2] = ['users:read'];
+            UserModel.setDisabled.mockResolvedValue(true);
+
+            expect(await userAdminService.setDisabled(actor, 2, true)).toEqual({ changed: true });
+        });
+    });
+
+    describe('assignRole', () => {
+        test('should set the role and drop cached permissions', async () => {
+            UserModel.setRole.mockResolvedValue(true);
+
+            const result = await userAdminService.assignRole(actor, 2, 'user');
+
+            expect(UserModel.setRole).toHaveBeenCalledWith(2, 3);
+            expect(permissionService.invalidate).toHaveBeenCalledWith(2);
+            expect(result.user).toBeDefined();
+        });
+
+        test('should let admins holding every permission grant the admin role', async () => {
+            access[1] = ['*'];
+            UserModel.setRole.mockResolvedValue(true);
+
+            expect((await userAdminService.assignRole(actor, 2, 'admin')).user).toBeDefined();
+            expect(UserModel.setRole).toHaveBeenCalledWith(2, 1);
+        });
+
+        test('should refuse a role with permissions the admin does not have', async () => {
+            expect((await userAdminService.assignRole(actor, 2, 'admin')).error).toBe('role_privileged');
+            expect(UserModel.setRole).not.toHaveBeenCalled();
+        });
+
+        test('should refuse to change the own role', async () => {
+            expect((await userAdminService.assignRole(actor, 1, 'user')).error).toBe('self');
+            expect(UserModel.setRole).not.toHaveBeenCalled();
+        });
+
+        test('should refuse to change the role of a user with more permissions', async () => {
+            access[2] = ['users:read', 'users:impersonate'];
+
+            expect((await userAdminService.assignRole(actor, 2, 'user')).error).toBe('privileged');
+            expect(UserModel.setRole).not.toHaveBeenCalled();
+        });
+
+        test('should reject unknown roles', async () => {
+            expect((await userAdminService.assignRole(actor, 2, 'nope')).error).toBe('role_not_found');
+            expect(UserModel.setRole).not.toHaveBeenCalled();
+        });
+
+        test('should report unknown users', async () => {
+            UserModel.findDetailById.mockResolvedValue(undefined);
+
+            expect((await userAdminService.assignRole(actor, 99, 'user')).error).toBe('not_found');
+            expect(UserModel.setRole).not.toHaveBeenCalled();
+            expect(permissionService.invalidate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('forcePasswordReset', () => {
+        test('should force a reset for existing users', async () => {
+            expect(await userAdminService.forcePasswordReset(actor, 2, { ipAddress: '1.2.3.4' })).toEqual({ reset: true });
+            expect(passwordResetService.forceReset).toHaveBeenCalledWith(row, { ipAddress: '1.2.3.4' });
+        });
+
+        test('should report unknown users', async () => {
+            UserModel.findDetailById.mockResolvedValue(undefined);
+
+            expect((await userAdminService.forcePasswordReset(actor, 99)).error).toBe('not_found');
+            expect(passwordResetService.forceReset).not.toHaveBeenCalled();
+        });
+
+        test('should refuse users with more permissions', async () => {
+            access[2] = ['*'];
+
+            expect((await userAdminService.forcePasswordReset(actor, 2)).error).toBe('privileged');
+            expect(passwordResetService.forceReset).not.toHaveBeenCalled();
+        });
+    });
+});
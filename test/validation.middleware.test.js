@@ -235,7 +235,7 @@ describe('Validation Middleware', () => {
       test('should return array of validators', () => {
         const validators = validationChains.userUpdate();
         expect(Array.isArray(validators)).toBe(true);
-        expect(validators).toHaveLength(4);
+        expect(validators).toHaveLength(5);
       });
     });
 
@@ -405,4 +405,136 @@ describe('WebSocketService', () => {
             expect(id1).toMatch(/^msg_\d+_[a-z0-9]+$/);
         });
     });
+
+    describe('tenant isolation', () => {
+        const tokenService = require('../src/services/token.service');
+        const revocationService = require('../src/services/revocation.service');
+        const apiKeyService = require('../src/services/api-key.service');
+        const RequestContextUtil = require('../src/utils/request-context.util');
+
+        let originalLogger;
+
+        // Socket of a user in a tenant
+        const createSocket = (id, userId, tenantId) => ({
+            ...mockSocket,
+            id,
+            userId,
+            tenantId,
+            userInfo: { id: userId, username: `user${userId}` },
+            join: jest.fn(),
+            leave: jest.fn(),
+            emit: jest.fn(),
+            to: jest.fn().mockReturnThis(),
+            broadcast: { emit: jest.fn() }
+        });
+
+        beforeEach(() => {
+            originalLogger = WebSocketService.logger;
+            WebSocketService.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+            WebSocketService.io = {
+                to: jest.fn().mockReturnThis(),
+                emit: jest.fn()
+            };
+        });
+
+        afterEach(() => {
+            WebSocketService.logger = originalLogger;
+            jest.restoreAllMocks();
+        });
+
+        test('should join the tenant room and only notify users of the tenant', async () => {
+            const socket = createSocket('socket-a', 1, 1);
+
+            await WebSocketService.handleConnection(socket);
+
+            expect(socket.join).toHaveBeenCalledWith('tenant_1');
+            expect(socket.to).toHaveBeenCalledWith('tenant_1');
+            expect(socket.broadcast.emit).not.toHaveBeenCalled();
+            expect(WebSocketService.socketUsers.get('socket-a').tenantId).toBe(1);
+        });
+
+        test('rooms with the same name should be separate per tenant', () => {
+            const first = createSocket('socket-a', 1, 1);
+            const second = createSocket('socket-b', 2, 2);
+            WebSocketService.socketUsers.set('socket-a', { userId: 1, tenantId: 1, userInfo: first.userInfo });
+            WebSocketService.socketUsers.set('socket-b', { userId: 2, tenantId: 2, userInfo: second.userInfo });
+
+            WebSocketService.handleJoinRoom(first, { roomId: 'lobby' });
+            WebSocketService.handleJoinRoom(second, { roomId: 'lobby' });
+            WebSocketService.handleSendMessage(first, { roomId: 'lobby', message: 'hi' });
+
+            expect(first.join).toHaveBeenCalledWith('tenant_1:lobby');
+            expect(second.join).toHaveBeenCalledWith('tenant_2:lobby');
+            expect(first.emit).toHaveBeenCalledWith('joined_room', { roomId: 'lobby' });
+            expect(WebSocketService.io.to).toHaveBeenCalledWith('tenant_1:lobby');
+            expect(WebSocketService.getRoomMembers('lobby', 1).map(member => member.userId)).toEqual([1]);
+            expect(RequestContextUtil.run({ tenantId: 2 }, () => WebSocketService.getRoomMembers('lobby'))
+                .map(member => member.userId)).toEqual([2]);
+        });
+
+        test('users of other tenants should look offline', () => {
+            const sender = createSocket('socket-a', 1, 1);
+            WebSocketService.connectedUsers.set(2, 'socket-b');
+            WebSocketService.socketUsers.set('socket-b', { userId: 2, tenantId: 2, userInfo: { username: 'user2' } });
+
+            WebSocketService.handleSendPrivateMessage(sender, { targetUserId: 2, message: 'hello' });
+
+            expect(sender.emit).toHaveBeenCalledWith('error', { message: 'Target user is offline' });
+            expect(WebSocketService.io.emit).not.toHaveBeenCalled();
+            expect(WebSocketService.sendToUser(2, 'server_message', {}, 1)).toBe(false);
+        });
+
+        test('presence and broadcasts should be limited to the tenant of the request', () => {
+            WebSocketService.connectedUsers.set(1, 'socket-a');
+            WebSocketService.connectedUsers.set(2, 'socket-b');
+            WebSocketService.socketUsers.set('socket-a', { userId: 1, tenantId: 1, userInfo: { username: 'user1' } });
+            WebSocketService.socketUsers.set('socket-b', { userId: 2, tenantId: 2, userInfo: { username: 'user2' } });
+
+            RequestContextUtil.run({ tenantId: 2 }, () => {
+                expect(WebSocketService.getOnlineUsers().map(user => user.userId)).toEqual([2]);
+                expect(WebSocketService.getConnectedUsersCount()).toBe(1);
+                WebSocketService.broadcast('server_broadcast', { message: 'hi' });
+            });
+
+            expect(WebSocketService.io.to).toHaveBeenCalledWith('tenant_2');
+            expect(WebSocketService.getOnlineUsers()).toHaveLength(2);
+        });
+
+        test('should refuse tokens of another tenant than the one the socket named', async () => {
+            jest.spyOn(tokenService, 'verifyAccessToken').mockReturnValue({ userId: 1, tid: 2 });
+            jest.spyOn(revocationService, 'isRevoked').mockResolvedValue(false);
+            const socket = createSocket('socket-a', undefined, undefined);
+            const next = jest.fn();
+
+            await RequestContextUtil.run({ tenantId: 1, tenantSource: 'header' }, () => WebSocketService.authenticateSocket(socket, next));
+
+            expect(next).toHaveBeenCalledWith(new Error('Invalid token'));
+            expect(UserModel.findById).not.toHaveBeenCalled();
+        });
+
+        test('should take the tenant of the token when the socket named none', async () => {
+            jest.spyOn(tokenService, 'verifyAccessToken').mockReturnValue({ userId: 1, tid: 2 });
+            jest.spyOn(revocationService, 'isRevoked').mockResolvedValue(false);
+            const socket = createSocket('socket-a', undefined, 1);
+            const next = jest.fn();
+
+            await RequestContextUtil.run({ tenantId: 1, tenantSource: 'default' }, () => WebSocketService.authenticateSocket(socket, next));
+
+            expect(next).toHaveBeenCalledWith();
+            expect(socket.tenantId).toBe(2);
+            expect(socket.userId).toBe(1);
+        });
+
+        test('should refuse API keys of another tenant than the one the socket named', async () => {
+            jest.spyOn(apiKeyService, 'verifyKey').mockResolvedValue({ id: 5, userId: 1, tenantId: 2, scopes: ['websocket:connect'] });
+            const socket = createSocket('socket-a', undefined, 1);
+            socket.handshake = { ...socket.handshake, auth: { apiKey: 'ak_0123abcd_secret' }, query: {} };
+            const next = jest.fn();
+
+            await RequestContextUtil.run({ tenantId: 1, tenantSource: 'header' }, () => WebSocketService.authenticateSocket(socket, next));
+
+            expect(next).toHaveBeenCalledWith(new Error('Invalid API key'));
+            expect(UserModel.findById).not.toHaveBeenCalled();
+        });
+    });
 });